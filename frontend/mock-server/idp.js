@@ -0,0 +1,230 @@
+// Local OpenID Connect provider for trying sign-in and roles without a real one.
+//
+//   npm run mock-idp                       listens on port 8001
+//   MOCK_IDP_PORT=9001 npm run mock-idp    another port (update REACT_APP_OIDC_AUTHORITY to match)
+//   MOCK_TOKEN_TTL=60 npm run mock-idp     access tokens expire after 60 seconds (default 300)
+//
+// Supports the authorization code flow with PKCE (S256 only), refresh tokens
+// and RP-initiated logout. The sign-in page lists the users in
+// fixtures/users.json, one per role; pick one instead of typing a password.
+// Codes and refresh tokens are kept in memory, so a restart signs everyone out.
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { API_AUDIENCE, signToken } = require('./tokens');
+
+const PORT = parseInt(process.env.MOCK_IDP_PORT, 10) || 8001;
+const TOKEN_TTL = parseInt(process.env.MOCK_TOKEN_TTL, 10) || 300;
+const ISSUER = `http://localhost:${PORT}`;
+const CODE_TTL = 60 * 1000;
+
+const users = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'users.json'), 'utf8'));
+
+// Issued authorization codes and refresh tokens
+const codes = new Map();
+const refreshTokens = new Map();
+
+class OAuthError extends Error {
+  constructor(error, description, status = 400) {
+    super(description);
+    this.error = error;
+    this.status = status;
+  }
+}
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+}[char]));
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+const send = (res, status, payload, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...CORS_HEADERS, ...headers });
+  res.end(payload === undefined ? '' : JSON.stringify(payload));
+};
+
+const sendHtml = (res, status, html) => {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(html);
+};
+
+const redirect = (res, location) => {
+  res.writeHead(302, { Location: location });
+  res.end();
+};
+
+const readForm = (req) => new Promise((resolve, reject) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => resolve(new URLSearchParams(raw)));
+  req.on('error', reject);
+});
+
+const discovery = () => ({
+  issuer: ISSUER,
+  authorization_endpoint: `${ISSUER}/authorize`,
+  token_endpoint: `${ISSUER}/token`,
+  end_session_endpoint: `${ISSUER}/logout`,
+  response_types_supported: ['code'],
+  grant_types_supported: ['authorization_code', 'refresh_token'],
+  code_challenge_methods_supported: ['S256'],
+  scopes_supported: ['openid', 'profile', 'email', 'offline_access'],
+  claims_supported: ['sub', 'name', 'email', 'roles'],
+});
+
+// The parameters a client must send to /authorize, checked before showing the user list
+const AUTHORIZE_PARAMS = ['client_id', 'redirect_uri', 'state', 'code_challenge'];
+
+const signInPage = (query) => {
+  const hidden = [...AUTHORIZE_PARAMS, 'nonce', 'scope']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(query.get(name) || '')}">`)
+    .join('');
+  const buttons = users.map(user => `
+      <form method="post" action="/authorize">
+        ${hidden}
+        <input type="hidden" name="sub" value="${escapeHtml(user.sub)}">
+        <button type="submit"><strong>${escapeHtml(user.name)}</strong><span>${escapeHtml(user.roles.join(', '))}</span></button>
+      </form>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>Mock identity provider</title>
+    <style>
+      body { font-family: Arial, sans-serif; max-width: 420px; margin: 60px auto; color: #111827; }
+      p { color: #4b5563; }
+      button { display: flex; justify-content: space-between; width: 100%; margin: 8px 0; padding: 12px;
+        border: 1px solid #d1d5db; border-radius: 8px; background: #fff; cursor: pointer; font-size: 14px; }
+      button:hover { background: #eff6ff; border-color: #2563eb; }
+      span { color: #6b7280; }
+    </style>
+  </head>
+  <body>
+    <h1>Sign in</h1>
+    <p>Mock identity provider for <code>${escapeHtml(query.get('client_id'))}</code>. Choose a test user:</p>
+    ${buttons}
+  </body>
+</html>`;
+};
+
+const issueTokens = (user, { clientId, scope, nonce }) => {
+  const now = Math.floor(Date.now() / 1000);
+  const common = { iss: ISSUER, sub: user.sub, iat: now, exp: now + TOKEN_TTL };
+  const tokens = {
+    token_type: 'Bearer',
+    expires_in: TOKEN_TTL,
+    scope,
+    access_token: signToken({ ...common, aud: API_AUDIENCE, client_id: clientId, scope, roles: user.roles }),
+    id_token: signToken({ ...common, aud: clientId, nonce, name: user.name, email: user.email, roles: user.roles }),
+  };
+  if (scope.split(' ').includes('offline_access')) {
+    tokens.refresh_token = crypto.randomBytes(32).toString('base64url');
+    refreshTokens.set(tokens.refresh_token, { sub: user.sub, clientId, scope });
+  }
+  return tokens;
+};
+
+const findUser = (sub) => {
+  const user = users.find(candidate => candidate.sub === sub);
+  if (!user) throw new OAuthError('invalid_grant', 'Unknown user');
+  return user;
+};
+
+const exchangeCode = (form) => {
+  const code = codes.get(form.get('code'));
+  codes.delete(form.get('code'));
+  if (!code || code.expiresAt < Date.now()) throw new OAuthError('invalid_grant', 'Authorization code is invalid or expired');
+  if (code.clientId !== form.get('client_id') || code.redirectUri !== form.get('redirect_uri')) {
+    throw new OAuthError('invalid_grant', 'client_id or redirect_uri does not match the authorization request');
+  }
+  const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+  if (challenge !== code.codeChallenge) throw new OAuthError('invalid_grant', 'PKCE verification failed');
+
+  return issueTokens(findUser(code.sub), code);
+};
+
+// Refresh tokens are single use; each refresh returns a new one
+const refresh = (form) => {
+  const grant = refreshTokens.get(form.get('refresh_token'));
+  refreshTokens.delete(form.get('refresh_token'));
+  if (!grant || grant.clientId !== form.get('client_id')) {
+    throw new OAuthError('invalid_grant', 'Refresh token is invalid or has been used');
+  }
+  return issueTokens(findUser(grant.sub), grant);
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  try {
+    if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+      return send(res, 200, discovery());
+    }
+
+    if (req.method === 'GET' && url.pathname === '/authorize') {
+      const missing = AUTHORIZE_PARAMS.filter(name => !url.searchParams.get(name));
+      if (url.searchParams.get('response_type') !== 'code') missing.push('response_type=code');
+      if (url.searchParams.get('code_challenge_method') !== 'S256') missing.push('code_challenge_method=S256');
+      if (missing.length > 0) {
+        return sendHtml(res, 400, `<p>Invalid authorization request, missing: ${escapeHtml(missing.join(', '))}</p>`);
+      }
+      return sendHtml(res, 200, signInPage(url.searchParams));
+    }
+
+    if (req.method === 'POST' && url.pathname === '/authorize') {
+      const form = await readForm(req);
+      const user = findUser(form.get('sub'));
+      const code = crypto.randomBytes(24).toString('base64url');
+      codes.set(code, {
+        sub: user.sub,
+        clientId: form.get('client_id'),
+        redirectUri: form.get('redirect_uri'),
+        codeChallenge: form.get('code_challenge'),
+        nonce: form.get('nonce'),
+        scope: form.get('scope') || 'openid',
+        expiresAt: Date.now() + CODE_TTL,
+      });
+      const target = new URL(form.get('redirect_uri'));
+      target.searchParams.set('code', code);
+      target.searchParams.set('state', form.get('state'));
+      return redirect(res, target.toString());
+    }
+
+    if (req.method === 'POST' && url.pathname === '/token') {
+      const form = await readForm(req);
+      const grantType = form.get('grant_type');
+      if (grantType === 'authorization_code') return send(res, 200, exchangeCode(form));
+      if (grantType === 'refresh_token') return send(res, 200, refresh(form));
+      throw new OAuthError('unsupported_grant_type', `Grant type ${grantType} is not supported`);
+    }
+
+    if (req.method === 'GET' && url.pathname === '/logout') {
+      // Signing out ends every refresh token the user holds
+      const sub = url.searchParams.get('id_token_hint')
+        ? JSON.parse(Buffer.from(url.searchParams.get('id_token_hint').split('.')[1], 'base64url')).sub
+        : null;
+      refreshTokens.forEach((grant, token) => {
+        if (grant.sub === sub) refreshTokens.delete(token);
+      });
+      const returnTo = url.searchParams.get('post_logout_redirect_uri');
+      return returnTo ? redirect(res, returnTo) : sendHtml(res, 200, '<p>You are signed out.</p>');
+    }
+
+    send(res, 404, { error: 'not_found' });
+  } catch (error) {
+    send(res, error.status || 500, { error: error.error || 'server_error', error_description: error.message });
+  } finally {
+    console.log(`[idp] ${req.method} ${url.pathname} -> ${res.statusCode}`);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock identity provider listening on ${ISSUER} (access tokens last ${TOKEN_TTL}s)`);
+});
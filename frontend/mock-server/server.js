@@ -0,0 +1,349 @@
+// Local mock of the FastAPI claims backend so the frontend can be exercised offline.
+//
+//   npm run mock-server            CRUD routes plus the AI processing endpoint
+//   MOCK_AI=off npm run mock-server  CRUD routes only (exercises the processClaim fallback)
+//   MOCK_QUERY=off npm run mock-server  GET /claims/ ignores filters/sort and returns a bare array
+//   MOCK_EXTRA_CLAIMS=2000 npm run mock-server  adds generated claims for paging tests
+//   MOCK_FAIL_RATE=0.3 npm run mock-server  answers that share of requests with a 503 after
+//                                           handling them, as a flaky gateway would
+//   MOCK_PUSH=off npm run mock-server  no GET /claims/events stream (clients fall back to polling)
+//
+// Requests authenticate with the shared api-key header or a bearer token from
+// the mock identity provider (idp.js). Bearer tokens carry roles, and writes
+// are refused with 403 unless one of the user's roles may make them.
+//
+// Data is loaded from ./fixtures on start-up and kept in memory, so restarting
+// the server resets every claim back to its fixture state.
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { verifyToken } = require('./tokens');
+
+const PORT = parseInt(process.env.MOCK_PORT, 10) || 8000;
+const LATENCY = process.env.MOCK_LATENCY !== undefined ? parseInt(process.env.MOCK_LATENCY, 10) : 300;
+const AI_ENABLED = process.env.MOCK_AI !== 'off';
+const QUERY_ENABLED = process.env.MOCK_QUERY !== 'off';
+const EXTRA_CLAIMS = parseInt(process.env.MOCK_EXTRA_CLAIMS, 10) || 0;
+const FAIL_RATE = parseFloat(process.env.MOCK_FAIL_RATE) || 0;
+const PUSH_ENABLED = process.env.MOCK_PUSH !== 'off';
+
+const loadFixture = (name) =>
+  JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', `${name}.json`), 'utf8'));
+
+const db = {
+  claims: loadFixture('claims'),
+  providers: loadFixture('providers'),
+  risks: loadFixture('risks'),
+  policies: loadFixture('policies'),
+  patients: loadFixture('patients'),
+};
+const analyses = loadFixture('analyses');
+
+// Deterministic filler claims spread over the fixture patients and providers
+const GENERATED_SUMMARIES = [
+  'Outpatient consultation and prescribed antibiotics',
+  'MRI scan of the lower back after a fall',
+  'Physiotherapy sessions following knee surgery',
+  'Emergency room visit for chest pain, discharged same day',
+  'Routine dental extraction under local anaesthetic',
+];
+const GENERATED_OUTCOMES = [
+  { status: 'Submitted' },
+  { status: 'Approved', reason_code: 'AUTO_APPR' },
+  { status: 'Pending', reason_code: 'DOC_REQUIRED' },
+  { status: 'Denied', reason_code: 'AMOUNT_EXCEEDED' },
+  { status: 'Approved', reason_code: 'AUTO_APPR' },
+  { status: 'Under Review', reason_code: 'MANUAL_REVIEW' },
+];
+for (let i = 0; i < EXTRA_CLAIMS; i++) {
+  const patient = db.patients[i % db.patients.length];
+  const provider = db.providers[i % db.providers.length];
+  const outcome = GENERATED_OUTCOMES[i % GENERATED_OUTCOMES.length];
+  const hash = crypto.createHash('md5').update(`claim-${i}`).digest('hex');
+  db.claims.push({
+    // Shaped as a v4 UUID so the frontend's UUID validation accepts it
+    claim_id: `${hash.slice(0, 8)}-${hash.slice(8, 12)}-4${hash.slice(13, 16)}-8${hash.slice(17, 20)}-${hash.slice(20)}`,
+    provider_id: provider.provider_id,
+    risk_id: provider.risk_id,
+    patient_id: patient.patient_id,
+    policy_id: patient.policy_id,
+    status: outcome.status,
+    submission_date: new Date(Date.UTC(2025, 0, 1) + i * 3 * 3600 * 1000).toISOString(),
+    summary: GENERATED_SUMMARIES[i % GENERATED_SUMMARIES.length],
+    ex_gratia_flag: false,
+    appeal_case_flag: false,
+    reason_code: outcome.reason_code || null,
+    reason_description: null,
+  });
+}
+
+class HttpError extends Error {
+  constructor(status, detail) {
+    super(typeof detail === 'string' ? detail : 'Request failed');
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+const findOr404 = (collection, key, id, label) => {
+  const record = db[collection].find(item => item[key] === id);
+  if (!record) throw new HttpError(404, `${label} not found`);
+  return record;
+};
+
+const paginate = (items, query) => {
+  const skip = parseInt(query.get('skip'), 10) || 0;
+  const limit = parseInt(query.get('limit'), 10) || 100;
+  return items.slice(skip, skip + limit);
+};
+
+const CLAIM_REFERENCES = [
+  ['provider_id', 'providers', 'Provider'],
+  ['risk_id', 'risks', 'Risk rating'],
+  ['patient_id', 'patients', 'Patient'],
+  ['policy_id', 'policies', 'Policy'],
+];
+
+// FastAPI-style 422: one { type, loc, msg } entry per problem
+const validateClaim = (body) => {
+  const problems = [];
+  if (!body.summary) problems.push({ type: 'missing', loc: ['body', 'summary'], msg: 'Field required' });
+  CLAIM_REFERENCES.forEach(([field, collection, label]) => {
+    if (!body[field]) {
+      problems.push({ type: 'missing', loc: ['body', field], msg: 'Field required' });
+    } else if (!db[collection].some(item => item[field] === body[field])) {
+      problems.push({ type: 'value_error', loc: ['body', field], msg: `Value error, ${label} does not exist` });
+    }
+  });
+  const patient = db.patients.find(item => item.patient_id === body.patient_id);
+  if (patient && body.policy_id && patient.policy_id !== body.policy_id) {
+    problems.push({ type: 'value_error', loc: ['body', 'patient_id'], msg: 'Value error, Patient is not covered by this policy' });
+  }
+  if (problems.length > 0) throw new HttpError(422, problems);
+};
+
+// Roles allowed each kind of write, for requests made with a bearer token
+const WRITE_ROLES = {
+  intake: ['intake_clerk', 'supervisor'],
+  adjudication: ['adjuster', 'supervisor'],
+};
+
+// Route table: [method, pattern, handler(params, body, query), roles?]
+const routes = [
+  ['GET', /^\/health$/, () => ({ status: 'ok', ai_processing: AI_ENABLED })],
+
+  ['GET', /^\/claims\/?$/, (params, body, query) => (QUERY_ENABLED ? queryClaims(query) : paginate(db.claims, query))],
+  ['GET', /^\/claims\/([^/]+)$/, ([id]) => findOr404('claims', 'claim_id', id, 'Claim')],
+  ['POST', /^\/claims\/?$/, (params, body) => {
+    validateClaim(body);
+    const claim = { claim_id: crypto.randomUUID(), status: 'Submitted', ...body };
+    db.claims.unshift(claim);
+    broadcastClaim(claim);
+    return claim;
+  }, WRITE_ROLES.intake],
+  ['PUT', /^\/claims\/([^/]+)$/, ([id], body) => {
+    const claim = Object.assign(findOr404('claims', 'claim_id', id, 'Claim'), body);
+    broadcastClaim(claim);
+    return claim;
+  }, WRITE_ROLES.adjudication],
+
+  ['GET', /^\/providers\/?$/, (params, body, query) => paginate(db.providers, query)],
+  ['GET', /^\/providers\/([^/]+)$/, ([id]) => findOr404('providers', 'provider_id', id, 'Provider')],
+  ['GET', /^\/risks\/([^/]+)$/, ([id]) => findOr404('risks', 'risk_id', id, 'Risk rating')],
+
+  ['GET', /^\/policies\/?$/, (params, body, query) => paginate(db.policies, query)],
+  ['POST', /^\/policies\/?$/, (params, body) => {
+    const policy = { policy_id: crypto.randomUUID(), ...body };
+    db.policies.push(policy);
+    return policy;
+  }, WRITE_ROLES.intake],
+  ['GET', /^\/policies\/([^/]+)\/patients$/, ([id]) => {
+    findOr404('policies', 'policy_id', id, 'Policy');
+    return db.patients.filter(patient => patient.policy_id === id);
+  }],
+  ['GET', /^\/policies\/([^/]+)$/, ([id]) => findOr404('policies', 'policy_id', id, 'Policy')],
+
+  ['GET', /^\/patients\/?$/, (params, body, query) => paginate(db.patients, query)],
+  ['POST', /^\/patients\/?$/, (params, body) => {
+    const patient = { patient_id: crypto.randomUUID(), ...body };
+    db.patients.push(patient);
+    return patient;
+  }, WRITE_ROLES.intake],
+  ['GET', /^\/patients\/([^/]+)$/, ([id]) => findOr404('patients', 'patient_id', id, 'Patient')],
+];
+
+if (AI_ENABLED) {
+  routes.push(['POST', /^\/api\/v1\/claims\/process$/, (params, body) => processClaim(body.claim_id), WRITE_ROLES.adjudication]);
+}
+
+const CLAIM_SORT_FIELDS = ['claim_id', 'status', 'submission_date'];
+
+// Filter, sort and page claims the way a query-capable backend would, returning
+// a { claims, total, skip, limit } envelope instead of a bare array
+function queryClaims(query) {
+  const exact = ['status', 'provider_id', 'patient_id', 'policy_id', 'reason_code'];
+  const search = (query.get('search') || '').toLowerCase();
+  const dateFrom = query.get('date_from');
+  const dateTo = query.get('date_to');
+
+  let claims = db.claims.filter(claim =>
+    exact.every(key => !query.get(key) || claim[key] === query.get(key)) &&
+    (!search || claim.claim_id.toLowerCase().includes(search)) &&
+    (!dateFrom || claim.submission_date >= dateFrom) &&
+    (!dateTo || claim.submission_date.slice(0, 10) <= dateTo));
+
+  const sortBy = query.get('sort_by');
+  if (sortBy) {
+    if (!CLAIM_SORT_FIELDS.includes(sortBy)) {
+      throw new HttpError(422, [{ loc: ['query', 'sort_by'], msg: `must be one of ${CLAIM_SORT_FIELDS.join(', ')}` }]);
+    }
+    const direction = query.get('sort_order') === 'desc' ? -1 : 1;
+    claims = [...claims].sort((a, b) => String(a[sortBy]).localeCompare(String(b[sortBy])) * direction);
+  }
+
+  const skip = parseInt(query.get('skip'), 10) || 0;
+  const limit = parseInt(query.get('limit'), 10) || 100;
+  return { claims: claims.slice(skip, skip + limit), total: claims.length, skip, limit };
+}
+
+// Run the fixture analysis for a claim and persist the decision on the claim record
+function processClaim(claimId) {
+  if (!claimId) throw new HttpError(422, [{ loc: ['body', 'claim_id'], msg: 'field required', type: 'value_error.missing' }]);
+
+  const claim = findOr404('claims', 'claim_id', claimId, 'Claim');
+  const analysis = analyses[claimId] || analyses.default;
+  const decision = analysis.result || analysis;
+
+  claim.status = decision.decision.charAt(0).toUpperCase() + decision.decision.slice(1);
+  claim.reason_code = decision.reason_code;
+  claim.reason_description = decision.reason_description || null;
+  broadcastClaim(claim);
+
+  return { claim_id: claimId, ...analysis };
+}
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    if (!raw) return resolve({});
+    try {
+      resolve(JSON.parse(raw));
+    } catch (error) {
+      reject(new HttpError(400, 'Request body must be valid JSON'));
+    }
+  });
+  req.on('error', reject);
+});
+
+// Results of POSTs sent with an Idempotency-Key, returned again when the key is reused
+const idempotentResults = new Map();
+
+const send = (res, status, payload, headers = {}) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET,PUT,POST,DELETE,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, api-key, Idempotency-Key',
+    'Access-Control-Expose-Headers': 'Retry-After, Idempotent-Replayed, X-Request-ID',
+    ...headers,
+  });
+  res.end(payload === undefined ? '' : JSON.stringify(payload));
+};
+
+// Connections to GET /claims/events; every claim written is sent to each as an
+// SSE `claim` event. Streams authenticate with headers like any other request.
+const eventClients = new Set();
+
+function broadcastClaim(claim) {
+  const message = `event: claim\ndata: ${JSON.stringify(claim)}\n\n`;
+  eventClients.forEach(client => client.write(message));
+}
+
+const openEventStream = (req, res) => {
+  try {
+    authenticate(req);
+  } catch (error) {
+    return send(res, error.status, { detail: error.detail });
+  }
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'Access-Control-Allow-Origin': '*',
+  });
+  res.write('retry: 5000\n\n');
+  // Comments keep proxies from closing an idle stream
+  const ping = setInterval(() => res.write(': ping\n\n'), 15000);
+  eventClients.add(res);
+  req.on('close', () => {
+    clearInterval(ping);
+    eventClients.delete(res);
+    console.log('[mock] event stream closed');
+  });
+  console.log('[mock] GET /claims/events -> event stream opened');
+};
+
+// Claims of the caller's bearer token, or null for an api-key caller.
+// Credentials in the query string are not accepted: URLs end up in logs.
+const authenticate = (req) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  if (token) {
+    const claims = verifyToken(token);
+    if (!claims) throw new HttpError(401, 'Access token is invalid or has expired');
+    return claims;
+  }
+  if (req.headers['api-key']) return null;
+  throw new HttpError(401, 'Missing api-key header');
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  res.setHeader('X-Request-ID', crypto.randomUUID());
+
+  if (req.method === 'OPTIONS') return send(res, 204);
+  if (PUSH_ENABLED && req.method === 'GET' && url.pathname === '/claims/events') {
+    return openEventStream(req, res);
+  }
+
+  try {
+    const user = url.pathname === '/health' ? null : authenticate(req);
+
+    let match = null;
+    const route = routes.find(([method, pattern]) => {
+      match = method === req.method && url.pathname.match(pattern);
+      return Boolean(match);
+    });
+    // FastAPI answers unknown routes with a bare "Not Found" detail
+    if (!route) throw new HttpError(404, 'Not Found');
+    const allowedRoles = route[3];
+    if (user && allowedRoles && !allowedRoles.some(role => (user.roles || []).includes(role))) {
+      throw new HttpError(403, `Requires one of the roles: ${allowedRoles.join(', ')}`);
+    }
+
+    const body = ['POST', 'PUT'].includes(req.method) ? await readBody(req) : {};
+    await new Promise(resolve => setTimeout(resolve, LATENCY));
+
+    const idempotencyKey = req.method === 'POST' ? req.headers['idempotency-key'] : undefined;
+    const replayed = idempotencyKey && idempotentResults.get(idempotencyKey);
+    const result = replayed || await route[2](match.slice(1), body, url.searchParams);
+    if (idempotencyKey) idempotentResults.set(idempotencyKey, result);
+
+    // The work is done, but the client only sees the failure
+    if (Math.random() < FAIL_RATE) {
+      send(res, 503, { detail: 'Service temporarily unavailable' }, { 'Retry-After': '1' });
+      return;
+    }
+    send(res, 200, result, replayed ? { 'Idempotent-Replayed': 'true' } : {});
+  } catch (error) {
+    send(res, error.status || 500, { detail: error.detail || error.message });
+  } finally {
+    console.log(`[mock] ${req.method} ${url.pathname} -> ${res.statusCode}`);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock claims backend listening on http://localhost:${PORT} (AI processing ${AI_ENABLED ? 'on' : 'off'})`);
+});
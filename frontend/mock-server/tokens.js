@@ -0,0 +1,35 @@
+// HS256 JWTs shared by the mock identity provider (idp.js) and the mock API
+// (server.js), which checks the access tokens the provider issues. Both sides
+// know the secret, so no key discovery is needed.
+const crypto = require('crypto');
+
+const SECRET = process.env.MOCK_TOKEN_SECRET || 'mock-identity-provider-secret';
+// Audience of access tokens, i.e. the claims API
+const API_AUDIENCE = 'claims-api';
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const signature = (data) => crypto.createHmac('sha256', SECRET).update(data).digest('base64url');
+
+const signToken = (claims) => {
+  const data = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+  return `${data}.${signature(data)}`;
+};
+
+// Claims of a valid, unexpired token; null otherwise
+const verifyToken = (token) => {
+  const [header, payload, sig] = String(token).split('.');
+  if (!header || !payload || !sig) return null;
+
+  const expected = Buffer.from(signature(`${header}.${payload}`));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return claims.exp * 1000 > Date.now() ? claims : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = { API_AUDIENCE, signToken, verifyToken };
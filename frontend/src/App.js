@@ -1,65 +1,101 @@
 import React from 'react';
-import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Link } from 'react-router-dom';
 import { Toaster } from 'react-hot-toast';
 import { AppProvider } from './contexts/AppContext';
+import { useEnvironments } from './services/useClaimsApi';
 import Navigation from './components/Navigation';
+import EnvironmentBanner from './components/EnvironmentBanner';
 import Dashboard from './components/Dashboard';
 import Analytics from './components/Analytics';
 import ClaimProcessor from './components/ClaimProcessor';
 import ClaimHistory from './components/ClaimHistory';
+import ClaimDetail from './components/ClaimDetail';
+import PatientList from './components/PatientList';
+import PatientDetail from './components/PatientDetail';
+import PatientForm from './components/PatientForm';
+import PolicyList from './components/PolicyList';
+import PolicyDetail from './components/PolicyDetail';
+import PolicyForm from './components/PolicyForm';
+import ProviderList from './components/ProviderList';
+import ProviderDetail from './components/ProviderDetail';
 import Settings from './components/Settings';
 import ClaimSubmissionForm from './components/ClaimSubmissionForm';
+import BulkImportWizard from './components/BulkImportWizard';
 import BackendTestComponent from './components/BackendTestComponent';
+import SyncQueue from './components/SyncQueue';
+import AuthGate from './components/AuthGate';
+import SessionLock from './components/SessionLock';
+import RequirePermission from './components/RequirePermission';
 import './App.css';
 
 function App() {
+  // Switching environment profiles starts the app state over, so nothing
+  // loaded from one backend is shown for another
+  const { activeId } = useEnvironments();
+
   return (
-    <AppProvider>
-      <Router>
-        <div className="min-h-screen bg-background">
-          <Navigation />
+    <Router>
+      <AuthGate>
+        <SessionLock>
+          <AppProvider key={activeId}>
+            <div className="min-h-screen bg-background">
+              <EnvironmentBanner />
+              <Navigation />
           
-          {/* Main Content */}
-          <div className="lg:pl-64">
-            <main className="min-h-screen">
-              <Routes>
-                <Route path="/" element={<Dashboard />} />
-                <Route path="/analytics" element={<Analytics />} />
-                <Route path="/process" element={<ClaimProcessorPage />} />
-                <Route path="/submit" element={<ClaimSubmissionPage />} />
-                <Route path="/history" element={<ClaimHistory />} />
-                <Route path="/settings" element={<Settings />} />
-                <Route path="/test" element={<BackendTestPage />} />
-              </Routes>
-            </main>
-          </div>
+              {/* Main Content */}
+              <div className="lg:pl-64">
+                <main className="min-h-screen">
+                  <Routes>
+                    <Route path="/" element={<Dashboard />} />
+                    <Route path="/analytics" element={<Analytics />} />
+                    <Route path="/process" element={<RequirePermission permission="processClaims"><ClaimProcessorPage /></RequirePermission>} />
+                    <Route path="/submit" element={<RequirePermission permission="submitClaims"><ClaimSubmissionPage /></RequirePermission>} />
+                    <Route path="/import" element={<RequirePermission permission="submitClaims"><BulkImportWizard /></RequirePermission>} />
+                    <Route path="/history" element={<ClaimHistory />} />
+                    <Route path="/claims/:claimId" element={<ClaimDetail />} />
+                    <Route path="/patients" element={<PatientList />} />
+                    <Route path="/patients/new" element={<RequirePermission permission="manageRecords"><PatientForm /></RequirePermission>} />
+                    <Route path="/patients/:patientId" element={<PatientDetail />} />
+                    <Route path="/policies" element={<PolicyList />} />
+                    <Route path="/policies/new" element={<RequirePermission permission="manageRecords"><PolicyForm /></RequirePermission>} />
+                    <Route path="/policies/:policyId" element={<PolicyDetail />} />
+                    <Route path="/providers" element={<ProviderList />} />
+                    <Route path="/providers/:providerId" element={<ProviderDetail />} />
+                    <Route path="/settings" element={<Settings />} />
+                    <Route path="/sync" element={<SyncQueue />} />
+                    <Route path="/test" element={<BackendTestPage />} />
+                  </Routes>
+                </main>
+              </div>
 
-          {/* Toast Notifications */}
-          <Toaster
-            position="top-right"
-            toastOptions={{
-              duration: 4000,
-              style: {
-                background: '#363636',
-                color: '#fff',
-              },
-              success: {
-                duration: 3000,
-                style: {
-                  background: '#10b981',
-                },
-              },
-              error: {
-                duration: 5000,
-                style: {
-                  background: '#ef4444',
-                },
-              },
-            }}
-          />
-        </div>
-      </Router>
-    </AppProvider>
+              {/* Toast Notifications */}
+              <Toaster
+                position="top-right"
+                toastOptions={{
+                  duration: 4000,
+                  style: {
+                    background: '#363636',
+                    color: '#fff',
+                  },
+                  success: {
+                    duration: 3000,
+                    style: {
+                      background: '#10b981',
+                    },
+                  },
+                  error: {
+                    duration: 5000,
+                    style: {
+                      background: '#ef4444',
+                    },
+                  },
+                }}
+              />
+            </div>
+          </AppProvider>
+        </SessionLock>
+      </AuthGate>
+    </Router>
   );
 }
 
@@ -75,7 +111,7 @@ function ClaimProcessorPage() {
           Process individual claims with detailed AI analysis
         </p>
       </div>
-      <div className="bg-white rounded-lg shadow-md border border-gray-200 p-6">
+      <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-6">
         <ClaimProcessor isOpen={true} onClose={() => {}} />
       </div>
     </div>
@@ -91,7 +127,10 @@ function ClaimSubmissionPage() {
           Submit New Claim
         </h1>
         <p className="text-gray-600">
-          Submit a new insurance claim for processing
+          Submit a new insurance claim for processing.{' '}
+          <Link to="/import" className="text-blue-600 hover:text-blue-800">
+            Import many claims from a spreadsheet
+          </Link>
         </p>
       </div>
       <ClaimSubmissionForm />
@@ -0,0 +1,245 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  ScaleIcon,
+  ExclamationTriangleIcon,
+  ArrowPathIcon,
+} from '@heroicons/react/24/outline';
+import { useApp } from '../contexts/AppContext';
+import { useAuth } from '../services/useClaimsApi';
+import { CLAIM_STATUSES, REASON_CODES } from '../services/api';
+import {
+  formatConfidenceScore,
+  formatDate,
+  getAiDecision,
+  isHighConfidenceOverride,
+  MIN_JUSTIFICATION_LENGTH,
+} from '../utils/helpers';
+import toast from 'react-hot-toast';
+
+const emptyForm = { status: '', reasonCode: '', justification: '' };
+
+const AdjudicationPanel = ({ claim, onDecision }) => {
+  const { actions } = useApp();
+  const { can } = useAuth();
+  const [form, setForm] = useState(emptyForm);
+  const [confirming, setConfirming] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  const claimId = claim.claim_id || claim.id;
+
+  // Start fresh whenever a different claim is loaded
+  useEffect(() => {
+    setForm(emptyForm);
+    setConfirming(false);
+  }, [claimId]);
+
+  // Compare against the original AI result, not an earlier manual decision
+  const { decision: aiDecision, confidence: aiConfidence } = getAiDecision(claim) || {};
+
+  const isDenial = form.status === 'Denied';
+  const overridesAi = isHighConfidenceOverride(claim, form.status);
+  const needsConfirmation = isDenial || overridesAi;
+
+  const canAdjudicate = can('adjudicateClaims');
+  // Only supervisors may go against a high-confidence AI decision
+  const overrideBlocked = overridesAi && !can('overrideAiDecisions');
+
+  const justificationTooShort = form.justification.trim().length < MIN_JUSTIFICATION_LENGTH;
+  const canSubmit = canAdjudicate && form.status && form.reasonCode && !justificationTooShort && !overrideBlocked && !submitting;
+
+  const handleChange = (field) => (e) => {
+    setForm(prev => ({ ...prev, [field]: e.target.value }));
+    setConfirming(false);
+  };
+
+  const handleStatusChange = (e) => {
+    const status = e.target.value;
+    // Preselect the reason code that usually goes with a request for documents
+    setForm(prev => ({
+      ...prev,
+      status,
+      reasonCode: status === 'Pending' && !prev.reasonCode ? 'DOC_REQUIRED' : prev.reasonCode,
+    }));
+    setConfirming(false);
+  };
+
+  const submitDecision = async () => {
+    setSubmitting(true);
+    try {
+      const result = await actions.adjudicateClaim(claim, {
+        status: form.status,
+        reasonCode: form.reasonCode,
+        justification: form.justification.trim(),
+      });
+      if (onDecision) onDecision(result);
+      if (result.pendingSync) {
+        toast(`Backend unreachable - ${form.status} decision saved and will sync automatically`);
+      } else {
+        toast.success(`Claim marked as ${form.status}`);
+      }
+      setForm(emptyForm);
+      setConfirming(false);
+    } catch (error) {
+      toast.error(`Failed to record decision: ${error.message}`);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+
+    if (needsConfirmation && !confirming) {
+      setConfirming(true);
+      return;
+    }
+    submitDecision();
+  };
+
+  const confirmationMessages = [
+    isDenial && 'Denying a claim sends a denial to the claimant.',
+    overridesAi &&
+      `This overrides an AI decision of ${aiDecision} made with ${formatConfidenceScore(aiConfidence)} confidence.`,
+  ].filter(Boolean);
+
+  return (
+    <div className="bg-surface border border-gray-200 rounded-lg p-4">
+      <div className="flex items-center mb-4">
+        <ScaleIcon className="h-5 w-5 text-gray-500 mr-2" />
+        <h4 className="font-semibold text-gray-900">Adjuster Decision</h4>
+      </div>
+
+      {claim.adjudication && (
+        <div className="mb-4 text-sm bg-gray-50 rounded-lg p-3 text-gray-700">
+          Manually set to <span className="font-medium">{claim.adjudication.status}</span>
+          {' '}({claim.adjudication.reason_code}) on {formatDate(claim.adjudication.adjudicatedAt)}.
+          {claim.adjudication.ai_decision && (
+            <> AI decision was <span className="font-medium">{claim.adjudication.ai_decision}</span>.</>
+          )}
+          <p className="mt-1 italic">"{claim.adjudication.justification}"</p>
+          {claim.pendingSync && (
+            <p className="mt-1 text-yellow-800">
+              Waiting to sync with the backend. <Link to="/sync" className="underline">View sync queue</Link>
+            </p>
+          )}
+        </div>
+      )}
+
+      {!canAdjudicate && (
+        <p className="mb-4 text-sm text-gray-600">
+          Your role can view decisions but not record them.
+        </p>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="adjudicationStatus" className="block text-sm font-medium text-gray-700 mb-1">
+              Status
+            </label>
+            <select
+              id="adjudicationStatus"
+              value={form.status}
+              onChange={handleStatusChange}
+              className="input-field"
+              disabled={submitting || !canAdjudicate}
+            >
+              <option value="">Select status</option>
+              {CLAIM_STATUSES.map(status => (
+                <option key={status} value={status}>{status}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="adjudicationReason" className="block text-sm font-medium text-gray-700 mb-1">
+              Reason Code
+            </label>
+            <select
+              id="adjudicationReason"
+              value={form.reasonCode}
+              onChange={handleChange('reasonCode')}
+              className="input-field"
+              disabled={submitting || !canAdjudicate}
+            >
+              <option value="">Select reason</option>
+              {Object.entries(REASON_CODES).map(([code, description]) => (
+                <option key={code} value={code}>{code} - {description}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div>
+          <label htmlFor="adjudicationJustification" className="block text-sm font-medium text-gray-700 mb-1">
+            Justification
+          </label>
+          <textarea
+            id="adjudicationJustification"
+            rows={3}
+            value={form.justification}
+            onChange={handleChange('justification')}
+            placeholder="Explain why this decision was made"
+            className="input-field"
+            disabled={submitting || !canAdjudicate}
+          />
+          {form.justification && justificationTooShort && (
+            <p className="mt-1 text-sm text-red-600">
+              Justification must be at least {MIN_JUSTIFICATION_LENGTH} characters
+            </p>
+          )}
+        </div>
+
+        {overrideBlocked && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 flex items-start">
+            <ExclamationTriangleIcon className="h-5 w-5 text-yellow-500 mr-2 mt-0.5" />
+            <p className="text-sm text-yellow-800">
+              The AI decided {aiDecision} with {formatConfidenceScore(aiConfidence)} confidence.
+              Overriding it needs a supervisor.
+            </p>
+          </div>
+        )}
+
+        {confirming && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-start">
+            <ExclamationTriangleIcon className="h-5 w-5 text-red-500 mr-2 mt-0.5" />
+            <div className="text-sm text-red-800">
+              {confirmationMessages.map(message => (
+                <p key={message}>{message}</p>
+              ))}
+              <p className="mt-1 font-medium">Submit again to confirm.</p>
+            </div>
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-2">
+          {confirming && (
+            <button
+              type="button"
+              onClick={() => setConfirming(false)}
+              className="btn-secondary"
+              disabled={submitting}
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={!canSubmit}
+            className={`${confirming ? 'btn-danger' : 'btn-primary'} flex items-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed`}
+          >
+            {submitting && <ArrowPathIcon className="h-4 w-4 animate-spin" />}
+            <span>
+              {confirming
+                ? `Confirm ${isDenial ? 'Denial' : 'Override'}`
+                : 'Record Decision'}
+            </span>
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default AdjudicationPanel;
@@ -1,4 +1,5 @@
 import React, { useMemo, useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -28,7 +29,9 @@ import {
   BuildingOfficeIcon,
 } from '@heroicons/react/24/outline';
 import { useApp } from '../contexts/AppContext';
+import { useLiveUpdates, useResolvedTheme } from '../services/useClaimsApi';
 import { formatNumber, formatCurrency } from '../utils/helpers';
+import NewClaimsBanner from './NewClaimsBanner';
 
 // Register Chart.js components
 ChartJS.register(
@@ -45,14 +48,22 @@ ChartJS.register(
   Filler
 );
 
+// Chart.js draws on a canvas, so its text and grid colours follow the theme here
+const CHART_THEMES = {
+  light: { text: '#4b5563', grid: '#f3f4f6', surface: '#ffffff' },
+  dark: { text: '#d1d5db', grid: '#374151', surface: '#111827' },
+};
+
 const Analytics = () => {
-  const { state } = useApp();
+  const { state, actions } = useApp();
   const { recentClaims } = state;
   
   // State for filters and data
   const [timeRange, setTimeRange] = useState('30'); // days
   const [refreshing, setRefreshing] = useState(false);
   const [advancedAnalytics, setAdvancedAnalytics] = useState(null);
+  const live = useLiveUpdates();
+  const chartTheme = CHART_THEMES[useResolvedTheme()];
   
   // Chart configurations
   const chartOptions = {
@@ -61,6 +72,9 @@ const Analytics = () => {
     plugins: {
       legend: {
         position: 'top',
+        labels: {
+          color: chartTheme.text,
+        },
       },
       tooltip: {
         mode: 'index',
@@ -72,11 +86,17 @@ const Analytics = () => {
         grid: {
           display: false,
         },
+        ticks: {
+          color: chartTheme.text,
+        },
       },
       y: {
         beginAtZero: true,
         grid: {
-          color: '#f3f4f6',
+          color: chartTheme.grid,
+        },
+        ticks: {
+          color: chartTheme.text,
         },
       },
     },
@@ -88,6 +108,9 @@ const Analytics = () => {
     plugins: {
       legend: {
         position: 'bottom',
+        labels: {
+          color: chartTheme.text,
+        },
       },
       tooltip: {
         callbacks: {
@@ -103,6 +126,15 @@ const Analytics = () => {
     },
   };
 
+  // Claims History pages through the backend itself, so load recent claims here if none are held yet
+  useEffect(() => {
+    if (recentClaims.length === 0) {
+      actions.loadClaims({ limit: 50 }).catch(error => {
+        console.error('Failed to load claims:', error);
+      });
+    }
+  }, []); // Runs once on mount
+
   // Load additional analytics data
   useEffect(() => {
     const loadAdvancedAnalytics = async () => {
@@ -312,7 +344,7 @@ const Analytics = () => {
           <h1 className="text-3xl font-bold text-gray-900 mb-2">Insurance Analytics Dashboard</h1>
           <p className="text-gray-600">Comprehensive insights and analytics for insurance claims</p>
         </div>
-        <div className="bg-white rounded-lg shadow-md border border-gray-200 p-12 text-center">
+        <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-12 text-center">
           <ChartBarIcon className="h-16 w-16 text-gray-400 mx-auto mb-4" />
           <h3 className="text-lg font-medium text-gray-900 mb-2">No Data Available</h3>
           <p className="text-gray-600">Process some claims to see comprehensive analytics and insights here.</p>
@@ -432,6 +464,7 @@ const Analytics = () => {
           '#8b5cf6',
           '#06b6d4',
         ],
+        borderColor: chartTheme.surface,
       },
     ],
   };
@@ -559,10 +592,12 @@ const Analytics = () => {
         </div>
       </div>
 
+      <NewClaimsBanner count={live.newCount} onShow={actions.showNewClaims} />
+
       {/* KPI Cards */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
         {kpis.map((kpi, index) => (
-          <div key={index} className="bg-white rounded-lg shadow-md p-6 border border-gray-200">
+          <div key={index} className="bg-surface rounded-lg shadow-md p-6 border border-gray-200">
             <div className="flex items-center justify-between">
               <div>
                 <p className="text-sm font-medium text-gray-600">{kpi.title}</p>
@@ -593,7 +628,7 @@ const Analytics = () => {
       {/* Charts Grid */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
         {/* Claims Status Distribution */}
-        <div className="bg-white rounded-lg shadow-md border border-gray-200 p-6">
+        <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-6">
           <h3 className="text-lg font-semibold text-gray-900 mb-4">Claims Status Distribution</h3>
           <div className="h-64">
             <Pie data={statusPieData} options={pieOptions} />
@@ -601,7 +636,7 @@ const Analytics = () => {
         </div>
 
         {/* Financial Analysis */}
-        <div className="bg-white rounded-lg shadow-md border border-gray-200 p-6">
+        <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-6">
           <h3 className="text-lg font-semibold text-gray-900 mb-4">Financial Impact Analysis</h3>
           <div className="h-64">
             <Bar data={financialBarData} options={chartOptions} />
@@ -609,17 +644,34 @@ const Analytics = () => {
         </div>
 
         {/* Fraud Risk Assessment */}
-        <div className="bg-white rounded-lg shadow-md border border-gray-200 p-6">
+        <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-6">
           <h3 className="text-lg font-semibold text-gray-900 mb-4">Fraud Risk Assessment</h3>
           <div className="h-64">
             <Radar data={fraudRadarData} options={{
               responsive: true,
               maintainAspectRatio: false,
+              plugins: {
+                legend: {
+                  labels: {
+                    color: chartTheme.text,
+                  },
+                },
+              },
               scales: {
                 r: {
                   beginAtZero: true,
                   grid: {
-                    color: '#f3f4f6',
+                    color: chartTheme.grid,
+                  },
+                  angleLines: {
+                    color: chartTheme.grid,
+                  },
+                  pointLabels: {
+                    color: chartTheme.text,
+                  },
+                  ticks: {
+                    color: chartTheme.text,
+                    backdropColor: chartTheme.surface,
                   },
                 },
               },
@@ -628,7 +680,7 @@ const Analytics = () => {
         </div>
 
         {/* Claim Types Distribution */}
-        <div className="bg-white rounded-lg shadow-md border border-gray-200 p-6">
+        <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-6">
           <h3 className="text-lg font-semibold text-gray-900 mb-4">Claim Types Distribution</h3>
           <div className="h-64">
             <Doughnut data={claimTypesData} options={pieOptions} />
@@ -637,7 +689,7 @@ const Analytics = () => {
       </div>
 
       {/* Risk Factors Analysis */}
-      <div className="bg-white rounded-lg shadow-md border border-gray-200 p-6 mb-8">
+      <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-6 mb-8">
         <h3 className="text-lg font-semibold text-gray-900 mb-4">Top Risk Factors</h3>
         <div className="h-64">
           <Bar data={riskFactorsData} options={chartOptions} />
@@ -645,7 +697,7 @@ const Analytics = () => {
       </div>
 
       {/* Claims Processing Trends */}
-      <div className="bg-white rounded-lg shadow-md border border-gray-200 p-6 mb-8">
+      <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-6 mb-8">
         <h3 className="text-lg font-semibold text-gray-900 mb-4">Claims Processing Trends (Last 30 Days)</h3>
         <div className="h-80">
           <Line data={trendLineData} options={{
@@ -657,6 +709,7 @@ const Analytics = () => {
                   display: false,
                 },
                 ticks: {
+                  color: chartTheme.text,
                   maxTicksLimit: 10,
                 },
               },
@@ -666,7 +719,7 @@ const Analytics = () => {
       </div>
 
       {/* Provider Performance Table */}
-      <div className="bg-white rounded-lg shadow-md border border-gray-200 p-6">
+      <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-6">
         <h3 className="text-lg font-semibold text-gray-900 mb-4">Top Provider Performance</h3>
         <div className="overflow-x-auto">
           <table className="w-full">
@@ -689,7 +742,7 @@ const Analytics = () => {
                 </th>
               </tr>
             </thead>
-            <tbody className="bg-white divide-y divide-gray-200">
+            <tbody className="bg-surface divide-y divide-gray-200">
               {Object.entries(analyticsData.providerStats)
                 .sort(([,a], [,b]) => b.total - a.total)
                 .slice(0, 10)
@@ -699,7 +752,11 @@ const Analytics = () => {
                   return (
                     <tr key={providerId} className="hover:bg-gray-50">
                       <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                        {providerId}
+                        {providerId === 'Unknown' ? providerId : (
+                          <Link to={`/providers/${providerId}`} className="text-blue-600 hover:text-blue-900">
+                            {providerId}
+                          </Link>
+                        )}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                         {stats.total}
@@ -0,0 +1,33 @@
+import React, { useEffect, useRef } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { ArrowPathIcon } from '@heroicons/react/24/outline';
+import { completeSignIn } from '../services/auth';
+
+// The identity provider redirects back here with an authorization code
+const AuthCallback = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  // A code can only be exchanged once, so guard against effects running twice
+  const startedRef = useRef(false);
+
+  useEffect(() => {
+    if (startedRef.current) return;
+    startedRef.current = true;
+
+    completeSignIn(location.search)
+      .then(returnTo => navigate(returnTo, { replace: true }))
+      // The sign-in page shows the error
+      .catch(() => navigate('/', { replace: true }));
+  }, [location.search, navigate]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center">
+      <div className="text-center">
+        <ArrowPathIcon className="h-8 w-8 animate-spin mx-auto text-blue-600 mb-2" />
+        <p className="text-gray-600">Signing in...</p>
+      </div>
+    </div>
+  );
+};
+
+export default AuthCallback;
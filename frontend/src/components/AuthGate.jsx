@@ -0,0 +1,42 @@
+import React, { useEffect } from 'react';
+import { useLocation } from 'react-router-dom';
+import { ArrowPathIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../services/useClaimsApi';
+import { CALLBACK_PATH, initAuth } from '../services/auth';
+import AuthCallback from './AuthCallback';
+import SignIn from './SignIn';
+
+// Renders the app only for a signed-in user when sign-in is configured
+const AuthGate = ({ children }) => {
+  const auth = useAuth();
+  const location = useLocation();
+
+  useEffect(() => {
+    initAuth();
+  }, []);
+
+  if (!auth.enabled) return children;
+
+  if (location.pathname === CALLBACK_PATH) return <AuthCallback />;
+
+  if (auth.status === 'loading') {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <ArrowPathIcon className="h-8 w-8 animate-spin text-blue-600" />
+      </div>
+    );
+  }
+
+  if (auth.status !== 'signedIn') {
+    return (
+      <SignIn
+        error={auth.error}
+        onSignIn={() => auth.signIn({ returnTo: `${location.pathname}${location.search}` })}
+      />
+    );
+  }
+
+  return children;
+};
+
+export default AuthGate;
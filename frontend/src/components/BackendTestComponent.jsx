@@ -82,7 +82,7 @@ const BackendTestComponent = () => {
   };
 
   return (
-    <div className="max-w-4xl mx-auto p-6 bg-white rounded-lg shadow-md">
+    <div className="max-w-4xl mx-auto p-6 bg-surface rounded-lg shadow-md">
       <h2 className="text-2xl font-bold text-gray-900 mb-6">Backend Integration Test</h2>
       
       <div className="mb-4">
@@ -7,40 +7,90 @@ import {
   StopIcon,
   ArrowDownTrayIcon,
   ExclamationTriangleIcon,
+  PauseIcon,
+  DocumentTextIcon,
 } from '@heroicons/react/24/outline';
-import { useApp } from '../contexts/AppContext';
+import { useApp, getBatchSettledCount, getBatchActiveTime } from '../contexts/AppContext';
 import {
   getStatusBadgeClasses,
   formatConfidenceScore,
   formatDate,
+  formatDuration,
   exportToCSV,
   exportToJSON,
+  exportToXLSX,
 } from '../utils/helpers';
+import { downloadBatchLetters } from '../services/determinationLetters';
 import toast from 'react-hot-toast';
 
+const CONCURRENCY_OPTIONS = [1, 2, 3, 5, 8];
+
 const BatchProcessor = ({ isOpen, onClose }) => {
   const { state, actions } = useApp();
-  const [showResults, setShowResults] = useState(false);
+  const [now, setNow] = useState(Date.now());
+  const [letterProgress, setLetterProgress] = useState(null);
 
-  const { loading, batchProcessing } = state;
-  const { inProgress, progress, results, errors } = batchProcessing;
+  const { loading, batchProcessing, settings } = state;
+  const { inProgress, status, progress, total, startedAt, finishedAt, results, errors, remaining } = batchProcessing;
+  const settledCount = getBatchSettledCount(batchProcessing);
+  const isPaused = status === 'paused';
+  const isStopped = status === 'stopped';
 
+  // Tick once a second while running so elapsed time and ETA stay current
   useEffect(() => {
-    if (results.length > 0 && !inProgress) {
-      setShowResults(true);
-    }
-  }, [results, inProgress]);
+    if (!inProgress) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [inProgress]);
 
   const handleStartBatchProcessing = async () => {
     try {
-      setShowResults(false);
-      await actions.processPendingClaims();
-      toast.success(`Batch processing completed! Processed ${results.length} claims.`);
+      const batchResults = await actions.processPendingClaims({ concurrency: settings.batchConcurrency });
+      if (batchResults.length === 0) {
+        toast.success('No pending claims to process');
+        return;
+      }
+      notifyRunFinished(batchResults);
     } catch (error) {
       toast.error(`Batch processing failed: ${error.message}`);
     }
   };
 
+  const handleResume = async () => {
+    try {
+      // Resuming a paused run releases the existing queue; its start call reports completion
+      const wasPaused = isPaused;
+      const batchResults = await actions.resumeBatch({ concurrency: settings.batchConcurrency });
+      if (!wasPaused) notifyRunFinished(batchResults);
+    } catch (error) {
+      toast.error(`Batch processing failed: ${error.message}`);
+    }
+  };
+
+  const handleStop = () => {
+    actions.stopBatch();
+    toast('Batch stopped - unprocessed claims were skipped and can be resumed');
+  };
+
+  const notifyRunFinished = (batchResults) => {
+    const failed = batchResults.filter(entry => !entry.success).length;
+    toast.success(`Batch run finished: ${batchResults.length - failed} processed, ${failed} failed.`);
+  };
+
+  const getTiming = () => {
+    if (!startedAt) return { elapsed: null, eta: null };
+    const end = inProgress ? now : new Date(finishedAt).getTime();
+    const elapsed = Math.max(0, end - new Date(startedAt).getTime());
+    // Average wall-clock time per settled claim already reflects the concurrency;
+    // only claims settled since this run (or resume) started count toward the rate,
+    // and only the time spent processing them, not paused
+    const settledThisRun = settledCount - batchProcessing.settledAtStart;
+    const eta = inProgress && !isPaused && settledThisRun > 0
+      ? (getBatchActiveTime(batchProcessing, end) / settledThisRun) * (total - settledCount)
+      : null;
+    return { elapsed, eta };
+  };
+
   const handleExportCSV = () => {
     if (results.length === 0) return;
 
@@ -65,21 +115,51 @@ const BatchProcessor = ({ isOpen, onClose }) => {
     toast.success('Results exported to JSON!');
   };
 
+  const handleExportXLSX = async () => {
+    if (results.length === 0) return;
+
+    try {
+      await exportToXLSX(results, 'batch_claims_results');
+      toast.success('Results exported to Excel!');
+    } catch (error) {
+      toast.error(`Excel export failed: ${error.message}`);
+    }
+  };
+
+  // One determination letter per result, typed by its decision
+  const handleDownloadLetters = async () => {
+    if (results.length === 0) return;
+
+    setLetterProgress({ done: 0, total: results.length });
+    try {
+      await downloadBatchLetters(results, {
+        filename: 'batch_determination_letters',
+        onProgress: (done, count) => setLetterProgress({ done, total: count }),
+      });
+      toast.success(`Generated ${results.length} determination letters!`);
+    } catch (error) {
+      toast.error(`Letter generation failed: ${error.message}`);
+    } finally {
+      setLetterProgress(null);
+    }
+  };
+
   const getStatusStats = () => {
     const approved = results.filter(r => r.decision === 'Approved').length;
     const denied = results.filter(r => r.decision === 'Denied').length;
-    const pending = results.filter(r => r.decision === 'Pending').length;
+    const pending = results.filter(r => r.decision === 'Pending' || r.decision === 'Under Review').length;
     
-    return { approved, denied, pending, total: results.length };
+    return { approved, denied, pending, failed: errors.length, total: results.length };
   };
 
   if (!isOpen) return null;
 
   const stats = getStatusStats();
+  const timing = getTiming();
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-      <div className="bg-white rounded-lg p-6 m-4 max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+      <div className="bg-surface rounded-lg p-6 m-4 max-w-4xl w-full max-h-[90vh] overflow-y-auto">
         {/* Header */}
         <div className="flex items-center justify-between mb-6">
           <h2 className="text-2xl font-bold text-gray-900">
@@ -107,16 +187,52 @@ const BatchProcessor = ({ isOpen, onClose }) => {
             <div>
               <h3 className="font-medium text-gray-900 mb-1">Batch Processing</h3>
               <p className="text-sm text-gray-600">
-                {inProgress 
-                  ? 'Processing claims...' 
-                  : results.length > 0 
-                    ? `Last batch: ${results.length} claims processed`
-                    : 'Ready to process pending claims'
+                {isPaused
+                  ? 'Paused - in-flight claims finish, no new claims start'
+                  : inProgress 
+                    ? `Processing ${total} claims, ${batchProcessing.concurrency} at a time...`
+                    : isStopped
+                      ? `Stopped with ${remaining.length} of ${total} claims not processed`
+                      : results.length > 0 
+                        ? `Last batch: ${results.length} claims processed`
+                        : 'Ready to process pending claims'
                 }
               </p>
             </div>
-            <div className="flex space-x-3">
-              {!inProgress ? (
+            <div className="flex items-center space-x-3">
+              <label className="flex items-center space-x-2 text-sm text-gray-600">
+                <span>Concurrency</span>
+                <select
+                  value={settings.batchConcurrency}
+                  onChange={(e) => actions.updateSettings({ batchConcurrency: parseInt(e.target.value, 10) })}
+                  disabled={inProgress}
+                  className="px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                >
+                  {CONCURRENCY_OPTIONS.map(option => (
+                    <option key={option} value={option}>{option}</option>
+                  ))}
+                </select>
+              </label>
+              {!inProgress && isStopped && (
+                <>
+                  <button
+                    onClick={() => actions.clearBatchProcessing()}
+                    disabled={loading}
+                    className="btn-secondary"
+                  >
+                    Discard
+                  </button>
+                  <button
+                    onClick={handleResume}
+                    disabled={loading}
+                    className="btn-success flex items-center space-x-2"
+                  >
+                    <PlayIcon className="h-4 w-4" />
+                    <span>Resume ({remaining.length})</span>
+                  </button>
+                </>
+              )}
+              {!inProgress && !isStopped && (
                 <button
                   onClick={handleStartBatchProcessing}
                   disabled={loading}
@@ -125,23 +241,46 @@ const BatchProcessor = ({ isOpen, onClose }) => {
                   <PlayIcon className="h-4 w-4" />
                   <span>Start Processing</span>
                 </button>
-              ) : (
-                <button
-                  disabled
-                  className="bg-gray-400 text-white px-4 py-2 rounded-lg flex items-center space-x-2 cursor-not-allowed"
-                >
-                  <ArrowPathIcon className="h-4 w-4 animate-spin" />
-                  <span>Processing...</span>
-                </button>
+              )}
+              {inProgress && (
+                <>
+                  {isPaused ? (
+                    <button
+                      onClick={handleResume}
+                      className="btn-success flex items-center space-x-2"
+                    >
+                      <PlayIcon className="h-4 w-4" />
+                      <span>Resume</span>
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => actions.pauseBatch()}
+                      className="btn-secondary flex items-center space-x-2"
+                    >
+                      <PauseIcon className="h-4 w-4" />
+                      <span>Pause</span>
+                    </button>
+                  )}
+                  <button
+                    onClick={handleStop}
+                    className="btn-danger flex items-center space-x-2"
+                  >
+                    <StopIcon className="h-4 w-4" />
+                    <span>Stop</span>
+                  </button>
+                </>
               )}
             </div>
           </div>
 
           {/* Progress Bar */}
-          {inProgress && (
+          {(inProgress || isStopped) && (
             <div className="mt-4">
               <div className="flex justify-between text-sm text-gray-600 mb-1">
-                <span>Progress</span>
+                <span className="flex items-center space-x-1">
+                  {inProgress && !isPaused && <ArrowPathIcon className="h-3 w-3 animate-spin" />}
+                  <span>Progress</span>
+                </span>
                 <span>{Math.round(progress)}%</span>
               </div>
               <div className="w-full bg-gray-200 rounded-full h-2">
@@ -150,11 +289,34 @@ const BatchProcessor = ({ isOpen, onClose }) => {
                   style={{ width: `${progress}%` }}
                 />
               </div>
-              <div className="mt-2 text-sm text-gray-600">
-                Processed {results.length} claims
+              <div className="mt-2 flex flex-wrap justify-between gap-2 text-sm text-gray-600">
+                <span>
+                  Processed {settledCount} of {total} claims
+                  {errors.length > 0 && <span className="text-red-600"> ({errors.length} failed)</span>}
+                </span>
+                {inProgress && (
+                  <span>
+                    Elapsed {formatDuration(timing.elapsed)}
+                    {' · '}
+                    {isPaused
+                      ? 'Paused'
+                      : timing.eta === null ? 'Estimating time remaining...' : `~${formatDuration(timing.eta)} remaining`}
+                  </span>
+                )}
               </div>
             </div>
           )}
+
+          {/* Skipped Claims */}
+          {isStopped && remaining.length > 0 && (
+            <div className="mt-4 text-sm text-gray-600">
+              <span className="font-medium text-gray-700">Skipped claims: </span>
+              <span className="font-mono text-xs break-all">
+                {remaining.slice(0, 5).map(claim => claim.claim_id).join(', ')}
+                {remaining.length > 5 && ` and ${remaining.length - 5} more`}
+              </span>
+            </div>
+          )}
         </div>
 
         {/* Errors */}
@@ -166,7 +328,9 @@ const BatchProcessor = ({ isOpen, onClose }) => {
                 <h4 className="font-medium text-red-900 mb-2">Processing Errors</h4>
                 <ul className="text-sm text-red-800 space-y-1">
                   {errors.map((error, index) => (
-                    <li key={index}>• {error}</li>
+                    <li key={error.claim_id || index}>
+                      • {error.claim_id ? `${error.claim_id}: ` : ''}{error.message}
+                    </li>
                   ))}
                 </ul>
               </div>
@@ -175,10 +339,10 @@ const BatchProcessor = ({ isOpen, onClose }) => {
         )}
 
         {/* Results Summary */}
-        {showResults && results.length > 0 && (
+        {results.length > 0 && (
           <div className="space-y-6">
-            {/* Stats Cards */}
-            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {/* Stats Cards (update live as claims settle) */}
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
               <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 text-center">
                 <div className="text-2xl font-bold text-blue-900">{stats.total}</div>
                 <div className="text-sm text-blue-700">Total Processed</div>
@@ -195,6 +359,10 @@ const BatchProcessor = ({ isOpen, onClose }) => {
                 <div className="text-2xl font-bold text-yellow-900">{stats.pending}</div>
                 <div className="text-sm text-yellow-700">Pending</div>
               </div>
+              <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 text-center">
+                <div className="text-2xl font-bold text-gray-900">{stats.failed}</div>
+                <div className="text-sm text-gray-700">Failed</div>
+              </div>
             </div>
 
             {/* Export Options */}
@@ -217,11 +385,30 @@ const BatchProcessor = ({ isOpen, onClose }) => {
                   <ArrowDownTrayIcon className="h-4 w-4" />
                   <span>Export JSON</span>
                 </button>
+                <button
+                  onClick={handleExportXLSX}
+                  className="btn-secondary flex items-center space-x-2"
+                >
+                  <ArrowDownTrayIcon className="h-4 w-4" />
+                  <span>Export Excel</span>
+                </button>
+                <button
+                  onClick={handleDownloadLetters}
+                  disabled={letterProgress !== null}
+                  className="btn-secondary flex items-center space-x-2"
+                >
+                  <DocumentTextIcon className="h-4 w-4" />
+                  <span>
+                    {letterProgress
+                      ? `Generating letters ${letterProgress.done}/${letterProgress.total}`
+                      : 'Download Letters'}
+                  </span>
+                </button>
               </div>
             </div>
 
             {/* Results Table */}
-            <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+            <div className="bg-surface border border-gray-200 rounded-lg overflow-hidden">
               <div className="overflow-x-auto">
                 <table className="w-full">
                   <thead className="bg-gray-50">
@@ -243,7 +430,7 @@ const BatchProcessor = ({ isOpen, onClose }) => {
                       </th>
                     </tr>
                   </thead>
-                  <tbody className="bg-white divide-y divide-gray-200">
+                  <tbody className="bg-surface divide-y divide-gray-200">
                     {results.map((claim, index) => (
                       <tr key={claim.id || claim.claim_id || index} className="hover:bg-gray-50">
                         <td className="px-4 py-3 whitespace-nowrap">
@@ -293,14 +480,16 @@ const BatchProcessor = ({ isOpen, onClose }) => {
             </div>
 
             {/* Summary */}
-            <div className="text-sm text-gray-500 pt-4 border-t border-gray-200">
-              Batch processing completed at {formatDate(new Date())}
-            </div>
+            {!inProgress && finishedAt && (
+              <div className="text-sm text-gray-500 pt-4 border-t border-gray-200">
+                {isStopped ? 'Batch processing stopped' : 'Batch processing completed'} at {formatDate(finishedAt)}
+              </div>
+            )}
           </div>
         )}
 
         {/* Empty State */}
-        {!inProgress && results.length === 0 && (
+        {!inProgress && !isStopped && results.length === 0 && (
           <div className="text-center py-12">
             <DocumentCheckIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
             <h3 className="text-lg font-medium text-gray-900 mb-2">
@@ -0,0 +1,566 @@
+import React, { useState, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  ArrowUpTrayIcon,
+  ArrowDownTrayIcon,
+  ArrowLeftIcon,
+  ArrowRightIcon,
+  ArrowPathIcon,
+  CheckCircleIcon,
+  XCircleIcon,
+  ExclamationTriangleIcon,
+  TrashIcon,
+} from '@heroicons/react/24/outline';
+import { useClaims } from '../services/useClaimsApi';
+import { CLAIM_STATUSES } from '../services/api';
+import { BulkUtils, CLAIM_FORM_FIELDS, FormUtils } from '../services/claimsFormUtils';
+import { downloadFile, exportToCSV } from '../utils/helpers';
+import { isXLSXFile } from '../utils/xlsx';
+import toast from 'react-hot-toast';
+
+const STEPS = ['Upload', 'Map Columns', 'Review', 'Submit'];
+
+const FIELD_NAMES = Object.keys(CLAIM_FORM_FIELDS);
+
+// Fields a file has to provide; the rest have form defaults
+const REQUIRED_IMPORT_FIELDS = FIELD_NAMES.filter(name =>
+  CLAIM_FORM_FIELDS[name].required && CLAIM_FORM_FIELDS[name].defaultValue === undefined);
+
+// Build review rows, keeping the source row number (header = 1) so results can be traced back to the file
+const buildRows = (table, mapping) =>
+  BulkUtils.mapRowsToClaims(table.rows, mapping).map((claim, index) => ({
+    line: index + 2,
+    claim,
+    errors: BulkUtils.validateClaimRow(claim),
+  }));
+
+const StepIndicator = ({ current }) => (
+  <ol className="flex items-center mb-6">
+    {STEPS.map((label, index) => (
+      <li key={label} className="flex items-center flex-1 last:flex-none">
+        <span
+          className={`flex items-center justify-center h-8 w-8 rounded-full text-sm font-medium ${
+            index < current ? 'bg-blue-600 text-white' :
+            index === current ? 'border-2 border-blue-600 text-blue-600' :
+            'border-2 border-gray-300 text-gray-400'
+          }`}
+        >
+          {index + 1}
+        </span>
+        <span className={`ml-2 text-sm ${index === current ? 'font-medium text-gray-900' : 'text-gray-500'}`}>
+          {label}
+        </span>
+        {index < STEPS.length - 1 && <span className="flex-1 h-px bg-gray-200 mx-4" />}
+      </li>
+    ))}
+  </ol>
+);
+
+// Inline editor for one cell of the review grid
+const CellInput = ({ fieldName, value, errors, onChange }) => {
+  const config = CLAIM_FORM_FIELDS[fieldName];
+  const hasError = errors && errors.length > 0;
+  const classes = `w-full px-2 py-1 border rounded text-sm ${hasError ? 'border-red-500 bg-red-50' : 'border-gray-300'}`;
+  const title = hasError ? errors.join('\n') : undefined;
+
+  if (config.type === 'checkbox') {
+    return <input type="checkbox" checked={Boolean(value)} onChange={(e) => onChange(e.target.checked)} />;
+  }
+  if (fieldName === 'status') {
+    return (
+      <select value={value || ''} onChange={(e) => onChange(e.target.value)} className={classes} title={title}>
+        <option value="">—</option>
+        {/* Keep an unrecognised imported value visible so it can be corrected */}
+        {value && !CLAIM_STATUSES.includes(value) && <option value={value}>{value}</option>}
+        {CLAIM_STATUSES.map(status => (
+          <option key={status} value={status}>{status}</option>
+        ))}
+      </select>
+    );
+  }
+  return (
+    <input
+      type="text"
+      value={value || ''}
+      onChange={(e) => onChange(e.target.value)}
+      className={`${classes} ${fieldName === 'summary' ? 'min-w-[16rem]' : 'min-w-[10rem]'}`}
+      title={title}
+    />
+  );
+};
+
+const BulkImportWizard = () => {
+  const { submitBatchClaims, loading: submitting } = useClaims();
+  const [step, setStep] = useState(0);
+  const [sourceName, setSourceName] = useState('');
+  const [pastedText, setPastedText] = useState('');
+  const [readProgress, setReadProgress] = useState(null);
+  const [table, setTable] = useState({ headers: [], rows: [] });
+  // Worksheets of an uploaded workbook, when it has more than one to choose from
+  const [sheets, setSheets] = useState([]);
+  const [mapping, setMapping] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [showInvalidOnly, setShowInvalidOnly] = useState(false);
+  // Submission entries by source row number
+  const [results, setResults] = useState({});
+
+  const invalidCount = rows.filter(row => Object.keys(row.errors).length > 0).length;
+  const validRows = rows.filter(row => Object.keys(row.errors).length === 0);
+  const mappedFields = mapping.filter(Boolean);
+  const missingFields = REQUIRED_IMPORT_FIELDS.filter(name => !mappedFields.includes(name));
+  const submittedCount = Object.keys(results).length;
+
+  const visibleRows = useMemo(
+    () => (showInvalidOnly ? rows.filter(row => Object.keys(row.errors).length > 0) : rows),
+    [rows, showInvalidOnly]
+  );
+
+  const loadTable = (parsed, name) => {
+    if (parsed.headers.length === 0 || parsed.rows.length === 0) {
+      toast.error('The file needs a header row and at least one claim row');
+      return;
+    }
+
+    setSourceName(name);
+    setTable(parsed);
+    setMapping(BulkUtils.suggestColumnMapping(parsed.headers));
+    setResults({});
+    setStep(1);
+  };
+
+  const selectSheet = (index) => {
+    const sheet = sheets[index];
+    loadTable(sheet, sheet.name);
+  };
+
+  const handlePaste = () => {
+    setSheets([]);
+    try {
+      loadTable(BulkUtils.parseDelimitedText(pastedText), 'pasted rows');
+    } catch (error) {
+      toast.error(`Could not read the pasted rows: ${error.message}`);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setReadProgress(0);
+    setSheets([]);
+    try {
+      if (isXLSXFile(file)) {
+        const workbookSheets = (await BulkUtils.parseSpreadsheetFile(file)).filter(sheet => sheet.rows.length > 0);
+        if (workbookSheets.length === 0) {
+          toast.error(`${file.name} has no sheet with a header row and claim rows`);
+          return;
+        }
+        setSheets(workbookSheets);
+        loadTable(workbookSheets[0], workbookSheets[0].name);
+      } else {
+        loadTable(await BulkUtils.parseDelimitedFile(file, { onProgress: setReadProgress }), file.name);
+      }
+    } catch (error) {
+      toast.error(`Could not read ${file.name}: ${error.message}`);
+    } finally {
+      setReadProgress(null);
+    }
+  };
+
+  const handleDownloadTemplate = () => {
+    downloadFile(BulkUtils.generateCSVTemplate(), 'claims_import_template.csv', 'text/csv;charset=utf-8;');
+  };
+
+  const handleMappingChange = (column, fieldName) => {
+    setMapping(prev => prev.map((current, index) => {
+      if (index === column) return fieldName;
+      // A field can only come from one column
+      return fieldName && current === fieldName ? '' : current;
+    }));
+  };
+
+  const goToReview = () => {
+    setRows(buildRows(table, mapping));
+    setShowInvalidOnly(false);
+    setStep(2);
+  };
+
+  const handleCellChange = (line, fieldName, value) => {
+    setRows(prev => prev.map(row => {
+      if (row.line !== line) return row;
+      const claim = { ...row.claim, [fieldName]: value };
+      return { ...row, claim, errors: BulkUtils.validateClaimRow(claim) };
+    }));
+  };
+
+  const removeRow = (line) => {
+    setRows(prev => prev.filter(row => row.line !== line));
+  };
+
+  const handleSubmit = async () => {
+    const toSubmit = validRows;
+    setResults({});
+    setStep(3);
+
+    try {
+      const summary = await submitBatchClaims(
+        toSubmit.map(row => FormUtils.formatFormDataForApi(row.claim)),
+        {
+          onClaimSubmitted: (entry) => {
+            setResults(prev => ({ ...prev, [toSubmit[entry.index].line]: entry }));
+          },
+        }
+      );
+
+      if (summary.failed > 0) {
+        toast.error(`${summary.successful} claims created, ${summary.failed} failed`);
+      } else {
+        toast.success(`${summary.successful} claims created`);
+      }
+    } catch (error) {
+      toast.error(`Import failed: ${error.message}`);
+    }
+  };
+
+  const handleDownloadReport = () => {
+    exportToCSV(rows.map(row => {
+      const entry = results[row.line];
+      const rowErrors = Object.values(row.errors).flat();
+      let result = 'Not submitted';
+      if (rowErrors.length > 0) result = 'Skipped (invalid)';
+      else if (entry?.success) result = 'Created';
+      else if (entry) result = 'Failed';
+
+      return {
+        row: row.line,
+        result,
+        claim_id: entry?.success ? entry.data.claim_id : '',
+        error: entry && !entry.success ? entry.error : rowErrors.join('; '),
+        ...row.claim,
+      };
+    }), `claims_import_report_${sourceName.replace(/\.[^.]+$/, '') || 'pasted'}`);
+  };
+
+  const startOver = () => {
+    setStep(0);
+    setSourceName('');
+    setPastedText('');
+    setTable({ headers: [], rows: [] });
+    setSheets([]);
+    setMapping([]);
+    setRows([]);
+    setResults({});
+  };
+
+  const renderResult = (row) => {
+    if (Object.keys(row.errors).length > 0) {
+      return <span className="text-gray-500">Skipped (invalid)</span>;
+    }
+    const entry = results[row.line];
+    if (!entry) {
+      return submitting
+        ? <ArrowPathIcon className="h-4 w-4 animate-spin text-gray-400" />
+        : <span className="text-gray-400">Not submitted</span>;
+    }
+    if (!entry.success) {
+      return (
+        <span className="flex items-center text-red-600" title={entry.error}>
+          <XCircleIcon className="h-4 w-4 mr-1" />
+          <span className="max-w-md truncate">{entry.error}</span>
+        </span>
+      );
+    }
+    return (
+      <span className="flex items-center text-green-700">
+        <CheckCircleIcon className="h-4 w-4 mr-1" />
+        <Link to={`/claims/${entry.data.claim_id}`} className="font-mono hover:underline">
+          {entry.data.claim_id}
+        </Link>
+      </span>
+    );
+  };
+
+  return (
+    <div className="p-6 max-w-7xl mx-auto">
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Import Claims</h1>
+        <p className="text-gray-600">
+          Create claims in bulk from a CSV file or rows pasted from a spreadsheet
+        </p>
+      </div>
+
+      <StepIndicator current={step} />
+
+      <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-6">
+        {step === 0 && (
+          <div className="space-y-6">
+            <div className="border-2 border-dashed border-gray-300 rounded-lg p-8 text-center">
+              <ArrowUpTrayIcon className="h-10 w-10 mx-auto text-gray-400 mb-3" />
+              {readProgress === null ? (
+                <label className="btn-primary cursor-pointer inline-block">
+                  Choose file
+                  <input
+                    type="file"
+                    accept=".csv,.tsv,.txt,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+                    onChange={handleFileChange}
+                    className="hidden"
+                  />
+                </label>
+              ) : (
+                <p className="text-sm text-gray-600">Reading file... {Math.round(readProgress * 100)}%</p>
+              )}
+              <p className="text-sm text-gray-500 mt-2">
+                Excel workbook (.xlsx) or CSV with a header row, separated by commas, semicolons, tabs or pipes
+              </p>
+            </div>
+
+            <div>
+              <label htmlFor="pasted-claims" className="block text-sm font-medium text-gray-700 mb-1">
+                Or paste rows
+              </label>
+              <textarea
+                id="pasted-claims"
+                value={pastedText}
+                onChange={(e) => setPastedText(e.target.value)}
+                rows={6}
+                placeholder="Copy the cells (including the header row) from your spreadsheet and paste them here"
+                className="input-field font-mono text-xs"
+              />
+              <div className="mt-2 flex justify-between">
+                <button onClick={handleDownloadTemplate} className="btn-secondary flex items-center space-x-2">
+                  <ArrowDownTrayIcon className="h-4 w-4" />
+                  <span>Download template</span>
+                </button>
+                <button
+                  onClick={handlePaste}
+                  disabled={!pastedText.trim()}
+                  className="btn-primary flex items-center space-x-2 disabled:opacity-50"
+                >
+                  <span>Continue</span>
+                  <ArrowRightIcon className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {step === 1 && (
+          <div>
+            {sheets.length > 1 && (
+              <label className="flex items-center space-x-2 mb-3 text-sm text-gray-700">
+                <span>Worksheet</span>
+                <select
+                  value={sheets.findIndex(sheet => sheet.name === sourceName)}
+                  onChange={(e) => selectSheet(Number(e.target.value))}
+                  className="px-3 py-1 border border-gray-300 rounded-lg text-sm"
+                >
+                  {sheets.map((sheet, index) => (
+                    <option key={sheet.name} value={index}>{sheet.name} ({sheet.rows.length} rows)</option>
+                  ))}
+                </select>
+              </label>
+            )}
+            <p className="text-sm text-gray-600 mb-4">
+              {table.rows.length} rows read from <span className="font-medium">{sourceName}</span>.
+              Choose the claim field each column holds.
+            </p>
+
+            <table className="min-w-full divide-y divide-gray-200 mb-4">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Column</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">First value</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Claim field</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {table.headers.map((header, column) => (
+                  <tr key={`${header}-${column}`}>
+                    <td className="px-4 py-2 text-sm font-medium text-gray-900">{header || `Column ${column + 1}`}</td>
+                    <td className="px-4 py-2 text-sm text-gray-500 max-w-xs truncate">{table.rows[0][column]}</td>
+                    <td className="px-4 py-2">
+                      <select
+                        value={mapping[column]}
+                        onChange={(e) => handleMappingChange(column, e.target.value)}
+                        className="px-3 py-1 border border-gray-300 rounded-lg text-sm"
+                      >
+                        <option value="">Ignore column</option>
+                        {FIELD_NAMES.map(name => (
+                          <option key={name} value={name}>{CLAIM_FORM_FIELDS[name].label}</option>
+                        ))}
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {missingFields.length > 0 && (
+              <div className="flex items-start p-3 mb-4 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                <ExclamationTriangleIcon className="h-5 w-5 mr-2 flex-shrink-0" />
+                <span>
+                  No column is mapped to {missingFields.map(name => CLAIM_FORM_FIELDS[name].label).join(', ')}.
+                  Those cells can still be filled in on the next step.
+                </span>
+              </div>
+            )}
+
+            <div className="flex justify-between">
+              <button onClick={() => setStep(0)} className="btn-secondary flex items-center space-x-2">
+                <ArrowLeftIcon className="h-4 w-4" />
+                <span>Back</span>
+              </button>
+              <button
+                onClick={goToReview}
+                disabled={mappedFields.length === 0}
+                className="btn-primary flex items-center space-x-2 disabled:opacity-50"
+              >
+                <span>Review rows</span>
+                <ArrowRightIcon className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        )}
+
+        {step === 2 && (
+          <div>
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 mb-4">
+              <p className="text-sm text-gray-600">
+                <span className="text-green-700 font-medium">{validRows.length} valid</span>
+                {' · '}
+                <span className={invalidCount > 0 ? 'text-red-600 font-medium' : ''}>{invalidCount} with errors</span>
+                {invalidCount > 0 && ' · fix cells in place or remove rows; invalid rows are skipped'}
+              </p>
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={showInvalidOnly}
+                  onChange={(e) => setShowInvalidOnly(e.target.checked)}
+                  className="mr-2"
+                />
+                Show only rows with errors
+              </label>
+            </div>
+
+            <div className="overflow-x-auto border border-gray-200 rounded-lg max-h-[32rem] overflow-y-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Row</th>
+                    {FIELD_NAMES.map(name => (
+                      <th key={name} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider whitespace-nowrap">
+                        {CLAIM_FORM_FIELDS[name].label}
+                      </th>
+                    ))}
+                    <th className="px-3 py-2" />
+                  </tr>
+                </thead>
+                <tbody className="bg-surface divide-y divide-gray-200">
+                  {visibleRows.map(row => (
+                    <tr key={row.line} className={Object.keys(row.errors).length > 0 ? 'bg-red-50/40' : ''}>
+                      <td className="px-3 py-2 text-sm text-gray-500">{row.line}</td>
+                      {FIELD_NAMES.map(name => (
+                        <td key={name} className="px-3 py-2 align-top">
+                          <CellInput
+                            fieldName={name}
+                            value={row.claim[name]}
+                            errors={row.errors[name]}
+                            onChange={(value) => handleCellChange(row.line, name, value)}
+                          />
+                          {row.errors[name] && (
+                            <p className="text-red-500 text-xs mt-1 max-w-[16rem]">{row.errors[name][0]}</p>
+                          )}
+                        </td>
+                      ))}
+                      <td className="px-3 py-2">
+                        <button
+                          onClick={() => removeRow(row.line)}
+                          className="text-gray-400 hover:text-red-600"
+                          aria-label={`Remove row ${row.line}`}
+                        >
+                          <TrashIcon className="h-4 w-4" />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="flex justify-between mt-4">
+              <button onClick={() => setStep(1)} className="btn-secondary flex items-center space-x-2">
+                <ArrowLeftIcon className="h-4 w-4" />
+                <span>Back</span>
+              </button>
+              <button
+                onClick={handleSubmit}
+                disabled={validRows.length === 0}
+                className="btn-primary flex items-center space-x-2 disabled:opacity-50"
+              >
+                <ArrowUpTrayIcon className="h-4 w-4" />
+                <span>Submit {validRows.length} claims</span>
+              </button>
+            </div>
+          </div>
+        )}
+
+        {step === 3 && (
+          <div>
+            <div className="mb-4">
+              <div className="flex justify-between text-sm text-gray-600 mb-1">
+                <span>{submitting ? 'Submitting claims...' : 'Import finished'}</span>
+                <span>{submittedCount} of {validRows.length}</span>
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-2">
+                <div
+                  className="bg-blue-600 h-2 rounded-full transition-all"
+                  style={{ width: `${validRows.length ? (submittedCount / validRows.length) * 100 : 0}%` }}
+                />
+              </div>
+            </div>
+
+            <div className="overflow-x-auto border border-gray-200 rounded-lg max-h-[32rem] overflow-y-auto mb-4">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Row</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Summary</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Result</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-surface divide-y divide-gray-200">
+                  {rows.map(row => (
+                    <tr key={row.line}>
+                      <td className="px-4 py-2 text-sm text-gray-500">{row.line}</td>
+                      <td className="px-4 py-2 text-sm text-gray-700">
+                        <div className="max-w-md truncate">{row.claim.summary}</div>
+                      </td>
+                      <td className="px-4 py-2 text-sm">{renderResult(row)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="flex justify-between">
+              <button onClick={startOver} disabled={submitting} className="btn-secondary disabled:opacity-50">
+                Import another file
+              </button>
+              <button
+                onClick={handleDownloadReport}
+                disabled={submitting}
+                className="btn-primary flex items-center space-x-2 disabled:opacity-50"
+              >
+                <ArrowDownTrayIcon className="h-4 w-4" />
+                <span>Download report</span>
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BulkImportWizard;
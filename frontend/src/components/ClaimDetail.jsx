@@ -0,0 +1,306 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import {
+  ArrowLeftIcon,
+  ArrowPathIcon,
+  LinkIcon,
+  PlayIcon,
+  BuildingOffice2Icon,
+  ShieldExclamationIcon,
+  DocumentTextIcon,
+  UserIcon,
+  ExclamationTriangleIcon,
+} from '@heroicons/react/24/outline';
+import { useApp } from '../contexts/AppContext';
+import { useAuth } from '../services/useClaimsApi';
+import { apiService, ANALYSIS_SECTIONS } from '../services/api';
+import {
+  formatDate,
+  getStatusBadgeClasses,
+  formatConfidenceScore,
+  getConfidenceColor,
+  getReasonDescription,
+  formatRiskFactor,
+  getRiskFactorColor,
+  copyToClipboard,
+} from '../utils/helpers';
+import AdjudicationPanel from './AdjudicationPanel';
+import MarkdownContent from './MarkdownContent';
+import EntityCard, { ENTITY_FIELDS, emptyEntity } from './EntityCard';
+import toast from 'react-hot-toast';
+
+const ClaimDetail = () => {
+  const { claimId } = useParams();
+  const { state, actions } = useApp();
+  const { can } = useAuth();
+  const [claim, setClaim] = useState(null);
+  const [claimLoading, setClaimLoading] = useState(true);
+  const [claimError, setClaimError] = useState(null);
+  const [processing, setProcessing] = useState(false);
+  const [entities, setEntities] = useState({
+    provider: emptyEntity,
+    risk: emptyEntity,
+    policy: emptyEntity,
+    patient: emptyEntity,
+  });
+
+  // Resolve one linked record without letting its failure hide the others
+  const loadEntity = useCallback(async (name, id, fetcher) => {
+    if (!id) {
+      setEntities(prev => ({ ...prev, [name]: emptyEntity }));
+      return null;
+    }
+
+    setEntities(prev => ({ ...prev, [name]: { loading: true, data: null, error: null } }));
+    try {
+      const data = await fetcher(id);
+      setEntities(prev => ({ ...prev, [name]: { loading: false, data, error: null } }));
+      return data;
+    } catch (error) {
+      setEntities(prev => ({ ...prev, [name]: { loading: false, data: null, error: error.message } }));
+      return null;
+    }
+  }, []);
+
+  const loadClaim = useCallback(async () => {
+    setClaimLoading(true);
+    setClaimError(null);
+
+    try {
+      const record = await apiService.getClaim(claimId);
+      setClaim(record);
+      setClaimLoading(false);
+
+      const [provider] = await Promise.all([
+        loadEntity('provider', record.provider_id, id => apiService.getProvider(id)),
+        loadEntity('policy', record.policy_id, id => apiService.getInsurancePolicy(id)),
+        loadEntity('patient', record.patient_id, id => apiService.getPatient(id)),
+      ]);
+      // Older claims only carry the risk rating on their provider
+      await loadEntity('risk', record.risk_id || provider?.risk_id, id => apiService.getRiskRating(id));
+    } catch (error) {
+      setClaim(null);
+      setClaimError(error.status === 404 ? `Claim ${claimId} was not found` : error.message);
+      setClaimLoading(false);
+    }
+  }, [claimId, loadEntity]);
+
+  useEffect(() => {
+    loadClaim();
+  }, [loadClaim]);
+
+  // AI results are not stored on the claim record, so use the latest one processed in this browser
+  const analysis = [state.currentClaim, ...state.claims]
+    .find(item => item && (item.claim_id || item.id) === claimId && item.source);
+
+  const handleProcess = async () => {
+    setProcessing(true);
+    try {
+      await actions.processClaim(claimId);
+      toast.success('Claim processed successfully!');
+      await loadClaim();
+    } catch (error) {
+      toast.error(`Failed to process claim: ${error.message}`);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleCopyLink = async () => {
+    const result = await copyToClipboard(window.location.href);
+    if (result.success) {
+      toast.success('Link copied to clipboard!');
+    } else {
+      toast.error('Failed to copy link');
+    }
+  };
+
+  return (
+    <div className="p-6 max-w-7xl mx-auto">
+      {/* Header */}
+      <div className="mb-6">
+        <Link to="/history" className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800 mb-3">
+          <ArrowLeftIcon className="h-4 w-4 mr-1" />
+          Back to history
+        </Link>
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-1">Claim Details</h1>
+            <p className="text-gray-600 font-mono text-sm break-all">{claimId}</p>
+          </div>
+          <div className="flex space-x-2">
+            <button onClick={handleCopyLink} className="btn-secondary flex items-center space-x-2">
+              <LinkIcon className="h-4 w-4" />
+              <span>Copy Link</span>
+            </button>
+            <button
+              onClick={loadClaim}
+              disabled={claimLoading}
+              className="btn-secondary flex items-center space-x-2 disabled:opacity-50"
+            >
+              <ArrowPathIcon className={`h-4 w-4 ${claimLoading ? 'animate-spin' : ''}`} />
+              <span>Refresh</span>
+            </button>
+            {can('processClaims') && (
+              <button
+                onClick={handleProcess}
+                disabled={!claim || processing}
+                className="btn-primary flex items-center space-x-2 disabled:opacity-50"
+              >
+                {processing ? <ArrowPathIcon className="h-4 w-4 animate-spin" /> : <PlayIcon className="h-4 w-4" />}
+                <span>{analysis ? 'Re-process' : 'Process'}</span>
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {claimLoading && !claim && (
+        <div className="text-center py-12">
+          <ArrowPathIcon className="h-8 w-8 animate-spin mx-auto text-blue-600 mb-2" />
+          <p className="text-gray-600">Loading claim...</p>
+        </div>
+      )}
+
+      {claimError && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-center">
+          <ExclamationTriangleIcon className="h-5 w-5 text-red-400 mr-2" />
+          <p className="text-red-800">{claimError}</p>
+        </div>
+      )}
+
+      {claim && (
+        <div className="space-y-6">
+          {/* Claim Summary */}
+          <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-6">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div>
+                <span className="block text-sm font-medium text-gray-600">Status</span>
+                <span className={`mt-1 ${getStatusBadgeClasses(claim.status)}`}>
+                  {claim.status || 'Unknown'}
+                </span>
+              </div>
+              <div>
+                <span className="block text-sm font-medium text-gray-600">Submitted</span>
+                <span className="text-sm text-gray-900">
+                  {claim.submission_date ? formatDate(claim.submission_date) : 'N/A'}
+                </span>
+              </div>
+              <div>
+                <span className="block text-sm font-medium text-gray-600">Ex Gratia</span>
+                <span className="text-sm text-gray-900">{claim.ex_gratia_flag ? 'Yes' : 'No'}</span>
+              </div>
+              <div>
+                <span className="block text-sm font-medium text-gray-600">Appeal Case</span>
+                <span className="text-sm text-gray-900">{claim.appeal_case_flag ? 'Yes' : 'No'}</span>
+              </div>
+              <div className="md:col-span-4">
+                <span className="block text-sm font-medium text-gray-600">Summary</span>
+                <p className="text-sm text-gray-900 mt-1">{claim.summary || 'No summary available'}</p>
+              </div>
+              {claim.reason_code && (
+                <div className="md:col-span-4">
+                  <span className="block text-sm font-medium text-gray-600">Reason</span>
+                  <p className="text-sm text-gray-900 mt-1">
+                    <span className="font-medium">{claim.reason_code}</span>
+                    <span className="text-gray-600"> - {claim.reason_description || getReasonDescription(claim.reason_code)}</span>
+                  </p>
+                </div>
+              )}
+            </div>
+          </div>
+
+          {/* Linked Records */}
+          <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-6">
+            <EntityCard
+              title="Provider"
+              icon={BuildingOffice2Icon}
+              entity={entities.provider}
+              fields={ENTITY_FIELDS.provider}
+              missingLabel="No provider linked"
+            />
+            <EntityCard
+              title="Risk Rating"
+              icon={ShieldExclamationIcon}
+              entity={entities.risk}
+              fields={ENTITY_FIELDS.risk}
+              missingLabel="No risk rating linked"
+            />
+            <EntityCard
+              title="Policy"
+              icon={DocumentTextIcon}
+              entity={entities.policy}
+              fields={ENTITY_FIELDS.policy}
+              missingLabel="No policy linked"
+            />
+            <EntityCard
+              title="Patient"
+              icon={UserIcon}
+              entity={entities.patient}
+              fields={ENTITY_FIELDS.patient}
+              missingLabel="No patient linked"
+            />
+          </div>
+
+          {/* AI Analysis */}
+          <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-6">
+            <h3 className="text-xl font-semibold text-gray-900 mb-4">AI Analysis</h3>
+
+            {!analysis && (
+              <p className="text-sm text-gray-500">
+                This claim has not been processed in this browser yet.
+                {can('processClaims') && ' Use Process to run the AI analysis.'}
+              </p>
+            )}
+
+            {analysis && (
+              <div className="space-y-4">
+                <div className="flex flex-wrap items-center gap-4">
+                  <span className={getStatusBadgeClasses(analysis.decision)}>{analysis.decision}</span>
+                  <span className="text-sm text-gray-600">
+                    Confidence:{' '}
+                    <span className={`font-bold ${getConfidenceColor(analysis.confidence_score)}`}>
+                      {formatConfidenceScore(analysis.confidence_score)}
+                    </span>
+                  </span>
+                  <span className="text-sm text-gray-500">Processed {formatDate(analysis.processedAt)}</span>
+                </div>
+
+                {analysis.risk_factors?.length > 0 && (
+                  <div className="flex flex-wrap gap-2">
+                    {analysis.risk_factors.map((factor, index) => (
+                      <span
+                        key={index}
+                        className={`px-3 py-1 rounded-full text-xs font-medium ${getRiskFactorColor(factor)}`}
+                      >
+                        {formatRiskFactor(factor)}
+                      </span>
+                    ))}
+                  </div>
+                )}
+
+                {ANALYSIS_SECTIONS.filter(({ key }) => analysis[key]).map(section => (
+                  <div key={section.key}>
+                    <h4 className="font-medium text-gray-900 mb-1">{section.title}</h4>
+                    <MarkdownContent
+                      text={analysis[section.key]}
+                      className="text-sm text-gray-700 leading-relaxed"
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Manual Adjudication */}
+          <AdjudicationPanel
+            claim={analysis || claim}
+            onDecision={(result) => setClaim(prev => ({ ...prev, ...result }))}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ClaimDetail;
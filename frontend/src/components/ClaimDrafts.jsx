@@ -0,0 +1,73 @@
+import React from 'react';
+import { DocumentDuplicateIcon, TrashIcon, PencilSquareIcon } from '@heroicons/react/24/outline';
+import { getDraftTitle } from '../services/claimDrafts';
+import { formatTimeAgo } from '../utils/helpers';
+
+// "My drafts" list on the claim submission page
+const ClaimDrafts = ({ drafts, activeDraftId, onResume, onDuplicate, onDiscard }) => {
+  if (drafts.length === 0) return null;
+
+  return (
+    <div className="p-6 bg-surface rounded-lg shadow-md">
+      <h3 className="text-lg font-semibold text-gray-900 mb-3">My Drafts</h3>
+      <ul className="divide-y divide-gray-200">
+        {drafts.map(draft => {
+          const isActive = draft.id === activeDraftId;
+          const details = [
+            draft.data.patient_id && `Patient ${draft.data.patient_id}`,
+            draft.data.provider_id && `Provider ${draft.data.provider_id}`,
+          ].filter(Boolean).join(' · ');
+
+          return (
+            <li key={draft.id} className="py-3 flex justify-between items-center gap-4">
+              <div className="min-w-0">
+                <div className="flex items-center space-x-2">
+                  <span className="font-medium text-gray-900 truncate">{getDraftTitle(draft)}</span>
+                  {isActive && (
+                    <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                      Editing
+                    </span>
+                  )}
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  {details && `${details} · `}Edited {formatTimeAgo(draft.updatedAt)}
+                </p>
+              </div>
+
+              <div className="flex flex-shrink-0 space-x-2">
+                {!isActive && (
+                  <button
+                    type="button"
+                    onClick={() => onResume(draft.id)}
+                    className="btn-secondary text-sm flex items-center space-x-1"
+                  >
+                    <PencilSquareIcon className="h-4 w-4" />
+                    <span>Resume</span>
+                  </button>
+                )}
+                <button
+                  type="button"
+                  onClick={() => onDuplicate(draft.id)}
+                  className="btn-secondary text-sm"
+                  title="Duplicate"
+                >
+                  <DocumentDuplicateIcon className="h-4 w-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onDiscard(draft.id)}
+                  className="btn-secondary text-sm text-red-600"
+                  title="Discard"
+                >
+                  <TrashIcon className="h-4 w-4" />
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default ClaimDrafts;
@@ -1,4 +1,5 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { Link } from 'react-router-dom';
 import {
   MagnifyingGlassIcon,
   FunnelIcon,
@@ -6,73 +7,121 @@ import {
   EyeIcon,
   XMarkIcon,
   ArrowPathIcon,
+  PlayIcon,
+  ArrowPathRoundedSquareIcon,
+  CheckCircleIcon,
+  XCircleIcon,
+  ExclamationTriangleIcon,
 } from '@heroicons/react/24/outline';
 import { useApp } from '../contexts/AppContext';
+import { useAuth, useClaims, useClaimsQuery, useLiveUpdates } from '../services/useClaimsApi';
+import { CLAIM_STATUSES, REASON_CODES } from '../services/api';
+import { queryAllClaims } from '../services/claimsQuery';
 import {
   getStatusBadgeClasses,
   formatConfidenceScore,
   formatDate,
   formatTimeAgo,
-  filterClaims,
-  sortClaims,
   exportToCSV,
   exportToJSON,
+  exportToXLSX,
   debounce,
+  isHighConfidenceOverride,
+  MIN_JUSTIFICATION_LENGTH,
 } from '../utils/helpers';
 import ClaimProcessor from './ClaimProcessor';
+import Pagination from './Pagination';
+import NewClaimsBanner from './NewClaimsBanner';
+import toast from 'react-hot-toast';
+
+// Statuses that still need a first AI decision
+const UNPROCESSED_STATUSES = ['Submitted', 'Pending'];
+
+const getClaimId = (claim) => claim.claim_id || claim.id;
+
+// Processing time for locally analysed claims, submission date for backend records
+const getClaimDate = (claim) => claim.processedAt || claim.submission_date;
+
+// AI output kept in the browser that backend claim records do not carry
+const LOCAL_RESULT_FIELDS = [
+  'decision',
+  'confidence_score',
+  'risk_factors',
+  'processedAt',
+  'policy_analysis',
+  'patient_analysis',
+  'financial_analysis',
+  'adjudication',
+];
+
+const EMPTY_FILTERS = {
+  status: '',
+  reasonCode: '',
+  dateFrom: '',
+  dateTo: '',
+  minConfidence: '',
+  maxConfidence: '',
+};
 
 const ClaimHistory = () => {
   const { state, actions } = useApp();
+  const { can } = useAuth();
+  const { processBatchClaims, updateBatchClaimStatus, loading: bulkLoading } = useClaims();
   const [searchTerm, setSearchTerm] = useState('');
-  const [filters, setFilters] = useState({
-    status: '',
-    reasonCode: '',
-    dateFrom: '',
-    dateTo: '',
-    minConfidence: '',
-    maxConfidence: '',
-  });
+  const [queryTerm, setQueryTerm] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
   const [sortConfig, setSortConfig] = useState({
-    key: 'processedAt',
+    key: 'date',
     direction: 'desc',
   });
   const [showFilters, setShowFilters] = useState(false);
+  const [exporting, setExporting] = useState(false);
   const [showProcessor, setShowProcessor] = useState(false);
   const [selectedClaim, setSelectedClaim] = useState(null);
-  const [filteredClaims, setFilteredClaims] = useState([]);
+  // Selected claims by ID, kept across pages so bulk actions can span them
+  const [selected, setSelected] = useState(new Map());
+  const [rowResults, setRowResults] = useState({});
+  const [bulkStatus, setBulkStatus] = useState({ status: '', reasonCode: '', reasonDescription: '' });
+  // A bulk denial waits for a second click, as a single one does
+  const [confirmingBulkStatus, setConfirmingBulkStatus] = useState(false);
+  const selectAllRef = useRef(null);
 
-  const { recentClaims } = state;
-
-  // Debounced search function
-  const debouncedSearch = debounce((term) => {
-    const searchFilters = {
-      ...filters,
-      claimId: term,
-    };
-    const filtered = filterClaims(recentClaims, searchFilters);
-    const sorted = sortClaims(filtered, sortConfig.key, sortConfig.direction);
-    setFilteredClaims(sorted);
-  }, 300);
+  const { recentClaims, claims: sessionClaims } = state;
 
+  // Only query once typing pauses
+  const updateQueryTerm = useMemo(() => debounce(setQueryTerm, 300), []);
   useEffect(() => {
-    debouncedSearch(searchTerm);
-  }, [searchTerm, filters, sortConfig, recentClaims]);
+    updateQueryTerm(searchTerm);
+  }, [searchTerm, updateQueryTerm]);
 
-  // Load claims when component mounts
-  useEffect(() => {
-    const loadInitialClaims = async () => {
-      try {
-        await actions.loadClaims({ limit: 50 }); // Load up to 50 recent claims
-      } catch (error) {
-        console.error('Failed to load claims:', error);
-      }
-    };
+  // Latest AI results by claim ID: persisted history, this session, then bulk runs
+  const localResults = useMemo(() => {
+    const results = new Map();
+    const bulkResults = Object.values(rowResults).filter(entry => entry.success).map(entry => entry.result);
+    [...recentClaims, ...sessionClaims, ...bulkResults].forEach(claim => {
+      results.set(getClaimId(claim), { ...results.get(getClaimId(claim)), ...claim });
+    });
+    return results;
+  }, [recentClaims, sessionClaims, rowResults]);
 
-    // Only load if we don't have claims already
-    if (recentClaims.length === 0) {
-      loadInitialClaims();
-    }
-  }, []); // Empty dependency array means this runs once on mount
+  const enrichClaim = useCallback((claim) => {
+    const local = localResults.get(getClaimId(claim));
+    if (!local) return claim;
+
+    const overlay = {};
+    LOCAL_RESULT_FIELDS.forEach(field => {
+      if (local[field] !== undefined) overlay[field] = local[field];
+    });
+    return { ...claim, ...overlay };
+  }, [localResults]);
+
+  const query = useClaimsQuery({
+    filters: { ...filters, claimId: queryTerm },
+    sort: sortConfig,
+    enrich: enrichClaim,
+  });
+
+  const pageClaims = useMemo(() => query.claims.map(enrichClaim), [query.claims, enrichClaim]);
 
   const handleSort = (key) => {
     const direction = sortConfig.key === key && sortConfig.direction === 'asc' ? 'desc' : 'asc';
@@ -84,35 +133,182 @@ const ClaimHistory = () => {
   };
 
   const clearFilters = () => {
-    setFilters({
-      status: '',
-      reasonCode: '',
-      dateFrom: '',
-      dateTo: '',
-      minConfidence: '',
-      maxConfidence: '',
-    });
+    setFilters(EMPTY_FILTERS);
     setSearchTerm('');
   };
 
-  const handleRefresh = async () => {
+  // Changed claims are patched in place; new ones wait for the banner
+  const live = useLiveUpdates({ onUpdate: query.mergeClaims });
+
+  // Also drops claims cached for browser-side filtering
+  const handleRefresh = () => {
+    actions.showNewClaims();
+    query.reload(true);
+  };
+
+  const pageIds = pageClaims.map(getClaimId);
+  const selectedOnPageCount = pageIds.filter(id => selected.has(id)).length;
+  const allOnPageSelected = pageIds.length > 0 && selectedOnPageCount === pageIds.length;
+
+  // Header checkbox shows a dash when only part of the page is selected
+  useEffect(() => {
+    if (selectAllRef.current) {
+      selectAllRef.current.indeterminate = selectedOnPageCount > 0 && !allOnPageSelected;
+    }
+  }, [selectedOnPageCount, allOnPageSelected]);
+
+  const toggleSelected = (claim) => {
+    setSelected(prev => {
+      const next = new Map(prev);
+      if (next.has(getClaimId(claim))) {
+        next.delete(getClaimId(claim));
+      } else {
+        next.set(getClaimId(claim), claim);
+      }
+      return next;
+    });
+  };
+
+  const toggleSelectAllOnPage = () => {
+    setSelected(prev => {
+      const next = new Map(prev);
+      pageClaims.forEach(claim =>
+        allOnPageSelected ? next.delete(getClaimId(claim)) : next.set(getClaimId(claim), claim));
+      return next;
+    });
+  };
+
+  const clearSelection = () => setSelected(new Map());
+
+  // Record each claim's outcome in the result column as soon as it settles
+  const handleBulkEntry = (entry) => {
+    setRowResults(prev => ({ ...prev, [entry.claim_id]: entry }));
+    if (entry.success) {
+      actions.updateClaim(entry.result);
+      setSelected(prev => {
+        if (!prev.has(entry.claim_id)) return prev;
+        return new Map(prev).set(entry.claim_id, { ...prev.get(entry.claim_id), ...entry.result });
+      });
+    }
+  };
+
+  const reportBulkRun = (label, summary) => {
+    if (summary.failed > 0) {
+      toast.error(`${label}: ${summary.successful} succeeded, ${summary.failed} failed`);
+    } else {
+      toast.success(`${label}: ${summary.successful} claims updated`);
+    }
+  };
+
+  const handleBulkProcess = async (includeProcessed) => {
+    const selectedClaims = [...selected.values()];
+    const targets = includeProcessed
+      ? selectedClaims
+      : selectedClaims.filter(claim => UNPROCESSED_STATUSES.includes(claim.status || claim.decision));
+
+    if (targets.length === 0) {
+      toast.error('None of the selected claims are awaiting processing. Use Re-process instead.');
+      return;
+    }
+
     try {
-      await actions.loadClaims({ limit: 50 });
+      const summary = await processBatchClaims(targets.map(getClaimId), {
+        concurrency: state.settings.batchConcurrency,
+        onClaimProcessed: handleBulkEntry,
+      });
+      reportBulkRun(includeProcessed ? 'Re-process' : 'Process', summary);
+      query.reload(true);
     } catch (error) {
-      console.error('Failed to refresh claims:', error);
+      toast.error(`Bulk processing failed: ${error.message}`);
     }
   };
 
+  const isBulkDenial = bulkStatus.status === 'Denied';
+  // Denials need what a single denial does: a reason code and a justification,
+  // which is sent with every claim's update
+  const bulkDenialIncomplete = isBulkDenial
+    && (!bulkStatus.reasonCode || bulkStatus.reasonDescription.trim().length < MIN_JUSTIFICATION_LENGTH);
+
+  // Bulk status changes are adjudication, so they need both permissions; the
+  // same high-confidence override rule as a single decision applies to each claim
+  const canBulkChangeStatus = can('batchProcess') && can('adjudicateClaims');
+  const bulkOverrideCount = useMemo(
+    () => [...selected.values()].filter(claim => isHighConfidenceOverride(claim, bulkStatus.status)).length,
+    [selected, bulkStatus.status]
+  );
+  const bulkOverrideBlocked = bulkOverrideCount > 0 && !can('overrideAiDecisions');
+  const bulkStatusNeedsConfirmation = isBulkDenial || bulkOverrideCount > 0;
+
+  const bulkConfirmationMessages = [
+    isBulkDenial &&
+      `Denying ${selected.size} claim${selected.size === 1 ? '' : 's'} sends a denial to each claimant, with the justification above.`,
+    bulkOverrideCount > 0 &&
+      `This overrides ${bulkOverrideCount} high-confidence AI decision${bulkOverrideCount === 1 ? '' : 's'}.`,
+  ].filter(Boolean);
+
+  const handleBulkStatusField = (field) => (e) => {
+    setBulkStatus(prev => ({ ...prev, [field]: e.target.value }));
+    setConfirmingBulkStatus(false);
+  };
+
+  useEffect(() => {
+    setConfirmingBulkStatus(false);
+  }, [selected]);
+
+  const handleBulkStatusChange = async () => {
+    if (!canBulkChangeStatus || !bulkStatus.status || bulkDenialIncomplete || bulkOverrideBlocked) return;
+    if (bulkStatusNeedsConfirmation && !confirmingBulkStatus) {
+      setConfirmingBulkStatus(true);
+      return;
+    }
+    setConfirmingBulkStatus(false);
+
+    try {
+      const summary = await updateBatchClaimStatus(
+        [...selected.keys()],
+        bulkStatus.status,
+        bulkStatus.reasonCode || null,
+        bulkStatus.reasonDescription.trim() || (bulkStatus.reasonCode ? REASON_CODES[bulkStatus.reasonCode] : null),
+        { concurrency: state.settings.batchConcurrency, onClaimUpdated: handleBulkEntry }
+      );
+      reportBulkRun(`Status change to ${bulkStatus.status}`, summary);
+      query.reload(true);
+    } catch (error) {
+      toast.error(`Bulk status change failed: ${error.message}`);
+    }
+  };
+
+  const hasRowResults = Object.keys(rowResults).length > 0;
+
   const handleViewClaim = (claim) => {
     actions.setCurrentClaim(claim);
     setSelectedClaim(claim);
     setShowProcessor(true);
   };
 
-  const handleExportCSV = () => {
-    if (filteredClaims.length === 0) return;
+  // Exports cover every claim matching the filters, not just the page shown
+  const exportClaims = async (format, write) => {
+    setExporting(true);
+    try {
+      const claims = await queryAllClaims({
+        filters: { ...filters, claimId: queryTerm },
+        sort: sortConfig,
+        enrich: enrichClaim,
+      });
+      if (claims.length === 0) {
+        toast.error('No claims to export');
+        return;
+      }
+      await write(claims);
+    } catch (error) {
+      toast.error(`${format} export failed: ${error.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
 
-    const exportData = filteredClaims.map(claim => ({
+  const handleExportCSV = () => exportClaims('CSV', (claims) => {
+    const exportData = claims.map(claim => ({
       claim_id: claim.claim_id || claim.id,
       status: claim.status || claim.decision,
       confidence_score: claim.confidence_score,
@@ -120,22 +316,37 @@ const ClaimHistory = () => {
       reason_description: claim.reason_description,
       risk_factors: claim.risk_factors?.join('; ') || '',
       processed_at: claim.processedAt,
+      submission_date: claim.submission_date,
       policy_analysis: claim.policy_analysis,
       patient_analysis: claim.patient_analysis,
       financial_analysis: claim.financial_analysis,
     }));
 
     exportToCSV(exportData, 'claims_history');
-  };
+  });
 
-  const handleExportJSON = () => {
-    if (filteredClaims.length === 0) return;
-    exportToJSON(filteredClaims, 'claims_history');
-  };
+  const handleExportJSON = () => exportClaims('JSON', (claims) => exportToJSON(claims, 'claims_history'));
 
-  const getUniqueReasonCodes = () => {
-    const codes = recentClaims.map(claim => claim.reason_code).filter(Boolean);
-    return [...new Set(codes)];
+  const handleExportXLSX = () => exportClaims('Excel', (claims) => exportToXLSX(claims, 'claims_history'));
+
+  const hasActiveFilters = Boolean(queryTerm) || Object.values(filters).some(value => value !== '');
+
+  const renderRowResult = (entry) => {
+    if (!entry) return <span className="text-gray-300">—</span>;
+    if (!entry.success) {
+      return (
+        <span className="flex items-center text-red-600" title={entry.error}>
+          <XCircleIcon className="h-4 w-4 mr-1" />
+          <span className="max-w-[12rem] truncate">{entry.error}</span>
+        </span>
+      );
+    }
+    return (
+      <span className="flex items-center text-green-700">
+        <CheckCircleIcon className="h-4 w-4 mr-1" />
+        {entry.result.decision || entry.result.status}
+      </span>
+    );
   };
 
   const getSortIcon = (key) => {
@@ -157,8 +368,10 @@ const ClaimHistory = () => {
         </p>
       </div>
 
+      <NewClaimsBanner count={live.newCount} onShow={handleRefresh} />
+
       {/* Search and Filters */}
-      <div className="bg-white rounded-lg shadow-md border border-gray-200 p-4 mb-6">
+      <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-4 mb-6">
         <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
           {/* Search */}
           <div className="flex-1 max-w-md">
@@ -178,11 +391,11 @@ const ClaimHistory = () => {
           <div className="flex space-x-2">
             <button
               onClick={handleRefresh}
-              disabled={state.loading}
+              disabled={query.loading}
               className="btn-primary flex items-center space-x-2 disabled:opacity-50"
             >
-              <ArrowPathIcon className={`h-4 w-4 ${state.loading ? 'animate-spin' : ''}`} />
-              <span>{state.loading ? 'Loading...' : 'Refresh'}</span>
+              <ArrowPathIcon className={`h-4 w-4 ${query.loading ? 'animate-spin' : ''}`} />
+              <span>{query.loading ? 'Loading...' : 'Refresh'}</span>
             </button>
             <button
               onClick={() => setShowFilters(!showFilters)}
@@ -193,7 +406,7 @@ const ClaimHistory = () => {
             </button>
             <button
               onClick={handleExportCSV}
-              disabled={filteredClaims.length === 0}
+              disabled={pageClaims.length === 0 || exporting}
               className="btn-secondary flex items-center space-x-2 disabled:opacity-50"
             >
               <ArrowDownTrayIcon className="h-4 w-4" />
@@ -201,12 +414,20 @@ const ClaimHistory = () => {
             </button>
             <button
               onClick={handleExportJSON}
-              disabled={filteredClaims.length === 0}
+              disabled={pageClaims.length === 0 || exporting}
               className="btn-secondary flex items-center space-x-2 disabled:opacity-50"
             >
               <ArrowDownTrayIcon className="h-4 w-4" />
               <span>JSON</span>
             </button>
+            <button
+              onClick={handleExportXLSX}
+              disabled={pageClaims.length === 0 || exporting}
+              className="btn-secondary flex items-center space-x-2 disabled:opacity-50"
+            >
+              <ArrowDownTrayIcon className="h-4 w-4" />
+              <span>Excel</span>
+            </button>
           </div>
         </div>
 
@@ -224,9 +445,9 @@ const ClaimHistory = () => {
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                 >
                   <option value="">All Statuses</option>
-                  <option value="Approved">Approved</option>
-                  <option value="Denied">Denied</option>
-                  <option value="Pending">Pending</option>
+                  {CLAIM_STATUSES.map(status => (
+                    <option key={status} value={status}>{status}</option>
+                  ))}
                 </select>
               </div>
 
@@ -240,7 +461,7 @@ const ClaimHistory = () => {
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                 >
                   <option value="">All Reason Codes</option>
-                  {getUniqueReasonCodes().map(code => (
+                  {Object.keys(REASON_CODES).map(code => (
                     <option key={code} value={code}>{code}</option>
                   ))}
                 </select>
@@ -317,18 +538,173 @@ const ClaimHistory = () => {
       </div>
 
       {/* Results Count */}
-      <div className="mb-4">
+      <div className="mb-4 flex items-center justify-between">
         <p className="text-sm text-gray-600">
-          Showing {filteredClaims.length} of {recentClaims.length} claims
+          {query.complete
+            ? `${query.total ?? pageClaims.length} matching claims`
+            : `Scanning claims… ${query.matchedSoFar ?? 0} matches in the first ${query.loaded} loaded`}
+          {query.mode === 'client' && query.complete && ' · filtered in the browser'}
+          {selected.size > 0 && ` · ${selected.size} selected`}
         </p>
+        {hasRowResults && (
+          <button
+            onClick={() => setRowResults({})}
+            className="text-sm text-gray-500 hover:text-gray-700"
+          >
+            Clear run results
+          </button>
+        )}
       </div>
 
+      {/* Bulk Actions */}
+      {selected.size > 0 && (
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-4 flex flex-col lg:flex-row lg:items-end gap-4">
+          {can('batchProcess') ? (
+            <>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => handleBulkProcess(false)}
+                  disabled={bulkLoading}
+                  className="btn-primary flex items-center space-x-2 disabled:opacity-50"
+                >
+                  {bulkLoading ? <ArrowPathIcon className="h-4 w-4 animate-spin" /> : <PlayIcon className="h-4 w-4" />}
+                  <span>Process</span>
+                </button>
+                <button
+                  onClick={() => handleBulkProcess(true)}
+                  disabled={bulkLoading}
+                  className="btn-secondary flex items-center space-x-2 disabled:opacity-50"
+                >
+                  <ArrowPathRoundedSquareIcon className="h-4 w-4" />
+                  <span>Re-process</span>
+                </button>
+              </div>
+
+              {canBulkChangeStatus ? (
+                <div className="flex flex-col md:flex-row md:items-end gap-2 flex-1">
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">Change status to</label>
+                    <select
+                      value={bulkStatus.status}
+                      onChange={handleBulkStatusField('status')}
+                      className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    >
+                      <option value="">Select status</option>
+                      {CLAIM_STATUSES.map(status => (
+                        <option key={status} value={status}>{status}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">Reason code</label>
+                    <select
+                      value={bulkStatus.reasonCode}
+                      onChange={handleBulkStatusField('reasonCode')}
+                      className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    >
+                      <option value="">{isBulkDenial ? 'Select reason' : 'None'}</option>
+                      {Object.keys(REASON_CODES).map(code => (
+                        <option key={code} value={code}>{code}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="flex-1">
+                    <label className="block text-xs font-medium text-gray-700 mb-1">
+                      {isBulkDenial ? 'Justification' : 'Reason description'}
+                    </label>
+                    <input
+                      type="text"
+                      value={bulkStatus.reasonDescription}
+                      onChange={handleBulkStatusField('reasonDescription')}
+                      placeholder={isBulkDenial
+                        ? 'Explain why these claims are denied'
+                        : bulkStatus.reasonCode ? REASON_CODES[bulkStatus.reasonCode] : 'Optional'}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </div>
+                  {confirmingBulkStatus && (
+                    <button
+                      onClick={() => setConfirmingBulkStatus(false)}
+                      disabled={bulkLoading}
+                      className="btn-secondary disabled:opacity-50"
+                    >
+                      Cancel
+                    </button>
+                  )}
+                  <button
+                    onClick={handleBulkStatusChange}
+                    disabled={bulkLoading || !bulkStatus.status || bulkDenialIncomplete || bulkOverrideBlocked}
+                    className={`${confirmingBulkStatus ? 'btn-danger' : 'btn-secondary'} disabled:opacity-50`}
+                  >
+                    {confirmingBulkStatus ? `Confirm ${isBulkDenial ? 'Denial' : 'Override'}` : 'Apply'}
+                  </button>
+                </div>
+              ) : (
+                <p className="text-sm text-blue-800 flex-1">
+                  Changing the status of claims needs a role that can record decisions.
+                </p>
+              )}
+            </>
+          ) : (
+            <p className="text-sm text-blue-800 flex-1">
+              Processing or changing the status of several claims at once needs a supervisor.
+            </p>
+          )}
+
+          <button
+            onClick={clearSelection}
+            disabled={bulkLoading}
+            className="text-sm text-blue-700 hover:text-blue-900 disabled:opacity-50"
+          >
+            Clear selection
+          </button>
+        </div>
+      )}
+
+      {selected.size > 0 && canBulkChangeStatus && (bulkDenialIncomplete || bulkOverrideBlocked || confirmingBulkStatus) && (
+        <div className={`${confirmingBulkStatus ? 'bg-red-50 border-red-200 text-red-800' : 'bg-yellow-50 border-yellow-200 text-yellow-800'} border rounded-lg p-4 mb-4 flex items-start text-sm`}>
+          <ExclamationTriangleIcon className={`h-5 w-5 mr-2 mt-0.5 ${confirmingBulkStatus ? 'text-red-500' : 'text-yellow-500'}`} />
+          {confirmingBulkStatus ? (
+            <div>
+              {bulkConfirmationMessages.map(message => (
+                <p key={message}>{message}</p>
+              ))}
+              <p className="mt-1 font-medium">
+                Click Confirm {isBulkDenial ? 'Denial' : 'Override'} to go ahead.
+              </p>
+            </div>
+          ) : (
+            <div>
+              {bulkDenialIncomplete && (
+                <p>Denials need a reason code and a justification of at least {MIN_JUSTIFICATION_LENGTH} characters.</p>
+              )}
+              {bulkOverrideBlocked && (
+                <p>
+                  {bulkOverrideCount} of the selected claims {bulkOverrideCount === 1 ? 'has' : 'have'} a high-confidence
+                  AI decision this status would override. Overriding AI decisions needs a supervisor.
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Claims Table */}
-      <div className="bg-white rounded-lg shadow-md border border-gray-200 overflow-hidden">
+      <div className="bg-surface rounded-lg shadow-md border border-gray-200 overflow-hidden">
         <div className="overflow-x-auto">
           <table className="w-full">
             <thead className="bg-gray-50">
               <tr>
+                <th className="px-4 py-3 text-left">
+                  <input
+                    type="checkbox"
+                    ref={selectAllRef}
+                    checked={allOnPageSelected}
+                    onChange={toggleSelectAllOnPage}
+                    disabled={pageClaims.length === 0}
+                    aria-label="Select all claims on this page"
+                  />
+                </th>
                 <th 
                   onClick={() => handleSort('id')}
                   className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
@@ -357,33 +733,54 @@ const ClaimHistory = () => {
                   Risk Factors
                 </th>
                 <th 
-                  onClick={() => handleSort('processedAt')}
+                  onClick={() => handleSort('date')}
                   className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
                 >
-                  Processed {getSortIcon('processedAt')}
+                  Date {getSortIcon('date')}
                 </th>
+                {hasRowResults && (
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Run Result
+                  </th>
+                )}
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Actions
                 </th>
               </tr>
             </thead>
-            <tbody className="bg-white divide-y divide-gray-200">
-              {filteredClaims.length === 0 ? (
+            <tbody className="bg-surface divide-y divide-gray-200">
+              {pageClaims.length === 0 ? (
                 <tr>
-                  <td colSpan="7" className="px-6 py-8 text-center text-gray-500">
-                    {recentClaims.length === 0 
-                      ? 'No claims have been processed yet.'
-                      : 'No claims match your search criteria.'
-                    }
+                  <td colSpan={hasRowResults ? 9 : 8} className="px-6 py-8 text-center text-gray-500">
+                    {query.loading && 'Loading claims...'}
+                    {!query.loading && query.error && <span className="text-red-600">{query.error}</span>}
+                    {!query.loading && !query.error && (hasActiveFilters
+                      ? 'No claims match your search criteria.'
+                      : 'No claims found.'
+                    )}
                   </td>
                 </tr>
               ) : (
-                filteredClaims.map((claim, index) => (
-                  <tr key={claim.claim_id || claim.id || index} className="hover:bg-gray-50 table-row">
+                pageClaims.map((claim, index) => (
+                  <tr
+                    key={claim.claim_id || claim.id || index}
+                    className={`hover:bg-gray-50 table-row ${selected.has(getClaimId(claim)) ? 'bg-blue-50' : ''}`}
+                  >
+                    <td className="px-4 py-4">
+                      <input
+                        type="checkbox"
+                        checked={selected.has(getClaimId(claim))}
+                        onChange={() => toggleSelected(claim)}
+                        aria-label={`Select claim ${getClaimId(claim)}`}
+                      />
+                    </td>
                     <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="text-sm font-medium text-gray-900">
-                        {claim.claim_id || claim.id}
-                      </div>
+                      <Link
+                        to={`/claims/${getClaimId(claim)}`}
+                        className="text-sm font-medium text-blue-600 hover:text-blue-900"
+                      >
+                        {getClaimId(claim)}
+                      </Link>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <span className={getStatusBadgeClasses(claim.status || claim.decision)}>
@@ -421,12 +818,17 @@ const ClaimHistory = () => {
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="text-sm text-gray-600">
-                        {formatTimeAgo(claim.processedAt)}
+                        {formatTimeAgo(getClaimDate(claim))}
                       </div>
                       <div className="text-xs text-gray-400">
-                        {formatDate(claim.processedAt)}
+                        {formatDate(getClaimDate(claim))}
                       </div>
                     </td>
+                    {hasRowResults && (
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        {renderRowResult(rowResults[getClaimId(claim)])}
+                      </td>
+                    )}
                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
                       <button
                         onClick={() => handleViewClaim(claim)}
@@ -442,6 +844,16 @@ const ClaimHistory = () => {
             </tbody>
           </table>
         </div>
+        <Pagination
+          page={query.page}
+          pageSize={query.pageSize}
+          itemCount={pageClaims.length}
+          total={query.total}
+          hasMore={query.hasMore}
+          onPageChange={query.setPage}
+          onPageSizeChange={query.setPageSize}
+          loading={query.loading && query.complete}
+        />
       </div>
 
       {/* Claim Details Modal */}
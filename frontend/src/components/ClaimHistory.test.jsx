@@ -0,0 +1,146 @@
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import ClaimHistory from './ClaimHistory';
+
+let mockPermissions = [];
+const mockUpdateBatchClaimStatus = jest.fn();
+const mockClaims = [
+  { claim_id: 'C-1', status: 'Submitted', summary: 'Knee MRI', submission_date: '2024-03-01T10:00:00Z' },
+  { claim_id: 'C-2', status: 'Submitted', summary: 'Dental', submission_date: '2024-03-02T10:00:00Z' },
+  { claim_id: 'C-3', status: 'Approved', decision: 'Approved', confidence_score: 0.95, summary: 'Physio', submission_date: '2024-03-03T10:00:00Z' },
+];
+
+jest.mock('../services/useClaimsApi', () => ({
+  useAuth: () => ({ can: (permission) => mockPermissions.includes(permission) }),
+  useClaims: () => ({ processBatchClaims: jest.fn(), updateBatchClaimStatus: mockUpdateBatchClaimStatus, loading: false }),
+  useClaimsQuery: () => ({
+    claims: mockClaims,
+    loading: false,
+    complete: true,
+    total: mockClaims.length,
+    page: 1,
+    pageSize: 25,
+    hasMore: false,
+    mode: 'server',
+    setPage: jest.fn(),
+    setPageSize: jest.fn(),
+    reload: jest.fn(),
+    mergeClaims: jest.fn(),
+  }),
+  useLiveUpdates: () => ({ newCount: 0 }),
+}));
+
+const mockQueryAllClaims = jest.fn();
+const mockExportToCSV = jest.fn();
+
+jest.mock('../services/claimsQuery', () => ({
+  queryAllClaims: (...args) => mockQueryAllClaims(...args),
+}));
+
+jest.mock('../utils/helpers', () => ({
+  ...jest.requireActual('../utils/helpers'),
+  exportToCSV: (...args) => mockExportToCSV(...args),
+}));
+
+jest.mock('../contexts/AppContext', () => ({
+  useApp: () => ({
+    state: { recentClaims: [], claims: [], settings: { batchConcurrency: 3 } },
+    actions: { updateClaim: jest.fn(), setCurrentClaim: jest.fn(), showNewClaims: jest.fn() },
+  }),
+}));
+
+const renderHistory = () => render(<MemoryRouter><ClaimHistory /></MemoryRouter>);
+
+const selectClaims = (...ids) => {
+  ids.forEach(id => fireEvent.click(screen.getByRole('checkbox', { name: `Select claim ${id}` })));
+};
+
+const setBulkStatus = (status) => {
+  fireEvent.change(screen.getByDisplayValue('Select status'), { target: { value: status } });
+};
+
+beforeEach(() => {
+  mockPermissions = ['batchProcess', 'adjudicateClaims', 'overrideAiDecisions'];
+  mockUpdateBatchClaimStatus.mockReset().mockResolvedValue({ successful: 2, failed: 0 });
+});
+
+describe('bulk denial', () => {
+  test('needs a reason code and a justification, then a confirmation', async () => {
+    renderHistory();
+    selectClaims('C-1', 'C-2');
+    setBulkStatus('Denied');
+
+    const apply = screen.getByRole('button', { name: 'Apply' });
+    expect(apply).toBeDisabled();
+    expect(screen.getByText(/denials need a reason code and a justification/i)).toBeInTheDocument();
+
+    fireEvent.change(screen.getByDisplayValue('Select reason'), { target: { value: 'POLICY_VIOLATION' } });
+    fireEvent.change(screen.getByPlaceholderText(/explain why these claims are denied/i), { target: { value: 'Cosmetic procedures are excluded' } });
+    fireEvent.click(apply);
+
+    expect(mockUpdateBatchClaimStatus).not.toHaveBeenCalled();
+    expect(screen.getByText(/denying 2 claims sends a denial to each claimant/i)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Confirm Denial' }));
+    expect(mockUpdateBatchClaimStatus).toHaveBeenCalledWith(
+      ['C-1', 'C-2'], 'Denied', 'POLICY_VIOLATION', 'Cosmetic procedures are excluded', expect.any(Object)
+    );
+    expect(await screen.findByRole('button', { name: 'Apply' })).toBeInTheDocument();
+  });
+
+  test('other statuses apply at once', () => {
+    renderHistory();
+    selectClaims('C-1');
+    setBulkStatus('Under Review');
+    fireEvent.click(screen.getByRole('button', { name: 'Apply' }));
+
+    expect(mockUpdateBatchClaimStatus).toHaveBeenCalledWith(['C-1'], 'Under Review', null, null, expect.any(Object));
+  });
+});
+
+describe('bulk status permissions', () => {
+  test('the status change is hidden from roles that cannot record decisions', () => {
+    mockPermissions = ['batchProcess'];
+    renderHistory();
+    selectClaims('C-1');
+
+    expect(screen.getByRole('button', { name: 'Process' })).toBeInTheDocument();
+    expect(screen.queryByDisplayValue('Select status')).not.toBeInTheDocument();
+    expect(screen.getByText(/needs a role that can record decisions/i)).toBeInTheDocument();
+  });
+
+  test('overriding a high-confidence AI decision needs overrideAiDecisions', () => {
+    mockPermissions = ['batchProcess', 'adjudicateClaims'];
+    renderHistory();
+    selectClaims('C-1', 'C-3');
+    setBulkStatus('Under Review');
+
+    expect(screen.getByRole('button', { name: 'Apply' })).toBeDisabled();
+    expect(screen.getByText(/1 of the selected claims has a high-confidence/i)).toBeInTheDocument();
+  });
+
+  test('a supervisor confirms the override first', () => {
+    renderHistory();
+    selectClaims('C-1', 'C-3');
+    setBulkStatus('Under Review');
+    fireEvent.click(screen.getByRole('button', { name: 'Apply' }));
+
+    expect(mockUpdateBatchClaimStatus).not.toHaveBeenCalled();
+    expect(screen.getByText(/this overrides 1 high-confidence ai decision/i)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Confirm Override' }));
+    expect(mockUpdateBatchClaimStatus).toHaveBeenCalledWith(['C-1', 'C-3'], 'Under Review', null, null, expect.any(Object));
+  });
+});
+
+test('exports every claim matching the filters, not just the page shown', async () => {
+  const matching = Array.from({ length: 40 }, (_, index) => ({ claim_id: `C-${index}`, status: 'Approved' }));
+  mockQueryAllClaims.mockResolvedValue(matching);
+  renderHistory();
+
+  fireEvent.click(screen.getByRole('button', { name: 'CSV' }));
+
+  await waitFor(() => expect(mockExportToCSV).toHaveBeenCalledTimes(1));
+  expect(mockQueryAllClaims).toHaveBeenCalledWith(expect.objectContaining({ sort: { key: 'date', direction: 'desc' } }));
+  expect(mockExportToCSV.mock.calls[0][0].map(row => row.claim_id)).toEqual(matching.map(claim => claim.claim_id));
+});
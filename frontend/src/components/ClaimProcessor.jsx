@@ -5,13 +5,20 @@ import {
   ArrowPathIcon,
   DocumentDuplicateIcon,
   PrinterIcon,
+  DocumentArrowDownIcon,
   ChevronDownIcon,
   ChevronRightIcon,
   CheckCircleIcon,
   XCircleIcon,
   ClockIcon,
+  InformationCircleIcon,
 } from '@heroicons/react/24/outline';
 import { useApp } from '../contexts/AppContext';
+import AdjudicationPanel from './AdjudicationPanel';
+import MarkdownContent from './MarkdownContent';
+import { ANALYSIS_SECTIONS } from '../services/api';
+import { useAuth } from '../services/useClaimsApi';
+import { LETTER_TYPES, getDefaultLetterType, downloadLetter } from '../services/determinationLetters';
 import {
   validateClaimId,
   getStatusStyle,
@@ -24,27 +31,26 @@ import {
   copyToClipboard,
   formatDate,
 } from '../utils/helpers';
+import { buildAnalysisReportText, printAnalysisReport } from '../utils/analysisReport';
 import toast from 'react-hot-toast';
 
 const ClaimProcessor = ({ isOpen, onClose }) => {
   const { state, actions } = useApp();
+  const { can } = useAuth();
+  // Without this the modal only shows the results already on the claim
+  const canProcess = can('processClaims');
   const [claimId, setClaimId] = useState('');
   const [validation, setValidation] = useState({ isValid: true });
-  const [expandedSections, setExpandedSections] = useState({
-    policy: false,
-    patient: false,
-    financial: false,
-    medical: false,
-    fraud: false,
-    rider: false,
-    analysis: false,
-  });
+  const [expandedSections, setExpandedSections] = useState({});
+  const [letterType, setLetterType] = useState('approval');
+  const [generatingLetter, setGeneratingLetter] = useState(false);
 
   const { loading, currentClaim } = state;
 
   useEffect(() => {
     if (currentClaim) {
       setClaimId(currentClaim.id || '');
+      setLetterType(getDefaultLetterType(currentClaim));
     }
   }, [currentClaim]);
 
@@ -56,7 +62,8 @@ const ClaimProcessor = ({ isOpen, onClose }) => {
 
   const handleProcess = async (e) => {
     e.preventDefault();
-    
+    if (!canProcess) return;
+
     const validationResult = validateClaimId(claimId);
     if (!validationResult.isValid) {
       setValidation(validationResult);
@@ -64,8 +71,12 @@ const ClaimProcessor = ({ isOpen, onClose }) => {
     }
 
     try {
-      await actions.processClaim(claimId);
-      toast.success('Claim processed successfully!');
+      const result = await actions.processClaim(claimId);
+      if (result.source === 'status_update') {
+        toast.success('AI processing unavailable - claim moved to Under Review');
+      } else {
+        toast.success('Claim processed successfully!');
+      }
     } catch (error) {
       toast.error(`Failed to process claim: ${error.message}`);
     }
@@ -81,37 +92,7 @@ const ClaimProcessor = ({ isOpen, onClose }) => {
   const handleCopyResults = async () => {
     if (!currentClaim) return;
 
-    const resultsText = `
-Claim ID: ${currentClaim.id}
-Decision: ${currentClaim.decision}
-Confidence Score: ${formatConfidenceScore(currentClaim.confidence_score)}
-Reason: ${currentClaim.reason_code} - ${currentClaim.reason_description}
-Risk Factors: ${currentClaim.risk_factors?.join(', ') || 'None'}
-Processed: ${formatDate(currentClaim.processedAt)}
-
-Policy Analysis:
-${currentClaim.policy_analysis}
-
-Patient Analysis:
-${currentClaim.patient_analysis}
-
-Financial Analysis:
-${currentClaim.financial_analysis}
-
-Medical Necessity:
-${currentClaim.medical_necessity}
-
-Fraud Indicators:
-${currentClaim.fraud_indicators}
-
-Rider Analysis:
-${currentClaim.rider_analysis}
-
-Complete Analysis:
-${currentClaim.analysis}
-    `.trim();
-
-    const result = await copyToClipboard(resultsText);
+    const result = await copyToClipboard(buildAnalysisReportText(currentClaim));
     if (result.success) {
       toast.success('Results copied to clipboard!');
     } else {
@@ -119,85 +100,25 @@ ${currentClaim.analysis}
     }
   };
 
-  const handlePrint = () => {
+  const handleDownloadLetter = async () => {
     if (!currentClaim) return;
-    
-    const printWindow = window.open('', '_blank');
-    const printContent = `
-      <!DOCTYPE html>
-      <html>
-        <head>
-          <title>Claim Analysis - ${currentClaim.id}</title>
-          <style>
-            body { font-family: Arial, sans-serif; margin: 20px; }
-            .header { border-bottom: 2px solid #333; padding-bottom: 10px; margin-bottom: 20px; }
-            .status { padding: 5px 10px; border-radius: 5px; display: inline-block; margin: 10px 0; }
-            .approved { background-color: #d1fae5; color: #065f46; }
-            .denied { background-color: #fee2e2; color: #991b1b; }
-            .pending { background-color: #fef3c7; color: #92400e; }
-            .section { margin: 20px 0; }
-            .section h3 { color: #333; border-bottom: 1px solid #ccc; padding-bottom: 5px; }
-            .risk-factor { display: inline-block; background-color: #f3f4f6; padding: 2px 8px; margin: 2px; border-radius: 12px; font-size: 12px; }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h1>Insurance Claim Analysis Report</h1>
-            <p><strong>Claim ID:</strong> ${currentClaim.id}</p>
-            <p><strong>Generated:</strong> ${formatDate(new Date())}</p>
-          </div>
-          
-          <div class="section">
-            <h2>Decision Summary</h2>
-            <div class="status ${currentClaim.decision.toLowerCase()}">
-              ${currentClaim.decision.toUpperCase()}
-            </div>
-            <p><strong>Confidence Score:</strong> ${formatConfidenceScore(currentClaim.confidence_score)}</p>
-            <p><strong>Reason:</strong> ${currentClaim.reason_code} - ${currentClaim.reason_description}</p>
-            <p><strong>Risk Factors:</strong> ${currentClaim.risk_factors?.map(f => `<span class="risk-factor">${formatRiskFactor(f)}</span>`).join(' ') || 'None'}</p>
-          </div>
-
-          <div class="section">
-            <h3>Policy Analysis</h3>
-            <p>${currentClaim.policy_analysis}</p>
-          </div>
 
-          <div class="section">
-            <h3>Patient Analysis</h3>
-            <p>${currentClaim.patient_analysis}</p>
-          </div>
-
-          <div class="section">
-            <h3>Financial Analysis</h3>
-            <p>${currentClaim.financial_analysis}</p>
-          </div>
-
-          <div class="section">
-            <h3>Medical Necessity</h3>
-            <p>${currentClaim.medical_necessity}</p>
-          </div>
-
-          <div class="section">
-            <h3>Fraud Indicators</h3>
-            <p>${currentClaim.fraud_indicators}</p>
-          </div>
+    setGeneratingLetter(true);
+    try {
+      await downloadLetter(currentClaim, { type: letterType });
+    } catch (error) {
+      toast.error(`Failed to generate letter: ${error.message}`);
+    } finally {
+      setGeneratingLetter(false);
+    }
+  };
 
-          <div class="section">
-            <h3>Rider Analysis</h3>
-            <p>${currentClaim.rider_analysis}</p>
-          </div>
+  const handlePrint = () => {
+    if (!currentClaim) return;
 
-          <div class="section">
-            <h3>Complete Analysis</h3>
-            <p>${currentClaim.analysis}</p>
-          </div>
-        </body>
-      </html>
-    `;
-    
-    printWindow.document.write(printContent);
-    printWindow.document.close();
-    printWindow.print();
+    if (!printAnalysisReport(currentClaim)) {
+      toast.error('Allow pop-ups for this site to print the report');
+    }
   };
 
   if (!isOpen) return null;
@@ -206,7 +127,7 @@ ${currentClaim.analysis}
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-      <div className="bg-white rounded-lg p-6 m-4 max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+      <div className="bg-surface rounded-lg p-6 m-4 max-w-4xl w-full max-h-[90vh] overflow-y-auto">
         {/* Header */}
         <div className="flex items-center justify-between mb-6">
           <h2 className="text-2xl font-bold text-gray-900">
@@ -221,43 +142,45 @@ ${currentClaim.analysis}
         </div>
 
         {/* Process Form */}
-        <form onSubmit={handleProcess} className="mb-6">
-          <div className="flex space-x-4">
-            <div className="flex-1">
-              <label htmlFor="claimId" className="block text-sm font-medium text-gray-700 mb-1">
-                Claim ID
-              </label>
-              <input
-                type="text"
-                id="claimId"
-                value={claimId}
-                onChange={handleClaimIdChange}
-                placeholder="Enter claim ID (e.g., CLAIM001)"
-                className={`w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
-                  !validation.isValid ? 'border-red-300' : 'border-gray-300'
-                }`}
-                disabled={loading}
-              />
-              {!validation.isValid && (
-                <p className="mt-1 text-sm text-red-600">{validation.error}</p>
-              )}
-            </div>
-            <div className="flex items-end">
-              <button
-                type="submit"
-                disabled={loading || !validation.isValid || !claimId.trim()}
-                className="btn-primary flex items-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed"
-              >
-                {loading ? (
-                  <ArrowPathIcon className="h-4 w-4 animate-spin" />
-                ) : (
-                  <PlayIcon className="h-4 w-4" />
+        {canProcess && (
+          <form onSubmit={handleProcess} className="mb-6">
+            <div className="flex space-x-4">
+              <div className="flex-1">
+                <label htmlFor="claimId" className="block text-sm font-medium text-gray-700 mb-1">
+                  Claim ID
+                </label>
+                <input
+                  type="text"
+                  id="claimId"
+                  value={claimId}
+                  onChange={handleClaimIdChange}
+                  placeholder="Enter claim ID (e.g., CLAIM001)"
+                  className={`w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+                    !validation.isValid ? 'border-red-300' : 'border-gray-300'
+                  }`}
+                  disabled={loading}
+                />
+                {!validation.isValid && (
+                  <p className="mt-1 text-sm text-red-600">{validation.error}</p>
                 )}
-                <span>Process</span>
-              </button>
+              </div>
+              <div className="flex items-end">
+                <button
+                  type="submit"
+                  disabled={loading || !validation.isValid || !claimId.trim()}
+                  className="btn-primary flex items-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {loading ? (
+                    <ArrowPathIcon className="h-4 w-4 animate-spin" />
+                  ) : (
+                    <PlayIcon className="h-4 w-4" />
+                  )}
+                  <span>Process</span>
+                </button>
+              </div>
             </div>
-          </div>
-        </form>
+          </form>
+        )}
 
         {/* Loading State */}
         {loading && (
@@ -291,6 +214,24 @@ ${currentClaim.analysis}
                     <PrinterIcon className="h-4 w-4" />
                     <span>Print</span>
                   </button>
+                  <select
+                    value={letterType}
+                    onChange={(e) => setLetterType(e.target.value)}
+                    className="input-field w-auto"
+                    aria-label="Letter type"
+                  >
+                    {Object.entries(LETTER_TYPES).map(([type, label]) => (
+                      <option key={type} value={type}>{label}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={handleDownloadLetter}
+                    disabled={generatingLetter}
+                    className="btn-secondary flex items-center space-x-2"
+                  >
+                    <DocumentArrowDownIcon className="h-4 w-4" />
+                    <span>{generatingLetter ? 'Generating...' : 'Letter PDF'}</span>
+                  </button>
                 </div>
               </div>
 
@@ -323,7 +264,7 @@ ${currentClaim.analysis}
                     <div className="w-full bg-gray-200 rounded-full h-3 mt-1">
                       <div
                         className={`h-3 rounded-full ${getConfidenceBarColor(currentClaim.confidence_score)}`}
-                        style={{ width: `${currentClaim.confidence_score * 100}%` }}
+                        style={{ width: `${(currentClaim.confidence_score || 0) * 100}%` }}
                       />
                     </div>
                   </div>
@@ -357,18 +298,24 @@ ${currentClaim.analysis}
               </div>
             </div>
 
+            {/* Fallback Notice */}
+            {currentClaim.source === 'status_update' && (
+              <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 flex items-start">
+                <InformationCircleIcon className="h-5 w-5 text-blue-500 mr-2 mt-0.5" />
+                <p className="text-sm text-blue-800">
+                  The backend does not expose the AI processing endpoint, so this claim was moved to
+                  Under Review without an AI analysis.
+                </p>
+              </div>
+            )}
+
+            {/* Manual Adjudication */}
+            <AdjudicationPanel claim={currentClaim} />
+
             {/* Detailed Analysis Sections */}
             <div className="space-y-4">
-              {[
-                { key: 'policy', title: 'Policy Analysis', content: currentClaim.policy_analysis },
-                { key: 'patient', title: 'Patient Analysis', content: currentClaim.patient_analysis },
-                { key: 'financial', title: 'Financial Analysis', content: currentClaim.financial_analysis },
-                { key: 'medical', title: 'Medical Necessity', content: currentClaim.medical_necessity },
-                { key: 'fraud', title: 'Fraud Indicators', content: currentClaim.fraud_indicators },
-                { key: 'rider', title: 'Rider Analysis', content: currentClaim.rider_analysis },
-                { key: 'analysis', title: 'Complete Analysis', content: currentClaim.analysis },
-              ].map((section) => (
-                <div key={section.key} className="bg-white border border-gray-200 rounded-lg">
+              {ANALYSIS_SECTIONS.map((section) => (
+                <div key={section.key} className="bg-surface border border-gray-200 rounded-lg">
                   <button
                     onClick={() => toggleSection(section.key)}
                     className="w-full px-4 py-3 flex items-center justify-between text-left hover:bg-gray-50"
@@ -382,7 +329,11 @@ ${currentClaim.analysis}
                   </button>
                   {expandedSections[section.key] && (
                     <div className="px-4 pb-4 text-gray-700 leading-relaxed">
-                      {section.content}
+                      {currentClaim[section.key] ? (
+                        <MarkdownContent text={currentClaim[section.key]} />
+                      ) : (
+                        <span className="text-gray-400 italic">No analysis provided.</span>
+                      )}
                     </div>
                   )}
                 </div>
@@ -0,0 +1,25 @@
+import { render, screen } from '@testing-library/react';
+import ClaimProcessor from './ClaimProcessor';
+
+let mockPermissions = [];
+
+jest.mock('../services/useClaimsApi', () => ({
+  useAuth: () => ({ can: (permission) => mockPermissions.includes(permission) }),
+}));
+
+jest.mock('../contexts/AppContext', () => ({
+  useApp: () => ({ state: { loading: false, currentClaim: null }, actions: { processClaim: jest.fn() } }),
+}));
+
+test('offers processing to roles allowed to process claims', () => {
+  mockPermissions = ['processClaims'];
+  render(<ClaimProcessor isOpen onClose={() => {}} />);
+  expect(screen.getByRole('button', { name: /process/i })).toBeInTheDocument();
+});
+
+test('hides the process form from roles that may not process claims', () => {
+  mockPermissions = [];
+  render(<ClaimProcessor isOpen onClose={() => {}} />);
+  expect(screen.queryByLabelText(/claim id/i)).not.toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: /process/i })).not.toBeInTheDocument();
+});
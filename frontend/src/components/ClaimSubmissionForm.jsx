@@ -1,20 +1,152 @@
-import React, { useState, useEffect } from 'react';
-import { useClaims } from '../services/useClaimsApi';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Link, useSearchParams, useBeforeUnload } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { useClaims, useClaimDrafts } from '../services/useClaimsApi';
 import { FormUtils, CLAIM_FORM_FIELDS } from '../services/claimsFormUtils';
-import { ClaimUtils } from '../services/api';
+import { ClaimUtils, apiService } from '../services/api';
+import { ApiError } from '../services/apiError';
+import {
+  createDraftId,
+  getDraft,
+  saveDraft,
+  deleteDraft,
+  duplicateDraft,
+  isBlankClaimForm,
+} from '../services/claimDrafts';
+import FormField from './FormField';
+import EntityPicker, { EntityPreview } from './EntityPicker';
+import ClaimDrafts from './ClaimDrafts';
+
+const AUTOSAVE_DELAY = 1000;
+const LEAVE_WARNING = 'This draft could not be saved on this device. Leave anyway and lose your changes?';
+
+const DRAFT_STATUS_LABELS = {
+  unsaved: { text: 'Saving draft...', classes: 'text-gray-500' },
+  saved: { text: 'Draft saved', classes: 'text-green-600' },
+  error: { text: 'Draft could not be saved', classes: 'text-red-600' },
+};
 
 const ClaimSubmissionForm = () => {
   const { submitClaim, loading, error, clearError } = useClaims();
-  const [formData, setFormData] = useState(FormUtils.getInitialFormData());
+  const drafts = useClaimDrafts();
+  // The open draft is in the URL (?draft=<id>) so a reload or a link resumes it
+  const [searchParams, setSearchParams] = useSearchParams();
+  const requestedDraftId = searchParams.get('draft');
+  const [draftId, setDraftId] = useState(() => requestedDraftId || createDraftId());
+  const [formData, setFormData] = useState(() => getDraft(requestedDraftId)?.data || FormUtils.getInitialFormData());
+  // null until the form is edited, then 'unsaved', 'saved' or 'error'
+  const [draftStatus, setDraftStatus] = useState(null);
   const [formErrors, setFormErrors] = useState({});
   const [submitSuccess, setSubmitSuccess] = useState(false);
+  // Set when the backend was unreachable and the claim went to the outbox instead
+  const [queuedOffline, setQueuedOffline] = useState(false);
+
+  // Edits not yet written to storage, and the latest state for saves made outside a render
+  const dirtyRef = useRef(false);
+  const latestRef = useRef({ draftId, formData });
+  latestRef.current = { draftId, formData };
+
+  // Write pending edits to the open draft. Returns false when storage failed.
+  const persistDraft = useCallback(() => {
+    if (!dirtyRef.current) return true;
+    const { draftId: id, formData: data } = latestRef.current;
+    // An emptied form is not worth keeping as a draft
+    const saved = isBlankClaimForm(data) ? deleteDraft(id) : saveDraft(id, data);
+    if (saved) dirtyRef.current = false;
+    return saved;
+  }, []);
+
+  const openDraft = useCallback((id, data) => {
+    dirtyRef.current = false;
+    setDraftId(id);
+    setFormData(data);
+    setFormErrors({});
+    setDraftStatus(null);
+  }, []);
+
+  const startNewDraft = () => {
+    openDraft(createDraftId(), FormUtils.getInitialFormData());
+    if (requestedDraftId) setSearchParams({}, { replace: true });
+  };
+
+  // All edits go through here so they are autosaved
+  const editForm = (update) => {
+    dirtyRef.current = true;
+    setDraftStatus('unsaved');
+    setFormData(update);
+  };
+
+  // Autosave shortly after the last edit
+  useEffect(() => {
+    if (!dirtyRef.current) return undefined;
+    const timer = setTimeout(() => {
+      const saved = persistDraft();
+      setDraftStatus(saved ? 'saved' : 'error');
+      if (saved && !isBlankClaimForm(formData) && requestedDraftId !== draftId) {
+        setSearchParams({ draft: draftId }, { replace: true });
+      }
+    }, AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [formData, draftId, requestedDraftId, setSearchParams, persistDraft]);
+
+  // Another draft was opened through the URL (the drafts list, back/forward)
+  useEffect(() => {
+    if (!requestedDraftId || requestedDraftId === latestRef.current.draftId) return;
+    persistDraft();
+    openDraft(requestedDraftId, getDraft(requestedDraftId)?.data || FormUtils.getInitialFormData());
+  }, [requestedDraftId, persistDraft, openDraft]);
+
+  // In-app navigation unmounts the form; save whatever the debounce has not
+  useEffect(() => () => { persistDraft(); }, [persistDraft]);
+
+  // Closing or reloading the tab: save now, and only warn if that fails
+  useBeforeUnload(useCallback((event) => {
+    if (!persistDraft()) {
+      event.preventDefault();
+      event.returnValue = LEAVE_WARNING;
+    }
+  }, [persistDraft]));
+
+  // BrowserRouter cannot block navigation, so confirm link clicks while saving is failing
+  useEffect(() => {
+    if (draftStatus !== 'error') return undefined;
+    const handleClick = (event) => {
+      if (event.target.closest?.('a[href]') && !persistDraft() && !window.confirm(LEAVE_WARNING)) {
+        event.preventDefault();
+        event.stopPropagation();
+      }
+    };
+    document.addEventListener('click', handleClick, true);
+    return () => document.removeEventListener('click', handleClick, true);
+  }, [draftStatus, persistDraft]);
+
+  const handleResumeDraft = (id) => {
+    setSearchParams({ draft: id });
+  };
+
+  const handleDuplicateDraft = (id) => {
+    if (id === draftId) persistDraft();
+    const copy = duplicateDraft(id);
+    if (!copy) {
+      toast.error('Could not duplicate the draft');
+      return;
+    }
+    toast.success('Draft duplicated');
+    setSearchParams({ draft: copy.id });
+  };
+
+  const handleDiscardDraft = (id) => {
+    if (!window.confirm('Discard this draft? This cannot be undone.')) return;
+    deleteDraft(id);
+    if (id === draftId) startNewDraft();
+  };
 
   // Handle form field changes
   const handleChange = (e) => {
     const { name, value, type, checked } = e.target;
     const fieldValue = type === 'checkbox' ? checked : value;
     
-    setFormData(prev => ({
+    editForm(prev => ({
       ...prev,
       [name]: fieldValue
     }));
@@ -28,11 +160,40 @@ const ClaimSubmissionForm = () => {
     }
   };
 
+  // A patient picked before the policy may not be covered by it, so clear them
+  // and let the user choose again from the policy's patient list
+  const handlePolicySelect = (policy) => {
+    if (!policy) return;
+    apiService.getPatientsByPolicy(policy.policy_id)
+      .then(patients => {
+        editForm(prev => (
+          prev.patient_id && !patients.some(patient => patient.patient_id === prev.patient_id)
+            ? { ...prev, patient_id: '' }
+            : prev
+        ));
+      })
+      .catch(() => {});
+  };
+
+  // The provider's own risk rating is the one the backend expects on its claims
+  const handleProviderSelect = (provider) => {
+    if (provider?.risk_id) {
+      editForm(prev => ({ ...prev, risk_id: provider.risk_id }));
+      setFormErrors(prev => ({ ...prev, risk_id: undefined }));
+    }
+  };
+
+  const entitySelectHandlers = {
+    policy_id: handlePolicySelect,
+    provider_id: handleProviderSelect,
+  };
+
   // Handle form submission
   const handleSubmit = async (e) => {
     e.preventDefault();
     clearError();
     setSubmitSuccess(false);
+    setQueuedOffline(false);
 
     // Validate form
     const validation = FormUtils.validateForm(formData);
@@ -46,16 +207,27 @@ const ClaimSubmissionForm = () => {
       const apiData = FormUtils.formatFormDataForApi(formData);
       
       // Submit claim
-      await submitClaim(apiData);
+      const result = await submitClaim(apiData);
       
-      // Reset form and show success
-      setFormData(FormUtils.getInitialFormData());
-      setFormErrors({});
+      // The claim is on the server or safe in the outbox, so the draft is done with
+      deleteDraft(draftId);
+      startNewDraft();
+      if (result.pendingSync) {
+        setQueuedOffline(true);
+        return;
+      }
       setSubmitSuccess(true);
       
       // Hide success message after 3 seconds
       setTimeout(() => setSubmitSuccess(false), 3000);
     } catch (err) {
+      // Put the backend's field-level validation errors (422) on the matching inputs
+      if (err instanceof ApiError && err.hasFieldErrors) {
+        const fieldErrors = Object.fromEntries(
+          Object.entries(err.fieldErrors).filter(([field]) => field in CLAIM_FORM_FIELDS)
+        );
+        setFormErrors(prev => ({ ...prev, ...fieldErrors }));
+      }
       console.error('Claim submission failed:', err);
     }
   };
@@ -63,172 +235,122 @@ const ClaimSubmissionForm = () => {
   // Load sample data
   const loadSampleData = () => {
     const sampleData = FormUtils.loadSampleData();
-    setFormData(sampleData);
+    editForm(sampleData);
     setFormErrors({});
   };
 
   // Render form field
   const renderField = (fieldName, config) => {
-    const fieldError = formErrors[fieldName];
-    const hasError = fieldError && fieldError.length > 0;
-
-    switch (config.type) {
-      case 'textarea':
-        return (
-          <div key={fieldName} className="mb-4">
-            <label htmlFor={fieldName} className="block text-sm font-medium text-gray-700 mb-1">
-              {config.label} {config.required && <span className="text-red-500">*</span>}
-            </label>
-            <textarea
-              id={fieldName}
-              name={fieldName}
-              value={formData[fieldName] || ''}
-              onChange={handleChange}
-              placeholder={config.placeholder}
-              className={`input-field ${hasError ? 'border-red-500' : ''}`}
-              rows={3}
-              required={config.required}
-            />
-            {config.description && (
-              <p className="text-xs text-gray-500 mt-1">{config.description}</p>
-            )}
-            {hasError && (
-              <p className="text-red-500 text-xs mt-1">{fieldError[0]}</p>
-            )}
-          </div>
-        );
+    if (config.type === 'entity') {
+      return (
+        <EntityPicker
+          key={fieldName}
+          type={config.entity}
+          name={fieldName}
+          config={config}
+          value={formData[fieldName]}
+          errors={formErrors[fieldName]}
+          onChange={handleChange}
+          onSelect={entitySelectHandlers[fieldName]}
+          scope={config.entity === 'patient' ? formData.policy_id : undefined}
+        />
+      );
+    }
 
-      case 'select':
-        return (
-          <div key={fieldName} className="mb-4">
-            <label htmlFor={fieldName} className="block text-sm font-medium text-gray-700 mb-1">
-              {config.label} {config.required && <span className="text-red-500">*</span>}
-            </label>
-            <select
-              id={fieldName}
-              name={fieldName}
-              value={formData[fieldName] || ''}
-              onChange={handleChange}
-              className={`input-field ${hasError ? 'border-red-500' : ''}`}
-              required={config.required}
-            >
-              <option value="">Select {config.label}</option>
-              {config.options.map(option => (
-                <option key={option.value} value={option.value}>
-                  {option.label}
-                </option>
-              ))}
-            </select>
-            {hasError && (
-              <p className="text-red-500 text-xs mt-1">{fieldError[0]}</p>
-            )}
+    return (
+      <React.Fragment key={fieldName}>
+        <FormField
+          name={fieldName}
+          config={config}
+          value={formData[fieldName]}
+          errors={formErrors[fieldName]}
+          onChange={handleChange}
+        />
+        {config.preview && (
+          <div className="-mt-2 mb-4">
+            <EntityPreview type={config.preview} id={formData[fieldName]} />
           </div>
-        );
+        )}
+      </React.Fragment>
+    );
+  };
 
-      case 'checkbox':
-        return (
-          <div key={fieldName} className="mb-4">
-            <label className="flex items-center">
-              <input
-                type="checkbox"
-                name={fieldName}
-                checked={formData[fieldName] || false}
-                onChange={handleChange}
-                className="mr-2"
-              />
-              <span className="text-sm font-medium text-gray-700">
-                {config.label}
-              </span>
-            </label>
-            {config.description && (
-              <p className="text-xs text-gray-500 ml-6">{config.description}</p>
-            )}
-            {hasError && (
-              <p className="text-red-500 text-xs ml-6">{fieldError[0]}</p>
-            )}
+  const statusLabel = DRAFT_STATUS_LABELS[draftStatus];
+
+  return (
+    <div className="max-w-2xl mx-auto space-y-6">
+      <div className="p-6 bg-surface rounded-lg shadow-md">
+        <div className="flex justify-between items-center mb-6">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900">Submit New Claim</h2>
+            {statusLabel && <p className={`text-xs mt-1 ${statusLabel.classes}`}>{statusLabel.text}</p>}
           </div>
-        );
+          <button
+            type="button"
+            onClick={loadSampleData}
+            className="btn-secondary text-sm"
+          >
+            Load Sample Data
+          </button>
+        </div>
 
-      default:
-        return (
-          <div key={fieldName} className="mb-4">
-            <label htmlFor={fieldName} className="block text-sm font-medium text-gray-700 mb-1">
-              {config.label} {config.required && <span className="text-red-500">*</span>}
-            </label>
-            <input
-              type={config.type}
-              id={fieldName}
-              name={fieldName}
-              value={formData[fieldName] || ''}
-              onChange={handleChange}
-              placeholder={config.placeholder}
-              className={`input-field ${hasError ? 'border-red-500' : ''}`}
-              required={config.required}
-            />
-            {config.description && (
-              <p className="text-xs text-gray-500 mt-1">{config.description}</p>
-            )}
-            {hasError && (
-              <p className="text-red-500 text-xs mt-1">{fieldError[0]}</p>
-            )}
+        {error && (
+          <div className="mb-4 p-3 bg-red-100 border border-red-300 text-red-700 rounded">
+            {error}
           </div>
-        );
-    }
-  };
+        )}
 
-  return (
-    <div className="max-w-2xl mx-auto p-6 bg-white rounded-lg shadow-md">
-      <div className="flex justify-between items-center mb-6">
-        <h2 className="text-2xl font-bold text-gray-900">Submit New Claim</h2>
-        <button
-          type="button"
-          onClick={loadSampleData}
-          className="btn-secondary text-sm"
-        >
-          Load Sample Data
-        </button>
-      </div>
+        {submitSuccess && (
+          <div className="mb-4 p-3 bg-green-100 border border-green-300 text-green-700 rounded">
+            Claim submitted successfully!
+          </div>
+        )}
 
-      {error && (
-        <div className="mb-4 p-3 bg-red-100 border border-red-300 text-red-700 rounded">
-          {error}
-        </div>
-      )}
+        {queuedOffline && (
+          <div className="mb-4 p-3 bg-yellow-100 border border-yellow-300 text-yellow-800 rounded">
+            The backend could not be reached, so the claim was saved on this device.
+            It will be submitted automatically when the connection is back.{' '}
+            <Link to="/sync" className="underline">View sync queue</Link>
+          </div>
+        )}
 
-      {submitSuccess && (
-        <div className="mb-4 p-3 bg-green-100 border border-green-300 text-green-700 rounded">
-          Claim submitted successfully!
-        </div>
-      )}
+        <form onSubmit={handleSubmit}>
+          {Object.entries(CLAIM_FORM_FIELDS).map(([fieldName, config]) =>
+            renderField(fieldName, config)
+          )}
 
-      <form onSubmit={handleSubmit}>
-        {Object.entries(CLAIM_FORM_FIELDS).map(([fieldName, config]) =>
-          renderField(fieldName, config)
-        )}
+          <div className="flex gap-4 pt-4 border-t">
+            <button
+              type="submit"
+              disabled={loading}
+              className={`btn-primary flex-1 ${loading ? 'opacity-50 cursor-not-allowed' : ''}`}
+            >
+              {loading ? 'Submitting...' : 'Submit Claim'}
+            </button>
+            
+            <button
+              type="button"
+              onClick={() => {
+                editForm(FormUtils.getInitialFormData());
+                setFormErrors({});
+                clearError();
+              }}
+              className="btn-secondary"
+              disabled={loading}
+            >
+              Reset
+            </button>
+          </div>
+        </form>
+      </div>
 
-        <div className="flex gap-4 pt-4 border-t">
-          <button
-            type="submit"
-            disabled={loading}
-            className={`btn-primary flex-1 ${loading ? 'opacity-50 cursor-not-allowed' : ''}`}
-          >
-            {loading ? 'Submitting...' : 'Submit Claim'}
-          </button>
-          
-          <button
-            type="button"
-            onClick={() => {
-              setFormData(FormUtils.getInitialFormData());
-              setFormErrors({});
-              clearError();
-            }}
-            className="btn-secondary"
-            disabled={loading}
-          >
-            Reset
-          </button>
-        </div>
-      </form>
+      <ClaimDrafts
+        drafts={drafts}
+        activeDraftId={draftId}
+        onResume={handleResumeDraft}
+        onDuplicate={handleDuplicateDraft}
+        onDiscard={handleDiscardDraft}
+      />
     </div>
   );
 };
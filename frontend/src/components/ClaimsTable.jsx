@@ -0,0 +1,64 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowPathIcon } from '@heroicons/react/24/outline';
+import { formatDate, getStatusBadgeClasses } from '../utils/helpers';
+
+// Compact read-only list of backend claim records, used on patient, policy and provider pages
+const ClaimsTable = ({ claims, loading, error, emptyMessage = 'No claims found.' }) => {
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-8 text-gray-500">
+        <ArrowPathIcon className="h-5 w-5 animate-spin mr-2" />
+        Loading claims...
+      </div>
+    );
+  }
+
+  if (error) {
+    return <p className="py-4 text-sm text-red-600">{error}</p>;
+  }
+
+  if (claims.length === 0) {
+    return <p className="py-4 text-sm text-gray-500">{emptyMessage}</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Claim ID</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Submitted</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Summary</th>
+          </tr>
+        </thead>
+        <tbody className="bg-surface divide-y divide-gray-200">
+          {claims.map(claim => (
+            <tr key={claim.claim_id} className="hover:bg-gray-50">
+              <td className="px-4 py-3 whitespace-nowrap">
+                <Link
+                  to={`/claims/${claim.claim_id}`}
+                  className="text-sm font-mono text-blue-600 hover:text-blue-900"
+                >
+                  {claim.claim_id.slice(0, 8)}
+                </Link>
+              </td>
+              <td className="px-4 py-3 whitespace-nowrap">
+                <span className={getStatusBadgeClasses(claim.status)}>{claim.status}</span>
+              </td>
+              <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">
+                {claim.submission_date ? formatDate(claim.submission_date) : 'N/A'}
+              </td>
+              <td className="px-4 py-3 text-sm text-gray-700">
+                <div className="max-w-md truncate">{claim.summary}</div>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ClaimsTable;
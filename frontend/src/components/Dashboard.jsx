@@ -1,4 +1,5 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
 import { 
   ChartBarIcon, 
   ClockIcon, 
@@ -7,14 +8,19 @@ import {
   XCircleIcon,
   ArrowPathIcon,
   MagnifyingGlassIcon,
+  QueueListIcon,
 } from '@heroicons/react/24/outline';
 import { useApp } from '../contexts/AppContext';
 import { formatDate, getStatusBadgeClasses } from '../utils/helpers';
 import { apiService } from '../services/api';
+import { useAuth, useLiveUpdates, useQueryCacheEvents } from '../services/useClaimsApi';
+import BatchProcessor from './BatchProcessor';
+import NewClaimsBanner from './NewClaimsBanner';
 
 const Dashboard = () => {
   const { state, actions } = useApp();
   const { error } = state;
+  const { can } = useAuth();
   
   // State for claim search
   const [searchClaimId, setSearchClaimId] = useState('');
@@ -30,40 +36,51 @@ const Dashboard = () => {
     pendingCount: 0,
   });
   const [statsLoading, setStatsLoading] = useState(false);
+  const [showBatchProcessor, setShowBatchProcessor] = useState(false);
 
-  // Load only basic stats without loading all claims
-  useEffect(() => {
-    const loadStats = async () => {
-      setStatsLoading(true);
-      try {
-        // Get just 5 claims to check if API is working, not for stats calculation
-        const result = await apiService.getClaims({ limit: 5 });
-        const claims = result.claims || result;
-        
-        // For now, just show that we have some claims
-        // In the future, you could add a dedicated stats endpoint to your backend
-        setStats({
-          totalClaims: claims.length > 0 ? 'Available' : 0,
-          approvedCount: claims.filter(claim => claim.status === 'Approved').length,
-          deniedCount: claims.filter(claim => claim.status === 'Denied').length,
-          pendingCount: claims.filter(claim => ['Submitted', 'Pending', 'Under Review'].includes(claim.status)).length,
-        });
-      } catch (error) {
-        console.error('Failed to load stats:', error);
-        // Set default stats if API fails
+  // Load only basic stats without loading all claims. Reads come from the query
+  // cache, so returning to the dashboard does not refetch; Refresh forces it.
+  const loadStats = useCallback(async ({ force = false } = {}) => {
+    setStatsLoading(true);
+    try {
+      // Get just 5 claims to check if API is working, not for stats calculation
+      const result = await apiService.getClaims({ limit: 5 }, { force });
+      const claims = result.claims || result;
+      
+      // For now, just show that we have some claims
+      // In the future, you could add a dedicated stats endpoint to your backend
+      setStats({
+        totalClaims: claims.length > 0 ? 'Available' : 0,
+        approvedCount: claims.filter(claim => claim.status === 'Approved').length,
+        deniedCount: claims.filter(claim => claim.status === 'Denied').length,
+        pendingCount: claims.filter(claim => ['Submitted', 'Pending', 'Under Review'].includes(claim.status)).length,
+      });
+    } catch (error) {
+      console.error('Failed to load stats:', error);
+      // A failed refresh keeps the last stats; a failed first load shows N/A
+      if (!force) {
         setStats({
           totalClaims: 'N/A',
           approvedCount: 'N/A',
           deniedCount: 'N/A',
           pendingCount: 'N/A',
         });
-      } finally {
-        setStatsLoading(false);
       }
-    };
+    } finally {
+      setStatsLoading(false);
+    }
+  }, []);
 
+  useEffect(() => {
     loadStats();
-  }, []);
+  }, [loadStats]);
+
+  // Pick up claim changes made elsewhere and background revalidations
+  useQueryCacheEvents((event) => {
+    if (event.type === 'cleared' || event.tags?.some(tag => tag === 'claims' || tag.startsWith('claim:'))) {
+      loadStats();
+    }
+  });
 
   // Quick stats data
   const statCards = [
@@ -104,24 +121,11 @@ const Dashboard = () => {
     },
   ];
 
-  const handleRefresh = async () => {
-    setStatsLoading(true);
-    try {
-      // Just refresh the lightweight stats
-      const result = await apiService.getClaims({ limit: 5 });
-      const claims = result.claims || result;
-      
-      setStats({
-        totalClaims: claims.length > 0 ? 'Available' : 0,
-        approvedCount: claims.filter(claim => claim.status === 'Approved').length,
-        deniedCount: claims.filter(claim => claim.status === 'Denied').length,
-        pendingCount: claims.filter(claim => ['Submitted', 'Pending', 'Under Review'].includes(claim.status)).length,
-      });
-    } catch (error) {
-      console.error('Failed to refresh stats:', error);
-    } finally {
-      setStatsLoading(false);
-    }
+  const live = useLiveUpdates();
+
+  const handleRefresh = () => {
+    actions.showNewClaims();
+    loadStats({ force: true });
   };
 
   const handleSearchClaim = async (e) => {
@@ -161,17 +165,30 @@ const Dashboard = () => {
               View and monitor insurance claims from your backend
             </p>
           </div>
-          <button
-            onClick={handleRefresh}
-            disabled={statsLoading}
-            className="btn-primary flex items-center space-x-2 disabled:opacity-50"
-          >
-            <ArrowPathIcon className={`h-4 w-4 ${statsLoading ? 'animate-spin' : ''}`} />
-            <span>{statsLoading ? 'Loading...' : 'Refresh'}</span>
-          </button>
+          <div className="flex space-x-2">
+            {can('batchProcess') && (
+              <button
+                onClick={() => setShowBatchProcessor(true)}
+                className="btn-secondary flex items-center space-x-2"
+              >
+                <QueueListIcon className="h-4 w-4" />
+                <span>Process Pending</span>
+              </button>
+            )}
+            <button
+              onClick={handleRefresh}
+              disabled={statsLoading}
+              className="btn-primary flex items-center space-x-2 disabled:opacity-50"
+            >
+              <ArrowPathIcon className={`h-4 w-4 ${statsLoading ? 'animate-spin' : ''}`} />
+              <span>{statsLoading ? 'Loading...' : 'Refresh'}</span>
+            </button>
+          </div>
         </div>
       </div>
 
+      <NewClaimsBanner count={live.newCount} onShow={handleRefresh} />
+
       {/* Error Display */}
       {error && (
         <div className="mb-6 bg-red-50 border border-red-200 rounded-lg p-4">
@@ -191,7 +208,7 @@ const Dashboard = () => {
       {/* Stats Cards */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
         {statCards.map((stat, index) => (
-          <div key={index} className="bg-white rounded-lg shadow-md p-6 border border-gray-200">
+          <div key={index} className="bg-surface rounded-lg shadow-md p-6 border border-gray-200">
             <div className="flex items-center justify-between">
               <div>
                 <p className="text-sm font-medium text-gray-600">{stat.title}</p>
@@ -213,7 +230,7 @@ const Dashboard = () => {
       </div>
 
       {/* Claim Search Section */}
-      <div className="bg-white rounded-lg shadow-md border border-gray-200">
+      <div className="bg-surface rounded-lg shadow-md border border-gray-200">
         <div className="px-6 py-4 border-b border-gray-200">
           <h3 className="text-lg font-semibold text-gray-900">Search Claim by ID</h3>
           <p className="text-sm text-gray-600 mt-1">Enter a claim ID to retrieve specific claim details</p>
@@ -276,11 +293,19 @@ const Dashboard = () => {
           {/* Search Result */}
           {searchedClaim && (
             <div className="bg-gray-50 rounded-lg p-6">
-              <h4 className="text-lg font-medium text-gray-900 mb-4">Claim Details</h4>
+              <div className="flex items-center justify-between mb-4">
+                <h4 className="text-lg font-medium text-gray-900">Claim Details</h4>
+                <Link
+                  to={`/claims/${searchedClaim.claim_id || searchedClaim.id}`}
+                  className="text-sm font-medium text-blue-600 hover:text-blue-900"
+                >
+                  Open full view
+                </Link>
+              </div>
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                 <div>
                   <label className="block text-sm font-medium text-gray-600">Claim ID</label>
-                  <p className="text-sm text-gray-900 font-mono bg-white px-2 py-1 rounded border">
+                  <p className="text-sm text-gray-900 font-mono bg-surface px-2 py-1 rounded border">
                     {searchedClaim.claim_id || searchedClaim.id || 'N/A'}
                   </p>
                 </div>
@@ -294,38 +319,38 @@ const Dashboard = () => {
                 </div>
                 <div>
                   <label className="block text-sm font-medium text-gray-600">Patient ID</label>
-                  <p className="text-sm text-gray-900 font-mono bg-white px-2 py-1 rounded border">
+                  <p className="text-sm text-gray-900 font-mono bg-surface px-2 py-1 rounded border">
                     {searchedClaim.patient_id || 'N/A'}
                   </p>
                 </div>
                 <div>
                   <label className="block text-sm font-medium text-gray-600">Policy ID</label>
-                  <p className="text-sm text-gray-900 font-mono bg-white px-2 py-1 rounded border">
+                  <p className="text-sm text-gray-900 font-mono bg-surface px-2 py-1 rounded border">
                     {searchedClaim.policy_id || 'N/A'}
                   </p>
                 </div>
                 <div>
                   <label className="block text-sm font-medium text-gray-600">Provider ID</label>
-                  <p className="text-sm text-gray-900 font-mono bg-white px-2 py-1 rounded border">
+                  <p className="text-sm text-gray-900 font-mono bg-surface px-2 py-1 rounded border">
                     {searchedClaim.provider_id || 'N/A'}
                   </p>
                 </div>
                 <div>
                   <label className="block text-sm font-medium text-gray-600">Submission Date</label>
-                  <p className="text-sm text-gray-900 bg-white px-2 py-1 rounded border">
+                  <p className="text-sm text-gray-900 bg-surface px-2 py-1 rounded border">
                     {searchedClaim.submission_date ? formatDate(searchedClaim.submission_date) : 'N/A'}
                   </p>
                 </div>
                 <div className="md:col-span-2">
                   <label className="block text-sm font-medium text-gray-600">Summary</label>
-                  <p className="text-sm text-gray-900 bg-white px-3 py-2 rounded border mt-1">
+                  <p className="text-sm text-gray-900 bg-surface px-3 py-2 rounded border mt-1">
                     {searchedClaim.summary || 'No summary available'}
                   </p>
                 </div>
                 {searchedClaim.reason_code && (
                   <div className="md:col-span-2">
                     <label className="block text-sm font-medium text-gray-600">Reason</label>
-                    <p className="text-sm text-gray-900 bg-white px-3 py-2 rounded border mt-1">
+                    <p className="text-sm text-gray-900 bg-surface px-3 py-2 rounded border mt-1">
                       <span className="font-medium">{searchedClaim.reason_code}</span>
                       {searchedClaim.reason_description && (
                         <span className="text-gray-600"> - {searchedClaim.reason_description}</span>
@@ -346,6 +371,14 @@ const Dashboard = () => {
           )}
         </div>
       </div>
+
+      {/* Batch Processing Modal */}
+      {showBatchProcessor && (
+        <BatchProcessor
+          isOpen={showBatchProcessor}
+          onClose={() => setShowBatchProcessor(false)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,81 @@
+import React from 'react';
+import { ArrowPathIcon } from '@heroicons/react/24/outline';
+import { formatDateOnly, formatCurrency, formatConfidenceScore } from '../utils/helpers';
+
+// Fields shown for each linked record; anything missing renders as N/A
+export const ENTITY_FIELDS = {
+  provider: [
+    { key: 'name', label: 'Name' },
+    { key: 'specialty', label: 'Specialty' },
+    { key: 'city', label: 'City' },
+    { key: 'provider_id', label: 'Provider ID', mono: true },
+  ],
+  risk: [
+    { key: 'risk_level', label: 'Risk Level' },
+    { key: 'risk_score', label: 'Risk Score', format: formatConfidenceScore },
+    { key: 'notes', label: 'Notes' },
+    { key: 'risk_id', label: 'Risk ID', mono: true },
+  ],
+  policy: [
+    { key: 'policy_number', label: 'Policy Number' },
+    { key: 'holder_name', label: 'Holder' },
+    { key: 'plan_type', label: 'Plan' },
+    { key: 'status', label: 'Status' },
+    { key: 'coverage_limit', label: 'Coverage Limit', format: formatCurrency },
+    { key: 'deductible', label: 'Deductible', format: formatCurrency },
+    { key: 'end_date', label: 'Coverage Ends', format: formatDateOnly },
+    { key: 'policy_id', label: 'Policy ID', mono: true },
+  ],
+  patient: [
+    { key: 'first_name', label: 'First Name' },
+    { key: 'last_name', label: 'Last Name' },
+    { key: 'date_of_birth', label: 'Date of Birth', format: formatDateOnly },
+    { key: 'gender', label: 'Gender' },
+    { key: 'patient_id', label: 'Patient ID', mono: true },
+  ],
+};
+
+export const emptyEntity = { loading: false, data: null, error: null };
+
+const EntityCard = ({ title, icon: Icon, entity, fields, missingLabel }) => (
+  <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-5">
+    <div className="flex items-center mb-4">
+      <Icon className="h-5 w-5 text-gray-500 mr-2" />
+      <h3 className="font-semibold text-gray-900">{title}</h3>
+    </div>
+
+    {entity.loading && (
+      <div className="flex items-center text-sm text-gray-500">
+        <ArrowPathIcon className="h-4 w-4 animate-spin mr-2" />
+        Loading...
+      </div>
+    )}
+
+    {entity.error && (
+      <p className="text-sm text-red-600">{entity.error}</p>
+    )}
+
+    {!entity.loading && !entity.error && !entity.data && (
+      <p className="text-sm text-gray-400 italic">{missingLabel}</p>
+    )}
+
+    {entity.data && (
+      <dl className="space-y-2">
+        {fields.map(({ key, label, format, mono }) => {
+          const value = entity.data[key];
+          const hasValue = value !== null && value !== undefined && value !== '';
+          return (
+            <div key={key}>
+              <dt className="text-xs font-medium text-gray-500">{label}</dt>
+              <dd className={`text-sm text-gray-900 break-all ${mono ? 'font-mono' : ''}`}>
+                {hasValue ? (format ? format(value) : String(value)) : 'N/A'}
+              </dd>
+            </div>
+          );
+        })}
+      </dl>
+    )}
+  </div>
+);
+
+export default EntityCard;
@@ -0,0 +1,296 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import {
+  MagnifyingGlassIcon,
+  XMarkIcon,
+  ArrowPathIcon,
+  BuildingOffice2Icon,
+  ShieldExclamationIcon,
+  DocumentTextIcon,
+  UserIcon,
+} from '@heroicons/react/24/outline';
+import { apiService } from '../services/api';
+import { formatDateOnly } from '../utils/helpers';
+import EntityCard, { ENTITY_FIELDS, emptyEntity } from './EntityCard';
+
+const MAX_SUGGESTIONS = 8;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// How each kind of record is listed, searched and previewed.
+// `loadOptions` receives the picker's `scope` (e.g. the chosen policy for patients).
+export const ENTITY_TYPES = {
+  policy: {
+    title: 'Policy',
+    icon: DocumentTextIcon,
+    idKey: 'policy_id',
+    loadOptions: () => apiService.getInsurancePolicies(0, 100),
+    fetchById: (id) => apiService.getInsurancePolicy(id),
+    getLabel: (policy) => policy.policy_number || policy.policy_id,
+    getSubtitle: (policy) => [policy.holder_name, policy.plan_type, policy.status].filter(Boolean).join(' · '),
+    previewFields: ENTITY_FIELDS.policy,
+  },
+  patient: {
+    title: 'Patient',
+    icon: UserIcon,
+    idKey: 'patient_id',
+    loadOptions: (policyId) => (policyId ? apiService.getPatientsByPolicy(policyId) : apiService.getPatients(0, 100)),
+    fetchById: (id) => apiService.getPatient(id),
+    getLabel: (patient) =>
+      [patient.first_name, patient.last_name].filter(Boolean).join(' ') || patient.patient_id,
+    getSubtitle: (patient) =>
+      [patient.date_of_birth && `born ${formatDateOnly(patient.date_of_birth)}`, patient.gender].filter(Boolean).join(' · '),
+    previewFields: ENTITY_FIELDS.patient,
+  },
+  provider: {
+    title: 'Provider',
+    icon: BuildingOffice2Icon,
+    idKey: 'provider_id',
+    loadOptions: () => apiService.getProviders(0, 100),
+    fetchById: (id) => apiService.getProvider(id),
+    getLabel: (provider) => provider.name || provider.provider_id,
+    getSubtitle: (provider) => [provider.specialty, provider.city].filter(Boolean).join(' · '),
+    previewFields: ENTITY_FIELDS.provider,
+  },
+  risk: {
+    title: 'Risk Rating',
+    icon: ShieldExclamationIcon,
+    idKey: 'risk_id',
+    fetchById: (id) => apiService.getRiskRating(id),
+    previewFields: ENTITY_FIELDS.risk,
+  },
+};
+
+// Preview card for the record behind an ID, so users can check they picked the right one
+export const EntityPreview = ({ type, id, record }) => {
+  const entityType = ENTITY_TYPES[type];
+  const [entity, setEntity] = useState(emptyEntity);
+
+  useEffect(() => {
+    if (record) {
+      setEntity({ loading: false, data: record, error: null });
+      return undefined;
+    }
+    if (!id || !UUID_PATTERN.test(id)) {
+      setEntity(emptyEntity);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setEntity({ loading: true, data: null, error: null });
+    entityType.fetchById(id)
+      .then(data => !cancelled && setEntity({ loading: false, data, error: null }))
+      .catch(error => !cancelled && setEntity({ loading: false, data: null, error: error.message }));
+    return () => { cancelled = true; };
+  }, [id, record, entityType]);
+
+  if (!id) return null;
+
+  return (
+    <div className="mt-2">
+      <EntityCard
+        title={entityType.title}
+        icon={entityType.icon}
+        entity={entity}
+        fields={entityType.previewFields}
+        missingLabel="Enter a valid ID to see a preview"
+      />
+    </div>
+  );
+};
+
+// Searchable typeahead over a list endpoint. Emits the same change event shape
+// as a native input ({ target: { name, value } }) so forms can treat it like one.
+const EntityPicker = ({ type, name, config, value, errors, onChange, onSelect, scope, disabled }) => {
+  const entityType = ENTITY_TYPES[type];
+  const [options, setOptions] = useState([]);
+  const [optionsLoading, setOptionsLoading] = useState(false);
+  const [optionsError, setOptionsError] = useState(null);
+  const [query, setQuery] = useState('');
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+  const containerRef = useRef(null);
+  const hasError = errors && errors.length > 0;
+
+  useEffect(() => {
+    let cancelled = false;
+    setOptionsLoading(true);
+    setOptionsError(null);
+    entityType.loadOptions(scope)
+      .then(data => !cancelled && setOptions(data))
+      .catch(error => !cancelled && setOptionsError(error.message))
+      .finally(() => !cancelled && setOptionsLoading(false));
+    return () => { cancelled = true; };
+  }, [entityType, scope]);
+
+  // Close the suggestion list when focus moves elsewhere on the page
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const selected = options.find(option => option[entityType.idKey] === value) || null;
+
+  const suggestions = useMemo(() => {
+    const term = query.trim().toLowerCase();
+    const matches = term
+      ? options.filter(option =>
+          [entityType.getLabel(option), entityType.getSubtitle(option), option[entityType.idKey]]
+            .some(text => (text || '').toLowerCase().includes(term)))
+      : options;
+    return matches.slice(0, MAX_SUGGESTIONS);
+  }, [options, query, entityType]);
+
+  const emitChange = (id, record) => {
+    onChange({ target: { name, value: id } });
+    if (onSelect) onSelect(record);
+  };
+
+  const choose = (record) => {
+    emitChange(record[entityType.idKey], record);
+    setQuery('');
+    setOpen(false);
+  };
+
+  const clear = () => {
+    emitChange('', null);
+    setQuery('');
+  };
+
+  // Records beyond the first page can still be picked by pasting their ID
+  const pastedId = UUID_PATTERN.test(query.trim()) && suggestions.length === 0 ? query.trim() : null;
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setOpen(true);
+      setHighlighted(prev => Math.min(prev + 1, suggestions.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted(prev => Math.max(prev - 1, 0));
+    } else if (e.key === 'Enter' && open) {
+      e.preventDefault();
+      if (suggestions[highlighted]) choose(suggestions[highlighted]);
+      else if (pastedId) {
+        emitChange(pastedId, null);
+        setQuery('');
+        setOpen(false);
+      }
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="mb-4" ref={containerRef}>
+      <label htmlFor={name} className="block text-sm font-medium text-gray-700 mb-1">
+        {config.label} {config.required && <span className="text-red-500">*</span>}
+      </label>
+
+      {value ? (
+        <div className={`flex items-center justify-between input-field bg-gray-50 ${hasError ? 'border-red-500' : ''}`}>
+          <div className="min-w-0">
+            <p className="text-sm font-medium text-gray-900 truncate">
+              {selected ? entityType.getLabel(selected) : value}
+            </p>
+            {selected && (
+              <p className="text-xs text-gray-500 truncate">{entityType.getSubtitle(selected)}</p>
+            )}
+          </div>
+          <button
+            type="button"
+            onClick={clear}
+            disabled={disabled}
+            className="ml-2 text-gray-400 hover:text-gray-600"
+            aria-label={`Clear ${config.label}`}
+          >
+            <XMarkIcon className="h-5 w-5" />
+          </button>
+        </div>
+      ) : (
+        <div className="relative">
+          <MagnifyingGlassIcon className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+          <input
+            type="text"
+            id={name}
+            value={query}
+            onChange={(e) => {
+              setQuery(e.target.value);
+              setHighlighted(0);
+              setOpen(true);
+            }}
+            onFocus={() => setOpen(true)}
+            onKeyDown={handleKeyDown}
+            placeholder={config.placeholder || `Search ${config.label.toLowerCase()}...`}
+            className={`input-field pl-9 ${hasError ? 'border-red-500' : ''}`}
+            disabled={disabled}
+            autoComplete="off"
+            role="combobox"
+            aria-expanded={open}
+            aria-controls={`${name}-suggestions`}
+          />
+          {optionsLoading && (
+            <ArrowPathIcon className="absolute right-3 top-1/2 transform -translate-y-1/2 h-4 w-4 animate-spin text-gray-400" />
+          )}
+
+          {open && !optionsLoading && (
+            <ul
+              id={`${name}-suggestions`}
+              role="listbox"
+              className="absolute z-10 mt-1 w-full bg-surface border border-gray-200 rounded-lg shadow-lg max-h-72 overflow-y-auto"
+            >
+              {suggestions.map((option, index) => (
+                <li
+                  key={option[entityType.idKey]}
+                  role="option"
+                  aria-selected={index === highlighted}
+                  onMouseDown={(e) => {
+                    e.preventDefault();
+                    choose(option);
+                  }}
+                  onMouseEnter={() => setHighlighted(index)}
+                  className={`px-3 py-2 cursor-pointer ${index === highlighted ? 'bg-blue-50' : ''}`}
+                >
+                  <p className="text-sm font-medium text-gray-900">{entityType.getLabel(option)}</p>
+                  <p className="text-xs text-gray-500">{entityType.getSubtitle(option)}</p>
+                </li>
+              ))}
+              {pastedId && (
+                <li
+                  role="option"
+                  aria-selected={false}
+                  onMouseDown={(e) => {
+                    e.preventDefault();
+                    emitChange(pastedId, null);
+                    setQuery('');
+                    setOpen(false);
+                  }}
+                  className="px-3 py-2 cursor-pointer text-sm text-blue-700 hover:bg-blue-50"
+                >
+                  Use ID {pastedId}
+                </li>
+              )}
+              {suggestions.length === 0 && !pastedId && (
+                <li className="px-3 py-2 text-sm text-gray-500">
+                  {optionsError || config.emptyMessage || 'No matches'}
+                </li>
+              )}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {config.description && (
+        <p className="text-xs text-gray-500 mt-1">{config.description}</p>
+      )}
+      {hasError && (
+        <p className="text-red-500 text-xs mt-1">{errors[0]}</p>
+      )}
+
+      <EntityPreview type={type} id={value} record={selected} />
+    </div>
+  );
+};
+
+export default EntityPicker;
@@ -0,0 +1,22 @@
+import React from 'react';
+import { ServerStackIcon } from '@heroicons/react/24/outline';
+import { ENVIRONMENT_COLORS } from '../services/environments';
+import { useEnvironments } from '../services/useClaimsApi';
+
+// Strip in the active environment profile's colour, so staging or UAT data is
+// never mistaken for another environment's. Profiles coloured 'none' show nothing.
+const EnvironmentBanner = () => {
+  const { active } = useEnvironments();
+  const color = ENVIRONMENT_COLORS[active.color] || ENVIRONMENT_COLORS.none;
+  if (!color.banner) return null;
+
+  return (
+    <div className={`${color.banner} px-4 py-1 text-sm flex items-center justify-center space-x-2`} role="status">
+      <ServerStackIcon className="h-4 w-4" />
+      <span className="font-semibold uppercase tracking-wide">{active.name}</span>
+      <span className="opacity-80 truncate">{active.apiBaseUrl || 'development proxy'}</span>
+    </div>
+  );
+};
+
+export default EnvironmentBanner;
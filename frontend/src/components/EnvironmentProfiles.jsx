@@ -0,0 +1,273 @@
+import React, { useState } from 'react';
+import {
+  ServerStackIcon,
+  PlusIcon,
+  PencilSquareIcon,
+  TrashIcon,
+  EyeIcon,
+  EyeSlashIcon,
+} from '@heroicons/react/24/outline';
+import { useApp } from '../contexts/AppContext';
+import {
+  ENVIRONMENT_COLORS,
+  deleteEnvironment,
+  saveEnvironment,
+  setActiveEnvironment,
+} from '../services/environments';
+import { getCredential } from '../services/credentials';
+import { hasOutboxEntries } from '../services/outbox';
+import { useAuth, useEnvironments } from '../services/useClaimsApi';
+import { validateApiKey, validateUrl } from '../utils/helpers';
+import { PAGE_SIZE_OPTIONS } from './Pagination';
+import toast from 'react-hot-toast';
+
+const emptyProfile = { name: '', apiBaseUrl: '', apiKey: '', pageSize: 25, color: 'blue' };
+
+// Settings card listing the environment profiles, with a form to add or edit one
+const EnvironmentProfiles = () => {
+  const { state } = useApp();
+  const { activeId, profiles } = useEnvironments();
+  const auth = useAuth();
+  // Profile being edited; `id` is absent for a new one
+  const [editing, setEditing] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [showApiKey, setShowApiKey] = useState(false);
+
+  const busy = state.batchProcessing.inProgress;
+
+  // Keys are not part of the profile list; the form shows this tab's copy
+  const startEditing = (profile) => {
+    setEditing({ ...profile, apiKey: profile.id ? getCredential(profile.id) : '' });
+    setErrors({});
+    setShowApiKey(false);
+  };
+
+  const handleChange = (key, value) => {
+    setEditing(prev => ({ ...prev, [key]: value }));
+    if (errors[key]) setErrors(prev => ({ ...prev, [key]: null }));
+  };
+
+  const validate = () => {
+    const next = {};
+    const name = editing.name.trim();
+    if (!name) {
+      next.name = 'Name is required';
+    } else if (profiles.some(profile => profile.id !== editing.id && profile.name.toLowerCase() === name.toLowerCase())) {
+      next.name = 'Another environment already has this name';
+    }
+
+    // Blank means the development proxy
+    const urlValidation = editing.apiBaseUrl ? validateUrl(editing.apiBaseUrl) : { isValid: true };
+    if (!urlValidation.isValid) next.apiBaseUrl = urlValidation.error;
+
+    const keyValidation = auth.enabled || !editing.apiKey ? { isValid: true } : validateApiKey(editing.apiKey);
+    if (!keyValidation.isValid) next.apiKey = keyValidation.error;
+
+    setErrors(next);
+    return Object.keys(next).length === 0;
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!validate()) return;
+    const saved = saveEnvironment({ ...editing, pageSize: Number(editing.pageSize) });
+    toast.success(`${saved.name} saved`);
+    setEditing(null);
+  };
+
+  const handleDelete = (profile) => {
+    if (hasOutboxEntries(profile.id)) {
+      toast.error(`${profile.name} has changes waiting to sync. Switch to it and sync or discard them first.`);
+      return;
+    }
+    if (!window.confirm(`Delete the ${profile.name} environment and the recent claims and drafts saved for it?`)) return;
+    deleteEnvironment(profile.id);
+    toast.success(`${profile.name} deleted`);
+  };
+
+  const handleSwitch = (profile) => {
+    setActiveEnvironment(profile.id);
+    toast.success(`Switched to ${profile.name}`);
+  };
+
+  return (
+    <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center">
+          <ServerStackIcon className="h-6 w-6 text-gray-600 mr-2" />
+          <h2 className="text-xl font-semibold text-gray-900">Environments</h2>
+        </div>
+        {!editing && (
+          <button
+            type="button"
+            onClick={() => startEditing(emptyProfile)}
+            className="btn-secondary flex items-center space-x-2"
+          >
+            <PlusIcon className="h-4 w-4" />
+            <span>Add Environment</span>
+          </button>
+        )}
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        Each environment keeps its own recent claims, drafts, cached data and sync queue.
+        Switch from the navigation bar.
+      </p>
+
+      <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+        {profiles.map(profile => {
+          const isActive = profile.id === activeId;
+          const color = ENVIRONMENT_COLORS[profile.color] || ENVIRONMENT_COLORS.none;
+          return (
+            <li key={profile.id} className="flex items-center justify-between px-4 py-3">
+              <div className="flex items-center min-w-0">
+                <span className={`h-3 w-3 rounded-full mr-3 flex-shrink-0 ${color.dot}`} title={color.label} />
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900">
+                    {profile.name}
+                    {isActive && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">Active</span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500 truncate">
+                    {profile.apiBaseUrl || 'Development proxy'} · {profile.pageSize} per page
+                  </p>
+                </div>
+              </div>
+              <div className="flex items-center space-x-2 flex-shrink-0">
+                {!isActive && (
+                  <button
+                    type="button"
+                    onClick={() => handleSwitch(profile)}
+                    disabled={busy}
+                    className="text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                    title={busy ? 'Wait for the batch run to finish before switching environments' : undefined}
+                  >
+                    Switch
+                  </button>
+                )}
+                <button
+                  type="button"
+                  onClick={() => startEditing(profile)}
+                  className="p-1 text-gray-400 hover:text-gray-600"
+                  aria-label={`Edit ${profile.name}`}
+                >
+                  <PencilSquareIcon className="h-5 w-5" />
+                </button>
+                {!isActive && (
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(profile)}
+                    className="p-1 text-gray-400 hover:text-red-600"
+                    aria-label={`Delete ${profile.name}`}
+                  >
+                    <TrashIcon className="h-5 w-5" />
+                  </button>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      {editing && (
+        <form onSubmit={handleSave} className="mt-4 space-y-4 border-t border-gray-200 pt-4">
+          <h3 className="text-sm font-semibold text-gray-900">
+            {editing.id ? `Edit ${profiles.find(profile => profile.id === editing.id)?.name}` : 'New Environment'}
+          </h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="environmentName" className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input
+                id="environmentName"
+                type="text"
+                value={editing.name}
+                onChange={(e) => handleChange('name', e.target.value)}
+                placeholder="Staging"
+                className={`w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+                  errors.name ? 'border-red-300' : 'border-gray-300'
+                }`}
+              />
+              {errors.name && <p className="mt-1 text-sm text-red-600">{errors.name}</p>}
+            </div>
+            <div>
+              <label htmlFor="environmentUrl" className="block text-sm font-medium text-gray-700 mb-1">API Base URL</label>
+              <input
+                id="environmentUrl"
+                type="url"
+                value={editing.apiBaseUrl}
+                onChange={(e) => handleChange('apiBaseUrl', e.target.value)}
+                placeholder="https://claims-staging.example.com"
+                className={`w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+                  errors.apiBaseUrl ? 'border-red-300' : 'border-gray-300'
+                }`}
+              />
+              {errors.apiBaseUrl
+                ? <p className="mt-1 text-sm text-red-600">{errors.apiBaseUrl}</p>
+                : <p className="mt-1 text-sm text-gray-500">Leave blank to use the development proxy</p>}
+            </div>
+            {!auth.enabled && (
+              <div>
+                <label htmlFor="environmentApiKey" className="block text-sm font-medium text-gray-700 mb-1">API Key</label>
+                <div className="relative">
+                  <input
+                    id="environmentApiKey"
+                    type={showApiKey ? 'text' : 'password'}
+                    value={editing.apiKey}
+                    onChange={(e) => handleChange('apiKey', e.target.value)}
+                    autoComplete="off"
+                    className={`w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 pr-10 ${
+                      errors.apiKey ? 'border-red-300' : 'border-gray-300'
+                    }`}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setShowApiKey(!showApiKey)}
+                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                    aria-label={showApiKey ? 'Hide API key' : 'Show API key'}
+                  >
+                    {showApiKey ? <EyeSlashIcon className="h-5 w-5 text-gray-400" /> : <EyeIcon className="h-5 w-5 text-gray-400" />}
+                  </button>
+                </div>
+                {errors.apiKey
+                  ? <p className="mt-1 text-sm text-red-600">{errors.apiKey}</p>
+                  : <p className="mt-1 text-sm text-gray-500">Kept for this tab only. Leave blank for the built-in key.</p>}
+              </div>
+            )}
+            <div>
+              <label htmlFor="environmentPageSize" className="block text-sm font-medium text-gray-700 mb-1">Default Page Size</label>
+              <select
+                id="environmentPageSize"
+                value={editing.pageSize}
+                onChange={(e) => handleChange('pageSize', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                {PAGE_SIZE_OPTIONS.map(size => (
+                  <option key={size} value={size}>{size}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="environmentColor" className="block text-sm font-medium text-gray-700 mb-1">Banner Colour</label>
+              <select
+                id="environmentColor"
+                value={editing.color}
+                onChange={(e) => handleChange('color', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                {Object.entries(ENVIRONMENT_COLORS).map(([key, { label }]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="flex justify-end space-x-2">
+            <button type="button" onClick={() => setEditing(null)} className="btn-secondary">Cancel</button>
+            <button type="submit" className="btn-primary">Save Environment</button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default EnvironmentProfiles;
@@ -0,0 +1,105 @@
+import React from 'react';
+
+// Renders one field from a *_FORM_FIELDS config (see services/claimsFormUtils)
+const FormField = ({ name, config, value, errors, onChange, disabled }) => {
+  const hasError = errors && errors.length > 0;
+  const inputClasses = `input-field ${hasError ? 'border-red-500' : ''}`;
+
+  if (config.type === 'checkbox') {
+    return (
+      <div className="mb-4">
+        <label className="flex items-center">
+          <input
+            type="checkbox"
+            name={name}
+            checked={value || false}
+            onChange={onChange}
+            className="mr-2"
+            disabled={disabled}
+          />
+          <span className="text-sm font-medium text-gray-700">
+            {config.label}
+          </span>
+        </label>
+        {config.description && (
+          <p className="text-xs text-gray-500 ml-6">{config.description}</p>
+        )}
+        {hasError && (
+          <p className="text-red-500 text-xs ml-6">{errors[0]}</p>
+        )}
+      </div>
+    );
+  }
+
+  let control;
+  switch (config.type) {
+    case 'textarea':
+      control = (
+        <textarea
+          id={name}
+          name={name}
+          value={value || ''}
+          onChange={onChange}
+          placeholder={config.placeholder}
+          className={inputClasses}
+          rows={3}
+          required={config.required}
+          disabled={disabled}
+        />
+      );
+      break;
+
+    case 'select':
+      control = (
+        <select
+          id={name}
+          name={name}
+          value={value || ''}
+          onChange={onChange}
+          className={inputClasses}
+          required={config.required}
+          disabled={disabled}
+        >
+          <option value="">Select {config.label}</option>
+          {config.options.map(option => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      );
+      break;
+
+    default:
+      control = (
+        <input
+          type={config.type}
+          id={name}
+          name={name}
+          value={value || ''}
+          onChange={onChange}
+          placeholder={config.placeholder}
+          className={inputClasses}
+          required={config.required}
+          disabled={disabled}
+        />
+      );
+  }
+
+  return (
+    <div className="mb-4">
+      <label htmlFor={name} className="block text-sm font-medium text-gray-700 mb-1">
+        {config.label} {config.required && <span className="text-red-500">*</span>}
+      </label>
+      {control}
+      {config.description && (
+        <p className="text-xs text-gray-500 mt-1">{config.description}</p>
+      )}
+      {hasError && (
+        <p className="text-red-500 text-xs mt-1">{errors[0]}</p>
+      )}
+    </div>
+  );
+};
+
+export default FormField;
@@ -0,0 +1,107 @@
+import React from 'react';
+import { parseMarkdown } from '../utils/markdown';
+
+// Renders model-generated text as safe Markdown (see utils/markdown.js). The
+// parsed tree becomes React elements, so nothing in the text is ever treated as HTML.
+
+const HEADING_CLASSES = 'font-semibold text-gray-900 mt-3 mb-1';
+
+const renderInline = (nodes) => nodes.map((node, index) => {
+  switch (node.type) {
+    case 'text': return <React.Fragment key={index}>{node.value}</React.Fragment>;
+    case 'break': return <br key={index} />;
+    case 'code': return <code key={index} className="px-1 py-0.5 bg-gray-100 rounded text-sm font-mono">{node.value}</code>;
+    case 'strong': return <strong key={index} className="font-semibold">{renderInline(node.children)}</strong>;
+    case 'emphasis': return <em key={index}>{renderInline(node.children)}</em>;
+    case 'link':
+      return (
+        <a key={index} href={node.href} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800 underline">
+          {renderInline(node.children)}
+        </a>
+      );
+    default: return null;
+  }
+});
+
+// List items are tight: a paragraph inside one renders without its own margins
+const renderBlocks = (blocks, tight = false) => blocks.map((block, index) => {
+  switch (block.type) {
+    case 'heading': {
+      const Tag = `h${Math.min(6, block.level + 3)}`;
+      return <Tag key={index} className={HEADING_CLASSES}>{renderInline(block.children)}</Tag>;
+    }
+    case 'paragraph':
+      return tight
+        ? <React.Fragment key={index}>{renderInline(block.children)}</React.Fragment>
+        : <p key={index} className="mb-2 last:mb-0">{renderInline(block.children)}</p>;
+    case 'code':
+      return (
+        <pre key={index} className="mb-2 p-3 bg-gray-100 rounded text-sm font-mono whitespace-pre-wrap">
+          {block.value}
+        </pre>
+      );
+    case 'rule': return <hr key={index} className="my-3 border-gray-200" />;
+    case 'quote':
+      return (
+        <blockquote key={index} className="mb-2 pl-3 border-l-4 border-gray-200 text-gray-600">
+          {renderBlocks(block.blocks)}
+        </blockquote>
+      );
+    case 'list': {
+      const ListTag = block.ordered ? 'ol' : 'ul';
+      return (
+        <ListTag
+          key={index}
+          start={block.ordered ? block.start : undefined}
+          className={`mb-2 pl-6 space-y-1 ${block.ordered ? 'list-decimal' : 'list-disc'}`}
+        >
+          {block.items.map((item, itemIndex) => (
+            <li key={itemIndex}>{renderBlocks(item.blocks, true)}</li>
+          ))}
+        </ListTag>
+      );
+    }
+    case 'table':
+      return (
+        <div key={index} className="mb-2 overflow-x-auto">
+          <table className="min-w-full text-sm border border-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                {block.header.map((cell, column) => (
+                  <th
+                    key={column}
+                    className="px-3 py-2 font-medium text-gray-700 border-b border-gray-200 text-left"
+                    style={block.align[column] ? { textAlign: block.align[column] } : undefined}
+                  >
+                    {renderInline(cell)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {block.rows.map((row, rowIndex) => (
+                <tr key={rowIndex} className="border-b border-gray-100 last:border-0">
+                  {row.map((cell, column) => (
+                    <td
+                      key={column}
+                      className="px-3 py-2"
+                      style={block.align[column] ? { textAlign: block.align[column] } : undefined}
+                    >
+                      {renderInline(cell)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      );
+    default: return null;
+  }
+});
+
+const MarkdownContent = ({ text, className = '' }) => (
+  <div className={className}>{renderBlocks(parseMarkdown(text))}</div>
+);
+
+export default MarkdownContent;
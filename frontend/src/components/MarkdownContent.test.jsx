@@ -0,0 +1,14 @@
+import { render, screen } from '@testing-library/react';
+import MarkdownContent from './MarkdownContent';
+
+test('renders Markdown as elements and HTML in the text as text', () => {
+  const { container } = render(
+    <MarkdownContent text={'**Covered** <img src=x onerror="alert(1)">\n\n- [policy](https://example.com/p)\n- [bad](javascript:alert)'} />
+  );
+
+  expect(screen.getByText('Covered').tagName).toBe('STRONG');
+  expect(screen.queryByRole('img')).toBeNull();
+  expect(container).toHaveTextContent('<img src=x onerror="alert(1)">');
+  expect(screen.getByRole('link', { name: 'policy' })).toHaveAttribute('href', 'https://example.com/p');
+  expect(screen.queryByRole('link', { name: 'bad' })).toBeNull();
+});
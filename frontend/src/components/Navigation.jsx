@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import {
   HomeIcon,
@@ -10,23 +10,188 @@ import {
   XMarkIcon,
   DocumentTextIcon,
   UserGroupIcon,
+  ShieldCheckIcon,
+  BuildingOffice2Icon,
+  ArrowUpTrayIcon,
+  CloudArrowUpIcon,
+  SunIcon,
+  MoonIcon,
+  ComputerDesktopIcon,
+  UserCircleIcon,
+  ArrowRightStartOnRectangleIcon,
+  LockClosedIcon,
 } from '@heroicons/react/24/outline';
+import { useApp } from '../contexts/AppContext';
+import { useAuth, useEnvironments, useOutbox, useSessionLock } from '../services/useClaimsApi';
+import { ROLE_LABELS } from '../services/auth';
+import { ENVIRONMENT_COLORS, setActiveEnvironment } from '../services/environments';
+import { THEMES } from '../services/theme';
+import { subscribeOutbox, OUTBOX_OPERATIONS } from '../services/outbox';
+import toast from 'react-hot-toast';
+
+// Detail and create pages (e.g. /patients/new) keep their section highlighted
+const isActivePath = (pathname, href) =>
+  href === '/' ? pathname === '/' : pathname === href || pathname.startsWith(`${href}/`);
+
+const SYNC_EVENT_MESSAGES = {
+  synced: (entry) => (entry.operation === OUTBOX_OPERATIONS.submitClaim
+    ? 'Queued claim submitted'
+    : `Queued update synced: claim set to ${entry.payload.status}`),
+  conflict: () => 'A queued update conflicts with a change on the server',
+  failed: (entry) => `The backend rejected a queued change: ${entry.lastError}`,
+};
+
+// "N pending sync" badge for the offline outbox; hidden while it is empty
+const SyncIndicator = () => {
+  const { entries, syncing, pendingCount, attentionCount } = useOutbox();
+
+  // Tell the user as queued changes reach (or are refused by) the backend
+  useEffect(() => subscribeOutbox((outbox, event) => {
+    if (!event) return;
+    const message = SYNC_EVENT_MESSAGES[event.type](event.entry);
+    if (event.type === 'synced') toast.success(message);
+    else toast.error(message);
+  }), []);
+
+  if (entries.length === 0) return null;
+
+  return (
+    <Link
+      to="/sync"
+      className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium ${
+        attentionCount > 0 ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'
+      }`}
+      title="View the sync queue"
+    >
+      <CloudArrowUpIcon className={`w-4 h-4 mr-1 ${syncing ? 'animate-pulse' : ''}`} />
+      {pendingCount > 0 && `${pendingCount} pending sync`}
+      {pendingCount > 0 && attentionCount > 0 && ' · '}
+      {attentionCount > 0 && `${attentionCount} need${attentionCount === 1 ? 's' : ''} attention`}
+    </Link>
+  );
+};
+
+const THEME_OPTIONS = {
+  light: { label: 'Light', icon: SunIcon },
+  dark: { label: 'Dark', icon: MoonIcon },
+  system: { label: 'System', icon: ComputerDesktopIcon },
+};
+
+// Cycles light → dark → system; Settings has the same choice as a select
+const ThemeToggle = () => {
+  const { state, actions } = useApp();
+  const theme = THEME_OPTIONS[state.settings.theme] ? state.settings.theme : 'system';
+  const nextTheme = THEMES[(THEMES.indexOf(theme) + 1) % THEMES.length];
+  const { label, icon: Icon } = THEME_OPTIONS[theme];
+
+  return (
+    <button
+      type="button"
+      onClick={() => actions.updateSettings({ theme: nextTheme })}
+      className="p-2 rounded-md text-gray-400 hover:text-gray-500 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-inset focus:ring-blue-500"
+      title={`Theme: ${label} (switch to ${THEME_OPTIONS[nextTheme].label.toLowerCase()})`}
+      aria-label={`Theme: ${label}. Switch to ${THEME_OPTIONS[nextTheme].label.toLowerCase()}`}
+    >
+      <Icon className="h-5 w-5" />
+    </button>
+  );
+};
+
+// Quick switch between environment profiles; hidden while there is only one.
+// A running batch would be cut off, so switching waits for it.
+const EnvironmentSwitcher = () => {
+  const { state } = useApp();
+  const { activeId, active, profiles } = useEnvironments();
+  if (profiles.length < 2) return null;
+
+  const busy = state.batchProcessing.inProgress;
+  const dot = (ENVIRONMENT_COLORS[active.color] || ENVIRONMENT_COLORS.none).dot;
+
+  return (
+    <div className="flex items-center" title={busy ? 'Wait for the batch run to finish before switching environments' : 'Environment'}>
+      <span className={`h-2.5 w-2.5 rounded-full mr-2 ${dot}`} />
+      <select
+        value={activeId}
+        onChange={(e) => setActiveEnvironment(e.target.value)}
+        disabled={busy}
+        className="text-sm border border-gray-300 rounded-md py-1 pl-2 pr-8 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:opacity-50"
+        aria-label="Environment"
+      >
+        {profiles.map(profile => (
+          <option key={profile.id} value={profile.id}>{profile.name}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+// Lock the app before stepping away; hidden when there is nothing to unlock
+// with. See services/sessionLock.js
+const LockButton = () => {
+  const { lock, canLock } = useSessionLock();
+  if (!canLock) return null;
+
+  return (
+    <button
+      type="button"
+      onClick={() => lock('Locked.')}
+      className="p-2 rounded-md text-gray-400 hover:text-gray-500 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-inset focus:ring-blue-500"
+      title="Lock"
+      aria-label="Lock"
+    >
+      <LockClosedIcon className="h-5 w-5" />
+    </button>
+  );
+};
+
+// Signed-in user with their roles and a sign-out button; hidden without sign-in
+const UserMenu = () => {
+  const { enabled, user, signOut } = useAuth();
+  if (!enabled || !user) return null;
+
+  const roles = user.roles.map(role => ROLE_LABELS[role] || role).join(', ');
+
+  return (
+    <div className="flex items-center space-x-2">
+      <div className="hidden sm:flex items-center text-sm text-gray-700" title={user.email || undefined}>
+        <UserCircleIcon className="h-5 w-5 text-gray-400 mr-1" />
+        <span className="font-medium">{user.name}</span>
+        {roles && <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">{roles}</span>}
+      </div>
+      <button
+        type="button"
+        onClick={signOut}
+        className="p-2 rounded-md text-gray-400 hover:text-gray-500 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-inset focus:ring-blue-500"
+        title="Sign out"
+        aria-label="Sign out"
+      >
+        <ArrowRightStartOnRectangleIcon className="h-5 w-5" />
+      </button>
+    </div>
+  );
+};
 
 const Navigation = () => {
   const [isOpen, setIsOpen] = useState(false);
   const location = useLocation();
+  const { can } = useAuth();
 
+  // Items with a `permission` only show for roles that have it
   const navigation = [
     { name: 'Dashboard', href: '/', icon: HomeIcon },
     { name: 'Analytics', href: '/analytics', icon: ChartBarIcon },
-    { name: 'Submit Claim', href: '/submit', icon: DocumentTextIcon },
-    { name: 'Process Claims', href: '/process', icon: DocumentCheckIcon },
+    { name: 'Submit Claim', href: '/submit', icon: DocumentTextIcon, permission: 'submitClaims' },
+    { name: 'Import Claims', href: '/import', icon: ArrowUpTrayIcon, permission: 'submitClaims' },
+    { name: 'Process Claims', href: '/process', icon: DocumentCheckIcon, permission: 'processClaims' },
     { name: 'Claims History', href: '/history', icon: ClockIcon },
+    { name: 'Patients', href: '/patients', icon: UserGroupIcon },
+    { name: 'Policies', href: '/policies', icon: ShieldCheckIcon },
+    { name: 'Providers', href: '/providers', icon: BuildingOffice2Icon },
     { name: 'Backend Test', href: '/test', icon: Cog6ToothIcon },
-  ];
+  ].filter(item => !item.permission || can(item.permission));
 
   return (
-    <nav className="bg-white shadow-lg">
+    <nav className="bg-surface shadow-lg">
       <div className="max-w-7xl mx-auto px-4">
         <div className="flex justify-between h-16">
           <div className="flex">
@@ -36,7 +201,7 @@ const Navigation = () => {
             <div className="hidden md:ml-6 md:flex md:space-x-8">
               {navigation.map((item) => {
                 const Icon = item.icon;
-                const isActive = location.pathname === item.href;
+                const isActive = isActivePath(location.pathname, item.href);
                 return (
                   <Link
                     key={item.name}
@@ -54,17 +219,24 @@ const Navigation = () => {
               })}
             </div>
           </div>
-          <div className="md:hidden flex items-center">
-            <button
-              onClick={() => setIsOpen(!isOpen)}
-              className="inline-flex items-center justify-center p-2 rounded-md text-gray-400 hover:text-gray-500 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-inset focus:ring-blue-500"
-            >
-              {isOpen ? (
-                <XMarkIcon className="block h-6 w-6" />
-              ) : (
-                <Bars3Icon className="block h-6 w-6" />
-              )}
-            </button>
+          <div className="flex items-center space-x-2">
+            <EnvironmentSwitcher />
+            <SyncIndicator />
+            <ThemeToggle />
+            <LockButton />
+            <UserMenu />
+            <div className="md:hidden flex items-center">
+              <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="inline-flex items-center justify-center p-2 rounded-md text-gray-400 hover:text-gray-500 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-inset focus:ring-blue-500"
+              >
+                {isOpen ? (
+                  <XMarkIcon className="block h-6 w-6" />
+                ) : (
+                  <Bars3Icon className="block h-6 w-6" />
+                )}
+              </button>
+            </div>
           </div>
         </div>
       </div>
@@ -75,7 +247,7 @@ const Navigation = () => {
           <div className="pt-2 pb-3 space-y-1">
             {navigation.map((item) => {
               const Icon = item.icon;
-              const isActive = location.pathname === item.href;
+              const isActive = isActivePath(location.pathname, item.href);
               return (
                 <Link
                   key={item.name}
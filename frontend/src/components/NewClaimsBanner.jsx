@@ -0,0 +1,26 @@
+import React from 'react';
+import { ArrowUpIcon } from '@heroicons/react/24/outline';
+
+// "N new claims" notice from auto refresh. New claims are only listed once the
+// user asks, so rows do not shift while they are being read.
+const NewClaimsBanner = ({ count, onShow }) => {
+  if (count === 0) return null;
+
+  return (
+    <div className="mb-6 bg-blue-50 border border-blue-200 rounded-lg p-3 flex items-center justify-between">
+      <p className="text-sm text-blue-800">
+        {count} new {count === 1 ? 'claim' : 'claims'} since this page was loaded
+      </p>
+      <button
+        type="button"
+        onClick={onShow}
+        className="flex items-center space-x-1 text-sm font-medium text-blue-700 hover:text-blue-900"
+      >
+        <ArrowUpIcon className="h-4 w-4" />
+        <span>Show</span>
+      </button>
+    </div>
+  );
+};
+
+export default NewClaimsBanner;
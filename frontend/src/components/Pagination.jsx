@@ -0,0 +1,63 @@
+import React from 'react';
+import { ChevronLeftIcon, ChevronRightIcon } from '@heroicons/react/24/outline';
+
+export const PAGE_SIZE_OPTIONS = [10, 25, 50, 100];
+
+// Skip/limit pagination. Without a `total` (list endpoints that do not report one)
+// a full page means there may be more and a short page means this is the last one.
+const Pagination = ({ page, pageSize, itemCount, total, hasMore, onPageChange, onPageSizeChange, loading }) => {
+  const firstItem = itemCount === 0 ? 0 : page * pageSize + 1;
+  const lastItem = page * pageSize + itemCount;
+  const hasTotal = typeof total === 'number';
+  const pageCount = hasTotal ? Math.max(1, Math.ceil(total / pageSize)) : null;
+
+  return (
+    <div className="flex flex-col sm:flex-row items-center justify-between gap-3 px-6 py-3 border-t border-gray-200 bg-gray-50">
+      <div className="flex items-center space-x-4 text-sm text-gray-600">
+        <span>
+          {itemCount === 0
+            ? 'No results'
+            : `Showing ${firstItem}–${lastItem}${hasTotal ? ` of ${total}` : ''}`}
+        </span>
+        {onPageSizeChange && (
+          <label className="flex items-center space-x-2">
+            <span>Per page</span>
+            <select
+              value={pageSize}
+              onChange={(e) => onPageSizeChange(Number(e.target.value))}
+              className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+              disabled={loading}
+            >
+              {PAGE_SIZE_OPTIONS.map(size => (
+                <option key={size} value={size}>{size}</option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+      <div className="flex items-center space-x-2">
+        <button
+          onClick={() => onPageChange(page - 1)}
+          disabled={loading || page === 0}
+          className="btn-secondary flex items-center space-x-1 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <ChevronLeftIcon className="h-4 w-4" />
+          <span>Previous</span>
+        </button>
+        <span className="text-sm text-gray-600">
+          Page {page + 1}{pageCount ? ` of ${pageCount}` : ''}
+        </span>
+        <button
+          onClick={() => onPageChange(page + 1)}
+          disabled={loading || !hasMore}
+          className="btn-secondary flex items-center space-x-1 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <span>Next</span>
+          <ChevronRightIcon className="h-4 w-4" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Pagination;
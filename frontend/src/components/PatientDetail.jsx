@@ -0,0 +1,139 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import {
+  ArrowLeftIcon,
+  ArrowPathIcon,
+  UserIcon,
+  DocumentTextIcon,
+  ExclamationTriangleIcon,
+} from '@heroicons/react/24/outline';
+import { apiService } from '../services/api';
+import EntityCard, { ENTITY_FIELDS, emptyEntity } from './EntityCard';
+import ClaimsTable from './ClaimsTable';
+
+const PatientDetail = () => {
+  const { patientId } = useParams();
+  const [patient, setPatient] = useState(emptyEntity);
+  const [policy, setPolicy] = useState(emptyEntity);
+  const [claims, setClaims] = useState({ loading: false, data: [], error: null });
+  const [notFound, setNotFound] = useState(false);
+
+  const loadPatient = useCallback(async () => {
+    setNotFound(false);
+    setPatient({ loading: true, data: null, error: null });
+    setClaims({ loading: true, data: [], error: null });
+
+    let record;
+    try {
+      record = await apiService.getPatient(patientId);
+      setPatient({ loading: false, data: record, error: null });
+    } catch (error) {
+      setNotFound(error.status === 404);
+      setPatient({ loading: false, data: null, error: error.message });
+      setClaims({ loading: false, data: [], error: null });
+      return;
+    }
+
+    const loadPolicy = async () => {
+      if (!record.policy_id) return setPolicy(emptyEntity);
+      setPolicy({ loading: true, data: null, error: null });
+      try {
+        setPolicy({ loading: false, data: await apiService.getInsurancePolicy(record.policy_id), error: null });
+      } catch (error) {
+        setPolicy({ loading: false, data: null, error: error.message });
+      }
+    };
+
+    const loadClaims = async () => {
+      try {
+        setClaims({ loading: false, data: await apiService.getAllClaims({ patient_id: patientId }), error: null });
+      } catch (error) {
+        setClaims({ loading: false, data: [], error: error.message });
+      }
+    };
+
+    await Promise.all([loadPolicy(), loadClaims()]);
+  }, [patientId]);
+
+  useEffect(() => {
+    loadPatient();
+  }, [loadPatient]);
+
+  const name = patient.data ? `${patient.data.first_name} ${patient.data.last_name}` : 'Patient';
+
+  return (
+    <div className="p-6 max-w-7xl mx-auto">
+      {/* Header */}
+      <div className="mb-6">
+        <Link to="/patients" className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800 mb-3">
+          <ArrowLeftIcon className="h-4 w-4 mr-1" />
+          Back to patients
+        </Link>
+        <div className="flex justify-between items-center">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-1">{name}</h1>
+            <p className="text-gray-600 font-mono text-sm break-all">{patientId}</p>
+          </div>
+          <button
+            onClick={loadPatient}
+            disabled={patient.loading}
+            className="btn-secondary flex items-center space-x-2 disabled:opacity-50"
+          >
+            <ArrowPathIcon className={`h-4 w-4 ${patient.loading ? 'animate-spin' : ''}`} />
+            <span>Refresh</span>
+          </button>
+        </div>
+      </div>
+
+      {patient.error ? (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-center">
+          <ExclamationTriangleIcon className="h-5 w-5 text-red-400 mr-2" />
+          <p className="text-red-800">{notFound ? `Patient ${patientId} was not found` : patient.error}</p>
+        </div>
+      ) : (
+        <div className="space-y-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <EntityCard
+              title="Patient"
+              icon={UserIcon}
+              entity={patient}
+              fields={ENTITY_FIELDS.patient}
+              missingLabel="Patient not loaded"
+            />
+            <div>
+              <EntityCard
+                title="Policy"
+                icon={DocumentTextIcon}
+                entity={policy}
+                fields={ENTITY_FIELDS.policy}
+                missingLabel="No policy linked"
+              />
+              {policy.data && (
+                <Link
+                  to={`/policies/${policy.data.policy_id}`}
+                  className="inline-block mt-2 text-sm text-blue-600 hover:text-blue-900"
+                >
+                  View policy
+                </Link>
+              )}
+            </div>
+          </div>
+
+          <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-6">
+            <h3 className="text-xl font-semibold text-gray-900 mb-4">
+              Claims {!claims.loading && `(${claims.data.length})`}
+            </h3>
+            <ClaimsTable
+              claims={claims.data}
+              loading={claims.loading}
+              error={claims.error}
+              emptyMessage="No claims have been filed for this patient."
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PatientDetail;
@@ -0,0 +1,122 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { ArrowLeftIcon } from '@heroicons/react/24/outline';
+import { apiService } from '../services/api';
+import { FormUtils, PATIENT_FORM_FIELDS } from '../services/claimsFormUtils';
+import FormField from './FormField';
+import toast from 'react-hot-toast';
+
+const PatientForm = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [formData, setFormData] = useState(() => ({
+    ...FormUtils.getInitialFormData(PATIENT_FORM_FIELDS),
+    // Opened from a policy page with ?policy_id=...
+    policy_id: searchParams.get('policy_id') || '',
+  }));
+  const [formErrors, setFormErrors] = useState({});
+  const [policies, setPolicies] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    apiService.getInsurancePolicies(0, 100)
+      .then(setPolicies)
+      .catch(err => setError(`Failed to load policies: ${err.message}`));
+  }, []);
+
+  // The policy select is filled from the loaded policies
+  const fields = useMemo(() => ({
+    ...PATIENT_FORM_FIELDS,
+    policy_id: {
+      ...PATIENT_FORM_FIELDS.policy_id,
+      options: policies.map(policy => ({
+        value: policy.policy_id,
+        label: `${policy.policy_number || policy.policy_id} - ${policy.holder_name || 'Unknown holder'}`,
+      })),
+    },
+  }), [policies]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+
+    if (formErrors[name]) {
+      setFormErrors(prev => ({ ...prev, [name]: undefined }));
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    const validation = FormUtils.validateForm(formData, fields);
+    if (!validation.isValid) {
+      setFormErrors(validation.errors);
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const patient = await apiService.createPatient({
+        ...formData,
+        first_name: formData.first_name.trim(),
+        last_name: formData.last_name.trim(),
+      });
+      toast.success('Patient registered successfully!');
+      navigate(`/patients/${patient.patient_id}`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="p-6 max-w-2xl mx-auto">
+      <Link to="/patients" className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800 mb-3">
+        <ArrowLeftIcon className="h-4 w-4 mr-1" />
+        Back to patients
+      </Link>
+
+      <div className="bg-surface rounded-lg shadow-md p-6">
+        <h2 className="text-2xl font-bold text-gray-900 mb-6">Register Patient</h2>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-100 border border-red-300 text-red-700 rounded">
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit}>
+          {Object.entries(fields).map(([fieldName, config]) => (
+            <FormField
+              key={fieldName}
+              name={fieldName}
+              config={config}
+              value={formData[fieldName]}
+              errors={formErrors[fieldName]}
+              onChange={handleChange}
+              disabled={submitting}
+            />
+          ))}
+
+          <div className="flex gap-4 pt-4 border-t">
+            <button
+              type="submit"
+              disabled={submitting}
+              className={`btn-primary flex-1 ${submitting ? 'opacity-50 cursor-not-allowed' : ''}`}
+            >
+              {submitting ? 'Saving...' : 'Register Patient'}
+            </button>
+            <Link to="/patients" className="btn-secondary">
+              Cancel
+            </Link>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default PatientForm;
@@ -0,0 +1,128 @@
+import React, { useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  UserPlusIcon,
+  ArrowPathIcon,
+  ExclamationTriangleIcon,
+} from '@heroicons/react/24/outline';
+import { apiService } from '../services/api';
+import { useAuth, usePaginatedList } from '../services/useClaimsApi';
+import { formatDateOnly } from '../utils/helpers';
+import Pagination from './Pagination';
+
+const PatientList = () => {
+  const { can } = useAuth();
+  const fetchPatients = useCallback((skip, limit) => apiService.getPatients(skip, limit), []);
+  const {
+    items: patients,
+    page,
+    pageSize,
+    hasMore,
+    loading,
+    error,
+    setPage,
+    setPageSize,
+    reload,
+  } = usePaginatedList(fetchPatients);
+
+  return (
+    <div className="p-6 max-w-7xl mx-auto">
+      {/* Header */}
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Patients</h1>
+          <p className="text-gray-600">Registered patients and the policies covering them</p>
+        </div>
+        <div className="flex space-x-2">
+          <button
+            onClick={reload}
+            disabled={loading}
+            className="btn-secondary flex items-center space-x-2 disabled:opacity-50"
+          >
+            <ArrowPathIcon className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+            <span>Refresh</span>
+          </button>
+          {can('manageRecords') && (
+            <Link to="/patients/new" className="btn-primary flex items-center space-x-2">
+              <UserPlusIcon className="h-4 w-4" />
+              <span>New Patient</span>
+            </Link>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6 flex items-center">
+          <ExclamationTriangleIcon className="h-5 w-5 text-red-400 mr-2" />
+          <p className="text-red-800">{error}</p>
+        </div>
+      )}
+
+      <div className="bg-surface rounded-lg shadow-md border border-gray-200 overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date of Birth</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Gender</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Policy</th>
+              </tr>
+            </thead>
+            <tbody className="bg-surface divide-y divide-gray-200">
+              {!loading && patients.length === 0 ? (
+                <tr>
+                  <td colSpan="4" className="px-6 py-8 text-center text-gray-500">
+                    {page === 0 ? 'No patients have been registered yet.' : 'No more patients.'}
+                  </td>
+                </tr>
+              ) : (
+                patients.map(patient => (
+                  <tr key={patient.patient_id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <Link
+                        to={`/patients/${patient.patient_id}`}
+                        className="text-sm font-medium text-blue-600 hover:text-blue-900"
+                      >
+                        {patient.first_name} {patient.last_name}
+                      </Link>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                      {formatDateOnly(patient.date_of_birth) || 'N/A'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                      {patient.gender || 'N/A'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      {patient.policy_id ? (
+                        <Link
+                          to={`/policies/${patient.policy_id}`}
+                          className="text-sm font-mono text-blue-600 hover:text-blue-900"
+                        >
+                          {patient.policy_id.slice(0, 8)}
+                        </Link>
+                      ) : (
+                        <span className="text-sm text-gray-400">None</span>
+                      )}
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+        <Pagination
+          page={page}
+          pageSize={pageSize}
+          itemCount={patients.length}
+          hasMore={hasMore}
+          onPageChange={setPage}
+          onPageSizeChange={setPageSize}
+          loading={loading}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default PatientList;
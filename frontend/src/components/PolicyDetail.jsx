@@ -0,0 +1,164 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import {
+  ArrowLeftIcon,
+  ArrowPathIcon,
+  DocumentTextIcon,
+  UserPlusIcon,
+  ExclamationTriangleIcon,
+} from '@heroicons/react/24/outline';
+import { apiService } from '../services/api';
+import { useAuth } from '../services/useClaimsApi';
+import { formatDateOnly } from '../utils/helpers';
+import EntityCard, { ENTITY_FIELDS, emptyEntity } from './EntityCard';
+import ClaimsTable from './ClaimsTable';
+
+const PolicyDetail = () => {
+  const { policyId } = useParams();
+  const { can } = useAuth();
+  const [policy, setPolicy] = useState(emptyEntity);
+  const [patients, setPatients] = useState({ loading: false, data: [], error: null });
+  const [claims, setClaims] = useState({ loading: false, data: [], error: null });
+  const [notFound, setNotFound] = useState(false);
+
+  const loadPolicy = useCallback(async () => {
+    setNotFound(false);
+    setPolicy({ loading: true, data: null, error: null });
+    setPatients({ loading: true, data: [], error: null });
+    setClaims({ loading: true, data: [], error: null });
+
+    const loadRecord = async () => {
+      try {
+        setPolicy({ loading: false, data: await apiService.getInsurancePolicy(policyId), error: null });
+      } catch (error) {
+        setNotFound(error.status === 404);
+        setPolicy({ loading: false, data: null, error: error.message });
+      }
+    };
+
+    const loadPatients = async () => {
+      try {
+        setPatients({ loading: false, data: await apiService.getPatientsByPolicy(policyId), error: null });
+      } catch (error) {
+        setPatients({ loading: false, data: [], error: error.message });
+      }
+    };
+
+    const loadClaims = async () => {
+      try {
+        setClaims({ loading: false, data: await apiService.getAllClaims({ policy_id: policyId }), error: null });
+      } catch (error) {
+        setClaims({ loading: false, data: [], error: error.message });
+      }
+    };
+
+    await Promise.all([loadRecord(), loadPatients(), loadClaims()]);
+  }, [policyId]);
+
+  useEffect(() => {
+    loadPolicy();
+  }, [loadPolicy]);
+
+  return (
+    <div className="p-6 max-w-7xl mx-auto">
+      {/* Header */}
+      <div className="mb-6">
+        <Link to="/policies" className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800 mb-3">
+          <ArrowLeftIcon className="h-4 w-4 mr-1" />
+          Back to policies
+        </Link>
+        <div className="flex justify-between items-center">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-1">
+              {policy.data?.policy_number || 'Insurance Policy'}
+            </h1>
+            <p className="text-gray-600 font-mono text-sm break-all">{policyId}</p>
+          </div>
+          <button
+            onClick={loadPolicy}
+            disabled={policy.loading}
+            className="btn-secondary flex items-center space-x-2 disabled:opacity-50"
+          >
+            <ArrowPathIcon className={`h-4 w-4 ${policy.loading ? 'animate-spin' : ''}`} />
+            <span>Refresh</span>
+          </button>
+        </div>
+      </div>
+
+      {policy.error ? (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-center">
+          <ExclamationTriangleIcon className="h-5 w-5 text-red-400 mr-2" />
+          <p className="text-red-800">{notFound ? `Policy ${policyId} was not found` : policy.error}</p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <EntityCard
+            title="Policy"
+            icon={DocumentTextIcon}
+            entity={policy}
+            fields={ENTITY_FIELDS.policy}
+            missingLabel="Policy not loaded"
+          />
+
+          <div className="lg:col-span-2 space-y-6">
+            {/* Covered Patients */}
+            <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-6">
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="text-xl font-semibold text-gray-900">
+                  Covered Patients {!patients.loading && `(${patients.data.length})`}
+                </h3>
+                {can('manageRecords') && (
+                  <Link
+                    to={`/patients/new?policy_id=${policyId}`}
+                    className="btn-secondary flex items-center space-x-2 text-sm"
+                  >
+                    <UserPlusIcon className="h-4 w-4" />
+                    <span>Add Patient</span>
+                  </Link>
+                )}
+              </div>
+
+              {patients.loading && <p className="text-sm text-gray-500">Loading patients...</p>}
+              {patients.error && <p className="text-sm text-red-600">{patients.error}</p>}
+              {!patients.loading && !patients.error && patients.data.length === 0 && (
+                <p className="text-sm text-gray-500">No patients are covered by this policy.</p>
+              )}
+              {patients.data.length > 0 && (
+                <ul className="divide-y divide-gray-200">
+                  {patients.data.map(patient => (
+                    <li key={patient.patient_id} className="py-2 flex justify-between items-center">
+                      <Link
+                        to={`/patients/${patient.patient_id}`}
+                        className="text-sm font-medium text-blue-600 hover:text-blue-900"
+                      >
+                        {patient.first_name} {patient.last_name}
+                      </Link>
+                      <span className="text-sm text-gray-500">
+                        {patient.gender || 'N/A'} · born {formatDateOnly(patient.date_of_birth) || 'N/A'}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {/* Claims */}
+            <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-6">
+              <h3 className="text-xl font-semibold text-gray-900 mb-4">
+                Claims {!claims.loading && `(${claims.data.length})`}
+              </h3>
+              <ClaimsTable
+                claims={claims.data}
+                loading={claims.loading}
+                error={claims.error}
+                emptyMessage="No claims have been filed against this policy."
+              />
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PolicyDetail;
@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { ArrowLeftIcon } from '@heroicons/react/24/outline';
+import { apiService } from '../services/api';
+import { FormUtils, POLICY_FORM_FIELDS } from '../services/claimsFormUtils';
+import FormField from './FormField';
+import toast from 'react-hot-toast';
+
+const PolicyForm = () => {
+  const navigate = useNavigate();
+  const [formData, setFormData] = useState(() => FormUtils.getInitialFormData(POLICY_FORM_FIELDS));
+  const [formErrors, setFormErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+
+    if (formErrors[name]) {
+      setFormErrors(prev => ({ ...prev, [name]: undefined }));
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    const validation = FormUtils.validateForm(formData, POLICY_FORM_FIELDS);
+    if (!validation.isValid) {
+      setFormErrors(validation.errors);
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const policy = await apiService.createInsurancePolicy({
+        ...formData,
+        policy_number: formData.policy_number.trim(),
+        holder_name: formData.holder_name.trim(),
+        coverage_limit: Number(formData.coverage_limit),
+        deductible: Number(formData.deductible),
+      });
+      toast.success('Policy created successfully!');
+      navigate(`/policies/${policy.policy_id}`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="p-6 max-w-2xl mx-auto">
+      <Link to="/policies" className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800 mb-3">
+        <ArrowLeftIcon className="h-4 w-4 mr-1" />
+        Back to policies
+      </Link>
+
+      <div className="bg-surface rounded-lg shadow-md p-6">
+        <h2 className="text-2xl font-bold text-gray-900 mb-6">New Insurance Policy</h2>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-100 border border-red-300 text-red-700 rounded">
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit}>
+          {Object.entries(POLICY_FORM_FIELDS).map(([fieldName, config]) => (
+            <FormField
+              key={fieldName}
+              name={fieldName}
+              config={config}
+              value={formData[fieldName]}
+              errors={formErrors[fieldName]}
+              onChange={handleChange}
+              disabled={submitting}
+            />
+          ))}
+
+          <div className="flex gap-4 pt-4 border-t">
+            <button
+              type="submit"
+              disabled={submitting}
+              className={`btn-primary flex-1 ${submitting ? 'opacity-50 cursor-not-allowed' : ''}`}
+            >
+              {submitting ? 'Saving...' : 'Create Policy'}
+            </button>
+            <Link to="/policies" className="btn-secondary">
+              Cancel
+            </Link>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default PolicyForm;
@@ -0,0 +1,127 @@
+import React, { useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  DocumentPlusIcon,
+  ArrowPathIcon,
+  ExclamationTriangleIcon,
+} from '@heroicons/react/24/outline';
+import { apiService } from '../services/api';
+import { useAuth, usePaginatedList } from '../services/useClaimsApi';
+import { formatDateOnly, formatCurrency, getPolicyStatusBadgeClasses } from '../utils/helpers';
+import Pagination from './Pagination';
+
+const PolicyList = () => {
+  const { can } = useAuth();
+  const fetchPolicies = useCallback((skip, limit) => apiService.getInsurancePolicies(skip, limit), []);
+  const {
+    items: policies,
+    page,
+    pageSize,
+    hasMore,
+    loading,
+    error,
+    setPage,
+    setPageSize,
+    reload,
+  } = usePaginatedList(fetchPolicies);
+
+  return (
+    <div className="p-6 max-w-7xl mx-auto">
+      {/* Header */}
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Insurance Policies</h1>
+          <p className="text-gray-600">Policies, their coverage terms and the patients they cover</p>
+        </div>
+        <div className="flex space-x-2">
+          <button
+            onClick={reload}
+            disabled={loading}
+            className="btn-secondary flex items-center space-x-2 disabled:opacity-50"
+          >
+            <ArrowPathIcon className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+            <span>Refresh</span>
+          </button>
+          {can('manageRecords') && (
+            <Link to="/policies/new" className="btn-primary flex items-center space-x-2">
+              <DocumentPlusIcon className="h-4 w-4" />
+              <span>New Policy</span>
+            </Link>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6 flex items-center">
+          <ExclamationTriangleIcon className="h-5 w-5 text-red-400 mr-2" />
+          <p className="text-red-800">{error}</p>
+        </div>
+      )}
+
+      <div className="bg-surface rounded-lg shadow-md border border-gray-200 overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Policy Number</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Holder</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Plan</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Coverage Limit</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Coverage Ends</th>
+              </tr>
+            </thead>
+            <tbody className="bg-surface divide-y divide-gray-200">
+              {!loading && policies.length === 0 ? (
+                <tr>
+                  <td colSpan="6" className="px-6 py-8 text-center text-gray-500">
+                    {page === 0 ? 'No policies have been created yet.' : 'No more policies.'}
+                  </td>
+                </tr>
+              ) : (
+                policies.map(policy => (
+                  <tr key={policy.policy_id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <Link
+                        to={`/policies/${policy.policy_id}`}
+                        className="text-sm font-medium text-blue-600 hover:text-blue-900"
+                      >
+                        {policy.policy_number || policy.policy_id.slice(0, 8)}
+                      </Link>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {policy.holder_name || 'N/A'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                      {policy.plan_type || 'N/A'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={getPolicyStatusBadgeClasses(policy.status)}>{policy.status || 'Unknown'}</span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                      {policy.coverage_limit != null ? formatCurrency(policy.coverage_limit) : 'N/A'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                      {formatDateOnly(policy.end_date) || 'N/A'}
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+        <Pagination
+          page={page}
+          pageSize={pageSize}
+          itemCount={policies.length}
+          hasMore={hasMore}
+          onPageChange={setPage}
+          onPageSizeChange={setPageSize}
+          loading={loading}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default PolicyList;
@@ -0,0 +1,230 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import {
+  ArrowLeftIcon,
+  ArrowPathIcon,
+  BuildingOffice2Icon,
+  ShieldExclamationIcon,
+  ExclamationTriangleIcon,
+} from '@heroicons/react/24/outline';
+import { useApp } from '../contexts/AppContext';
+import { apiService } from '../services/api';
+import {
+  calculateProviderStats,
+  formatPercentage,
+  getReasonDescription,
+  formatRiskFactor,
+  getRiskFactorColor,
+  getStatusBadgeClasses,
+} from '../utils/helpers';
+import EntityCard, { ENTITY_FIELDS, emptyEntity } from './EntityCard';
+import ClaimsTable from './ClaimsTable';
+
+const ProviderDetail = () => {
+  const { providerId } = useParams();
+  const { state } = useApp();
+  const [provider, setProvider] = useState(emptyEntity);
+  const [risk, setRisk] = useState(emptyEntity);
+  const [claims, setClaims] = useState({ loading: false, data: [], error: null });
+  const [notFound, setNotFound] = useState(false);
+
+  const loadProvider = useCallback(async () => {
+    setNotFound(false);
+    setProvider({ loading: true, data: null, error: null });
+    setClaims({ loading: true, data: [], error: null });
+
+    const loadRecord = async () => {
+      try {
+        const record = await apiService.getProvider(providerId);
+        setProvider({ loading: false, data: record, error: null });
+        return record;
+      } catch (error) {
+        setNotFound(error.status === 404);
+        setProvider({ loading: false, data: null, error: error.message });
+        return null;
+      }
+    };
+
+    const loadClaims = async () => {
+      try {
+        const data = await apiService.getAllClaims({ provider_id: providerId });
+        setClaims({ loading: false, data, error: null });
+        return data;
+      } catch (error) {
+        setClaims({ loading: false, data: [], error: error.message });
+        return [];
+      }
+    };
+
+    const [record, providerClaims] = await Promise.all([loadRecord(), loadClaims()]);
+
+    // Older providers only carry their risk rating on the claims filed against them
+    const riskId = record?.risk_id || providerClaims.find(claim => claim.risk_id)?.risk_id;
+    if (!riskId) {
+      setRisk(emptyEntity);
+      return;
+    }
+    setRisk({ loading: true, data: null, error: null });
+    try {
+      setRisk({ loading: false, data: await apiService.getRiskRating(riskId), error: null });
+    } catch (error) {
+      setRisk({ loading: false, data: null, error: error.message });
+    }
+  }, [providerId]);
+
+  useEffect(() => {
+    loadProvider();
+  }, [loadProvider]);
+
+  // Risk factors only exist on AI results, so overlay the ones processed in this browser
+  const stats = useMemo(() => {
+    const processed = new Map(state.claims.map(claim => [claim.claim_id || claim.id, claim]));
+    const enriched = claims.data.map(claim => ({
+      ...claim,
+      risk_factors: processed.get(claim.claim_id)?.risk_factors || claim.risk_factors,
+    }));
+    return calculateProviderStats(enriched);
+  }, [claims.data, state.claims]);
+
+  const formatRate = (rate) => (rate === null ? 'N/A' : formatPercentage(rate));
+
+  return (
+    <div className="p-6 max-w-7xl mx-auto">
+      {/* Header */}
+      <div className="mb-6">
+        <Link to="/providers" className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800 mb-3">
+          <ArrowLeftIcon className="h-4 w-4 mr-1" />
+          Back to providers
+        </Link>
+        <div className="flex justify-between items-center">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-1">{provider.data?.name || 'Provider'}</h1>
+            <p className="text-gray-600 font-mono text-sm break-all">{providerId}</p>
+          </div>
+          <button
+            onClick={loadProvider}
+            disabled={provider.loading}
+            className="btn-secondary flex items-center space-x-2 disabled:opacity-50"
+          >
+            <ArrowPathIcon className={`h-4 w-4 ${provider.loading ? 'animate-spin' : ''}`} />
+            <span>Refresh</span>
+          </button>
+        </div>
+      </div>
+
+      {provider.error ? (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-center">
+          <ExclamationTriangleIcon className="h-5 w-5 text-red-400 mr-2" />
+          <p className="text-red-800">{notFound ? `Provider ${providerId} was not found` : provider.error}</p>
+        </div>
+      ) : (
+        <div className="space-y-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <EntityCard
+              title="Provider"
+              icon={BuildingOffice2Icon}
+              entity={provider}
+              fields={ENTITY_FIELDS.provider}
+              missingLabel="Provider not loaded"
+            />
+            <EntityCard
+              title="Backend Risk Rating"
+              icon={ShieldExclamationIcon}
+              entity={risk}
+              fields={ENTITY_FIELDS.risk}
+              missingLabel="This provider has no risk rating"
+            />
+          </div>
+
+          {/* Claim Mix */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-4">
+              <p className="text-sm text-gray-600">Claims</p>
+              <p className="text-2xl font-bold text-gray-900">{claims.loading ? '…' : stats.totalClaims}</p>
+            </div>
+            <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-4">
+              <p className="text-sm text-gray-600">Approval Rate</p>
+              <p className="text-2xl font-bold text-green-600">{formatRate(stats.approvalRate)}</p>
+            </div>
+            <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-4">
+              <p className="text-sm text-gray-600">Denial Rate</p>
+              <p className="text-2xl font-bold text-red-600">{formatRate(stats.denialRate)}</p>
+            </div>
+            <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-4">
+              <p className="text-sm text-gray-600">Status Mix</p>
+              <div className="flex flex-wrap gap-1 mt-1">
+                {Object.entries(stats.statusCounts).map(([status, count]) => (
+                  <span key={status} className={getStatusBadgeClasses(status)}>
+                    {status}: {count}
+                  </span>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Reason Codes */}
+            <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">Reason Codes</h3>
+              {stats.reasonCodes.length === 0 ? (
+                <p className="text-sm text-gray-500">No reason codes recorded yet.</p>
+              ) : (
+                <ul className="space-y-3">
+                  {stats.reasonCodes.map(([code, count]) => (
+                    <li key={code}>
+                      <div className="flex justify-between text-sm">
+                        <span className="font-medium text-gray-900">{code}</span>
+                        <span className="text-gray-600">{count}</span>
+                      </div>
+                      <p className="text-xs text-gray-500">{getReasonDescription(code)}</p>
+                      <div className="w-full bg-gray-200 rounded-full h-2 mt-1">
+                        <div
+                          className="bg-blue-600 h-2 rounded-full"
+                          style={{ width: `${(count / stats.totalClaims) * 100}%` }}
+                        />
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {/* Flagged Risk Factors */}
+            <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">Flagged Risk Factors</h3>
+              {stats.riskFactors.length === 0 ? (
+                <p className="text-sm text-gray-500">
+                  No risk factors flagged. Risk factors come from AI processing, so unprocessed claims have none.
+                </p>
+              ) : (
+                <div className="flex flex-wrap gap-2">
+                  {stats.riskFactors.map(([factor, count]) => (
+                    <span
+                      key={factor}
+                      className={`px-3 py-1 rounded-full text-xs font-medium ${getRiskFactorColor(factor)}`}
+                    >
+                      {formatRiskFactor(factor)} × {count}
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+
+          {/* Claims */}
+          <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-6">
+            <h3 className="text-xl font-semibold text-gray-900 mb-4">Claims</h3>
+            <ClaimsTable
+              claims={claims.data}
+              loading={claims.loading}
+              error={claims.error}
+              emptyMessage="No claims have been filed by this provider."
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProviderDetail;
@@ -0,0 +1,148 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowPathIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import { apiService } from '../services/api';
+import { usePaginatedList } from '../services/useClaimsApi';
+import { formatConfidenceScore, getRiskLevelBadgeClasses } from '../utils/helpers';
+import Pagination from './Pagination';
+
+const ProviderList = () => {
+  const fetchProviders = useCallback((skip, limit) => apiService.getProviders(skip, limit), []);
+  const {
+    items: providers,
+    page,
+    pageSize,
+    hasMore,
+    loading,
+    error,
+    setPage,
+    setPageSize,
+    reload,
+  } = usePaginatedList(fetchProviders);
+  const [riskRatings, setRiskRatings] = useState({});
+  const [claimCounts, setClaimCounts] = useState(null);
+
+  // Risk ratings are separate records, so resolve them for the providers on this page
+  useEffect(() => {
+    const riskIds = providers.map(provider => provider.risk_id).filter(Boolean);
+    Promise.allSettled(riskIds.map(id => apiService.getRiskRating(id))).then(results => {
+      const ratings = {};
+      results.forEach((result, index) => {
+        if (result.status === 'fulfilled') ratings[riskIds[index]] = result.value;
+      });
+      setRiskRatings(ratings);
+    });
+  }, [providers]);
+
+  useEffect(() => {
+    apiService.getAllClaims()
+      .then(claims => {
+        const counts = {};
+        claims.forEach(claim => {
+          counts[claim.provider_id] = (counts[claim.provider_id] || 0) + 1;
+        });
+        setClaimCounts(counts);
+      })
+      .catch(() => setClaimCounts({}));
+  }, []);
+
+  return (
+    <div className="p-6 max-w-7xl mx-auto">
+      {/* Header */}
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Providers</h1>
+          <p className="text-gray-600">Healthcare providers with their backend risk ratings and claim volume</p>
+        </div>
+        <button
+          onClick={reload}
+          disabled={loading}
+          className="btn-secondary flex items-center space-x-2 disabled:opacity-50"
+        >
+          <ArrowPathIcon className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          <span>Refresh</span>
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6 flex items-center">
+          <ExclamationTriangleIcon className="h-5 w-5 text-red-400 mr-2" />
+          <p className="text-red-800">{error}</p>
+        </div>
+      )}
+
+      <div className="bg-surface rounded-lg shadow-md border border-gray-200 overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Provider</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Specialty</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">City</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Risk Rating</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Claims</th>
+              </tr>
+            </thead>
+            <tbody className="bg-surface divide-y divide-gray-200">
+              {!loading && providers.length === 0 ? (
+                <tr>
+                  <td colSpan="5" className="px-6 py-8 text-center text-gray-500">
+                    {page === 0 ? 'No providers found.' : 'No more providers.'}
+                  </td>
+                </tr>
+              ) : (
+                providers.map(provider => {
+                  const risk = riskRatings[provider.risk_id];
+                  return (
+                    <tr key={provider.provider_id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <Link
+                          to={`/providers/${provider.provider_id}`}
+                          className="text-sm font-medium text-blue-600 hover:text-blue-900"
+                        >
+                          {provider.name || provider.provider_id}
+                        </Link>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                        {provider.specialty || 'N/A'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                        {provider.city || 'N/A'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        {risk ? (
+                          <span className="flex items-center space-x-2">
+                            <span className={getRiskLevelBadgeClasses(risk.risk_level)}>{risk.risk_level}</span>
+                            {risk.risk_score != null && (
+                              <span className="text-xs text-gray-500">{formatConfidenceScore(risk.risk_score)}</span>
+                            )}
+                          </span>
+                        ) : (
+                          <span className="text-sm text-gray-400">Not rated</span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                        {claimCounts ? claimCounts[provider.provider_id] || 0 : '…'}
+                      </td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </table>
+        </div>
+        <Pagination
+          page={page}
+          pageSize={pageSize}
+          itemCount={providers.length}
+          hasMore={hasMore}
+          onPageChange={setPage}
+          onPageSizeChange={setPageSize}
+          loading={loading}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default ProviderList;
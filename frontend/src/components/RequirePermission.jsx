@@ -0,0 +1,28 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { LockClosedIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../services/useClaimsApi';
+import { ROLE_LABELS } from '../services/auth';
+
+// Route guard for pages that only some roles may use
+const RequirePermission = ({ permission, children }) => {
+  const { can, user } = useAuth();
+  if (can(permission)) return children;
+
+  const roles = (user?.roles || []).map(role => ROLE_LABELS[role] || role).join(', ') || 'no role';
+
+  return (
+    <div className="p-6 max-w-2xl mx-auto">
+      <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-8 text-center">
+        <LockClosedIcon className="h-10 w-10 text-gray-400 mx-auto mb-3" />
+        <h1 className="text-xl font-semibold text-gray-900 mb-2">You don't have access to this page</h1>
+        <p className="text-gray-600 mb-6">
+          You are signed in as {roles}. Ask a supervisor if you need this access.
+        </p>
+        <Link to="/" className="btn-secondary">Back to dashboard</Link>
+      </div>
+    </div>
+  );
+};
+
+export default RequirePermission;
@@ -0,0 +1,107 @@
+import React, { useEffect, useState } from 'react';
+import { ArrowPathIcon, LockClosedIcon, EyeIcon, EyeSlashIcon } from '@heroicons/react/24/outline';
+import { useEnvironments, useOutbox, useSessionLock } from '../services/useClaimsApi';
+import { initSessionLock } from '../services/sessionLock';
+import { loadOutbox } from '../services/outbox';
+
+// Renders the app only while it is unlocked and the active environment's API
+// key is at hand; otherwise asks for the key. Whatever was on screen is
+// unmounted while locked. Changes waiting to sync are kept, and the lock screen
+// says how many, since they are only sent once the app is unlocked.
+const SessionLock = ({ children }) => {
+  const session = useSessionLock();
+  const { active: environment } = useEnvironments();
+  const { entries: outboxEntries } = useOutbox();
+  const [apiKey, setApiKey] = useState('');
+  const [showApiKey, setShowApiKey] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    initSessionLock();
+    loadOutbox();
+  }, []);
+
+  if (!session.ready) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <ArrowPathIcon className="h-8 w-8 animate-spin text-blue-600" />
+      </div>
+    );
+  }
+
+  if (!session.locked && !session.needsApiKey) return children;
+
+  // Entries the backend rejected are cleared on lock; the rest are still to be sent
+  const unsentCount = outboxEntries.filter(entry => entry.state !== 'failed').length;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!session.unlock(apiKey.trim())) {
+      setError('That API key does not match the one for this environment.');
+      return;
+    }
+    setApiKey('');
+    setError(null);
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center p-6">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-surface rounded-lg shadow-md border border-gray-200 p-8 max-w-md w-full"
+      >
+        <div className="flex items-center justify-center mb-4">
+          <LockClosedIcon className="h-10 w-10 text-gray-400" />
+        </div>
+        <h1 className="text-2xl font-bold text-gray-900 mb-2 text-center">
+          {session.locked ? 'Session Locked' : 'API Key Needed'}
+        </h1>
+        <p className="text-gray-600 mb-6 text-center">
+          {session.locked
+            ? `${session.reason} Enter the API key for ${environment.name} to continue.`
+            : `This tab does not hold the API key for ${environment.name}. Enter it to continue; it is kept only until the tab closes.`}
+        </p>
+        {unsentCount > 0 && (
+          <p className="mb-6 text-sm bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg p-3">
+            {unsentCount} change{unsentCount === 1 ? ' has' : 's have'} not reached the backend yet.
+            {unsentCount === 1 ? ' It stays' : ' They stay'} on this device until sent, or until you discard
+            {unsentCount === 1 ? ' it' : ' them'} on the Sync Queue page.
+          </p>
+        )}
+
+        <label htmlFor="unlockApiKey" className="block text-sm font-medium text-gray-700 mb-1">API Key</label>
+        <div className="relative mb-2">
+          <input
+            id="unlockApiKey"
+            type={showApiKey ? 'text' : 'password'}
+            value={apiKey}
+            onChange={(e) => {
+              setApiKey(e.target.value);
+              setError(null);
+            }}
+            autoComplete="off"
+            autoFocus
+            className={`w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 pr-10 ${
+              error ? 'border-red-300' : 'border-gray-300'
+            }`}
+          />
+          <button
+            type="button"
+            onClick={() => setShowApiKey(!showApiKey)}
+            className="absolute inset-y-0 right-0 pr-3 flex items-center"
+            aria-label={showApiKey ? 'Hide API key' : 'Show API key'}
+          >
+            {showApiKey ? <EyeSlashIcon className="h-5 w-5 text-gray-400" /> : <EyeIcon className="h-5 w-5 text-gray-400" />}
+          </button>
+        </div>
+        {error && <p className="mb-2 text-sm text-red-600">{error}</p>}
+
+        <button type="submit" disabled={!apiKey.trim()} className="btn-primary w-full mt-4 disabled:opacity-50">
+          {session.locked ? 'Unlock' : 'Continue'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default SessionLock;
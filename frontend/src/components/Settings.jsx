@@ -5,11 +5,32 @@ import {
   ExclamationTriangleIcon,
   EyeIcon,
   EyeSlashIcon,
+  LockClosedIcon,
 } from '@heroicons/react/24/outline';
 import { useApp } from '../contexts/AppContext';
+import { DEFAULT_RETRY_POLICY } from '../services/api';
+import { useAuth, useEnvironments, useLiveUpdates, useSessionLock } from '../services/useClaimsApi';
+import { ROLE_LABELS } from '../services/auth';
 import { validateApiKey, validateUrl } from '../utils/helpers';
+import EnvironmentProfiles from './EnvironmentProfiles';
 import toast from 'react-hot-toast';
 
+const IDLE_LOCK_OPTIONS = [
+  { value: 5, label: '5 minutes' },
+  { value: 15, label: '15 minutes' },
+  { value: 30, label: '30 minutes' },
+  { value: 60, label: '1 hour' },
+  { value: 0, label: 'Never' },
+];
+
+const PHI_CACHE_OPTIONS = [
+  { value: 0, label: 'Do not store (keep in memory only)' },
+  { value: 1, label: '1 hour' },
+  { value: 8, label: '8 hours' },
+  { value: 24, label: '24 hours' },
+  { value: 168, label: '7 days' },
+];
+
 const Settings = () => {
   const { state, actions } = useApp();
   const [formData, setFormData] = useState({
@@ -18,11 +39,19 @@ const Settings = () => {
     theme: 'light',
     autoRefresh: false,
     refreshInterval: 30000,
+    serverPush: true,
+    retryPolicy: DEFAULT_RETRY_POLICY,
+    idleLockMinutes: 15,
+    phiCacheHours: 8,
   });
   const [showApiKey, setShowApiKey] = useState(false);
   const [connectionStatus, setConnectionStatus] = useState(null);
   const [validationErrors, setValidationErrors] = useState({});
   const [testingConnection, setTestingConnection] = useState(false);
+  const live = useLiveUpdates();
+  const auth = useAuth();
+  const { canLock } = useSessionLock();
+  const { active: environment } = useEnvironments();
 
   useEffect(() => {
     setFormData(state.settings);
@@ -37,15 +66,25 @@ const Settings = () => {
     }
   };
 
+  const handleRetryChange = (key, value) => {
+    setFormData(prev => ({ ...prev, retryPolicy: { ...prev.retryPolicy, [key]: value } }));
+
+    if (validationErrors[key]) {
+      setValidationErrors(prev => ({ ...prev, [key]: null }));
+    }
+  };
+
   const validateForm = () => {
     const errors = {};
 
-    const urlValidation = validateUrl(formData.apiBaseUrl);
+    // Blank means the development proxy
+    const urlValidation = formData.apiBaseUrl ? validateUrl(formData.apiBaseUrl) : { isValid: true };
     if (!urlValidation.isValid) {
       errors.apiBaseUrl = urlValidation.error;
     }
 
-    const keyValidation = validateApiKey(formData.apiKey);
+    // Signed-in users authenticate with their own token, not the shared key
+    const keyValidation = auth.enabled ? { isValid: true } : validateApiKey(formData.apiKey);
     if (!keyValidation.isValid) {
       errors.apiKey = keyValidation.error;
     }
@@ -54,6 +93,17 @@ const Settings = () => {
       errors.refreshInterval = 'Refresh interval must be at least 5 seconds';
     }
 
+    const { maxRetries, baseDelay, maxDelay } = formData.retryPolicy;
+    if (!Number.isInteger(maxRetries) || maxRetries < 0 || maxRetries > 10) {
+      errors.maxRetries = 'Retries must be a whole number from 0 to 10';
+    }
+    if (!(baseDelay >= 100)) {
+      errors.baseDelay = 'Initial delay must be at least 0.1 seconds';
+    }
+    if (!(maxDelay >= baseDelay)) {
+      errors.maxDelay = 'Maximum delay cannot be shorter than the initial delay';
+    }
+
     setValidationErrors(errors);
     return Object.keys(errors).length === 0;
   };
@@ -109,6 +159,10 @@ const Settings = () => {
       theme: 'light',
       autoRefresh: false,
       refreshInterval: 30000,
+      serverPush: true,
+      retryPolicy: DEFAULT_RETRY_POLICY,
+      idleLockMinutes: 15,
+      phiCacheHours: 8,
     };
     setFormData(defaultSettings);
     setValidationErrors({});
@@ -125,11 +179,14 @@ const Settings = () => {
       </div>
 
       <div className="space-y-6">
-        {/* API Configuration */}
-        <div className="bg-white rounded-lg shadow-md border border-gray-200 p-6">
+        <EnvironmentProfiles />
+
+        {/* API Configuration of the active environment profile */}
+        <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-6">
           <div className="flex items-center mb-4">
             <Cog6ToothIcon className="h-6 w-6 text-gray-600 mr-2" />
             <h2 className="text-xl font-semibold text-gray-900">API Configuration</h2>
+            <span className="ml-3 px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700">{environment.name}</span>
           </div>
 
           <div className="space-y-4">
@@ -152,45 +209,60 @@ const Settings = () => {
                 <p className="mt-1 text-sm text-red-600">{validationErrors.apiBaseUrl}</p>
               )}
               <p className="mt-1 text-sm text-gray-500">
-                The base URL where your backend API is running
+                The base URL where your backend API is running. Leave blank to use the development proxy.
               </p>
             </div>
 
-            {/* API Key */}
-            <div>
-              <label htmlFor="apiKey" className="block text-sm font-medium text-gray-700 mb-1">
-                API Key
-              </label>
-              <div className="relative">
-                <input
-                  type={showApiKey ? 'text' : 'password'}
-                  id="apiKey"
-                  value={formData.apiKey}
-                  onChange={(e) => handleInputChange('apiKey', e.target.value)}
-                  placeholder="Enter your API key"
-                  className={`w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 pr-10 ${
-                    validationErrors.apiKey ? 'border-red-300' : 'border-gray-300'
-                  }`}
-                />
-                <button
-                  type="button"
-                  onClick={() => setShowApiKey(!showApiKey)}
-                  className="absolute inset-y-0 right-0 pr-3 flex items-center"
-                >
-                  {showApiKey ? (
-                    <EyeSlashIcon className="h-5 w-5 text-gray-400" />
-                  ) : (
-                    <EyeIcon className="h-5 w-5 text-gray-400" />
-                  )}
-                </button>
+            {/* API Key, or the signed-in user when sign-in is on */}
+            {auth.enabled ? (
+              <div>
+                <span className="block text-sm font-medium text-gray-700 mb-1">Signed In As</span>
+                <p className="text-sm text-gray-900">
+                  {auth.user?.name}
+                  {auth.user?.email && <span className="text-gray-500"> ({auth.user.email})</span>}
+                </p>
+                <p className="mt-1 text-sm text-gray-500">
+                  Roles: {auth.user?.roles.map(role => ROLE_LABELS[role] || role).join(', ') || 'none'}.
+                  Requests use your access token instead of an API key.
+                </p>
               </div>
-              {validationErrors.apiKey && (
-                <p className="mt-1 text-sm text-red-600">{validationErrors.apiKey}</p>
-              )}
-              <p className="mt-1 text-sm text-gray-500">
-                Your API key for authenticating with the backend service
-              </p>
-            </div>
+            ) : (
+              <div>
+                <label htmlFor="apiKey" className="block text-sm font-medium text-gray-700 mb-1">
+                  API Key
+                </label>
+                <div className="relative">
+                  <input
+                    type={showApiKey ? 'text' : 'password'}
+                    id="apiKey"
+                    value={formData.apiKey}
+                    onChange={(e) => handleInputChange('apiKey', e.target.value)}
+                    placeholder="Enter your API key"
+                    className={`w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 pr-10 ${
+                      validationErrors.apiKey ? 'border-red-300' : 'border-gray-300'
+                    }`}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setShowApiKey(!showApiKey)}
+                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                  >
+                    {showApiKey ? (
+                      <EyeSlashIcon className="h-5 w-5 text-gray-400" />
+                    ) : (
+                      <EyeIcon className="h-5 w-5 text-gray-400" />
+                    )}
+                  </button>
+                </div>
+                {validationErrors.apiKey && (
+                  <p className="mt-1 text-sm text-red-600">{validationErrors.apiKey}</p>
+                )}
+                <p className="mt-1 text-sm text-gray-500">
+                  Your API key for authenticating with the backend service. It is kept encrypted for
+                  this browser tab only and asked for again in a new tab.
+                </p>
+              </div>
+            )}
 
             {/* Connection Test */}
             <div className="pt-4 border-t border-gray-200">
@@ -232,8 +304,128 @@ const Settings = () => {
           </div>
         </div>
 
+        {/* Request Retries */}
+        <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Request Retries</h2>
+
+          <div className="space-y-4">
+            <div className="flex items-center justify-between">
+              <div>
+                <label htmlFor="retryEnabled" className="text-sm font-medium text-gray-700">
+                  Retry Failed Requests
+                </label>
+                <p className="text-sm text-gray-500">
+                  Retry rate-limited (429) requests, gateway errors (502, 503, 504) and dropped connections
+                </p>
+              </div>
+              <label className="relative inline-flex items-center cursor-pointer">
+                <input
+                  type="checkbox"
+                  id="retryEnabled"
+                  checked={formData.retryPolicy.enabled}
+                  onChange={(e) => handleRetryChange('enabled', e.target.checked)}
+                  className="sr-only peer"
+                />
+                <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
+              </label>
+            </div>
+
+            {formData.retryPolicy.enabled && (
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {[
+                  { key: 'maxRetries', label: 'Max Retries', min: 0, max: 10, step: 1, scale: 1 },
+                  { key: 'baseDelay', label: 'Initial Delay (seconds)', min: 0.1, max: 60, step: 0.1, scale: 1000 },
+                  { key: 'maxDelay', label: 'Maximum Delay (seconds)', min: 0.1, max: 300, step: 1, scale: 1000 },
+                ].map(({ key, label, min, max, step, scale }) => (
+                  <div key={key}>
+                    <label htmlFor={key} className="block text-sm font-medium text-gray-700 mb-1">
+                      {label}
+                    </label>
+                    <input
+                      type="number"
+                      id={key}
+                      min={min}
+                      max={max}
+                      step={step}
+                      value={formData.retryPolicy[key] / scale}
+                      onChange={(e) => handleRetryChange(key, Math.round(parseFloat(e.target.value) * scale))}
+                      className={`w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+                        validationErrors[key] ? 'border-red-300' : 'border-gray-300'
+                      }`}
+                    />
+                    {validationErrors[key] && (
+                      <p className="mt-1 text-sm text-red-600">{validationErrors[key]}</p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+            <p className="text-sm text-gray-500">
+              Only requests that are safe to repeat are retried. Claim submissions carry an
+              idempotency key, so a retried submission is not created twice. Delays double on
+              each attempt, and a server's Retry-After is honored up to the maximum delay.
+            </p>
+          </div>
+        </div>
+
+        {/* Security: idle lock and how long claim data (PHI) may stay in this browser */}
+        <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-6">
+          <div className="flex items-center mb-4">
+            <LockClosedIcon className="h-6 w-6 text-gray-600 mr-2" />
+            <h2 className="text-xl font-semibold text-gray-900">Security</h2>
+          </div>
+
+          <div className="space-y-4">
+            <div>
+              <label htmlFor="idleLockMinutes" className="block text-sm font-medium text-gray-700 mb-1">
+                Lock After Inactivity
+              </label>
+              <select
+                id="idleLockMinutes"
+                value={formData.idleLockMinutes}
+                onChange={(e) => handleInputChange('idleLockMinutes', Number(e.target.value))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                {IDLE_LOCK_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <p className="mt-1 text-sm text-gray-500">
+                {auth.enabled && 'After this long without keyboard or mouse use, you are signed out here and must sign in again. '}
+                {!auth.enabled && canLock && 'After this long without keyboard or mouse use, the app locks until the API key is entered again. '}
+                {canLock
+                  ? 'Cached claims, drafts and changes the backend rejected are cleared when it locks; changes still waiting to sync are kept and sent later. The lock button in the navigation bar locks at once.'
+                  : 'This environment uses the API key built into the app, which is no secret, so the app cannot lock and this setting has no effect. Give the environment its own API key to lock the app.'}
+              </p>
+            </div>
+
+            <div>
+              <label htmlFor="phiCacheHours" className="block text-sm font-medium text-gray-700 mb-1">
+                Keep Claim Data on This Device
+              </label>
+              <select
+                id="phiCacheHours"
+                value={formData.phiCacheHours}
+                onChange={(e) => handleInputChange('phiCacheHours', Number(e.target.value))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                {PHI_CACHE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <p className="mt-1 text-sm text-gray-500">
+                How long claim data, which contains patient health information, stays in this
+                browser's storage: recent claims after the app was last used, drafts after they were
+                last edited, and changes waiting to sync after they were made, even if they never
+                reached the server. With Do not store, drafts and waiting changes are cleared each
+                time the app starts.
+              </p>
+            </div>
+          </div>
+        </div>
+
         {/* Application Preferences */}
-        <div className="bg-white rounded-lg shadow-md border border-gray-200 p-6">
+        <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-6">
           <h2 className="text-xl font-semibold text-gray-900 mb-4">Application Preferences</h2>
 
           <div className="space-y-4">
@@ -250,10 +442,10 @@ const Settings = () => {
               >
                 <option value="light">Light</option>
                 <option value="dark">Dark</option>
-                <option value="auto">Auto (System)</option>
+                <option value="system">System</option>
               </select>
               <p className="mt-1 text-sm text-gray-500">
-                Choose your preferred theme (Dark theme coming soon)
+                System follows your operating system's light or dark setting
               </p>
             </div>
 
@@ -264,8 +456,14 @@ const Settings = () => {
                   Auto Refresh
                 </label>
                 <p className="text-sm text-gray-500">
-                  Automatically refresh dashboard data
+                  Check for new and changed claims in the background
                 </p>
+                {live.mode !== 'off' && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    {live.paused ? 'Paused while this tab is hidden' : live.mode === 'push' ? 'Receiving pushed updates' : 'Polling for updates'}
+                    {live.error && <span className="text-red-600"> · Last check failed: {live.error}</span>}
+                  </p>
+                )}
               </div>
               <label className="relative inline-flex items-center cursor-pointer">
                 <input
@@ -300,10 +498,34 @@ const Settings = () => {
                   <p className="mt-1 text-sm text-red-600">{validationErrors.refreshInterval}</p>
                 )}
                 <p className="mt-1 text-sm text-gray-500">
-                  How often to refresh data (minimum 5 seconds)
+                  How often to refresh data (minimum 5 seconds). Checks pause while the tab is hidden.
                 </p>
               </div>
             )}
+
+            {/* Server Push */}
+            {formData.autoRefresh && (
+              <div className="flex items-center justify-between">
+                <div>
+                  <label htmlFor="serverPush" className="text-sm font-medium text-gray-700">
+                    Use Server Push
+                  </label>
+                  <p className="text-sm text-gray-500">
+                    Receive claim changes as they happen when the backend streams them, instead of polling
+                  </p>
+                </div>
+                <label className="relative inline-flex items-center cursor-pointer">
+                  <input
+                    type="checkbox"
+                    id="serverPush"
+                    checked={formData.serverPush}
+                    onChange={(e) => handleInputChange('serverPush', e.target.checked)}
+                    className="sr-only peer"
+                  />
+                  <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
+                </label>
+              </div>
+            )}
           </div>
         </div>
 
@@ -0,0 +1,26 @@
+import React from 'react';
+import { ArrowRightEndOnRectangleIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+
+// Shown instead of the app until the user signs in with the identity provider
+const SignIn = ({ error, onSignIn }) => (
+  <div className="min-h-screen flex items-center justify-center p-6">
+    <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-8 max-w-md w-full text-center">
+      <h1 className="text-2xl font-bold text-gray-900 mb-2">InsuranceClaim AI</h1>
+      <p className="text-gray-600 mb-6">Sign in with your organisation account to work on claims.</p>
+
+      {error && (
+        <div className="mb-6 bg-red-50 border border-red-200 rounded-lg p-3 flex items-start text-left">
+          <ExclamationTriangleIcon className="h-5 w-5 text-red-400 mr-2 flex-shrink-0" />
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      <button onClick={onSignIn} className="btn-primary w-full flex items-center justify-center space-x-2">
+        <ArrowRightEndOnRectangleIcon className="h-5 w-5" />
+        <span>Sign in</span>
+      </button>
+    </div>
+  </div>
+);
+
+export default SignIn;
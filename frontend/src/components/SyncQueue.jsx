@@ -0,0 +1,193 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import {
+  ArrowPathIcon,
+  CloudArrowUpIcon,
+  ExclamationTriangleIcon,
+  TrashIcon,
+  ArrowDownTrayIcon,
+} from '@heroicons/react/24/outline';
+import { useApp } from '../contexts/AppContext';
+import { useOutbox } from '../services/useClaimsApi';
+import { OUTBOX_OPERATIONS } from '../services/outbox';
+import { exportToJSON, formatDate, formatTimeAgo } from '../utils/helpers';
+import toast from 'react-hot-toast';
+
+const STATE_BADGES = {
+  pending: { label: 'Waiting to sync', classes: 'bg-yellow-100 text-yellow-800' },
+  conflict: { label: 'Conflict', classes: 'bg-red-100 text-red-800' },
+  failed: { label: 'Rejected', classes: 'bg-red-100 text-red-800' },
+};
+
+const shortId = (id) => (id ? String(id).slice(0, 8) : 'unknown');
+
+const describeEntry = (entry) => {
+  const { payload } = entry;
+  if (entry.operation === OUTBOX_OPERATIONS.submitClaim) {
+    return {
+      title: 'New claim submission',
+      detail: payload.claimData.summary || 'No summary',
+    };
+  }
+  return {
+    title: (
+      <>
+        Set claim{' '}
+        <Link to={`/claims/${payload.claimId}`} className="font-mono text-blue-600 hover:text-blue-800">
+          {shortId(payload.claimId)}
+        </Link>
+        {' '}to {payload.status}
+      </>
+    ),
+    detail: [payload.reasonCode, payload.reasonDescription].filter(Boolean).join(' - '),
+  };
+};
+
+// Claim writes queued while the backend was unreachable, with conflict resolution
+const SyncQueue = () => {
+  const { actions } = useApp();
+  const { entries, syncing, flush, retry, discard } = useOutbox();
+
+  const handleDiscard = async (entry) => {
+    if (!window.confirm('Discard this change? It will not be sent to the backend.')) return;
+    await discard(entry.id);
+    toast.success('Change discarded');
+  };
+
+  // Drop the local change and show the server's copy of the claim
+  const handleKeepServer = async (entry) => {
+    await discard(entry.id);
+    if (entry.conflict?.server) {
+      actions.updateClaim({ ...entry.conflict.server, claim_id: entry.payload.claimId, pendingSync: false });
+    }
+    toast.success('Kept the server version');
+  };
+
+  const handleDownload = (entry) => {
+    exportToJSON([entry.payload.claimData], `unsent_claim_${shortId(entry.id)}`);
+  };
+
+  return (
+    <div className="p-6 max-w-5xl mx-auto">
+      {/* Header */}
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Sync Queue</h1>
+          <p className="text-gray-600">
+            Claim submissions and status changes saved on this device while the backend was unreachable
+          </p>
+        </div>
+        <button
+          onClick={() => flush({ force: true })}
+          disabled={syncing || entries.length === 0}
+          className="btn-primary flex items-center space-x-2 disabled:opacity-50"
+        >
+          <ArrowPathIcon className={`h-4 w-4 ${syncing ? 'animate-spin' : ''}`} />
+          <span>{syncing ? 'Syncing...' : 'Sync Now'}</span>
+        </button>
+      </div>
+
+      {entries.length === 0 ? (
+        <div className="bg-surface rounded-lg shadow-md border border-gray-200 p-12 text-center">
+          <CloudArrowUpIcon className="h-12 w-12 text-gray-300 mx-auto mb-3" />
+          <p className="text-gray-500">Everything is in sync.</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {entries.map(entry => {
+            const { title, detail } = describeEntry(entry);
+            const badge = STATE_BADGES[entry.state];
+            const isSubmission = entry.operation === OUTBOX_OPERATIONS.submitClaim;
+
+            return (
+              <div key={entry.id} className="bg-surface rounded-lg shadow-md border border-gray-200 p-4">
+                <div className="flex justify-between items-start gap-4">
+                  <div className="min-w-0">
+                    <div className="flex items-center space-x-2 mb-1">
+                      <span className="font-medium text-gray-900">{title}</span>
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${badge.classes}`}>
+                        {badge.label}
+                      </span>
+                    </div>
+                    {detail && <p className="text-sm text-gray-600 truncate">{detail}</p>}
+                    <p className="text-xs text-gray-500 mt-1">
+                      Saved {formatTimeAgo(entry.createdAt)}
+                      {entry.attempts > 0 && ` · ${entry.attempts} attempt${entry.attempts === 1 ? '' : 's'}`}
+                      {entry.state === 'pending' && entry.nextAttemptAt > Date.now() &&
+                        ` · next try ${formatDate(new Date(entry.nextAttemptAt))}`}
+                    </p>
+                  </div>
+
+                  <div className="flex flex-shrink-0 space-x-2">
+                    {entry.state === 'conflict' ? (
+                      <>
+                        {entry.conflict?.server && (
+                          <button onClick={() => retry(entry.id, { overwrite: true })} className="btn-primary text-sm">
+                            Apply My Change
+                          </button>
+                        )}
+                        <button onClick={() => handleKeepServer(entry)} className="btn-secondary text-sm">
+                          Keep Server Version
+                        </button>
+                      </>
+                    ) : (
+                      <button
+                        onClick={() => retry(entry.id)}
+                        disabled={syncing}
+                        className="btn-secondary text-sm flex items-center space-x-1 disabled:opacity-50"
+                      >
+                        <ArrowPathIcon className="h-4 w-4" />
+                        <span>Retry</span>
+                      </button>
+                    )}
+                    {isSubmission && (
+                      <button
+                        onClick={() => handleDownload(entry)}
+                        className="btn-secondary text-sm"
+                        title="Download the claim as JSON"
+                      >
+                        <ArrowDownTrayIcon className="h-4 w-4" />
+                      </button>
+                    )}
+                    {entry.state !== 'conflict' && (
+                      <button
+                        onClick={() => handleDiscard(entry)}
+                        className="btn-secondary text-sm text-red-600"
+                        title="Discard"
+                      >
+                        <TrashIcon className="h-4 w-4" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {entry.state === 'conflict' && entry.conflict && (
+                  <div className="mt-3 bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-800 flex">
+                    <ExclamationTriangleIcon className="h-5 w-5 mr-2 flex-shrink-0" />
+                    <div>
+                      <p>{entry.conflict.message}</p>
+                      {entry.conflict.server && (
+                        <p className="mt-1">
+                          Server: <span className="font-medium">{entry.conflict.server.status}</span>
+                          {entry.conflict.server.reason_code && ` (${entry.conflict.server.reason_code})`}
+                          {' · '}Yours: <span className="font-medium">{entry.payload.status}</span>
+                          {entry.payload.reasonCode && ` (${entry.payload.reasonCode})`}
+                        </p>
+                      )}
+                    </div>
+                  </div>
+                )}
+
+                {entry.state !== 'conflict' && entry.lastError && (
+                  <p className="mt-2 text-xs text-red-600">Last error: {entry.lastError}</p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SyncQueue;
@@ -1,5 +1,16 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
-import { apiService } from '../services/api';
+import React, { createContext, useContext, useReducer, useEffect, useRef } from 'react';
+import { apiService, DEFAULT_RETRY_POLICY } from '../services/api';
+import { OUTBOX_OPERATIONS, startOutboxSync, subscribeOutbox, updateClaimStatusOrQueue } from '../services/outbox';
+import { applyTheme } from '../services/theme';
+import { startLiveUpdates, subscribeLiveUpdates, takeNewClaims } from '../services/liveUpdates';
+import { environmentStorageKey, getActiveEnvironment, subscribeEnvironments } from '../services/environments';
+import { applyPhiRetention, loadCachedClaims, saveCachedClaims, startIdleLock } from '../services/sessionLock';
+import { getFromStorage, setToStorage, removeFromStorage } from '../utils/helpers';
+
+// localStorage key, one per environment profile (see environmentStorageKey),
+// for the resumable state of an interrupted batch run. Recent claims are
+// stored through services/sessionLock.js, which limits how long they are kept.
+const BATCH_CHECKPOINT_KEY = 'batchCheckpoint';
 
 // Initial state
 const initialState = {
@@ -29,14 +40,29 @@ const initialState = {
     theme: 'light',
     autoRefresh: false,
     refreshInterval: 30000,
+    serverPush: true,
+    batchConcurrency: 3,
+    retryPolicy: DEFAULT_RETRY_POLICY,
+    idleLockMinutes: 15, // 0 never locks
+    phiCacheHours: 8, // How long recent claims, drafts and queued changes stay in this browser; 0 keeps recent claims in memory only
   },
   
   // Batch processing
   batchProcessing: {
     inProgress: false,
+    status: 'idle', // idle | running | paused | stopped | completed
     progress: 0,
+    total: 0,
+    concurrency: 1,
+    startedAt: null,
+    finishedAt: null,
     results: [],
     errors: [],
+    remaining: [], // Claims ({ claim_id, status }) not yet settled in the current batch
+    settledBefore: 0, // Claims settled in an earlier session whose results are no longer loaded
+    settledAtStart: 0, // Settled count when the current run (or resume) started, for ETA
+    pausedAt: null, // When the current pause began
+    pausedMs: 0, // Time spent paused in the current run, left out of the ETA
   },
 };
 
@@ -51,6 +77,7 @@ const ActionTypes = {
   UPDATE_CLAIM: 'UPDATE_CLAIM',
   SET_CURRENT_CLAIM: 'SET_CURRENT_CLAIM',
   SET_RECENT_CLAIMS: 'SET_RECENT_CLAIMS',
+  ADD_LIVE_CLAIMS: 'ADD_LIVE_CLAIMS',
   
   // Statistics
   UPDATE_STATS: 'UPDATE_STATS',
@@ -60,12 +87,50 @@ const ActionTypes = {
   
   // Batch processing
   START_BATCH_PROCESSING: 'START_BATCH_PROCESSING',
+  RESUME_BATCH_PROCESSING: 'RESUME_BATCH_PROCESSING',
+  SET_BATCH_STATUS: 'SET_BATCH_STATUS',
   UPDATE_BATCH_PROGRESS: 'UPDATE_BATCH_PROGRESS',
   FINISH_BATCH_PROCESSING: 'FINISH_BATCH_PROCESSING',
+  RESTORE_BATCH_CHECKPOINT: 'RESTORE_BATCH_CHECKPOINT',
+  CLEAR_BATCH_PROCESSING: 'CLEAR_BATCH_PROCESSING',
   ADD_BATCH_RESULT: 'ADD_BATCH_RESULT',
   ADD_BATCH_ERROR: 'ADD_BATCH_ERROR',
 };
 
+// Number of claims in the current batch that have settled (succeeded or failed)
+export function getBatchSettledCount(batchProcessing) {
+  return batchProcessing.settledBefore + batchProcessing.results.length + batchProcessing.errors.length;
+}
+
+// Milliseconds the current run has spent processing up to `at`, paused time left out
+export function getBatchActiveTime(batchProcessing, at = Date.now()) {
+  const { startedAt, pausedAt, pausedMs } = batchProcessing;
+  if (!startedAt) return 0;
+  const paused = pausedMs + (pausedAt ? Math.max(0, at - new Date(pausedAt).getTime()) : 0);
+  return Math.max(0, at - new Date(startedAt).getTime() - paused);
+}
+
+// Close an open pause, adding its length to the run's paused time
+function endBatchPause(batchProcessing) {
+  if (!batchProcessing.pausedAt) return batchProcessing;
+  return {
+    ...batchProcessing,
+    pausedAt: null,
+    pausedMs: batchProcessing.pausedMs + Math.max(0, Date.now() - new Date(batchProcessing.pausedAt).getTime()),
+  };
+}
+
+// Apply a settled claim to the batch: drop it from the remaining queue and recompute progress
+function settleBatchClaim(batchProcessing, claimId, changes) {
+  const next = {
+    ...batchProcessing,
+    ...changes,
+    remaining: batchProcessing.remaining.filter(claim => claim.claim_id !== claimId),
+  };
+  next.progress = next.total ? (getBatchSettledCount(next) / next.total) * 100 : next.progress;
+  return next;
+}
+
 // Reducer
 function appReducer(state, action) {
   switch (action.type) {
@@ -91,12 +156,30 @@ function appReducer(state, action) {
         currentClaim: newClaim,
       };
       
+    case ActionTypes.UPDATE_CLAIM: {
+      const updatedId = action.payload.claim_id || action.payload.id;
+      const mergeClaim = (claim) =>
+        (claim.claim_id || claim.id) === updatedId ? { ...claim, ...action.payload } : claim;
+      return {
+        ...state,
+        claims: state.claims.map(mergeClaim),
+        recentClaims: state.recentClaims.map(mergeClaim),
+        currentClaim: state.currentClaim ? mergeClaim(state.currentClaim) : state.currentClaim,
+      };
+    }
+      
     case ActionTypes.SET_CURRENT_CLAIM:
       return { ...state, currentClaim: action.payload };
       
     case ActionTypes.SET_RECENT_CLAIMS:
       return { ...state, recentClaims: action.payload };
       
+    case ActionTypes.ADD_LIVE_CLAIMS: {
+      const listed = new Set(state.recentClaims.map(claim => claim.claim_id || claim.id));
+      const unlisted = action.payload.filter(claim => !listed.has(claim.claim_id || claim.id));
+      return { ...state, recentClaims: [...unlisted, ...state.recentClaims] };
+    }
+      
     case ActionTypes.UPDATE_STATS:
       return { ...state, stats: { ...state.stats, ...action.payload } };
       
@@ -109,6 +192,9 @@ function appReducer(state, action) {
           newSettings.apiKey
         );
       }
+      if (action.payload.retryPolicy) {
+        apiService.setRetryPolicy(newSettings.retryPolicy);
+      }
       return { ...state, settings: newSettings };
       
     case ActionTypes.START_BATCH_PROCESSING:
@@ -116,12 +202,49 @@ function appReducer(state, action) {
         ...state,
         batchProcessing: {
           inProgress: true,
+          status: 'running',
           progress: 0,
+          total: action.payload.claims.length,
+          concurrency: action.payload.concurrency,
+          startedAt: new Date().toISOString(),
+          finishedAt: null,
           results: [],
           errors: [],
+          remaining: action.payload.claims,
+          settledBefore: 0,
+          settledAtStart: 0,
+          pausedAt: null,
+          pausedMs: 0,
+        },
+      };
+      
+    case ActionTypes.RESUME_BATCH_PROCESSING:
+      return {
+        ...state,
+        batchProcessing: {
+          ...state.batchProcessing,
+          inProgress: true,
+          status: 'running',
+          concurrency: action.payload.concurrency,
+          startedAt: new Date().toISOString(),
+          finishedAt: null,
+          settledAtStart: getBatchSettledCount(state.batchProcessing),
+          pausedAt: null,
+          pausedMs: 0,
         },
       };
       
+    case ActionTypes.SET_BATCH_STATUS: {
+      const status = action.payload;
+      const batchProcessing = status === 'paused'
+        ? { ...state.batchProcessing, pausedAt: state.batchProcessing.pausedAt || new Date().toISOString() }
+        : endBatchPause(state.batchProcessing);
+      return {
+        ...state,
+        batchProcessing: { ...batchProcessing, status },
+      };
+    }
+      
     case ActionTypes.UPDATE_BATCH_PROGRESS:
       return {
         ...state,
@@ -134,30 +257,53 @@ function appReducer(state, action) {
     case ActionTypes.ADD_BATCH_RESULT:
       return {
         ...state,
-        batchProcessing: {
-          ...state.batchProcessing,
+        batchProcessing: settleBatchClaim(state.batchProcessing, action.payload.claim_id, {
           results: [...state.batchProcessing.results, action.payload],
-        },
+        }),
       };
       
     case ActionTypes.ADD_BATCH_ERROR:
       return {
         ...state,
-        batchProcessing: {
-          ...state.batchProcessing,
+        batchProcessing: settleBatchClaim(state.batchProcessing, action.payload.claim_id, {
           errors: [...state.batchProcessing.errors, action.payload],
-        },
+        }),
       };
       
-    case ActionTypes.FINISH_BATCH_PROCESSING:
+    case ActionTypes.FINISH_BATCH_PROCESSING: {
+      // Claims still remaining were skipped by a stop and can be resumed later
+      const stopped = state.batchProcessing.remaining.length > 0;
       return {
         ...state,
         batchProcessing: {
-          ...state.batchProcessing,
+          ...endBatchPause(state.batchProcessing),
           inProgress: false,
-          progress: 100,
+          status: stopped ? 'stopped' : 'completed',
+          progress: stopped ? state.batchProcessing.progress : 100,
+          finishedAt: new Date().toISOString(),
         },
       };
+    }
+      
+    case ActionTypes.RESTORE_BATCH_CHECKPOINT: {
+      const { total, concurrency, remaining } = action.payload;
+      const settledBefore = total - remaining.length;
+      return {
+        ...state,
+        batchProcessing: {
+          ...initialState.batchProcessing,
+          status: 'stopped',
+          total,
+          concurrency,
+          remaining,
+          settledBefore,
+          progress: total ? (settledBefore / total) * 100 : 0,
+        },
+      };
+    }
+      
+    case ActionTypes.CLEAR_BATCH_PROCESSING:
+      return { ...state, batchProcessing: initialState.batchProcessing };
       
     default:
       return state;
@@ -167,44 +313,134 @@ function appReducer(state, action) {
 // Context
 const AppContext = createContext();
 
-// Provider component
+// Provider component. App.js remounts it for each environment profile, so
+// claims and batch state always start from that environment's own storage.
 export function AppProvider({ children }) {
   const [state, dispatch] = useReducer(appReducer, initialState);
+  // Live controls for the running batch: abort controller and pause gate
+  const batchControlRef = useRef(null);
 
   // Load settings from localStorage on mount
   useEffect(() => {
+    // The backend URL and key come from the active environment profile
+    const { apiBaseUrl, apiKey } = getActiveEnvironment();
     const savedSettings = localStorage.getItem('claimProcessorSettings');
-    if (savedSettings) {
-      try {
-        const settings = JSON.parse(savedSettings);
-        dispatch({ type: ActionTypes.UPDATE_SETTINGS, payload: settings });
-      } catch (error) {
-        console.error('Failed to load settings:', error);
-      }
+    let settings = {};
+    try {
+      settings = savedSettings ? JSON.parse(savedSettings) : {};
+      dispatch({ type: ActionTypes.UPDATE_SETTINGS, payload: { ...settings, apiBaseUrl, apiKey } });
+    } catch (error) {
+      console.error('Failed to load settings:', error);
     }
     
-    // Load recent claims from localStorage
-    const savedClaims = localStorage.getItem('recentClaims');
-    if (savedClaims) {
-      try {
-        const claims = JSON.parse(savedClaims);
-        dispatch({ type: ActionTypes.SET_RECENT_CLAIMS, payload: claims });
-      } catch (error) {
-        console.error('Failed to load recent claims:', error);
-      }
+    // Load recent claims still within the PHI retention period, and drop
+    // drafts and queued changes that are past it
+    const phiCacheHours = settings.phiCacheHours ?? initialState.settings.phiCacheHours;
+    applyPhiRetention(phiCacheHours);
+    const claims = loadCachedClaims(phiCacheHours);
+    if (claims.length > 0) {
+      dispatch({ type: ActionTypes.SET_RECENT_CLAIMS, payload: claims });
+    }
+    
+    // Restore a batch run that was stopped, paused or interrupted by a reload
+    const batchCheckpoint = getFromStorage(environmentStorageKey(BATCH_CHECKPOINT_KEY));
+    if (batchCheckpoint?.remaining?.length) {
+      dispatch({ type: ActionTypes.RESTORE_BATCH_CHECKPOINT, payload: batchCheckpoint });
     }
   }, []);
+  
+  // Persist the unsettled part of a batch so it can be resumed after a reload
+  useEffect(() => {
+    const { status, total, concurrency, remaining } = state.batchProcessing;
+    if (status === 'idle') return;
+    
+    if (status !== 'completed' && remaining.length > 0) {
+      setToStorage(environmentStorageKey(BATCH_CHECKPOINT_KEY), { total, concurrency, remaining, savedAt: new Date().toISOString() });
+    } else {
+      removeFromStorage(environmentStorageKey(BATCH_CHECKPOINT_KEY));
+    }
+  }, [state.batchProcessing]);
+
+  // Replay writes queued while the backend was unreachable, and fold status
+  // updates back into local claims as they reach the server
+  useEffect(() => {
+    const stopSync = startOutboxSync();
+    const unsubscribe = subscribeOutbox((outbox, event) => {
+      if (event?.type !== 'synced' || event.entry.operation !== OUTBOX_OPERATIONS.updateClaimStatus) return;
+      dispatch({
+        type: ActionTypes.UPDATE_CLAIM,
+        payload: { ...event.result, claim_id: event.entry.payload.claimId, pendingSync: false },
+      });
+    });
+    return () => {
+      unsubscribe();
+      stopSync();
+    };
+  }, []);
 
-  // Save settings to localStorage when they change
+  // Show edits to the active profile's URL or key (Settings > Environments)
+  useEffect(() => subscribeEnvironments(() => {
+    const { apiBaseUrl, apiKey } = getActiveEnvironment();
+    dispatch({ type: ActionTypes.UPDATE_SETTINGS, payload: { apiBaseUrl, apiKey } });
+  }), []);
+
+  // The first render still has the default theme; index.html has already
+  // applied the saved one, so wait for the saved settings to load
+  const themeLoadedRef = useRef(false);
   useEffect(() => {
-    localStorage.setItem('claimProcessorSettings', JSON.stringify(state.settings));
+    if (!themeLoadedRef.current) {
+      themeLoadedRef.current = true;
+      return;
+    }
+    applyTheme(state.settings.theme);
+  }, [state.settings.theme]);
+
+  // Auto refresh: poll (or listen for pushed events) and merge changed claims in
+  // place. New claims wait in the live updates state until showNewClaims().
+  const { autoRefresh, refreshInterval, serverPush, apiBaseUrl, apiKey } = state.settings;
+  useEffect(() => {
+    if (!autoRefresh) return undefined;
+    const unsubscribe = subscribeLiveUpdates((liveState, event) => {
+      if (event?.type !== 'updated') return;
+      event.claims.forEach(claim => dispatch({ type: ActionTypes.UPDATE_CLAIM, payload: claim }));
+    });
+    const stop = startLiveUpdates({ interval: refreshInterval, push: serverPush });
+    return () => {
+      unsubscribe();
+      stop();
+    };
+  }, [autoRefresh, refreshInterval, serverPush, apiBaseUrl, apiKey]);
+
+  // Lock the app after the configured time without activity
+  useEffect(() => startIdleLock(state.settings.idleLockMinutes), [state.settings.idleLockMinutes]);
+
+  // Save settings to localStorage when they change. The API key stays in the
+  // session's credential vault (see services/credentials.js).
+  useEffect(() => {
+    const { apiKey: omitted, ...persisted } = state.settings;
+    localStorage.setItem('claimProcessorSettings', JSON.stringify(persisted));
   }, [state.settings]);
 
-  // Save recent claims to localStorage when they change
+  // Save recent claims to localStorage when they change, as long as the PHI
+  // retention setting allows
+  const { phiCacheHours } = state.settings;
+  useEffect(() => {
+    saveCachedClaims(state.recentClaims, phiCacheHours);
+  }, [state.recentClaims, phiCacheHours]);
+
+  // Drafts and queued changes hold claim data too and follow the same limit.
+  // The first run has the default setting; loading applies the saved one.
+  const phiRetentionLoadedRef = useRef(false);
+  useEffect(() => {
+    if (!phiRetentionLoadedRef.current) {
+      phiRetentionLoadedRef.current = true;
+      return;
+    }
+    applyPhiRetention(phiCacheHours);
+  }, [phiCacheHours]);
+
+  // Update statistics
   useEffect(() => {
-    localStorage.setItem('recentClaims', JSON.stringify(state.recentClaims));
-    
-    // Update statistics
     const stats = calculateStats(state.recentClaims);
     dispatch({ type: ActionTypes.UPDATE_STATS, payload: stats });
   }, [state.recentClaims]);
@@ -249,6 +485,11 @@ export function AppProvider({ children }) {
       payload: { claimId, result } 
     }),
     
+    updateClaim: (claim) => dispatch({
+      type: ActionTypes.UPDATE_CLAIM,
+      payload: claim
+    }),
+    
     setCurrentClaim: (claim) => dispatch({ 
       type: ActionTypes.SET_CURRENT_CLAIM, 
       payload: claim 
@@ -259,12 +500,34 @@ export function AppProvider({ children }) {
       payload: claims
     }),
     
+    // Move the claims behind the "new claims" banner into recent claims
+    showNewClaims: () => {
+      const claims = takeNewClaims();
+      if (claims.length > 0) dispatch({ type: ActionTypes.ADD_LIVE_CLAIMS, payload: claims });
+      return claims;
+    },
+    
     updateSettings: (settings) => dispatch({ 
       type: ActionTypes.UPDATE_SETTINGS, 
       payload: settings 
     }),
     
-    startBatchProcessing: () => dispatch({ type: ActionTypes.START_BATCH_PROCESSING }),
+    startBatchProcessing: (claims, concurrency) => dispatch({
+      type: ActionTypes.START_BATCH_PROCESSING,
+      payload: { claims, concurrency }
+    }),
+    resumeBatchProcessing: (concurrency) => dispatch({
+      type: ActionTypes.RESUME_BATCH_PROCESSING,
+      payload: { concurrency }
+    }),
+    setBatchStatus: (status) => dispatch({
+      type: ActionTypes.SET_BATCH_STATUS,
+      payload: status
+    }),
+    clearBatchProcessing: () => {
+      removeFromStorage(environmentStorageKey(BATCH_CHECKPOINT_KEY));
+      dispatch({ type: ActionTypes.CLEAR_BATCH_PROCESSING });
+    },
     updateBatchProgress: (progress) => dispatch({ 
       type: ActionTypes.UPDATE_BATCH_PROGRESS, 
       payload: progress 
@@ -297,12 +560,48 @@ export function AppProvider({ children }) {
       }
     },
     
-    async loadClaims(filters = {}) {
+    // Record an adjuster's manual decision. The AI decision it replaces is kept on
+    // the claim's `adjudication` record so later overrides still compare against it.
+    // When the backend is unreachable the decision is queued in the outbox and the
+    // result is marked `pendingSync`.
+    async adjudicateClaim(claim, { status, reasonCode, justification }) {
+      const claimId = claim.claim_id || claim.id;
+      const outcome = await updateClaimStatusOrQueue(claimId, status, reasonCode, justification, {
+        baseline: claim.status ? { status: claim.status, reason_code: claim.reason_code ?? null } : null,
+      });
+      const updated = outcome.queued ? {} : outcome.data;
+
+      const adjudication = {
+        status,
+        reason_code: reasonCode,
+        justification,
+        ai_decision: claim.adjudication ? claim.adjudication.ai_decision : claim.decision,
+        ai_confidence: claim.adjudication ? claim.adjudication.ai_confidence : claim.confidence_score,
+        adjudicatedAt: new Date().toISOString(),
+      };
+
+      const result = {
+        ...updated,
+        claim_id: claimId,
+        decision: status,
+        status,
+        reason_code: reasonCode,
+        reason_description: justification,
+        adjudication,
+        pendingSync: outcome.queued,
+      };
+      this.updateClaim(result);
+
+      return result;
+    },
+
+    // `force` skips the query cache, for explicit refreshes
+    async loadClaims(filters = {}, { force = false } = {}) {
       try {
         this.setLoading(true);
         this.clearError();
         
-        const result = await apiService.getClaims(filters);
+        const result = await apiService.getClaims(filters, { force });
         const claims = result.claims || result;
         this.setRecentClaims(claims);
         
@@ -315,27 +614,17 @@ export function AppProvider({ children }) {
       }
     },
     
-    async processPendingClaims() {
+    async processPendingClaims({ concurrency = state.settings.batchConcurrency } = {}) {
       try {
-        this.startBatchProcessing();
         this.setLoading(true);
         this.clearError();
         
-        const results = await apiService.processPendingClaims();
-        
-        // Simulate progress updates
-        for (let i = 0; i < results.length; i++) {
-          this.addBatchResult(results[i]);
-          this.updateBatchProgress(((i + 1) / results.length) * 100);
-          
-          // Add small delay to show progress
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
+        const pendingClaims = await apiService.getPendingClaims();
+        const queue = pendingClaims.map(claim => ({ claim_id: claim.claim_id || claim.id, status: claim.status }));
+        this.startBatchProcessing(queue, concurrency);
         
-        this.finishBatchProcessing();
-        return results;
+        return await this.runBatch(queue, concurrency);
       } catch (error) {
-        this.addBatchError(error.message);
         this.setError(error.message);
         throw error;
       } finally {
@@ -343,6 +632,80 @@ export function AppProvider({ children }) {
       }
     },
     
+    // Process the claims still remaining in a stopped or restored batch
+    async resumeBatch({ concurrency = state.batchProcessing.concurrency } = {}) {
+      const control = batchControlRef.current;
+      if (control?.paused) {
+        control.paused = false;
+        control.releasePaused();
+        this.setBatchStatus('running');
+        return [];
+      }
+      
+      const queue = state.batchProcessing.remaining;
+      if (queue.length === 0) return [];
+      
+      this.resumeBatchProcessing(concurrency);
+      return this.runBatch(queue, concurrency);
+    },
+    
+    // Hold the queue: in-flight claims finish, no new claims start until resumed
+    pauseBatch() {
+      const control = batchControlRef.current;
+      if (!control || control.paused) return;
+      control.paused = true;
+      this.setBatchStatus('paused');
+    },
+    
+    // Abort in-flight requests and skip everything not yet processed
+    stopBatch() {
+      const control = batchControlRef.current;
+      if (!control) return;
+      control.abortController.abort();
+      control.paused = false;
+      control.releasePaused();
+    },
+    
+    // Run a batch queue, dispatching results as each claim settles so progress
+    // reflects real work. Cancelled and unstarted claims stay in `remaining`.
+    async runBatch(queue, concurrency) {
+      let waiters = [];
+      const control = {
+        abortController: new AbortController(),
+        paused: false,
+        releasePaused: () => {
+          waiters.forEach(resolve => resolve());
+          waiters = [];
+        },
+      };
+      batchControlRef.current = control;
+      
+      try {
+        const results = await apiService.processClaims(queue, {
+          concurrency,
+          signal: control.abortController.signal,
+          waitIfPaused: () => (control.paused ? new Promise(resolve => waiters.push(resolve)) : null),
+          onClaimProcessed: (entry) => {
+            if (entry.cancelled) return;
+            if (entry.success) {
+              this.addBatchResult({ ...entry.result, originalStatus: entry.originalStatus });
+              this.updateClaim(entry.result);
+            } else {
+              this.addBatchError({ claim_id: entry.claim_id, message: entry.error });
+            }
+          },
+        });
+        return results.filter(entry => entry && !entry.cancelled);
+      } catch (error) {
+        this.addBatchError({ claim_id: null, message: error.message });
+        throw error;
+      } finally {
+        // The one place a run is finished, however it ends
+        batchControlRef.current = null;
+        this.finishBatchProcessing();
+      }
+    },
+    
     async testConnection() {
       try {
         this.setLoading(true);
@@ -0,0 +1,20 @@
+import { getBatchActiveTime } from './AppContext';
+
+const at = (time) => new Date(`2024-03-01T10:${time}Z`).getTime();
+const run = (fields) => ({ startedAt: '2024-03-01T10:00:00.000Z', pausedAt: null, pausedMs: 0, ...fields });
+
+describe('getBatchActiveTime', () => {
+  test('leaves finished pauses out of the run time', () => {
+    expect(getBatchActiveTime(run({ pausedMs: 120000 }), at('05:00'))).toBe(180000);
+  });
+
+  test('stops counting while the run is paused', () => {
+    const paused = run({ pausedAt: '2024-03-01T10:02:00.000Z', pausedMs: 30000 });
+    expect(getBatchActiveTime(paused, at('02:00'))).toBe(90000);
+    expect(getBatchActiveTime(paused, at('09:00'))).toBe(90000);
+  });
+
+  test('is zero before a run starts', () => {
+    expect(getBatchActiveTime(run({ startedAt: null }), at('05:00'))).toBe(0);
+  });
+});
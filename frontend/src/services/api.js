@@ -1,10 +1,20 @@
 import axios from 'axios';
+import { ApiError, API_ERROR_CODES, parseValidationDetail } from './apiError';
+import { cachedQuery, invalidateQueries, clearQueryCache } from './queryCache';
+import { getAccessToken, isAuthEnabled, refreshSession } from './auth';
+import {
+  DEFAULT_API_KEY,
+  getActiveEnvironment,
+  getActiveEnvironmentId,
+  saveEnvironment,
+  subscribeEnvironments,
+} from './environments';
 
 // API Configuration
 const API_BASE_URL = process.env.NODE_ENV === 'development' 
   ? '' // Use proxy in development
   : process.env.REACT_APP_API_BASE_URL || 'http://localhost:8000';
-const API_KEY = process.env.REACT_APP_API_KEY || 'your_api_key_here';
+const API_KEY = DEFAULT_API_KEY;
 
 // Initialize localStorage with correct values if not set or if using old port 8080
 const initializeApiConfig = () => {
@@ -17,34 +27,51 @@ const initializeApiConfig = () => {
       : 'http://localhost:8000';
     localStorage.setItem('apiBaseUrl', correctBaseUrl);
   }
-  
-  // Ensure API key is set
-  if (!localStorage.getItem('apiKey')) {
-    localStorage.setItem('apiKey', API_KEY);
-  }
+  // API keys are kept in the session's credential vault, not here (see services/credentials.js)
 };
 
 // Initialize configuration
 initializeApiConfig();
 
-// Create axios instance with default config
+// Create axios instance with default config. The URL and key come from the
+// active environment profile (see services/environments.js).
 const api = axios.create({
-  baseURL: localStorage.getItem('apiBaseUrl') || API_BASE_URL,
+  baseURL: getActiveEnvironment().apiBaseUrl || API_BASE_URL,
   headers: {
     'Content-Type': 'application/json',
-    'api-key': localStorage.getItem('apiKey') || API_KEY,
+    'api-key': getActiveEnvironment().apiKey || API_KEY,
   },
   timeout: 30000, // 30 seconds
   withCredentials: false, // Set to false for CORS
 });
 
-// Request interceptor for adding auth headers
+// Requests are stamped with the environment they were made in. One that is
+// retried, or answered, after a switch to another environment is cancelled, so
+// neither credentials nor data cross between environments.
+const assertSameEnvironment = (config) => {
+  if (config?.environmentId && config.environmentId !== getActiveEnvironmentId()) {
+    throw new axios.CanceledError('Cancelled by a switch to another environment', 'ERR_CANCELED', config);
+  }
+};
+
+// Request interceptor for adding auth headers: the signed-in user's bearer
+// token when sign-in is configured (see services/auth.js), otherwise the API key
 api.interceptors.request.use(
-  (config) => {
-    // Get API key from localStorage if available
-    const storedApiKey = localStorage.getItem('apiKey');
-    if (storedApiKey) {
-      config.headers['api-key'] = storedApiKey;
+  async (config) => {
+    assertSameEnvironment(config);
+    config.environmentId = getActiveEnvironmentId();
+
+    if (isAuthEnabled()) {
+      const token = await getAccessToken();
+      config.headers.delete('api-key');
+      if (token) config.headers.Authorization = `Bearer ${token}`;
+      return config;
+    }
+
+    // The active profile's key, from this tab's credential vault
+    const { apiKey } = apiService.getConfig();
+    if (apiKey) {
+      config.headers['api-key'] = apiKey;
     }
     return config;
   },
@@ -53,57 +80,291 @@ api.interceptors.request.use(
   }
 );
 
+// Retry policy for transient failures, set from Settings through setRetryPolicy.
+// Delays are in milliseconds.
+export const DEFAULT_RETRY_POLICY = {
+  enabled: true,
+  maxRetries: 3,
+  baseDelay: 500,
+  maxDelay: 10000,
+};
+
+let retryPolicy = { ...DEFAULT_RETRY_POLICY };
+
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+export const createIdempotencyKey = () =>
+  (typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(16).slice(2)}`);
+
+// Sending a request twice must not change the outcome: idempotent methods, or
+// a POST the backend can de-duplicate by its idempotency key
+const isSafeToRepeat = (config) =>
+  IDEMPOTENT_METHODS.includes((config.method || 'get').toLowerCase()) ||
+  Boolean(config.headers?.[IDEMPOTENCY_HEADER]);
+
+// Retry-After is either a number of seconds or an HTTP date
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Delay before retrying a failed request, or null when the error should be thrown.
+// A 429 was rejected before any work was done, so it is retried for every method;
+// gateway errors and lost responses only when the request is safe to repeat.
+const getRetryDelay = (error) => {
+  const { config, response } = error;
+  if (!config || config.retry === false || !retryPolicy.enabled) return null;
+
+  const attempt = config.retryAttempt || 0;
+  if (attempt >= retryPolicy.maxRetries) return null;
+
+  const status = response?.status;
+  if (status && !RETRYABLE_STATUSES.includes(status)) return null;
+  if (status !== 429 && !isSafeToRepeat(config)) return null;
+
+  // A server asking for longer than we are willing to wait gets the error instead
+  const retryAfter = parseRetryAfter(response?.headers?.['retry-after']);
+  if (retryAfter !== null) return retryAfter <= retryPolicy.maxDelay ? retryAfter : null;
+
+  // Equal jitter keeps clients that failed together from retrying in lockstep
+  const delay = Math.min(retryPolicy.maxDelay, retryPolicy.baseDelay * 2 ** attempt);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+};
+
+const waitForRetry = (delay, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new axios.CanceledError());
+    return;
+  }
+  const handleAbort = () => {
+    clearTimeout(timer);
+    reject(new axios.CanceledError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', handleAbort);
+    resolve();
+  }, delay);
+  signal?.addEventListener('abort', handleAbort, { once: true });
+});
+
+const STATUS_ERRORS = {
+  401: [API_ERROR_CODES.unauthorized, 'Invalid API key. Please check your credentials.'],
+  403: [API_ERROR_CODES.forbidden, 'Access forbidden. Please check your permissions.'],
+  404: [API_ERROR_CODES.notFound, 'Endpoint not found. Please check the API URL.'],
+  405: [API_ERROR_CODES.methodNotAllowed, 'Method not allowed. The backend endpoint may not support this HTTP method.'],
+  500: [API_ERROR_CODES.server, 'Server error. Please try again later.'],
+  502: [API_ERROR_CODES.unavailable, 'The backend is temporarily unavailable. Please try again later.'],
+  503: [API_ERROR_CODES.unavailable, 'The backend is temporarily unavailable. Please try again later.'],
+  504: [API_ERROR_CODES.unavailable, 'The backend took too long to respond. Please try again later.'],
+};
+
+// Convert an axios error into an ApiError carrying everything the backend sent
+const toApiError = (error) => {
+  if (!error.response) {
+    if (!error.request) {
+      return new ApiError(error.message || 'An unexpected error occurred.');
+    }
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return new ApiError('The request timed out. Please try again.', { code: API_ERROR_CODES.timeout, network: true });
+    }
+    // Network error - could be CORS or connection issue
+    if (error.message.includes('CORS') || error.code === 'ERR_NETWORK') {
+      return new ApiError(
+        'CORS error: Please ensure the backend server is running and configured to allow requests from this origin. Check the proxy configuration.',
+        { code: API_ERROR_CODES.network, network: true }
+      );
+    }
+    return new ApiError(
+      'Network error. Please check your connection and ensure the backend is running.',
+      { code: API_ERROR_CODES.network, network: true }
+    );
+  }
+
+  const { status, data, headers } = error.response;
+  const details = {
+    status,
+    data,
+    requestId: headers?.['x-request-id'] || headers?.['x-correlation-id'] || null,
+  };
+
+  if (status === 422) {
+    const { fieldErrors, formErrors } = parseValidationDetail(data?.detail);
+    const messages = [
+      ...Object.entries(fieldErrors).map(([field, fieldMessages]) => `${field}: ${fieldMessages.join(', ')}`),
+      ...formErrors,
+    ];
+    return new ApiError(
+      messages.length > 0 ? `Validation failed: ${messages.join('; ')}` : 'The backend rejected the request as invalid.',
+      { ...details, code: API_ERROR_CODES.validation, fieldErrors, formErrors }
+    );
+  }
+
+  if (status === 429) {
+    const retryAfter = parseRetryAfter(headers?.['retry-after']);
+    const seconds = retryAfter === null ? null : Math.ceil(retryAfter / 1000);
+    return new ApiError(
+      seconds ? `Rate limit exceeded. Please try again in ${seconds} seconds.` : 'Rate limit exceeded. Please try again later.',
+      { ...details, code: API_ERROR_CODES.rateLimited, retryAfter: seconds }
+    );
+  }
+
+  if (STATUS_ERRORS[status]) {
+    const [code, message] = STATUS_ERRORS[status];
+    return new ApiError(message, { ...details, code });
+  }
+
+  const backendMessage = typeof data?.detail === 'string' ? data.detail : data?.message;
+  return new ApiError(backendMessage || `HTTP ${status}: ${error.message}`, { ...details, code: API_ERROR_CODES.http });
+};
+
 // Response interceptor for error handling
 api.interceptors.response.use(
-  (response) => response,
+  (response) => {
+    assertSameEnvironment(response.config);
+    return response;
+  },
   (error) => {
-    if (error.response) {
-      // Server responded with error status
-      const { status, data } = error.response;
-      
-      switch (status) {
-        case 401:
-          throw new Error('Invalid API key. Please check your credentials.');
-        case 403:
-          throw new Error('Access forbidden. Please check your permissions.');
-        case 404:
-          throw new Error('Endpoint not found. Please check the API URL.');
-        case 405:
-          throw new Error('Method not allowed. The backend endpoint may not support this HTTP method.');
-        case 429:
-          throw new Error('Rate limit exceeded. Please try again later.');
-        case 500:
-          throw new Error('Server error. Please try again later.');
-        default:
-          throw new Error(data?.message || `HTTP ${status}: ${error.message}`);
-      }
-    } else if (error.request) {
-      // Network error - could be CORS or connection issue
-      if (error.message.includes('CORS') || error.code === 'ERR_NETWORK') {
-        throw new Error('CORS error: Please ensure the backend server is running and configured to allow requests from this origin. Check the proxy configuration.');
-      }
-      throw new Error('Network error. Please check your connection and ensure the backend is running.');
-    } else {
-      // Other error
-      throw new Error(error.message || 'An unexpected error occurred.');
+    // Let cancelled requests through untouched so callers can tell them apart
+    if (axios.isCancel(error)) {
+      throw error;
+    }
+    assertSameEnvironment(error.config);
+
+    // An access token rejected before its expiry (revoked, or the clock is off):
+    // refresh once and repeat. If the refresh token is rejected the user is signed out.
+    if (isAuthEnabled() && error.response?.status === 401 && !error.config.authRetried) {
+      error.config.authRetried = true;
+      return refreshSession().then(
+        () => api.request(error.config),
+        () => { throw toApiError(error); }
+      );
+    }
+
+    // Retried requests come back through this interceptor, so their errors are already mapped
+    const retryDelay = getRetryDelay(error);
+    if (retryDelay !== null) {
+      error.config.retryAttempt = (error.config.retryAttempt || 0) + 1;
+      return waitForRetry(retryDelay, error.config.signal).then(() => api.request(error.config));
     }
+
+    throw toApiError(error);
   }
 );
 
+// Whether the backend exposes the AI processing endpoint (null until the first call)
+let aiProcessingSupported = null;
+// Whether the backend can list providers (null until the first call)
+let providerListSupported = null;
+
+// FastAPI answers unknown routes with 404 {"detail": "Not Found"} (as opposed to
+// e.g. "Claim not found"), and known routes with the wrong method with 405
+const isMissingRouteError = (error) =>
+  error.status === 405 ||
+  error.status === 501 ||
+  (error.status === 404 && error.data?.detail === 'Not Found');
+
+// Run `worker` over `items` with at most `concurrency` calls in flight.
+// Results keep input order; `onItemComplete` fires in completion order.
+// No new items start once `signal` is aborted, and `waitIfPaused` is awaited
+// before each item so a caller can hold the queue without cancelling work.
+const runWithConcurrency = async (items, worker, { concurrency = 3, onItemComplete, signal, waitIfPaused } = {}) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      if (waitIfPaused) await waitIfPaused();
+      if (signal?.aborted) return;
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+      onItemComplete?.(results[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runNext));
+  return results;
+};
+
+// Reads go through services/queryCache; tags name the records a response holds
+const fetchData = (url, config) => api.get(url, config).then(response => response.data);
+
+const claimListTags = (data) =>
+  (Array.isArray(data) ? data : data?.claims || data?.items || []).map(claim => `claim:${claim.claim_id}`);
+
+// A changed claim can move into or out of any filtered list (status=Approved,
+// ...), not only the lists that held it, so every claim list goes with it
+const invalidateClaim = (claimId) => invalidateQueries(`claim:${claimId}`, 'claims');
+
+// Filters the backend does not support yet are applied to the fetched page
+const CLIENT_SIDE_CLAIM_FILTERS = ['status', 'provider_id', 'patient_id', 'policy_id'];
+
+const filterClaimsClientSide = (claims, filters) =>
+  CLIENT_SIDE_CLAIM_FILTERS
+    .filter(key => filters[key])
+    .reduce((result, key) => result.filter(claim => claim[key] === filters[key]), claims);
+
+// A backend that keeps answering with new claims is read at most this far
+const MAX_CLAIM_PAGES = 1000;
+
+const claimIdentity = (claim) => claim.claim_id ?? claim.id ?? JSON.stringify(claim);
+
+/**
+ * Read a paged claim list to the end. `fetchPage({ skip, limit, cursor })`
+ * resolves to a bare array or a `{ claims | items, total, next_cursor }` envelope.
+ *
+ * Reading stops at an empty page, once the envelope's `total` is reached, or at
+ * a page holding no claim not already read (a backend ignoring `skip`). A short
+ * page does not end it, since the backend may cap `limit` below `pageSize`.
+ * `onPage(claims)` gets the claims read so far after each page that is not the
+ * last. Throws rather than return a partial list after MAX_CLAIM_PAGES pages.
+ */
+export const readAllClaimPages = async (fetchPage, { pageSize = 100, onPage } = {}) => {
+  const claims = [];
+  const seen = new Set();
+  let skip = 0;
+  let cursor = null;
+
+  for (let pages = 0; pages < MAX_CLAIM_PAGES; pages++) {
+    const data = await fetchPage({ skip, limit: pageSize, cursor });
+    const page = Array.isArray(data) ? data : data?.claims || data?.items || [];
+    const unread = page.filter(claim => !seen.has(claimIdentity(claim)));
+    unread.forEach(claim => seen.add(claimIdentity(claim)));
+    claims.push(...unread);
+
+    skip += page.length;
+    cursor = data?.next_cursor || null;
+    const total = typeof data?.total === 'number' ? data.total : null;
+    if (unread.length === 0 || (total !== null && skip >= total && !cursor)) return claims;
+    onPage?.(claims);
+  }
+
+  throw new Error(`Stopped reading claims after ${MAX_CLAIM_PAGES} pages; the backend kept returning more`);
+};
+
 // API Service Functions
 export const apiService = {
   // Health check (using claims endpoint as health check)
   async healthCheck() {
     try {
-      const response = await api.get('/claims/', { params: { limit: 1 } });
+      // Not retried: health checks should report the backend as it is right now
+      const response = await api.get('/claims/', { params: { limit: 1 }, retry: false });
       return { status: 'healthy', data: response.data };
     } catch (error) {
       throw error;
     }
   },
 
-  // Submit a new claim with complete data
-  async submitClaim(claimData) {
+  // Submit a new claim with complete data. The idempotency key lets the backend
+  // recognise a retried submission; pass the same key when resending the same claim.
+  async submitClaim(claimData, { idempotencyKey = createIdempotencyKey() } = {}) {
     try {
       // Validate required fields
       const requiredFields = ['provider_id', 'risk_id', 'patient_id', 'policy_id', 'summary'];
@@ -124,7 +385,11 @@ export const apiService = {
         ...claimData
       };
 
-      const response = await api.post('/claims/', completeClaimData);
+      const response = await api.post('/claims/', completeClaimData, {
+        headers: { [IDEMPOTENCY_HEADER]: idempotencyKey },
+      });
+      // Any cached list could be one the new claim belongs in
+      invalidateQueries('claims');
       return response.data;
     } catch (error) {
       throw error;
@@ -132,17 +397,19 @@ export const apiService = {
   },
 
   // Get claim by ID
-  async getClaim(claimId) {
+  async getClaim(claimId, { force } = {}) {
     try {
-      const response = await api.get(`/claims/${claimId}`);
-      return response.data;
+      return await cachedQuery(['claim', claimId], () => fetchData(`/claims/${claimId}`), {
+        tags: [`claim:${claimId}`],
+        force,
+      });
     } catch (error) {
       throw error;
     }
   },
 
   // Get all claims with optional filters
-  async getClaims(filters = {}) {
+  async getClaims(filters = {}, { force } = {}) {
     try {
       const params = {};
       
@@ -152,23 +419,10 @@ export const apiService = {
       
       // For other filters, we'll need to handle them client-side since your backend
       // doesn't seem to support status/provider filtering yet
-      const response = await api.get('/claims/', { params });
-      
-      let claims = response.data.claims || response.data;
+      const data = await this.getClaimsPage(params, { force });
       
       // Client-side filtering for unsupported backend filters
-      if (filters.status) {
-        claims = claims.filter(claim => claim.status === filters.status);
-      }
-      if (filters.provider_id) {
-        claims = claims.filter(claim => claim.provider_id === filters.provider_id);
-      }
-      if (filters.patient_id) {
-        claims = claims.filter(claim => claim.patient_id === filters.patient_id);
-      }
-      if (filters.policy_id) {
-        claims = claims.filter(claim => claim.policy_id === filters.policy_id);
-      }
+      const claims = filterClaimsClientSide(data.claims || data, filters);
       
       return { claims };
     } catch (error) {
@@ -176,8 +430,27 @@ export const apiService = {
     }
   },
 
+  // Raw GET /claims/ response: a bare array from backends without query
+  // support, or a { claims, total } envelope from ones that have it.
+  // Aborting `signal` stops waiting; the request itself may be shared and carries on.
+  async getClaimsPage(params = {}, { signal, force } = {}) {
+    return cachedQuery(['claims', params], () => fetchData('/claims/', { params }), {
+      tags: ['claims'],
+      dataTags: claimListTags,
+      signal,
+      force,
+    });
+  },
+
+  // Page through every claim matching the filters; the backend caps each page,
+  // so record pages (policy, patient) use this to list all of an entity's claims
+  async getAllClaims(filters = {}, pageSize = 100) {
+    const claims = await readAllClaimPages(({ skip, limit }) => this.getClaimsPage({ skip, limit }), { pageSize });
+    return filterClaimsClientSide(claims, filters);
+  },
+
   // Update claim status
-  async updateClaimStatus(claimId, status, reasonCode = null, reasonDescription = null) {
+  async updateClaimStatus(claimId, status, reasonCode = null, reasonDescription = null, { signal } = {}) {
     try {
       const updateData = {
         status,
@@ -185,67 +458,82 @@ export const apiService = {
         reason_description: reasonDescription
       };
 
-      const response = await api.put(`/claims/${claimId}`, updateData);
+      const response = await api.put(`/claims/${claimId}`, updateData, { signal });
+      invalidateClaim(claimId);
       return response.data;
     } catch (error) {
       throw error;
     }
   },
 
-  // Process a claim (update status to "Under Review")
-  async processClaim(claimId) {
-    try {
-      return await this.updateClaimStatus(claimId, 'Under Review', null, 'Claim is being processed');
-    } catch (error) {
-      throw error;
+  // Process a claim through AI adjudication, falling back to a status update
+  // (claim moves to "Under Review") when the backend only exposes the CRUD routes
+  async processClaim(claimId, { signal } = {}) {
+    if (aiProcessingSupported !== false) {
+      try {
+        const response = await api.post('/api/v1/claims/process', { claim_id: claimId }, { signal });
+        aiProcessingSupported = true;
+        invalidateClaim(claimId);
+        return ClaimUtils.normalizeClaimResult(response.data, { claim_id: claimId });
+      } catch (error) {
+        if (!isMissingRouteError(error)) throw error;
+        aiProcessingSupported = false;
+      }
     }
+
+    const updatedClaim = await this.updateClaimStatus(claimId, 'Under Review', null, 'Claim is being processed', { signal });
+    return ClaimUtils.normalizeClaimResult({}, { claim_id: claimId, ...updatedClaim }, 'status_update');
   },
 
-  // Process all pending claims (get claims with "Submitted" status and process them)
-  async processPendingClaims() {
-    try {
-      // Get all claims first
-      const allClaims = await this.getClaims({ limit: 100 });
-      const claims = allClaims.claims || allClaims;
-      
-      // Filter for pending/submitted claims
-      const pendingClaims = claims.filter(claim => 
-        claim.status === 'Submitted' || claim.status === 'Pending'
-      );
+  // Get claims waiting for processing ("Submitted" or "Pending")
+  async getPendingClaims() {
+    const allClaims = await this.getClaims({ limit: 100 });
+    const claims = allClaims.claims || allClaims;
+    return claims.filter(claim => claim.status === 'Submitted' || claim.status === 'Pending');
+  },
 
-      if (pendingClaims.length === 0) {
-        return [];
+  // Process a list of claims, running up to `concurrency` requests at a time.
+  // `onClaimProcessed` is called with each entry as soon as its claim settles;
+  // the returned array holds the same entries in input order. Aborting `signal`
+  // cancels in-flight requests (entries marked `cancelled`) and leaves claims that
+  // were never started as empty slots; `waitIfPaused` is awaited before each claim.
+  async processClaims(claims, { concurrency = 3, onClaimProcessed, signal, waitIfPaused } = {}) {
+    return runWithConcurrency(claims, async (claim) => {
+      const claimId = claim.claim_id || claim.id;
+      try {
+        const result = await this.processClaim(claimId, { signal });
+        return { claim_id: claimId, success: true, result, originalStatus: claim.status };
+      } catch (error) {
+        if (axios.isCancel(error)) {
+          return { claim_id: claimId, success: false, cancelled: true, originalStatus: claim.status };
+        }
+        return { claim_id: claimId, success: false, error: error.message, originalStatus: claim.status };
       }
+    }, { concurrency, onItemComplete: onClaimProcessed, signal, waitIfPaused });
+  },
 
-      // Process each pending claim
-      const results = [];
-      for (const claim of pendingClaims) {
-        try {
-          const result = await this.processClaim(claim.claim_id || claim.id);
-          results.push({
-            claim_id: claim.claim_id || claim.id,
-            success: true,
-            result: result,
-            originalStatus: claim.status
-          });
-        } catch (error) {
-          results.push({
-            claim_id: claim.claim_id || claim.id,
-            success: false,
-            error: error.message,
-            originalStatus: claim.status
-          });
-        }
+  // Update the status of several claims, up to `concurrency` at a time.
+  // Entries have the same shape as processClaims results.
+  async updateClaimsStatus(claimIds, status, reasonCode = null, reasonDescription = null, { concurrency = 3, onClaimUpdated } = {}) {
+    return runWithConcurrency(claimIds, async (claimId) => {
+      try {
+        const result = await this.updateClaimStatus(claimId, status, reasonCode, reasonDescription);
+        return { claim_id: claimId, success: true, result: { claim_id: claimId, ...result } };
+      } catch (error) {
+        return { claim_id: claimId, success: false, error: error.message };
       }
+    }, { concurrency, onItemComplete: onClaimUpdated });
+  },
 
-      return results;
-    } catch (error) {
-      throw error;
-    }
+  // Process all pending claims
+  async processPendingClaims(options = {}) {
+    const pendingClaims = await this.getPendingClaims();
+    return this.processClaims(pendingClaims, options);
   },
 
-  // Batch submit multiple claims (implement client-side since backend doesn't support it)
-  async submitBatchClaims(claimsArray) {
+  // Batch submit multiple claims (implement client-side since backend doesn't support it).
+  // `onClaimSubmitted` is called with each result or error entry as soon as it settles.
+  async submitBatchClaims(claimsArray, { onClaimSubmitted } = {}) {
     try {
       if (!Array.isArray(claimsArray) || claimsArray.length === 0) {
         throw new Error('Claims array is required and cannot be empty');
@@ -259,8 +547,10 @@ export const apiService = {
         try {
           const result = await this.submitClaim(claimsArray[i]);
           results.push({ index: i, success: true, data: result });
+          onClaimSubmitted?.(results[results.length - 1]);
         } catch (error) {
           errors.push({ index: i, success: false, error: error.message, data: claimsArray[i] });
+          onClaimSubmitted?.(errors[errors.length - 1]);
         }
       }
 
@@ -279,18 +569,47 @@ export const apiService = {
   // Provider-related endpoints
   async getProvider(providerId) {
     try {
-      const response = await api.get(`/providers/${providerId}`);
-      return response.data;
+      return await cachedQuery(['provider', providerId], () => fetchData(`/providers/${providerId}`), {
+        tags: [`provider:${providerId}`],
+      });
     } catch (error) {
       throw error;
     }
   },
 
+  // List providers. Backends without a provider list route get the
+  // providers referenced by existing claims instead.
+  async getProviders(skip = 0, limit = 100) {
+    if (providerListSupported !== false) {
+      try {
+        const providers = await cachedQuery(['providers', skip, limit], () => fetchData('/providers/', { params: { skip, limit } }), {
+          tags: ['providers'],
+        });
+        providerListSupported = true;
+        return providers;
+      } catch (error) {
+        if (!isMissingRouteError(error)) throw error;
+        providerListSupported = false;
+      }
+    }
+
+    const claims = await this.getAllClaims();
+    const providerIds = [...new Set(claims.map(claim => claim.provider_id).filter(Boolean))];
+    const pageIds = providerIds.slice(skip, skip + limit);
+    const results = await Promise.allSettled(pageIds.map(id => this.getProvider(id)));
+
+    // A dangling provider_id on a claim should not hide the rest of the directory
+    return results.map((result, index) =>
+      result.status === 'fulfilled' ? result.value : { provider_id: pageIds[index], name: null }
+    );
+  },
+
   // Risk rating endpoints
   async getRiskRating(riskId) {
     try {
-      const response = await api.get(`/risks/${riskId}`);
-      return response.data;
+      return await cachedQuery(['risk', riskId], () => fetchData(`/risks/${riskId}`), {
+        tags: [`risk:${riskId}`],
+      });
     } catch (error) {
       throw error;
     }
@@ -300,6 +619,7 @@ export const apiService = {
   async createInsurancePolicy(policyData) {
     try {
       const response = await api.post('/policies/', policyData);
+      invalidateQueries('policies');
       return response.data;
     } catch (error) {
       throw error;
@@ -308,8 +628,9 @@ export const apiService = {
 
   async getInsurancePolicies(skip = 0, limit = 100) {
     try {
-      const response = await api.get('/policies/', { params: { skip, limit } });
-      return response.data;
+      return await cachedQuery(['policies', skip, limit], () => fetchData('/policies/', { params: { skip, limit } }), {
+        tags: ['policies'],
+      });
     } catch (error) {
       throw error;
     }
@@ -317,8 +638,9 @@ export const apiService = {
 
   async getInsurancePolicy(policyId) {
     try {
-      const response = await api.get(`/policies/${policyId}`);
-      return response.data;
+      return await cachedQuery(['policy', policyId], () => fetchData(`/policies/${policyId}`), {
+        tags: [`policy:${policyId}`],
+      });
     } catch (error) {
       throw error;
     }
@@ -328,6 +650,7 @@ export const apiService = {
   async createPatient(patientData) {
     try {
       const response = await api.post('/patients/', patientData);
+      invalidateQueries('patients');
       return response.data;
     } catch (error) {
       throw error;
@@ -336,8 +659,9 @@ export const apiService = {
 
   async getPatients(skip = 0, limit = 100) {
     try {
-      const response = await api.get('/patients/', { params: { skip, limit } });
-      return response.data;
+      return await cachedQuery(['patients', skip, limit], () => fetchData('/patients/', { params: { skip, limit } }), {
+        tags: ['patients'],
+      });
     } catch (error) {
       throw error;
     }
@@ -345,8 +669,9 @@ export const apiService = {
 
   async getPatient(patientId) {
     try {
-      const response = await api.get(`/patients/${patientId}`);
-      return response.data;
+      return await cachedQuery(['patient', patientId], () => fetchData(`/patients/${patientId}`), {
+        tags: [`patient:${patientId}`],
+      });
     } catch (error) {
       throw error;
     }
@@ -354,8 +679,9 @@ export const apiService = {
 
   async getPatientsByPolicy(policyId) {
     try {
-      const response = await api.get(`/policies/${policyId}/patients`);
-      return response.data;
+      return await cachedQuery(['policyPatients', policyId], () => fetchData(`/policies/${policyId}/patients`), {
+        tags: ['patients'],
+      });
     } catch (error) {
       throw error;
     }
@@ -371,25 +697,69 @@ export const apiService = {
     }
   },
 
-  // Update API configuration
+  // Update API configuration of the active environment profile
   updateConfig(baseUrl, apiKey) {
-    api.defaults.baseURL = baseUrl;
-    api.defaults.headers['api-key'] = apiKey;
-    
-    // Store in localStorage
-    localStorage.setItem('apiBaseUrl', baseUrl);
-    localStorage.setItem('apiKey', apiKey);
+    const environment = getActiveEnvironment();
+    if (environment.apiBaseUrl !== baseUrl || environment.apiKey !== apiKey) {
+      saveEnvironment({ ...environment, apiBaseUrl: baseUrl, apiKey });
+    }
+    applyConnection();
+  },
+
+  setRetryPolicy(policy) {
+    retryPolicy = { ...DEFAULT_RETRY_POLICY, ...policy };
+  },
+
+  getRetryPolicy() {
+    return { ...retryPolicy };
+  },
+
+  // Auth headers for a request made outside axios (the live updates event
+  // stream): the user's bearer token, or the API key
+  async getAuthHeaders() {
+    if (isAuthEnabled()) {
+      const token = await getAccessToken();
+      return token ? { Authorization: `Bearer ${token}` } : {};
+    }
+    const { apiKey } = this.getConfig();
+    return apiKey ? { 'api-key': apiKey } : {};
   },
 
   // Get current configuration
   getConfig() {
+    const { apiBaseUrl, apiKey } = getActiveEnvironment();
     return {
-      baseUrl: localStorage.getItem('apiBaseUrl') || API_BASE_URL,
-      apiKey: localStorage.getItem('apiKey') || API_KEY,
+      baseUrl: apiBaseUrl || API_BASE_URL,
+      apiKey: apiKey || API_KEY,
     };
   },
 };
 
+// Point the client at the active environment profile's backend when it changes
+let connection = apiService.getConfig();
+const applyConnection = () => {
+  const next = apiService.getConfig();
+  if (next.baseUrl === connection.baseUrl && next.apiKey === connection.apiKey) return;
+  connection = next;
+
+  api.defaults.baseURL = next.baseUrl;
+  aiProcessingSupported = null; // Re-detect AI endpoint support on the new backend
+  providerListSupported = null;
+  api.defaults.headers['api-key'] = next.apiKey;
+  // Responses from the old backend or key must not be served for the new one
+  clearQueryCache();
+};
+
+// A switch clears the cache even between profiles with the same URL and key
+let connectionEnvironmentId = getActiveEnvironmentId();
+subscribeEnvironments(({ activeId }) => {
+  if (activeId !== connectionEnvironmentId) {
+    connectionEnvironmentId = activeId;
+    clearQueryCache();
+  }
+  applyConnection();
+});
+
 // Claim data validation and utilities
 export const ClaimUtils = {
   // Create a new claim object with default values
@@ -430,9 +800,8 @@ export const ClaimUtils = {
     });
 
     // Validate status
-    const validStatuses = ['Submitted', 'Pending', 'Approved', 'Denied', 'Under Review'];
-    if (claimData.status && !validStatuses.includes(claimData.status)) {
-      errors.push(`status must be one of: ${validStatuses.join(', ')}`);
+    if (claimData.status && !CLAIM_STATUSES.includes(claimData.status)) {
+      errors.push(`status must be one of: ${CLAIM_STATUSES.join(', ')}`);
     }
 
     // Validate boolean fields
@@ -457,6 +826,51 @@ export const ClaimUtils = {
     };
   },
 
+  // Normalize an AI processing response into the claim-result shape used across the UI.
+  // Tolerates the payload variants seen from the backend: a nested `result` object,
+  // lowercase decisions, 0-100 confidence scores, comma-separated risk factors and
+  // structured (object) analysis text. `claim` supplies the underlying claim record.
+  normalizeClaimResult: (payload = {}, claim = {}, source = 'ai') => {
+    const data = payload.result || payload.claim_result || payload;
+    const nestedSections = data.analysis && typeof data.analysis === 'object' && !Array.isArray(data.analysis)
+      ? data.analysis
+      : {};
+
+    const decision = normalizeDecision(data.decision || data.status || claim.status);
+    const reasonCode = data.reason_code ?? claim.reason_code ?? null;
+
+    const result = {
+      ...claim,
+      claim_id: data.claim_id || claim.claim_id || claim.id,
+      decision,
+      status: decision,
+      reason_code: reasonCode,
+      reason_description: data.reason_description || claim.reason_description || REASON_CODES[reasonCode] || null,
+      confidence_score: normalizeConfidence(data.confidence_score ?? data.confidence),
+      risk_factors: normalizeRiskFactors(data.risk_factors),
+      source,
+    };
+
+    ANALYSIS_SECTIONS
+      .filter(({ key }) => key !== 'analysis')
+      .forEach(({ key }) => {
+        result[key] = analysisToText(data[key] ?? nestedSections[key]);
+      });
+
+    // A structured `analysis` object may carry the other sections alongside the overall reasoning
+    if (nestedSections === data.analysis) {
+      const sectionKeys = ANALYSIS_SECTIONS.map(({ key }) => key);
+      const remainder = Object.fromEntries(
+        Object.entries(nestedSections).filter(([key]) => !sectionKeys.includes(key))
+      );
+      result.analysis = analysisToText(nestedSections.analysis ?? remainder);
+    } else {
+      result.analysis = analysisToText(data.analysis);
+    }
+
+    return result;
+  },
+
   // Format claim data for display
   formatClaimForDisplay: (claim) => ({
     ...claim,
@@ -480,6 +894,53 @@ export const ClaimUtils = {
     policy_id: "3d3eef35-4bd4-4e62-a20c-58b8a85e9000"
   })
 };
+// AI analysis sections returned by the processing endpoint, in display order
+export const ANALYSIS_SECTIONS = [
+  { key: 'policy_analysis', title: 'Policy Analysis' },
+  { key: 'patient_analysis', title: 'Patient Analysis' },
+  { key: 'financial_analysis', title: 'Financial Analysis' },
+  { key: 'medical_necessity', title: 'Medical Necessity' },
+  { key: 'fraud_indicators', title: 'Fraud Indicators' },
+  { key: 'rider_analysis', title: 'Rider Analysis' },
+  { key: 'analysis', title: 'Complete Analysis' },
+];
+
+export const CLAIM_STATUSES = ['Submitted', 'Pending', 'Approved', 'Denied', 'Under Review'];
+
+const normalizeDecision = (decision) => {
+  if (!decision) return 'Pending';
+  const match = CLAIM_STATUSES.find(status => status.toLowerCase() === String(decision).trim().toLowerCase());
+  return match || decision;
+};
+
+// Confidence is a 0-1 fraction in the UI; some responses send a percentage
+const normalizeConfidence = (score) => {
+  const value = parseFloat(score);
+  if (isNaN(value)) return null;
+  const fraction = value > 1 ? value / 100 : value;
+  return Math.min(Math.max(fraction, 0), 1);
+};
+
+const normalizeRiskFactors = (factors) => {
+  if (!factors) return [];
+  const list = Array.isArray(factors) ? factors : String(factors).split(',');
+  return list
+    .map(factor => (typeof factor === 'object' ? factor?.factor || factor?.name : factor))
+    .map(factor => String(factor || '').trim())
+    .filter(Boolean);
+};
+
+const analysisToText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(analysisToText).join('\n');
+  if (typeof value === 'object') {
+    return Object.entries(value)
+      .map(([key, text]) => `${key.charAt(0).toUpperCase()}${key.slice(1).replace(/_/g, ' ')}: ${analysisToText(text)}`)
+      .join('\n');
+  }
+  return String(value);
+};
+
 export const REASON_CODES = {
   AUTO_APPR: 'Automatically approved - All validation criteria met',
   HIGH_RISK_PROVIDER: 'Provider flagged for high risk activities',
@@ -496,7 +957,7 @@ export const REASON_CODES = {
   RIDER_VIOLATION: 'Violates insurance rider requirements',
 };
 
-// Status colors for UI
+// Status colors for UI. The palettes follow the light/dark theme (tailwind.config.js).
 export const STATUS_COLORS = {
   Approved: {
     bg: 'bg-green-100',
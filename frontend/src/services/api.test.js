@@ -0,0 +1,174 @@
+import axios from 'axios';
+import api, { apiService, DEFAULT_RETRY_POLICY, readAllClaimPages } from './api';
+import { ApiError, API_ERROR_CODES } from './apiError';
+
+// Answers requests in order from `replies`: a status and optional headers, or
+// 'network' for a request that got no response. Records every request sent.
+const useReplies = (...replies) => {
+  const requests = [];
+  api.defaults.adapter = async (config) => {
+    requests.push({ method: config.method, url: config.url, headers: { ...config.headers } });
+    const reply = replies.shift() || { status: 200 };
+    if (reply === 'network') {
+      throw new axios.AxiosError('Network Error', 'ERR_NETWORK', config, {});
+    }
+    const response = { status: reply.status, statusText: '', headers: reply.headers || {}, data: reply.data ?? {}, config };
+    if (reply.status < 400) return response;
+    throw new axios.AxiosError(`Request failed with status code ${reply.status}`, 'ERR_BAD_RESPONSE', config, {}, response);
+  };
+  return requests;
+};
+
+const claim = { provider_id: 'p', risk_id: 'r', patient_id: 'pa', policy_id: 'po', summary: 'Knee MRI' };
+
+beforeEach(() => {
+  apiService.setRetryPolicy({ baseDelay: 1, maxDelay: 20 });
+});
+
+afterAll(() => {
+  apiService.setRetryPolicy(DEFAULT_RETRY_POLICY);
+});
+
+describe('retries', () => {
+  test('repeats a GET after gateway errors and dropped connections', async () => {
+    const requests = useReplies({ status: 503 }, 'network', { status: 200, data: { ok: true } });
+    const response = await api.get('/claims/1');
+    expect(response.data).toEqual({ ok: true });
+    expect(requests).toHaveLength(3);
+  });
+
+  test('gives up after maxRetries and throws an ApiError', async () => {
+    apiService.setRetryPolicy({ baseDelay: 1, maxDelay: 20, maxRetries: 2 });
+    const requests = useReplies({ status: 502 }, { status: 502 }, { status: 502 }, { status: 200 });
+    const error = await api.get('/claims/1').catch(caught => caught);
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.code).toBe(API_ERROR_CODES.unavailable);
+    expect(requests).toHaveLength(3);
+  });
+
+  test('does not retry errors that repeating will not fix', async () => {
+    const requests = useReplies({ status: 400 }, { status: 200 });
+    await expect(api.get('/claims/1')).rejects.toMatchObject({ status: 400 });
+    expect(requests).toHaveLength(1);
+  });
+
+  test('does not repeat a POST without an idempotency key after a gateway error', async () => {
+    const requests = useReplies({ status: 503 }, { status: 200 });
+    await expect(api.post('/claims/', {})).rejects.toMatchObject({ code: API_ERROR_CODES.unavailable });
+    expect(requests).toHaveLength(1);
+  });
+
+  test('repeats any method after a 429, honouring Retry-After', async () => {
+    const requests = useReplies({ status: 429, headers: { 'retry-after': '0' } }, { status: 201 });
+    await api.post('/claims/', {});
+    expect(requests).toHaveLength(2);
+  });
+
+  test('throws when Retry-After asks for longer than the maximum delay', async () => {
+    const requests = useReplies({ status: 429, headers: { 'retry-after': '120' } }, { status: 200 });
+    const error = await api.get('/claims/').catch(caught => caught);
+    expect(error).toMatchObject({ code: API_ERROR_CODES.rateLimited, retryAfter: 120 });
+    expect(requests).toHaveLength(1);
+  });
+
+  test('can be turned off globally or per request', async () => {
+    apiService.setRetryPolicy({ enabled: false });
+    let requests = useReplies({ status: 503 }, { status: 200 });
+    await expect(api.get('/claims/')).rejects.toBeInstanceOf(ApiError);
+    expect(requests).toHaveLength(1);
+
+    apiService.setRetryPolicy({ baseDelay: 1 });
+    requests = useReplies({ status: 503 }, { status: 200 });
+    await expect(apiService.healthCheck()).rejects.toBeInstanceOf(ApiError);
+    expect(requests).toHaveLength(1);
+  });
+
+  test('stops waiting when the request is aborted', async () => {
+    apiService.setRetryPolicy({ baseDelay: 10000, maxDelay: 10000 });
+    useReplies({ status: 503 }, { status: 200 });
+    const controller = new AbortController();
+    const request = api.get('/claims/', { signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+    const error = await request.catch(caught => caught);
+    expect(axios.isCancel(error)).toBe(true);
+  });
+});
+
+describe('idempotency keys', () => {
+  test('submitClaim sends a key and repeats it unchanged on retry', async () => {
+    const requests = useReplies({ status: 502 }, 'network', { status: 201, data: { claim_id: 'C-1' } });
+    await expect(apiService.submitClaim(claim)).resolves.toEqual({ claim_id: 'C-1' });
+
+    const keys = requests.map(request => request.headers['Idempotency-Key']);
+    expect(requests).toHaveLength(3);
+    expect(keys[0]).toBeTruthy();
+    expect(new Set(keys).size).toBe(1);
+  });
+
+  test('a caller-supplied key is used, and each new submission gets its own', async () => {
+    let requests = useReplies({ status: 201 });
+    await apiService.submitClaim(claim, { idempotencyKey: 'resend-1' });
+    expect(requests[0].headers['Idempotency-Key']).toBe('resend-1');
+
+    requests = useReplies({ status: 201 }, { status: 201 });
+    await apiService.submitClaim(claim);
+    await apiService.submitClaim(claim);
+    expect(requests[0].headers['Idempotency-Key']).not.toBe(requests[1].headers['Idempotency-Key']);
+  });
+
+  test('rejects a claim missing required fields without sending it', async () => {
+    const requests = useReplies();
+    await expect(apiService.submitClaim({ summary: 'x' })).rejects.toThrow(/Missing required fields: provider_id/);
+    expect(requests).toHaveLength(0);
+  });
+});
+
+describe('readAllClaimPages', () => {
+  const claimsNumbered = (from, count) => Array.from({ length: count }, (_, index) => ({ claim_id: `C-${from + index}` }));
+
+  // Serves `total` claims from `skip`, never more than `cap` a page
+  const backend = (total, { cap = Infinity, envelope = false } = {}) => jest.fn(async ({ skip, limit }) => {
+    const page = claimsNumbered(skip, Math.max(0, Math.min(limit, cap, total - skip)));
+    return envelope ? { claims: page, total } : page;
+  });
+
+  test('keeps reading when the backend caps pages below the requested size', async () => {
+    const fetchPage = backend(120, { cap: 50 });
+    const claims = await readAllClaimPages(fetchPage, { pageSize: 100 });
+    expect(claims).toHaveLength(120);
+    expect(fetchPage.mock.calls.map(([params]) => params.skip)).toEqual([0, 50, 100, 120]);
+  });
+
+  test('stops at the envelope total without an extra request', async () => {
+    const fetchPage = backend(150, { envelope: true });
+    expect(await readAllClaimPages(fetchPage, { pageSize: 100 })).toHaveLength(150);
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+  });
+
+  test('stops when a backend ignoring skip repeats the same page', async () => {
+    const fetchPage = jest.fn(async () => claimsNumbered(0, 30));
+    expect(await readAllClaimPages(fetchPage, { pageSize: 100 })).toHaveLength(30);
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+  });
+
+  test('gives up with an error instead of reading forever', async () => {
+    let next = 0;
+    const fetchPage = jest.fn(async () => claimsNumbered((next += 1) * 10, 10));
+    await expect(readAllClaimPages(fetchPage, { pageSize: 10 })).rejects.toThrow(/after 1000 pages/);
+    expect(fetchPage).toHaveBeenCalledTimes(1000);
+  });
+});
+
+test('a status update drops cached claim lists it could move the claim into or out of', async () => {
+  const requests = useReplies(
+    { status: 200, data: [{ claim_id: 'C-1', status: 'Approved' }] },
+    { status: 200, data: { claim_id: 'C-2', status: 'Approved' } },
+    { status: 200, data: [{ claim_id: 'C-1', status: 'Approved' }, { claim_id: 'C-2', status: 'Approved' }] }
+  );
+  await apiService.getClaimsPage({ status: 'Approved' });
+  await apiService.updateClaimStatus('C-2', 'Approved');
+  const list = await apiService.getClaimsPage({ status: 'Approved' });
+
+  expect(requests.map(request => request.method)).toEqual(['get', 'put', 'get']);
+  expect(list).toHaveLength(2);
+});
@@ -0,0 +1,88 @@
+// Error thrown by the api.js client for every failed request (except
+// cancellations, which stay axios cancel errors). It keeps what the backend
+// sent so callers can branch on it instead of parsing messages.
+
+export const API_ERROR_CODES = {
+  network: 'NETWORK_ERROR',
+  timeout: 'TIMEOUT',
+  unauthorized: 'UNAUTHORIZED',
+  forbidden: 'FORBIDDEN',
+  notFound: 'NOT_FOUND',
+  methodNotAllowed: 'METHOD_NOT_ALLOWED',
+  validation: 'VALIDATION_ERROR',
+  rateLimited: 'RATE_LIMITED',
+  server: 'SERVER_ERROR',
+  unavailable: 'SERVICE_UNAVAILABLE',
+  http: 'HTTP_ERROR',
+  unknown: 'UNKNOWN_ERROR',
+};
+
+/**
+ * @property {number|null} status      HTTP status, null when nothing answered
+ * @property {string} code             One of API_ERROR_CODES
+ * @property {Object<string, string[]>} fieldErrors  Validation messages by field name
+ * @property {string[]} formErrors     Validation messages not tied to a field
+ * @property {*} data                  Response body as the backend sent it
+ * @property {string|null} requestId   Backend request ID, for support tickets and logs
+ * @property {boolean} network         True when the request got no response
+ * @property {number|null} retryAfter  Seconds the backend asked us to wait (429)
+ */
+export class ApiError extends Error {
+  constructor(message, {
+    status = null,
+    code = API_ERROR_CODES.unknown,
+    fieldErrors = {},
+    formErrors = [],
+    data = null,
+    requestId = null,
+    network = false,
+    retryAfter = null,
+  } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.fieldErrors = fieldErrors;
+    this.formErrors = formErrors;
+    this.data = data;
+    this.requestId = requestId;
+    this.network = network;
+    this.retryAfter = retryAfter;
+  }
+
+  get hasFieldErrors() {
+    return Object.keys(this.fieldErrors).length > 0;
+  }
+}
+
+// Where a FastAPI error points; the first `loc` entry is the request part
+const REQUEST_PARTS = ['body', 'query', 'path', 'header', 'cookie'];
+
+/**
+ * Split a FastAPI/pydantic `detail` array ([{ loc, msg, type }]) into messages
+ * per field (`{ summary: ['Field required'] }`) and messages for the whole request.
+ * Nested locations are joined with dots, e.g. `items.0.amount`.
+ */
+export const parseValidationDetail = (detail) => {
+  const fieldErrors = {};
+  const formErrors = [];
+  if (!Array.isArray(detail)) {
+    if (typeof detail === 'string') formErrors.push(detail);
+    return { fieldErrors, formErrors };
+  }
+
+  detail.forEach(item => {
+    // pydantic v2 prefixes messages from custom validators
+    const message = String(item?.msg || 'Invalid value').replace(/^Value error, /, '');
+    const loc = Array.isArray(item?.loc) ? item.loc : [];
+    const path = REQUEST_PARTS.includes(loc[0]) ? loc.slice(1) : loc;
+    if (path.length === 0) {
+      formErrors.push(message);
+      return;
+    }
+    const field = path.join('.');
+    fieldErrors[field] = [...(fieldErrors[field] || []), message];
+  });
+
+  return { fieldErrors, formErrors };
+};
@@ -0,0 +1,345 @@
+import axios from 'axios';
+import { clearQueryCache } from './queryCache';
+
+// Sign-in with an OpenID Connect provider: authorization code flow with PKCE,
+// bearer tokens for the API, silent refresh and sign-out.
+//
+// Auth is on when REACT_APP_OIDC_AUTHORITY is set. Without it the app keeps the
+// shared API key from Settings and every action is allowed, as before.
+//
+// The access token is kept in memory only. The refresh and ID tokens live in
+// sessionStorage so a reload in the same tab signs back in silently; closing
+// the tab ends the session.
+//
+// State: { status: 'disabled' | 'loading' | 'signedOut' | 'signedIn', user, error }
+// with user { id, name, email, roles }.
+
+export const ROLES = {
+  intakeClerk: 'intake_clerk',
+  adjuster: 'adjuster',
+  supervisor: 'supervisor',
+  auditor: 'auditor',
+};
+
+export const ROLE_LABELS = {
+  intake_clerk: 'Intake Clerk',
+  adjuster: 'Adjuster',
+  supervisor: 'Supervisor',
+  auditor: 'Auditor',
+};
+
+// Roles allowed each action. Auditors only read and export, so they appear in none.
+export const PERMISSIONS = {
+  submitClaims: [ROLES.intakeClerk, ROLES.supervisor],
+  manageRecords: [ROLES.intakeClerk, ROLES.supervisor],
+  processClaims: [ROLES.adjuster, ROLES.supervisor],
+  adjudicateClaims: [ROLES.adjuster, ROLES.supervisor],
+  // Going against an AI decision made with high confidence
+  overrideAiDecisions: [ROLES.supervisor],
+  batchProcess: [ROLES.supervisor],
+};
+
+const OIDC_CONFIG = {
+  authority: (process.env.REACT_APP_OIDC_AUTHORITY || '').replace(/\/$/, ''),
+  clientId: process.env.REACT_APP_OIDC_CLIENT_ID || 'claims-frontend',
+  scope: process.env.REACT_APP_OIDC_SCOPE || 'openid profile email offline_access',
+  rolesClaim: process.env.REACT_APP_OIDC_ROLES_CLAIM || 'roles',
+};
+
+export const CALLBACK_PATH = '/auth/callback';
+const SESSION_KEY = 'authSession';
+const REQUEST_KEY = 'authRequest';
+// Set when the next sign-in must ask for the user's credentials again
+const REAUTHENTICATE_KEY = 'authReauthenticate';
+// Refresh this long before the access token expires
+const REFRESH_MARGIN = 60 * 1000;
+// Try again this soon when a refresh fails without the session being rejected
+const REFRESH_RETRY_DELAY = 30 * 1000;
+
+let state = { status: OIDC_CONFIG.authority ? 'loading' : 'disabled', user: null, error: null };
+let accessToken = null;
+let expiresAt = 0;
+let refreshTimer = null;
+let refreshPromise = null;
+let discovery = null;
+const listeners = new Set();
+
+export const isAuthEnabled = () => Boolean(OIDC_CONFIG.authority);
+
+export const getAuthState = () => state;
+
+export const subscribeAuth = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const setState = (changes) => {
+  state = { ...state, ...changes };
+  listeners.forEach(listener => listener(state));
+};
+
+// Whether the signed-in user may do `permission` (a PERMISSIONS key)
+export const hasPermission = (permission, user = state.user) => {
+  if (!isAuthEnabled()) return true;
+  const roles = user?.roles || [];
+  return (PERMISSIONS[permission] || []).some(role => roles.includes(role));
+};
+
+const readSession = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_KEY)) || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const base64UrlEncode = (bytes) =>
+  btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const randomString = (byteCount = 32) => base64UrlEncode(crypto.getRandomValues(new Uint8Array(byteCount)));
+
+const pkceChallenge = async (verifier) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+  return base64UrlEncode(new Uint8Array(digest));
+};
+
+// Claims of a JWT. Signatures are the API's job; the app only reads the claims.
+const decodeJwt = (token) => {
+  const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+  const json = decodeURIComponent(
+    atob(payload).split('').map(char => `%${char.charCodeAt(0).toString(16).padStart(2, '0')}`).join('')
+  );
+  return JSON.parse(json);
+};
+
+const getDiscovery = async () => {
+  if (!discovery) {
+    const response = await axios.get(`${OIDC_CONFIG.authority}/.well-known/openid-configuration`, { timeout: 10000 });
+    discovery = response.data;
+  }
+  return discovery;
+};
+
+const userFromIdToken = (idToken) => {
+  const claims = decodeJwt(idToken);
+  const roles = claims[OIDC_CONFIG.rolesClaim];
+  return {
+    id: claims.sub,
+    name: claims.name || claims.preferred_username || claims.email || claims.sub,
+    email: claims.email || null,
+    roles: Array.isArray(roles) ? roles : roles ? [roles] : [],
+  };
+};
+
+const clearSession = () => {
+  clearTimeout(refreshTimer);
+  accessToken = null;
+  expiresAt = 0;
+  sessionStorage.removeItem(SESSION_KEY);
+  // Responses fetched for one user must not be shown to the next
+  clearQueryCache();
+};
+
+const scheduleRefresh = (delay = Math.max(5000, expiresAt - Date.now() - REFRESH_MARGIN)) => {
+  clearTimeout(refreshTimer);
+  refreshTimer = setTimeout(() => {
+    refreshSession().catch(() => {});
+  }, delay);
+};
+
+// Keep what the token endpoint returned. A refresh may omit the ID or refresh
+// token, in which case the previous ones stay valid.
+const storeTokens = (tokens) => {
+  const previous = readSession() || {};
+  const session = {
+    refreshToken: tokens.refresh_token || previous.refreshToken || null,
+    idToken: tokens.id_token || previous.idToken || null,
+  };
+  sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+
+  accessToken = tokens.access_token;
+  expiresAt = Date.now() + (tokens.expires_in || 300) * 1000;
+  scheduleRefresh();
+  setState({ status: 'signedIn', user: userFromIdToken(session.idToken), error: null });
+};
+
+const requestTokens = async (params) => {
+  const { token_endpoint: tokenEndpoint } = await getDiscovery();
+  const body = new URLSearchParams({ client_id: OIDC_CONFIG.clientId, ...params });
+  try {
+    const response = await axios.post(tokenEndpoint, body, {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 15000,
+    });
+    return response.data;
+  } catch (error) {
+    const data = error.response?.data;
+    // The status and OAuth error code tell a rejected grant from an outage
+    throw Object.assign(new Error(data?.error_description || data?.error || error.message), {
+      status: error.response?.status ?? null,
+      oauthError: data?.error || null,
+    });
+  }
+};
+
+// Whether the identity provider turned the refresh token down, as opposed to
+// being unreachable or failing. Only then is the session over.
+const isSessionRejected = (error) =>
+  error.oauthError === 'invalid_grant' || error.status === 400 || error.status === 401;
+
+// Use the refresh token for a new access token. Concurrent callers share one
+// request. The user is signed out only when the provider rejects the refresh
+// token; other failures are retried.
+export const refreshSession = () => {
+  if (refreshPromise) return refreshPromise;
+
+  const session = readSession();
+  if (!session?.refreshToken) {
+    clearSession();
+    setState({ status: 'signedOut', user: null });
+    return Promise.reject(new Error('Not signed in'));
+  }
+
+  refreshPromise = requestTokens({ grant_type: 'refresh_token', refresh_token: session.refreshToken })
+    .then(storeTokens)
+    .catch(error => {
+      if (isSessionRejected(error)) {
+        clearSession();
+        setState({ status: 'signedOut', user: null, error: 'Your session has expired. Please sign in again.' });
+      } else {
+        // A network error or provider outage: keep the session and try again shortly
+        scheduleRefresh(REFRESH_RETRY_DELAY);
+      }
+      throw error;
+    })
+    .finally(() => {
+      refreshPromise = null;
+    });
+  return refreshPromise;
+};
+
+/**
+ * Access token for an API request, refreshed first when it is about to expire.
+ * Resolves to null when auth is off or nobody is signed in.
+ */
+export const getAccessToken = async () => {
+  if (!isAuthEnabled() || state.status !== 'signedIn') return null;
+  if (Date.now() > expiresAt - REFRESH_MARGIN / 2) {
+    await refreshSession();
+  }
+  return accessToken;
+};
+
+// Restore the session from this tab, if there is one
+export const initAuth = async () => {
+  if (!isAuthEnabled() || state.status !== 'loading') return;
+  if (window.location.pathname === CALLBACK_PATH) return;
+  if (!readSession()?.refreshToken) {
+    setState({ status: 'signedOut' });
+    return;
+  }
+  await refreshSession().catch(() => {});
+};
+
+// Send the browser to the identity provider. `returnTo` is the app path to
+// come back to once signed in.
+export const signIn = async ({ returnTo = '/' } = {}) => {
+  try {
+    const { authorization_endpoint: authorizationEndpoint } = await getDiscovery();
+    const request = { state: randomString(), nonce: randomString(), codeVerifier: randomString(48), returnTo };
+    sessionStorage.setItem(REQUEST_KEY, JSON.stringify(request));
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: OIDC_CONFIG.clientId,
+      redirect_uri: `${window.location.origin}${CALLBACK_PATH}`,
+      scope: OIDC_CONFIG.scope,
+      state: request.state,
+      nonce: request.nonce,
+      code_challenge: await pkceChallenge(request.codeVerifier),
+      code_challenge_method: 'S256',
+    });
+    if (sessionStorage.getItem(REAUTHENTICATE_KEY)) params.set('prompt', 'login');
+    window.location.assign(`${authorizationEndpoint}?${params}`);
+  } catch (error) {
+    setState({ status: 'signedOut', error: `Could not reach the sign-in service: ${error.message}` });
+  }
+};
+
+/**
+ * Finish sign-in on the callback page: check the response belongs to our
+ * request, trade the code for tokens and check the ID token. Resolves to the
+ * path to return to.
+ */
+export const completeSignIn = async (search) => {
+  const params = new URLSearchParams(search);
+  let request = null;
+  try {
+    request = JSON.parse(sessionStorage.getItem(REQUEST_KEY));
+  } catch (error) {
+    // Treated as a missing request below
+  }
+  sessionStorage.removeItem(REQUEST_KEY);
+
+  try {
+    if (params.get('error')) {
+      throw new Error(params.get('error_description') || params.get('error'));
+    }
+    if (!request || params.get('state') !== request.state) {
+      throw new Error('The sign-in response does not match a sign-in started here. Please try again.');
+    }
+
+    const tokens = await requestTokens({
+      grant_type: 'authorization_code',
+      code: params.get('code'),
+      redirect_uri: `${window.location.origin}${CALLBACK_PATH}`,
+      code_verifier: request.codeVerifier,
+    });
+
+    const claims = decodeJwt(tokens.id_token);
+    const { issuer } = await getDiscovery();
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (claims.iss !== issuer || !audiences.includes(OIDC_CONFIG.clientId) || claims.nonce !== request.nonce) {
+      throw new Error('The identity provider returned a token for a different sign-in.');
+    }
+    if (claims.exp * 1000 < Date.now()) {
+      throw new Error('The identity provider returned an expired token. Check this computer\'s clock.');
+    }
+
+    storeTokens(tokens);
+    sessionStorage.removeItem(REAUTHENTICATE_KEY);
+    return request.returnTo || '/';
+  } catch (error) {
+    clearSession();
+    setState({ status: 'signedOut', user: null, error: error.message });
+    throw error;
+  }
+};
+
+// Sign out in this tab only, as when the app locks after inactivity. The
+// provider's session stays, but the next sign-in asks for the user's
+// credentials again (prompt=login) rather than reusing it.
+export const expireSession = (message) => {
+  if (!isAuthEnabled()) return;
+  clearSession();
+  sessionStorage.setItem(REAUTHENTICATE_KEY, 'true');
+  setState({ status: 'signedOut', user: null, error: message });
+};
+
+// Forget the tokens here and end the session at the identity provider too
+export const signOut = async () => {
+  const idToken = readSession()?.idToken;
+  clearSession();
+  setState({ status: 'signedOut', user: null, error: null });
+
+  try {
+    const { end_session_endpoint: endSessionEndpoint } = await getDiscovery();
+    if (endSessionEndpoint) {
+      const params = new URLSearchParams({ client_id: OIDC_CONFIG.clientId, post_logout_redirect_uri: window.location.origin });
+      if (idToken) params.set('id_token_hint', idToken);
+      window.location.assign(`${endSessionEndpoint}?${params}`);
+    }
+  } catch (error) {
+    // Signed out locally; the provider session ends when it expires
+  }
+};
@@ -0,0 +1,160 @@
+const AUTHORITY = 'https://id.example.test';
+const discovery = {
+  issuer: AUTHORITY,
+  authorization_endpoint: `${AUTHORITY}/authorize`,
+  token_endpoint: `${AUTHORITY}/token`,
+};
+
+const encode = (value) => btoa(JSON.stringify(value)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const idToken = (claims = {}) => [
+  encode({ alg: 'none' }),
+  encode({ iss: AUTHORITY, aud: 'claims-frontend', sub: 'u-1', name: 'Sam Reyes', roles: ['adjuster'], exp: Date.now() / 1000 + 3600, ...claims }),
+  'signature',
+].join('.');
+const tokens = (claims) => ({ access_token: 'access-1', refresh_token: 'refresh-1', id_token: idToken(claims), expires_in: 300 });
+
+const tokenError = (status, data) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data } });
+const networkError = () => Object.assign(new Error('Network Error'), { request: {} });
+
+const flushPromises = async () => {
+  for (let i = 0; i < 5; i += 1) await Promise.resolve();
+};
+
+let auth;
+let axios;
+
+const load = (authority = AUTHORITY) => {
+  jest.resetModules();
+  process.env.REACT_APP_OIDC_AUTHORITY = authority;
+  axios = require('axios');
+  jest.spyOn(axios, 'get').mockResolvedValue({ data: discovery });
+  jest.spyOn(axios, 'post');
+  auth = require('./auth');
+};
+
+const signedInSession = () => sessionStorage.setItem('authSession', JSON.stringify({ refreshToken: 'refresh-0', idToken: idToken() }));
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  sessionStorage.clear();
+  load();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+  delete process.env.REACT_APP_OIDC_AUTHORITY;
+});
+
+test('without an authority, auth is off and everything is allowed', () => {
+  load('');
+  expect(auth.isAuthEnabled()).toBe(false);
+  expect(auth.getAuthState().status).toBe('disabled');
+  expect(auth.hasPermission('batchProcess')).toBe(true);
+});
+
+describe('initAuth', () => {
+  test('is signed out when this tab has no session', async () => {
+    await auth.initAuth();
+    expect(auth.getAuthState().status).toBe('signedOut');
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test('restores a session from the refresh token kept in this tab', async () => {
+    signedInSession();
+    axios.post.mockResolvedValue({ data: tokens() });
+    await auth.initAuth();
+
+    expect(auth.getAuthState()).toMatchObject({ status: 'signedIn', user: { id: 'u-1', name: 'Sam Reyes', roles: ['adjuster'] } });
+    expect(axios.post.mock.calls[0][1].get('refresh_token')).toBe('refresh-0');
+    await expect(auth.getAccessToken()).resolves.toBe('access-1');
+    expect(auth.hasPermission('adjudicateClaims')).toBe(true);
+    expect(auth.hasPermission('batchProcess')).toBe(false);
+  });
+});
+
+describe('completeSignIn', () => {
+  const startRequest = () => sessionStorage.setItem('authRequest', JSON.stringify({
+    state: 'state-1', nonce: 'nonce-1', codeVerifier: 'verifier', returnTo: '/history',
+  }));
+
+  test('trades the code for tokens and returns to where sign-in started', async () => {
+    startRequest();
+    axios.post.mockResolvedValue({ data: tokens({ nonce: 'nonce-1' }) });
+
+    await expect(auth.completeSignIn('?code=abc&state=state-1')).resolves.toBe('/history');
+    expect(auth.getAuthState().status).toBe('signedIn');
+    expect(axios.post.mock.calls[0][1].get('code_verifier')).toBe('verifier');
+    expect(sessionStorage.getItem('authRequest')).toBeNull();
+  });
+
+  test('rejects a response for a different request or a token for a different sign-in', async () => {
+    startRequest();
+    await expect(auth.completeSignIn('?code=abc&state=forged')).rejects.toThrow(/does not match/);
+    expect(axios.post).not.toHaveBeenCalled();
+
+    startRequest();
+    axios.post.mockResolvedValue({ data: tokens({ nonce: 'replayed' }) });
+    await expect(auth.completeSignIn('?code=abc&state=state-1')).rejects.toThrow(/different sign-in/);
+    expect(auth.getAuthState()).toMatchObject({ status: 'signedOut', error: expect.stringMatching(/different sign-in/) });
+  });
+});
+
+describe('refreshSession', () => {
+  beforeEach(async () => {
+    signedInSession();
+    axios.post.mockResolvedValueOnce({ data: tokens() });
+    await auth.initAuth();
+  });
+
+  test('signs out when the provider rejects the refresh token', async () => {
+    axios.post.mockRejectedValueOnce(tokenError(400, { error: 'invalid_grant', error_description: 'Token expired' }));
+
+    await expect(auth.refreshSession()).rejects.toMatchObject({ message: 'Token expired', oauthError: 'invalid_grant' });
+    expect(auth.getAuthState()).toMatchObject({ status: 'signedOut', error: expect.stringMatching(/expired/) });
+    expect(sessionStorage.getItem('authSession')).toBeNull();
+  });
+
+  test.each([
+    ['a network error', networkError],
+    ['a provider outage', () => tokenError(503, {})],
+  ])('keeps the session after %s and tries again', async (label, makeError) => {
+    axios.post.mockRejectedValueOnce(makeError());
+    await expect(auth.refreshSession()).rejects.toThrow();
+    expect(auth.getAuthState().status).toBe('signedIn');
+    expect(sessionStorage.getItem('authSession')).not.toBeNull();
+
+    axios.post.mockResolvedValueOnce({ data: { ...tokens(), access_token: 'access-2' } });
+    jest.advanceTimersByTime(30 * 1000);
+    await flushPromises();
+    expect(axios.post).toHaveBeenCalledTimes(3);
+    await expect(auth.getAccessToken()).resolves.toBe('access-2');
+  });
+
+  test('shares one request between concurrent callers', async () => {
+    axios.post.mockResolvedValueOnce({ data: tokens() });
+    await Promise.all([auth.refreshSession(), auth.refreshSession()]);
+    expect(axios.post).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('signing out', () => {
+  beforeEach(async () => {
+    signedInSession();
+    axios.post.mockResolvedValueOnce({ data: tokens() });
+    await auth.initAuth();
+  });
+
+  test('expireSession signs out here and asks for credentials next time', () => {
+    auth.expireSession('Signed out after 15 minutes of inactivity.');
+    expect(auth.getAuthState()).toMatchObject({ status: 'signedOut', user: null, error: expect.stringMatching(/inactivity/) });
+    expect(sessionStorage.getItem('authSession')).toBeNull();
+    expect(sessionStorage.getItem('authReauthenticate')).toBe('true');
+  });
+
+  test('signOut forgets the tokens', async () => {
+    await auth.signOut();
+    expect(auth.getAuthState()).toMatchObject({ status: 'signedOut', user: null, error: null });
+    await expect(auth.getAccessToken()).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,107 @@
+import { FormUtils, CLAIM_FORM_FIELDS } from './claimsFormUtils';
+import { getFromStorage, removeFromStorage, setToStorage } from '../utils/helpers';
+import { environmentStorageKey, subscribeEnvironments } from './environments';
+
+// Claim submission drafts, autosaved to localStorage as one object keyed by
+// draft ID. Drafts are `{ id, data, createdAt, updatedAt }` where `data` is the
+// raw form state of ClaimSubmissionForm. Each environment profile has its own
+// drafts, since they refer to that backend's providers, patients and policies.
+// Drafts hold patient details, so they are cleared with the rest of the claim
+// data when the app locks (see services/sessionLock.js).
+
+const DRAFTS_KEY = 'claimDrafts';
+const HOUR = 60 * 60 * 1000;
+
+const listeners = new Set();
+
+const readDrafts = () => getFromStorage(environmentStorageKey(DRAFTS_KEY), {});
+
+const writeDrafts = (drafts) => {
+  const saved = setToStorage(environmentStorageKey(DRAFTS_KEY), drafts);
+  if (saved) listeners.forEach(listener => listener());
+  return saved;
+};
+
+// Drafts saved in another tab show up here too
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (event) => {
+    if (event.key === environmentStorageKey(DRAFTS_KEY)) listeners.forEach(listener => listener());
+  });
+}
+
+subscribeEnvironments(() => listeners.forEach(listener => listener()));
+
+export const subscribeDrafts = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const createDraftId = () =>
+  (typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(16).slice(2)}`);
+
+// Most recently edited first
+export const listDrafts = () =>
+  Object.values(readDrafts()).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+export const getDraft = (id) => (id ? readDrafts()[id] || null : null);
+
+// Computed defaults (the submission timestamp) say nothing about whether anything was typed
+export const isBlankClaimForm = (data) => {
+  const initial = FormUtils.getInitialFormData();
+  return Object.entries(CLAIM_FORM_FIELDS).every(([field, config]) =>
+    typeof config.defaultValue === 'function' || (data[field] ?? '') === (initial[field] ?? ''));
+};
+
+// Create or update a draft. Returns false when storage is full or unavailable.
+export const saveDraft = (id, data) => {
+  const drafts = readDrafts();
+  const now = new Date().toISOString();
+  drafts[id] = { id, data, createdAt: drafts[id]?.createdAt || now, updatedAt: now };
+  return writeDrafts(drafts);
+};
+
+export const deleteDraft = (id) => {
+  const drafts = readDrafts();
+  if (!drafts[id]) return true;
+  delete drafts[id];
+  return writeDrafts(drafts);
+};
+
+/**
+ * Delete drafts in every environment. With `maxAgeHours`, only those not
+ * edited for longer than that.
+ */
+export const clearDrafts = (maxAgeHours = 0) => {
+  const cutoff = Date.now() - maxAgeHours * HOUR;
+  Object.keys(localStorage)
+    .filter(key => key === DRAFTS_KEY || key.startsWith(`${DRAFTS_KEY}:`))
+    .forEach(key => {
+      const drafts = getFromStorage(key, {});
+      const kept = Object.values(drafts).filter(draft => maxAgeHours > 0 && Date.parse(draft.updatedAt) > cutoff);
+      if (kept.length === Object.keys(drafts).length) return;
+      if (kept.length === 0) {
+        removeFromStorage(key);
+      } else {
+        setToStorage(key, Object.fromEntries(kept.map(draft => [draft.id, draft])));
+      }
+    });
+  listeners.forEach(listener => listener());
+};
+
+// Copy a draft under a new ID and return the copy (null if the original is gone)
+export const duplicateDraft = (id) => {
+  const original = getDraft(id);
+  if (!original) return null;
+  const copyId = createDraftId();
+  if (!saveDraft(copyId, { ...original.data })) return null;
+  return getDraft(copyId);
+};
+
+// List heading for a draft: the start of its summary
+export const getDraftTitle = (draft) => {
+  const summary = (draft.data.summary || '').trim();
+  if (!summary) return 'Untitled draft';
+  return summary.length > 60 ? `${summary.slice(0, 60)}...` : summary;
+};
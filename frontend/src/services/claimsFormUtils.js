@@ -1,42 +1,51 @@
-import { ClaimUtils } from './api';
+import { ClaimUtils, CLAIM_STATUSES } from './api';
+import { parseCSV, parseCSVFile, stringifyCSV, unguardFormula } from '../utils/csv';
+import { readWorkbook } from '../utils/xlsx';
 
 // Form field configurations for claim submission
 export const CLAIM_FORM_FIELDS = {
-  provider_id: {
-    label: 'Provider ID',
-    type: 'text',
+  policy_id: {
+    label: 'Policy',
+    type: 'entity',
+    entity: 'policy',
     required: true,
-    placeholder: 'e.g., c0a19ac4-96ba-4c5f-8e44-425d3173b0d6',
+    placeholder: 'Search by policy number or holder...',
     validation: {
       pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i,
       message: 'Must be a valid UUID format'
     }
   },
-  risk_id: {
-    label: 'Risk ID',
-    type: 'text',
+  patient_id: {
+    label: 'Patient',
+    type: 'entity',
+    entity: 'patient',
     required: true,
-    placeholder: 'e.g., 1084bc4d-dd50-4eb4-a7da-591dc0f9bd76',
+    placeholder: 'Search by name...',
+    description: 'Only patients covered by the selected policy are listed',
+    emptyMessage: 'No covered patients match',
     validation: {
       pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i,
       message: 'Must be a valid UUID format'
     }
   },
-  patient_id: {
-    label: 'Patient ID',
-    type: 'text',
+  provider_id: {
+    label: 'Provider',
+    type: 'entity',
+    entity: 'provider',
     required: true,
-    placeholder: 'e.g., 461caa86-be43-4b30-b67a-182fb964c546',
+    placeholder: 'Search by name, specialty or city...',
     validation: {
       pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i,
       message: 'Must be a valid UUID format'
     }
   },
-  policy_id: {
-    label: 'Policy ID',
+  risk_id: {
+    label: 'Risk ID',
     type: 'text',
+    preview: 'risk',
     required: true,
-    placeholder: 'e.g., 3d3eef35-4bd4-4e62-a20c-58b8a85e9000',
+    placeholder: 'Filled in from the selected provider',
+    description: "Defaults to the provider's risk rating",
     validation: {
       pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i,
       message: 'Must be a valid UUID format'
@@ -86,10 +95,128 @@ export const CLAIM_FORM_FIELDS = {
   }
 };
 
+const uuidValidation = {
+  pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i,
+  message: 'Must be a valid UUID format'
+};
+
+const notInFuture = (label) => (value) =>
+  new Date(value) > new Date() ? `${label} cannot be in the future` : null;
+
+// Form field configurations for patient registration
+export const PATIENT_FORM_FIELDS = {
+  first_name: {
+    label: 'First Name',
+    type: 'text',
+    required: true,
+    validation: { maxLength: 100 }
+  },
+  last_name: {
+    label: 'Last Name',
+    type: 'text',
+    required: true,
+    validation: { maxLength: 100 }
+  },
+  date_of_birth: {
+    label: 'Date of Birth',
+    type: 'date',
+    required: true,
+    validation: { custom: notInFuture('Date of birth') }
+  },
+  gender: {
+    label: 'Gender',
+    type: 'select',
+    required: true,
+    options: [
+      { value: 'Female', label: 'Female' },
+      { value: 'Male', label: 'Male' },
+      { value: 'Other', label: 'Other' }
+    ]
+  },
+  policy_id: {
+    label: 'Policy',
+    type: 'select',
+    required: true,
+    // Options are the loaded policies, filled in by the form
+    options: [],
+    validation: uuidValidation
+  }
+};
+
+// Form field configurations for insurance policies
+export const POLICY_FORM_FIELDS = {
+  policy_number: {
+    label: 'Policy Number',
+    type: 'text',
+    required: true,
+    placeholder: 'e.g., POL-2025-0001',
+    validation: { maxLength: 50 }
+  },
+  holder_name: {
+    label: 'Policy Holder',
+    type: 'text',
+    required: true,
+    validation: { maxLength: 200 }
+  },
+  plan_type: {
+    label: 'Plan Type',
+    type: 'text',
+    required: true,
+    placeholder: 'e.g., Family Health Plus'
+  },
+  coverage_limit: {
+    label: 'Coverage Limit',
+    type: 'number',
+    required: true,
+    validation: {
+      custom: (value) => (Number(value) > 0 ? null : 'Coverage limit must be greater than zero')
+    }
+  },
+  deductible: {
+    label: 'Deductible',
+    type: 'number',
+    required: true,
+    defaultValue: '0',
+    validation: {
+      custom: (value, formData) => {
+        if (Number(value) < 0) return 'Deductible cannot be negative';
+        if (Number(value) > Number(formData.coverage_limit)) return 'Deductible cannot exceed the coverage limit';
+        return null;
+      }
+    }
+  },
+  start_date: {
+    label: 'Start Date',
+    type: 'date',
+    required: true
+  },
+  end_date: {
+    label: 'End Date',
+    type: 'date',
+    required: true,
+    validation: {
+      custom: (value, formData) =>
+        formData.start_date && value <= formData.start_date ? 'End date must be after the start date' : null
+    }
+  },
+  status: {
+    label: 'Status',
+    type: 'select',
+    required: true,
+    options: [
+      { value: 'Active', label: 'Active' },
+      { value: 'Suspended', label: 'Suspended' },
+      { value: 'Expired', label: 'Expired' },
+      { value: 'Cancelled', label: 'Cancelled' }
+    ],
+    defaultValue: 'Active'
+  }
+};
+
 // Form validation utilities
 export const FormUtils = {
   // Validate a single field
-  validateField: (fieldName, value, config) => {
+  validateField: (fieldName, value, config, formData = {}) => {
     const errors = [];
     
     // Required field check
@@ -116,18 +243,24 @@ export const FormUtils = {
     if (config.validation?.maxLength && value.length > config.validation.maxLength) {
       errors.push(`${config.label} must not exceed ${config.validation.maxLength} characters`);
     }
+
+    // Rules that depend on the value's meaning or on other fields
+    const customError = config.validation?.custom?.(value, formData);
+    if (customError) {
+      errors.push(customError);
+    }
     
     return errors;
   },
 
   // Validate entire form
-  validateForm: (formData) => {
+  validateForm: (formData, fields = CLAIM_FORM_FIELDS) => {
     const errors = {};
     let hasErrors = false;
     
-    Object.keys(CLAIM_FORM_FIELDS).forEach(fieldName => {
-      const fieldConfig = CLAIM_FORM_FIELDS[fieldName];
-      const fieldErrors = FormUtils.validateField(fieldName, formData[fieldName], fieldConfig);
+    Object.keys(fields).forEach(fieldName => {
+      const fieldConfig = fields[fieldName];
+      const fieldErrors = FormUtils.validateField(fieldName, formData[fieldName], fieldConfig, formData);
       
       if (fieldErrors.length > 0) {
         errors[fieldName] = fieldErrors;
@@ -142,11 +275,11 @@ export const FormUtils = {
   },
 
   // Get initial form data with defaults
-  getInitialFormData: () => {
+  getInitialFormData: (fields = CLAIM_FORM_FIELDS) => {
     const formData = {};
     
-    Object.keys(CLAIM_FORM_FIELDS).forEach(fieldName => {
-      const config = CLAIM_FORM_FIELDS[fieldName];
+    Object.keys(fields).forEach(fieldName => {
+      const config = fields[fieldName];
       
       if (config.defaultValue !== undefined) {
         formData[fieldName] = typeof config.defaultValue === 'function' 
@@ -193,20 +326,32 @@ export const FormUtils = {
   }
 };
 
+const BOOLEAN_CLAIM_FIELDS = ['ex_gratia_flag', 'appeal_case_flag'];
+
+const parseBoolean = (value) => ['true', 'yes', 'y', '1'].includes(String(value).trim().toLowerCase());
+
+const splitHeaderRow = (rows) => {
+  const [headers = [], ...dataRows] = rows.map(row => row.map(value => value.trim()));
+  return { headers, rows: dataRows };
+};
+
+// "Policy ID", "policy-id" and "policy_id" all compare equal
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
 // Bulk operations utilities
 export const BulkUtils = {
   // Parse CSV data to claims array
   parseCSVToClaims: (csvText) => {
-    const lines = csvText.trim().split('\n');
-    const headers = lines[0].split(',').map(h => h.trim());
+    const [headerRow = [], ...rows] = parseCSV(csvText);
+    const headers = headerRow.map(h => h.trim());
     
     const claims = [];
     
-    for (let i = 1; i < lines.length; i++) {
-      const values = lines[i].split(',').map(v => v.trim());
+    for (let i = 0; i < rows.length; i++) {
+      const values = rows[i].map(v => unguardFormula(v.trim()));
       
       if (values.length !== headers.length) {
-        throw new Error(`Row ${i + 1}: Column count mismatch`);
+        throw new Error(`Row ${i + 2}: Column count mismatch`);
       }
       
       const claim = {};
@@ -233,15 +378,7 @@ export const BulkUtils = {
     const headers = Object.keys(CLAIM_FORM_FIELDS);
     const sampleData = ClaimUtils.getSampleClaim();
     
-    const csvHeaders = headers.join(',');
-    const csvSample = headers.map(header => {
-      const value = sampleData[header];
-      if (typeof value === 'boolean') return value.toString();
-      if (value === null || value === undefined) return '';
-      return value.toString();
-    }).join(',');
-    
-    return `${csvHeaders}\n${csvSample}`;
+    return stringifyCSV([headers, headers.map(header => sampleData[header])]);
   },
 
   // Validate bulk claims data
@@ -271,11 +408,74 @@ export const BulkUtils = {
     });
     
     return results;
+  },
+
+  // Split pasted text into a header row and data rows. The delimiter is detected
+  // from the header line, so tab-separated rows copied from a spreadsheet work too.
+  parseDelimitedText: (text) => splitHeaderRow(parseCSV(text)),
+
+  // Same as parseDelimitedText for an uploaded file, read in chunks.
+  // `onProgress` receives the fraction of the file read so far.
+  parseDelimitedFile: async (file, { onProgress } = {}) =>
+    splitHeaderRow(await parseCSVFile(file, { onProgress })),
+
+  // Read an Excel workbook as one `{ name, headers, rows }` table per non-empty sheet
+  parseSpreadsheetFile: async (file) =>
+    (await readWorkbook(file)).map(sheet => ({ name: sheet.name, ...splitHeaderRow(sheet.rows) })),
+
+  // Guess which form field each column holds by comparing headers with field names and labels.
+  // Returns one field name per column, '' for columns that match nothing.
+  suggestColumnMapping: (headers, fields = CLAIM_FORM_FIELDS) => {
+    const used = new Set();
+
+    return headers.map(header => {
+      const normalized = normalizeHeader(header);
+      const match = Object.keys(fields).find(fieldName =>
+        !used.has(fieldName) &&
+        [fieldName, fields[fieldName].label].some(candidate => normalizeHeader(candidate) === normalized));
+
+      if (!match) return '';
+      used.add(match);
+      return match;
+    });
+  },
+
+  // Build form-shaped claims from data rows. `mapping` holds a field name (or '') per column;
+  // fields without a value in the row keep their form defaults.
+  mapRowsToClaims: (rows, mapping) => {
+    return rows.map(row => {
+      const claim = FormUtils.getInitialFormData();
+
+      mapping.forEach((fieldName, column) => {
+        const value = row[column];
+        if (!fieldName || value === undefined || value === '') return;
+        claim[fieldName] = BOOLEAN_CLAIM_FIELDS.includes(fieldName) ? parseBoolean(value) : unguardFormula(value);
+      });
+
+      return claim;
+    });
+  },
+
+  // Validate one imported claim, returning errors keyed by field like FormUtils.validateForm
+  validateClaimRow: (claim) => {
+    const { errors } = FormUtils.validateForm(claim);
+
+    // Imported claims may carry any backend status, not just the ones the form offers
+    if (claim.status && !CLAIM_STATUSES.includes(claim.status)) {
+      errors.status = [`Status must be one of: ${CLAIM_STATUSES.join(', ')}`];
+    }
+    if (claim.submission_date && Number.isNaN(new Date(claim.submission_date).getTime())) {
+      errors.submission_date = ['Submission date is not a valid date'];
+    }
+
+    return errors;
   }
 };
 
 const claimsFormUtilities = {
   CLAIM_FORM_FIELDS,
+  PATIENT_FORM_FIELDS,
+  POLICY_FORM_FIELDS,
   FormUtils,
   BulkUtils
 };
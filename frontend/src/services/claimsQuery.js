@@ -0,0 +1,205 @@
+import { apiService, readAllClaimPages } from './api';
+import { subscribeEnvironments } from './environments';
+import { subscribeQueryCache } from './queryCache';
+import { filterClaims, sortClaims } from '../utils/helpers';
+
+// ClaimHistory filter keys and the query params a query-capable backend takes for them
+const SERVER_FILTER_PARAMS = {
+  status: 'status',
+  reasonCode: 'reason_code',
+  claimId: 'search',
+  dateFrom: 'date_from',
+  dateTo: 'date_to',
+};
+
+// Confidence only exists on AI results held in the browser, never on backend records
+const CLIENT_ONLY_FILTERS = ['minConfidence', 'maxConfidence'];
+
+// ClaimHistory sort keys the backend can order by
+const SERVER_SORT_FIELDS = {
+  id: 'claim_id',
+  decision: 'status',
+  date: 'submission_date',
+};
+
+const CLIENT_SCAN_PAGE_SIZE = 100;
+const CLIENT_CACHE_TTL = 60 * 1000;
+
+// Whether each backend (by base URL) honours filter/sort/paging params
+const serverQuerySupport = new Map();
+
+// Claims fetched for client-side querying, shared between queries so paging
+// through the fallback does not refetch everything. Scans run progressively
+// and notify `listeners` after each backend page.
+let clientCache = null;
+
+const hasValue = (value) => value !== '' && value !== null && value !== undefined;
+
+const isQueryEnvelope = (data) =>
+  Boolean(data) && !Array.isArray(data) && Array.isArray(data.claims || data.items) && typeof data.total === 'number';
+
+const needsClientQuery = (filters, sort) =>
+  CLIENT_ONLY_FILTERS.some(key => hasValue(filters[key])) || Boolean(sort && !SERVER_SORT_FIELDS[sort.key]);
+
+const buildServerParams = (filters, sort, skip, limit, cursor) => {
+  const params = cursor ? { cursor, limit } : { skip, limit };
+  Object.entries(SERVER_FILTER_PARAMS).forEach(([key, param]) => {
+    if (hasValue(filters[key])) params[param] = filters[key];
+  });
+  if (sort) {
+    params.sort_by = SERVER_SORT_FIELDS[sort.key];
+    params.sort_order = sort.direction;
+  }
+  return params;
+};
+
+const scanAllClaims = (baseUrl) => {
+  const cache = { baseUrl, claims: [], complete: false, fetchedAt: null, listeners: new Set() };
+
+  cache.promise = (async () => {
+    cache.claims = await readAllClaimPages(
+      // This cache is the one that counts here, so the scan always reads the backend
+      ({ skip, limit }) => apiService.getClaimsPage({ skip, limit }, { force: true }),
+      {
+        pageSize: CLIENT_SCAN_PAGE_SIZE,
+        onPage: (claims) => {
+          cache.claims = [...claims];
+          cache.listeners.forEach(listener => listener());
+        },
+      }
+    );
+    cache.complete = true;
+    cache.fetchedAt = Date.now();
+  })();
+
+  // A failed scan must not be reused by the next query
+  cache.promise.catch(() => {
+    if (clientCache === cache) clientCache = null;
+  });
+
+  return cache;
+};
+
+const sliceClientResult = (cache, { filters, sort, page, pageSize, enrich }) => {
+  const matched = filterClaims(cache.claims.map(enrich), filters);
+  const sorted = sort ? sortClaims(matched, sort.key, sort.direction) : matched;
+  const start = page * pageSize;
+
+  return {
+    claims: sorted.slice(start, start + pageSize),
+    // Only exact once every backend page has been read
+    total: cache.complete ? sorted.length : null,
+    matchedSoFar: sorted.length,
+    loaded: cache.claims.length,
+    hasMore: !cache.complete || start + pageSize < sorted.length,
+    nextCursor: null,
+    mode: 'client',
+    complete: cache.complete,
+  };
+};
+
+const queryClientSide = async (baseUrl, query, { force, onProgress, signal }) => {
+  const stale = !clientCache ||
+    clientCache.baseUrl !== baseUrl ||
+    (clientCache.complete && Date.now() - clientCache.fetchedAt > CLIENT_CACHE_TTL);
+  if (force || stale) {
+    clientCache = scanAllClaims(baseUrl);
+  }
+
+  const cache = clientCache;
+  if (!cache.complete) {
+    const listener = () => {
+      if (!signal?.aborted) onProgress?.(sliceClientResult(cache, query));
+    };
+    cache.listeners.add(listener);
+    try {
+      await cache.promise;
+    } finally {
+      cache.listeners.delete(listener);
+    }
+  }
+
+  return sliceClientResult(cache, query);
+};
+
+/**
+ * Query one page of claims.
+ *
+ * Sends filters, sort and skip (or cursor) paging to the backend when it
+ * answers with a `{ claims | items, total }` envelope. Otherwise, or when a
+ * client-only filter/sort is used, it reads every claim page by page, calling
+ * `onProgress` with partial results, and filters/sorts/pages in the browser.
+ *
+ * `enrich(claim)` overlays browser-side data (e.g. AI results) before
+ * client-side filtering. Resolves to
+ * `{ claims, total, hasMore, nextCursor, mode: 'server' | 'client', complete }`.
+ */
+export const queryClaims = async ({
+  filters = {},
+  sort = null,
+  page = 0,
+  pageSize = 25,
+  cursor = null,
+  enrich = (claim) => claim,
+  force = false,
+  onProgress,
+  signal,
+} = {}) => {
+  const { baseUrl } = apiService.getConfig();
+
+  if (!needsClientQuery(filters, sort) && serverQuerySupport.get(baseUrl) !== false) {
+    const skip = page * pageSize;
+    const data = await apiService.getClaimsPage(buildServerParams(filters, sort, skip, pageSize, cursor), { signal, force });
+
+    if (isQueryEnvelope(data)) {
+      serverQuerySupport.set(baseUrl, true);
+      const claims = data.claims || data.items;
+      return {
+        claims,
+        total: data.total,
+        hasMore: data.next_cursor ? true : skip + claims.length < data.total,
+        nextCursor: data.next_cursor || null,
+        mode: 'server',
+        complete: true,
+      };
+    }
+    serverQuerySupport.set(baseUrl, false);
+  }
+
+  return queryClientSide(baseUrl, { filters, sort, page, pageSize, enrich }, { force, onProgress, signal });
+};
+
+/**
+ * Every claim matching `filters`, in `sort` order, e.g. for exports. A
+ * query-capable backend is paged through with the same params as
+ * queryClaims; otherwise the client-side scan is reused. Claims come back
+ * with `enrich` applied.
+ */
+export const queryAllClaims = async ({ filters = {}, sort = null, enrich = (claim) => claim, signal } = {}) => {
+  const { baseUrl } = apiService.getConfig();
+
+  if (!needsClientQuery(filters, sort) && serverQuerySupport.get(baseUrl) === true) {
+    const claims = await readAllClaimPages(
+      ({ skip, limit, cursor }) => apiService.getClaimsPage(buildServerParams(filters, sort, skip, limit, cursor), { signal }),
+      { pageSize: CLIENT_SCAN_PAGE_SIZE }
+    );
+    return claims.map(enrich);
+  }
+
+  const query = { filters, sort, page: 0, pageSize: Number.MAX_SAFE_INTEGER, enrich };
+  return (await queryClientSide(baseUrl, query, { signal })).claims;
+};
+
+// Drop cached claims so the next client-side query reads the backend again
+export const invalidateClaimsQuery = () => {
+  clientCache = null;
+};
+
+// Profiles can share a URL but not their data
+subscribeEnvironments(invalidateClaimsQuery);
+
+// Every claim write invalidates the 'claims' tag (services/api.js); the claims
+// scanned here are just as stale
+subscribeQueryCache(({ type, tags }) => {
+  if (type === 'invalidated' && tags.includes('claims')) invalidateClaimsQuery();
+});
@@ -0,0 +1,87 @@
+const mockGetClaimsPage = jest.fn();
+
+jest.mock('./api', () => ({
+  ...jest.requireActual('./api'),
+  apiService: {
+    getConfig: () => ({ baseUrl: 'http://backend.test' }),
+    getClaimsPage: (...args) => mockGetClaimsPage(...args),
+  },
+}));
+
+const claimsNumbered = (from, count, fields = {}) =>
+  Array.from({ length: count }, (_, index) => ({ claim_id: `C-${from + index}`, ...fields }));
+
+let claimsQuery;
+
+beforeEach(() => {
+  jest.resetModules();
+  mockGetClaimsPage.mockReset();
+  claimsQuery = require('./claimsQuery');
+});
+
+describe('queryAllClaims', () => {
+  test('pages through a query-capable backend with the same filters and sort', async () => {
+    mockGetClaimsPage.mockImplementation(async ({ skip, limit }) => ({
+      claims: claimsNumbered(skip, Math.min(limit, 130 - skip), { status: 'Approved' }),
+      total: 130,
+    }));
+    const query = { filters: { status: 'Approved' }, sort: { key: 'date', direction: 'desc' } };
+    await claimsQuery.queryClaims({ ...query, pageSize: 25 });
+    mockGetClaimsPage.mockClear();
+
+    const claims = await claimsQuery.queryAllClaims({ ...query, enrich: claim => ({ ...claim, enriched: true }) });
+
+    expect(claims).toHaveLength(130);
+    expect(claims.every(claim => claim.enriched)).toBe(true);
+    expect(mockGetClaimsPage.mock.calls.map(([params]) => params)).toEqual([
+      { skip: 0, limit: 100, status: 'Approved', sort_by: 'submission_date', sort_order: 'desc' },
+      { skip: 100, limit: 100, status: 'Approved', sort_by: 'submission_date', sort_order: 'desc' },
+    ]);
+  });
+
+  test('filters and sorts every scanned claim in the browser otherwise', async () => {
+    const all = [
+      ...claimsNumbered(0, 100, { status: 'Denied' }),
+      ...claimsNumbered(100, 30, { status: 'Approved' }),
+    ];
+    mockGetClaimsPage.mockImplementation(async ({ skip, limit }) => all.slice(skip, skip + limit));
+
+    const claims = await claimsQuery.queryAllClaims({
+      filters: { status: 'Approved' },
+      sort: { key: 'id', direction: 'desc' },
+    });
+
+    expect(claims).toHaveLength(30);
+    expect(claims[0].claim_id).toBe('C-129');
+  });
+});
+
+test('a claim write drops the claims scanned for client-side queries', async () => {
+  mockGetClaimsPage.mockImplementation(async ({ skip }) => (skip === 0 ? [{ claim_id: 'C-1', status: 'Pending' }] : []));
+  const query = { filters: { minConfidence: 0 } };
+  await claimsQuery.queryClaims(query);
+  mockGetClaimsPage.mockClear();
+  await claimsQuery.queryClaims(query);
+  expect(mockGetClaimsPage).not.toHaveBeenCalled();
+
+  require('./queryCache').invalidateQueries('claim:C-1', 'claims');
+  await claimsQuery.queryClaims(query);
+  expect(mockGetClaimsPage).toHaveBeenCalled();
+});
+
+test('client-side date filters include the whole last day, as the backend does', async () => {
+  mockGetClaimsPage.mockImplementation(async ({ skip }) => (skip > 0 ? [] : [
+    { claim_id: 'C-1', submission_date: '2024-02-29T23:59:00Z' },
+    { claim_id: 'C-2', submission_date: '2024-03-01T00:00:00Z' },
+    { claim_id: 'C-3', submission_date: '2024-03-05T18:30:00Z' },
+    { claim_id: 'C-4', submission_date: '2024-03-06T00:00:00Z' },
+  ]));
+
+  // Sorting by confidence keeps the query in the browser
+  const { claims } = await claimsQuery.queryClaims({
+    filters: { dateFrom: '2024-03-01', dateTo: '2024-03-05' },
+    sort: { key: 'confidence', direction: 'asc' },
+  });
+
+  expect(claims.map(claim => claim.claim_id).sort()).toEqual(['C-2', 'C-3']);
+});
@@ -0,0 +1,127 @@
+// API keys for the environment profiles, kept out of localStorage.
+//
+// Keys are held in memory and mirrored to sessionStorage encrypted with
+// AES-GCM, so a reload keeps them and closing the tab forgets them. The
+// encryption key is generated as non-extractable and kept in IndexedDB: the app
+// can encrypt and decrypt with it, but it cannot be read out, and it decrypts
+// nothing once the tab's sessionStorage is gone.
+//
+// Without Web Crypto (pages served over plain http other than localhost) or
+// IndexedDB the keys stay in memory only and are asked for again after a reload.
+
+const SESSION_KEY = 'credentials';
+const DB_NAME = 'claimProcessorKeys';
+const STORE_NAME = 'keys';
+const ENCRYPTION_KEY_ID = 'credentials';
+
+// Environment profile id -> API key
+const credentials = new Map();
+let encryptionKeyPromise = null;
+let loadPromise = null;
+let loaded = false;
+let writeQueue = Promise.resolve();
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openKeyStore = () => {
+  const request = indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(STORE_NAME);
+  };
+  return requestResult(request);
+};
+
+// Every tab shares one key; the first tab to need it creates it
+const getEncryptionKey = () => {
+  if (!encryptionKeyPromise) {
+    encryptionKeyPromise = (async () => {
+      if (typeof indexedDB === 'undefined' || typeof crypto === 'undefined' || !crypto.subtle) return null;
+      try {
+        const database = await openKeyStore();
+        const store = (mode) => database.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+        const existing = await requestResult(store('readonly').get(ENCRYPTION_KEY_ID));
+        if (existing) return existing;
+
+        const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+        // `add` fails when another tab stored its key first; use that one
+        await requestResult(store('readwrite').add(key, ENCRYPTION_KEY_ID)).catch(() => {});
+        return await requestResult(store('readonly').get(ENCRYPTION_KEY_ID));
+      } catch (error) {
+        console.error('Encrypted credential storage unavailable, API keys will be asked for again after a reload:', error);
+        return null;
+      }
+    })();
+  }
+  return encryptionKeyPromise;
+};
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+const writeSession = async () => {
+  const key = await getEncryptionKey();
+  if (!key) return;
+  if (credentials.size === 0) {
+    sessionStorage.removeItem(SESSION_KEY);
+    return;
+  }
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const plaintext = new TextEncoder().encode(JSON.stringify(Object.fromEntries(credentials)));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+  sessionStorage.setItem(SESSION_KEY, JSON.stringify({ iv: toBase64(iv), data: toBase64(new Uint8Array(ciphertext)) }));
+};
+
+// Writes run one after another so an older snapshot never lands last
+const persist = () => {
+  writeQueue = writeQueue.then(writeSession).catch(error => {
+    console.error('Failed to save credentials for this session:', error);
+  });
+  return writeQueue;
+};
+
+/**
+ * Decrypt the keys saved earlier in this tab. Keys set before this finishes
+ * win over the saved ones. Safe to call more than once.
+ */
+export const loadCredentials = () => {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      try {
+        const saved = JSON.parse(sessionStorage.getItem(SESSION_KEY));
+        const key = saved && await getEncryptionKey();
+        if (key) {
+          const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(saved.iv) }, key, fromBase64(saved.data));
+          Object.entries(JSON.parse(new TextDecoder().decode(plaintext))).forEach(([id, apiKey]) => {
+            if (!credentials.has(id)) credentials.set(id, apiKey);
+          });
+        }
+      } catch (error) {
+        // Unreadable, e.g. encrypted with a key that has since been replaced
+        sessionStorage.removeItem(SESSION_KEY);
+      }
+      loaded = true;
+      await persist();
+    })();
+  }
+  return loadPromise;
+};
+
+export const areCredentialsLoaded = () => loaded;
+
+export const getCredential = (environmentId) => credentials.get(environmentId) || '';
+
+// An empty key removes the entry
+export const setCredential = (environmentId, apiKey) => {
+  if (apiKey) {
+    credentials.set(environmentId, apiKey);
+  } else {
+    credentials.delete(environmentId);
+  }
+  // Until the saved keys are loaded, writing would replace them; loading saves the merge
+  if (loaded) persist();
+};
+
+export const deleteCredential = (environmentId) => setCredential(environmentId, '');
@@ -0,0 +1,167 @@
+import { addDays } from 'date-fns';
+import { apiService, REASON_CODES } from './api';
+import { writePDF, PDF_MIME_TYPE } from '../utils/pdf';
+import { downloadFile, formatCurrency, formatDateOnly } from '../utils/helpers';
+
+// Claim determination letters (approval, denial, documentation request) as PDFs.
+// Letters are filled from the analysis result merged with the stored claim and
+// its patient, policy and provider records.
+
+const ORGANIZATION_NAME = 'InsuranceClaim AI';
+const APPEAL_WINDOW_DAYS = 180;
+const DOCUMENTATION_DUE_DAYS = 30;
+// The standard PDF fonts only cover Latin-1, so placeholders stay plain ASCII
+const NOT_ON_FILE = 'Not on file';
+
+export const LETTER_TYPES = {
+  approval: 'Approval',
+  denial: 'Denial',
+  documentation: 'Documentation Request',
+};
+
+// The letter that matches a claim's decision; anything undecided asks for documentation
+export const getDefaultLetterType = (claim) => {
+  const decision = claim?.adjudication?.status || claim?.decision || claim?.status;
+  if (decision === 'Approved') return 'approval';
+  if (decision === 'Denied') return 'denial';
+  return 'documentation';
+};
+
+// Referenced records are optional: a letter is still useful without them
+const fetchOptional = async (load, id) => {
+  if (!id) return null;
+  try {
+    return await load(id);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Gather what a letter needs for one claim. `claim` can be an analysis result
+ * (with `id`) or a stored claim (with `claim_id`); the stored claim is fetched
+ * when its references are missing.
+ */
+export const loadLetterContext = async (claim) => {
+  const claimId = claim.claim_id || claim.id;
+  const stored = claim.patient_id ? null : await fetchOptional(id => apiService.getClaim(id), claimId);
+  const merged = { ...stored, ...claim, claim_id: claimId };
+
+  const [patient, policy, provider] = await Promise.all([
+    fetchOptional(id => apiService.getPatient(id), merged.patient_id),
+    fetchOptional(id => apiService.getInsurancePolicy(id), merged.policy_id),
+    fetchOptional(id => apiService.getProvider(id), merged.provider_id),
+  ]);
+
+  return { claim: merged, patient, policy, provider };
+};
+
+const patientName = (patient) =>
+  patient ? [patient.first_name, patient.last_name].filter(Boolean).join(' ') : '';
+
+const reasonText = (claim) =>
+  claim.reason_description || REASON_CODES[claim.reason_code] || '';
+
+const LETTER_BODIES = {
+  approval: ({ claim }) => [
+    'We have completed our review of the claim referenced above and are pleased to inform you that it has been approved.',
+    claim.claim_amount
+      ? `Payment of ${formatCurrency(claim.claim_amount)} will be issued according to the terms of your policy, less any applicable deductible or co-payment.`
+      : 'Payment will be issued according to the terms of your policy, less any applicable deductible or co-payment.',
+    'Please keep this letter for your records. No further action is required on your part.',
+  ],
+
+  denial: ({ claim, issuedAt }) => [
+    'We have completed our review of the claim referenced above and regret to inform you that it has been denied.',
+    `Reason for denial: ${[claim.reason_code, reasonText(claim)].filter(Boolean).join(' - ') || 'See the determination details above.'}`,
+    { heading: 'Your right to appeal' },
+    `If you disagree with this decision, you or your authorized representative may request an appeal within ${APPEAL_WINDOW_DAYS} days of the date of this letter, that is, by ${formatDateOnly(addDays(issuedAt, APPEAL_WINDOW_DAYS))}.`,
+    'Your appeal should be in writing, quote the claim ID shown above and include any medical records, bills or other information you would like us to consider. You may request, free of charge, copies of all documents relevant to this claim.',
+    'An appeal will be reviewed by someone who was not involved in the original decision, and you will receive a written decision.',
+  ],
+
+  documentation: ({ claim, issuedAt }) => [
+    'We are reviewing the claim referenced above and need additional information before we can reach a decision.',
+    claim.reason_code
+      ? `Review note: ${[claim.reason_code, reasonText(claim)].filter(Boolean).join(' - ')}`
+      : null,
+    'Please send copies of itemized bills, relevant medical records and any referral or pre-authorization documents for this service.',
+    `To avoid delays, we must receive these documents by ${formatDateOnly(addDays(issuedAt, DOCUMENTATION_DUE_DAYS))}. If we do not receive them by then, the claim will be decided on the information we already have.`,
+  ],
+};
+
+// Lay out one letter as PDF blocks (see utils/pdf.js)
+export const buildLetter = ({ claim, patient, policy, provider }, { type = getDefaultLetterType(claim), issuedAt = new Date() } = {}) => {
+  const body = LETTER_BODIES[type];
+  if (!body) throw new Error(`Unknown letter type: ${type}`);
+
+  const recipient = patientName(patient) || policy?.holder_name || 'Policyholder';
+
+  const fields = [
+    ['Claim ID', claim.claim_id],
+    ['Submitted', formatDateOnly(claim.submission_date) || NOT_ON_FILE],
+    ['Patient', patientName(patient) || claim.patient_id || NOT_ON_FILE],
+    ['Date of birth', formatDateOnly(patient?.date_of_birth) || NOT_ON_FILE],
+    ['Policy number', policy?.policy_number || claim.policy_id || NOT_ON_FILE],
+    ['Plan', policy?.plan_type || NOT_ON_FILE],
+    ['Provider', provider?.name || claim.provider_id || NOT_ON_FILE],
+    ['Service', claim.summary || NOT_ON_FILE],
+  ];
+  if (claim.claim_amount) fields.push(['Amount claimed', formatCurrency(claim.claim_amount)]);
+  fields.push(['Determination', LETTER_TYPES[type]]);
+  if (type !== 'approval' && claim.reason_code) {
+    fields.push(['Reason', [claim.reason_code, reasonText(claim)].filter(Boolean).join(' - ')]);
+  }
+
+  const paragraphs = body({ claim, issuedAt }).filter(Boolean).map(paragraph => (
+    paragraph.heading
+      ? { type: 'paragraph', text: paragraph.heading, bold: true }
+      : { type: 'paragraph', text: paragraph }
+  ));
+
+  return {
+    blocks: [
+      { type: 'heading', text: ORGANIZATION_NAME },
+      { type: 'paragraph', text: 'Claims Department' },
+      { type: 'spacer', size: 12 },
+      { type: 'paragraph', text: formatDateOnly(issuedAt) },
+      { type: 'paragraph', text: policy?.holder_name && policy.holder_name !== recipient
+        ? `${recipient}\nc/o ${policy.holder_name}`
+        : recipient },
+      { type: 'paragraph', text: `RE: Claim ${claim.claim_id} - ${LETTER_TYPES[type]}`, bold: true },
+      { type: 'paragraph', text: `Dear ${recipient},` },
+      { type: 'fields', fields },
+      ...paragraphs,
+      { type: 'spacer', size: 8 },
+      { type: 'paragraph', text: 'Sincerely,' },
+      { type: 'paragraph', text: `Claims Department\n${ORGANIZATION_NAME}` },
+    ],
+    footer: (page, pageCount) => `Claim ${claim.claim_id} - Page ${page} of ${pageCount}`,
+  };
+};
+
+// Download the letter for one claim. `type` defaults to the one matching its decision.
+export const downloadLetter = async (claim, { type } = {}) => {
+  const context = await loadLetterContext(claim);
+  const letterType = type || getDefaultLetterType(context.claim);
+  const buffer = await writePDF([buildLetter(context, { type: letterType })]);
+  downloadFile(buffer, `${letterType}_letter_${context.claim.claim_id}.pdf`, PDF_MIME_TYPE);
+};
+
+/**
+ * Download one PDF holding a letter per claim, each starting on a new page and
+ * typed by that claim's decision. `onProgress(done, total)` reports letters prepared.
+ */
+export const downloadBatchLetters = async (claims, { filename = 'determination_letters', onProgress } = {}) => {
+  if (!claims || !claims.length) return;
+
+  const issuedAt = new Date();
+  const letters = [];
+  for (const claim of claims) {
+    letters.push(buildLetter(await loadLetterContext(claim), { issuedAt }));
+    onProgress?.(letters.length, claims.length);
+  }
+
+  const buffer = await writePDF(letters);
+  downloadFile(buffer, `${filename}.pdf`, PDF_MIME_TYPE);
+};
@@ -0,0 +1,169 @@
+import { getFromStorage, setToStorage } from '../utils/helpers';
+import { deleteCredential, getCredential, setCredential } from './credentials';
+
+// Named backend environment profiles (local, staging, UAT, ...) and which one
+// is active.
+//
+// Profiles: { id, name, apiBaseUrl, hasApiKey, pageSize, color }. An empty
+// `apiBaseUrl` goes through the development proxy (setupProxy.js). `color` is a
+// key of ENVIRONMENT_COLORS and picks the banner shown above the app. API keys
+// are not stored with the profiles but in the session's credential vault
+// (services/credentials.js); `hasApiKey` says whether the profile has its own
+// key rather than the one the app was built with.
+//
+// Data that belongs to one backend is kept apart per profile: api.js follows
+// the active profile's URL and key and drops responses that arrive after a
+// switch, and stored claim data uses environmentStorageKey(). The profile in
+// use before profiles existed becomes 'default' and keeps the original keys.
+
+const STORAGE_KEY = 'environmentProfiles';
+export const DEFAULT_ENVIRONMENT_ID = 'default';
+const DEFAULT_PAGE_SIZE = 25;
+// Used by profiles without a key of their own
+export const DEFAULT_API_KEY = process.env.REACT_APP_API_KEY || 'your_api_key_here';
+
+// Banner and badge classes per colour; 'none' shows no banner
+export const ENVIRONMENT_COLORS = {
+  none: { label: 'No banner', banner: null, dot: 'bg-gray-400' },
+  blue: { label: 'Blue', banner: 'bg-blue-600 text-white', dot: 'bg-blue-600' },
+  green: { label: 'Green', banner: 'bg-green-600 text-white', dot: 'bg-green-600' },
+  yellow: { label: 'Yellow', banner: 'bg-yellow-400 text-black', dot: 'bg-yellow-400' },
+  orange: { label: 'Orange', banner: 'bg-orange-500 text-white', dot: 'bg-orange-500' },
+  red: { label: 'Red', banner: 'bg-red-600 text-white', dot: 'bg-red-600' },
+  purple: { label: 'Purple', banner: 'bg-purple-600 text-white', dot: 'bg-purple-600' },
+};
+
+let environments = null;
+const listeners = new Set();
+
+// The connection configured before profiles existed becomes the first profile
+const createDefaultEnvironments = () => ({
+  activeId: DEFAULT_ENVIRONMENT_ID,
+  profiles: [{
+    id: DEFAULT_ENVIRONMENT_ID,
+    name: 'Local',
+    apiBaseUrl: localStorage.getItem('apiBaseUrl') || '',
+    apiKey: localStorage.getItem('apiKey') || '',
+    pageSize: DEFAULT_PAGE_SIZE,
+    color: 'none',
+  }],
+});
+
+// Move a key saved with the profile into the vault; the built-in key needs no saving
+const storeApiKey = ({ apiKey, ...profile }) => {
+  if (apiKey === undefined) return profile;
+  const ownKey = apiKey && apiKey !== DEFAULT_API_KEY ? apiKey : '';
+  setCredential(profile.id, ownKey);
+  return { ...profile, hasApiKey: Boolean(ownKey) };
+};
+
+// Read lazily so api.js has set up the stored connection first
+const load = () => {
+  if (!environments) {
+    const stored = getFromStorage(STORAGE_KEY);
+    environments = stored?.profiles?.length ? stored : createDefaultEnvironments();
+    if (!environments.profiles.some(profile => profile.id === environments.activeId)) {
+      environments = { ...environments, activeId: environments.profiles[0].id };
+    }
+    // Keys used to be saved in plain text here and under 'apiKey'
+    if (!stored || environments.profiles.some(profile => 'apiKey' in profile)) {
+      environments = { ...environments, profiles: environments.profiles.map(storeApiKey) };
+      setToStorage(STORAGE_KEY, environments);
+    }
+    localStorage.removeItem('apiKey');
+  }
+  return environments;
+};
+
+const update = (next) => {
+  environments = next;
+  setToStorage(STORAGE_KEY, environments);
+  listeners.forEach(listener => listener(environments));
+};
+
+// Another tab switching or editing profiles does not change this one's active
+// profile, but the list stays current
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (event) => {
+    if (event.key !== STORAGE_KEY || !environments) return;
+    const stored = getFromStorage(STORAGE_KEY);
+    if (!stored?.profiles?.some(profile => profile.id === environments.activeId)) return;
+    environments = { ...stored, activeId: environments.activeId };
+    listeners.forEach(listener => listener(environments));
+  });
+}
+
+// { activeId, profiles }
+export const getEnvironments = () => load();
+
+// The active profile with its API key: its own from the vault, '' when that is
+// missing from this tab, or the built-in one
+export const getActiveEnvironment = () => {
+  const { activeId, profiles } = load();
+  const profile = profiles.find(candidate => candidate.id === activeId);
+  return { ...profile, apiKey: profile.hasApiKey ? getCredential(profile.id) : DEFAULT_API_KEY };
+};
+
+export const getActiveEnvironmentId = () => load().activeId;
+
+// `listener({ activeId, profiles })` runs when profiles change or another one becomes active
+export const subscribeEnvironments = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * localStorage key for data that belongs to one environment. The default
+ * profile keeps the plain key, so data saved before profiles existed stays put.
+ */
+export const environmentStorageKey = (key, environmentId = getActiveEnvironmentId()) =>
+  (environmentId === DEFAULT_ENVIRONMENT_ID ? key : `${key}:${environmentId}`);
+
+const createId = () =>
+  (typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(16).slice(2)}`);
+
+// Create a profile (no `id`) or update one. An `apiKey` goes to the vault;
+// without one the profile keeps its key. Returns the saved profile.
+export const saveEnvironment = (profile) => {
+  const current = load();
+  const saved = storeApiKey({
+    pageSize: DEFAULT_PAGE_SIZE,
+    color: 'none',
+    hasApiKey: false,
+    ...profile,
+    id: profile.id || createId(),
+    name: profile.name.trim(),
+    apiBaseUrl: (profile.apiBaseUrl || '').trim().replace(/\/$/, ''),
+  });
+  const exists = current.profiles.some(existing => existing.id === saved.id);
+  update({
+    ...current,
+    profiles: exists
+      ? current.profiles.map(existing => (existing.id === saved.id ? saved : existing))
+      : [...current.profiles, saved],
+  });
+  return saved;
+};
+
+// Delete a profile and the data stored for it. The active profile cannot be
+// deleted; switch away from it first.
+export const deleteEnvironment = (id) => {
+  const current = load();
+  if (id === current.activeId) return false;
+  update({ ...current, profiles: current.profiles.filter(profile => profile.id !== id) });
+  deleteCredential(id);
+  if (id !== DEFAULT_ENVIRONMENT_ID) {
+    Object.keys(localStorage)
+      .filter(key => key.endsWith(`:${id}`))
+      .forEach(key => localStorage.removeItem(key));
+  }
+  return true;
+};
+
+export const setActiveEnvironment = (id) => {
+  const current = load();
+  if (id === current.activeId || !current.profiles.some(profile => profile.id === id)) return;
+  update({ ...current, activeId: id });
+};
@@ -0,0 +1,231 @@
+import { apiService } from './api';
+import { invalidateQueries } from './queryCache';
+import { readEventStream } from '../utils/eventStream';
+
+// Live claim updates for the auto-refresh setting.
+//
+// Polls the newest page of claims every `interval`, pausing while the tab is
+// hidden and catching up as soon as it is visible again. When `push` is on and
+// the backend serves Server-Sent Events at GET /claims/events, the stream is
+// used instead of polling, falling back to polling if it is missing or drops.
+// The stream is read with fetch() so it carries the same auth headers as every
+// other request; credentials never go in its URL.
+//
+// Claims already known that changed are reported as 'updated' events so they
+// can be merged in place. Claims never seen before are held in `newClaims`
+// until the user chooses to show them, so rows do not move under the cursor.
+//
+// State: { mode: 'off' | 'polling' | 'push', paused, lastCheckedAt, newClaims, error }.
+
+const POLL_PAGE_SIZE = 50;
+const EVENTS_PATH = '/claims/events';
+// Fields whose change makes a known claim worth reporting
+const WATCHED_FIELDS = ['status', 'reason_code', 'reason_description', 'summary'];
+
+let state = { mode: 'off', paused: false, lastCheckedAt: null, newClaims: [], error: null };
+let config = null;
+let pollTimer = null;
+// Aborts the open event stream request
+let streamController = null;
+let running = false;
+// Failed polls count too, so a backend that is down is not hammered
+let lastPollAt = 0;
+// Signature of each claim seen, by ID; null until the first snapshot is taken
+let known = null;
+// Backends (by base URL) found not to serve the event stream
+const pushUnsupported = new Set();
+const listeners = new Set();
+
+export const getLiveUpdatesState = () => state;
+
+// `listener(state, event)` runs on every change. `event` is { type: 'updated', claims }
+// when known claims changed on the server.
+export const subscribeLiveUpdates = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const setState = (changes, event) => {
+  state = { ...state, ...changes };
+  listeners.forEach(listener => listener(state, event));
+};
+
+const getClaimId = (claim) => claim.claim_id || claim.id;
+const signature = (claim) => JSON.stringify(WATCHED_FIELDS.map(field => claim[field] ?? null));
+
+// Sort out claims from the server into changed and new ones. The first snapshot
+// only records what exists; nothing in it counts as new.
+const absorbClaims = (claims, { snapshot = false } = {}) => {
+  if (!known) {
+    known = new Map(claims.map(claim => [getClaimId(claim), signature(claim)]));
+    if (snapshot) return;
+  }
+
+  const updated = [];
+  const added = [];
+  claims.forEach(claim => {
+    const id = getClaimId(claim);
+    const previous = known.get(id);
+    if (previous === undefined) {
+      added.push(claim);
+    } else if (previous !== signature(claim)) {
+      updated.push(claim);
+    }
+    known.set(id, signature(claim));
+  });
+
+  if (updated.length > 0) {
+    invalidateQueries(...updated.map(claim => `claim:${getClaimId(claim)}`));
+  }
+  if (added.length > 0) {
+    invalidateQueries('claims');
+    const waiting = new Set(state.newClaims.map(getClaimId));
+    setState({ newClaims: [...added.filter(claim => !waiting.has(getClaimId(claim))), ...state.newClaims] });
+  }
+  if (updated.length > 0) {
+    setState({}, { type: 'updated', claims: updated });
+  }
+};
+
+const isHidden = () => typeof document !== 'undefined' && document.visibilityState === 'hidden';
+
+const poll = async () => {
+  lastPollAt = Date.now();
+  try {
+    const data = await apiService.getClaimsPage(
+      { skip: 0, limit: POLL_PAGE_SIZE, sort_by: 'submission_date', sort_order: 'desc' },
+      { force: true }
+    );
+    absorbClaims(Array.isArray(data) ? data : data.claims || data.items || [], { snapshot: true });
+    setState({ lastCheckedAt: Date.now(), error: null });
+  } catch (error) {
+    setState({ error: error.message });
+  }
+};
+
+const schedulePoll = () => {
+  clearTimeout(pollTimer);
+  pollTimer = null;
+  if (!running || isHidden() || state.mode !== 'polling') return;
+
+  const due = lastPollAt + config.interval;
+  pollTimer = setTimeout(async () => {
+    await poll();
+    schedulePoll();
+  }, Math.max(0, due - Date.now()));
+};
+
+const closeEventStream = () => {
+  if (streamController) {
+    streamController.abort();
+    streamController = null;
+  }
+};
+
+const startPolling = () => {
+  closeEventStream();
+  setState({ mode: 'polling' });
+  schedulePoll();
+};
+
+// Statuses of a backend that has no event stream, as opposed to one failing
+const NO_STREAM_STATUSES = [404, 405, 501];
+
+const openEventStream = async () => {
+  const { baseUrl } = apiService.getConfig();
+  const authHeaders = await apiService.getAuthHeaders();
+  if (!running || isHidden() || streamController) return;
+  const controller = new AbortController();
+  streamController = controller;
+
+  try {
+    const response = await fetch(`${baseUrl}${EVENTS_PATH}`, {
+      headers: { Accept: 'text/event-stream', ...authHeaders },
+      cache: 'no-store',
+      signal: controller.signal,
+    });
+    const isStream = (response.headers.get('Content-Type') || '').startsWith('text/event-stream');
+    if (!response.ok || !isStream) {
+      // Not served here, so stop asking; other failures are tried again on the next connect
+      if (NO_STREAM_STATUSES.includes(response.status) || response.ok) pushUnsupported.add(baseUrl);
+      throw new Error(`Event stream unavailable (HTTP ${response.status})`);
+    }
+
+    clearTimeout(pollTimer);
+    setState({ mode: 'push', error: null });
+    await readEventStream(response.body, (event) => {
+      if (event.type !== 'claim') return;
+      try {
+        absorbClaims([JSON.parse(event.data)]);
+        setState({ lastCheckedAt: Date.now() });
+      } catch (error) {
+        console.error('Ignoring malformed claim event:', error);
+      }
+    });
+  } catch (error) {
+    // Closed on purpose (stopped, hidden or replaced)
+    if (controller.signal.aborted) return;
+  }
+
+  // The stream failed or the server ended it
+  if (streamController !== controller) return;
+  streamController = null;
+  startPolling();
+};
+
+const connect = async () => {
+  if (!running || isHidden()) return;
+  // Catch up on anything missed while hidden or disconnected
+  await poll();
+  if (!running || isHidden()) return;
+
+  const { baseUrl } = apiService.getConfig();
+  // Poll until the stream opens, in case it never does
+  startPolling();
+  if (config.push && typeof fetch !== 'undefined' && !pushUnsupported.has(baseUrl)) {
+    // Runs until the stream closes, so it is not awaited
+    openEventStream();
+  }
+};
+
+const handleVisibilityChange = () => {
+  if (isHidden()) {
+    clearTimeout(pollTimer);
+    closeEventStream();
+    setState({ paused: true });
+  } else {
+    setState({ paused: false });
+    connect();
+  }
+};
+
+/**
+ * Start live updates with `{ interval, push }` (interval in ms). Returns a
+ * function that stops them. Starting again replaces the previous configuration.
+ */
+export const startLiveUpdates = ({ interval, push = true }) => {
+  stopLiveUpdates();
+  config = { interval, push };
+  running = true;
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+  setState({ mode: 'polling', paused: isHidden(), error: null });
+  connect();
+  return stopLiveUpdates;
+};
+
+export const stopLiveUpdates = () => {
+  if (!running) return;
+  running = false;
+  clearTimeout(pollTimer);
+  closeEventStream();
+  document.removeEventListener('visibilitychange', handleVisibilityChange);
+  known = null;
+  setState({ mode: 'off', paused: false, newClaims: [] });
+};
+
+// Hand over the claims waiting behind the "new claims" banner and clear it
+export const takeNewClaims = () => {
+  const claims = state.newClaims;
+  setState({ newClaims: [] });
+  return claims;
+};
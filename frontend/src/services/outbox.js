@@ -0,0 +1,388 @@
+import axios from 'axios';
+import { apiService, createIdempotencyKey } from './api';
+import { DEFAULT_ENVIRONMENT_ID, getActiveEnvironmentId, subscribeEnvironments } from './environments';
+import { isNetworkError, isServerError } from '../utils/helpers';
+
+// Persistent outbox for claim writes that could not reach the backend.
+//
+// Claim submissions and status updates that fail with a network error or a 5xx
+// (or are made while the browser is offline) are stored in IndexedDB and
+// replayed in the order they were made: when connectivity returns, when the app
+// starts, and on an exponential backoff timer while the backend keeps failing.
+//
+// A queued status update remembers the claim's status and reason code when it
+// was made. If the server copy has changed since, the entry becomes a conflict
+// and waits for the user to either apply it anyway or keep the server version.
+//
+// Entries belong to the environment profile they were made in. Only the active
+// environment's entries are listed and replayed; the others wait until it is
+// active again.
+//
+// Entries not yet sent ('pending' or 'conflict') stay until they sync or the
+// user discards them, across locks, sign-outs and reloads. Entries the backend
+// rejected are kept for the user to review, and are dropped when the app locks
+// or once older than the PHI retention setting (see services/sessionLock.js).
+//
+// Entries: { id, operation, payload, baseline, state, attempts, nextAttemptAt,
+// lastError, conflict, environmentId, createdAt }, where state is 'pending',
+// 'conflict' or 'failed' (rejected by the backend for a reason retrying will not fix).
+
+const DB_NAME = 'claimProcessor';
+const DB_VERSION = 1;
+const STORE_NAME = 'outbox';
+const RETRY_BASE_DELAY = 5000;
+const RETRY_MAX_DELAY = 5 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+
+export const OUTBOX_OPERATIONS = {
+  submitClaim: 'submitClaim',
+  updateClaimStatus: 'updateClaimStatus',
+};
+
+// Entries are kept in memory when IndexedDB is unavailable (some private modes)
+const memoryStore = new Map();
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('Outbox storage unavailable, queued changes will not survive a reload:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return databasePromise;
+};
+
+const runRequest = async (mode, makeRequest, fallback) => {
+  const database = await openDatabase();
+  if (!database) return fallback();
+  return new Promise((resolve, reject) => {
+    const request = makeRequest(database.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+const storage = {
+  getAll: () => runRequest('readonly', store => store.getAll(), () => [...memoryStore.values()]),
+  put: (entry) => runRequest('readwrite', store => store.put(entry), () => memoryStore.set(entry.id, entry)),
+  delete: (id) => runRequest('readwrite', store => store.delete(id), () => memoryStore.delete(id)),
+};
+
+// Every environment's entries; see activeEntries()
+let entries = [];
+let loadPromise = null;
+let syncing = false;
+let retryTimer = null;
+const listeners = new Set();
+
+// Entries queued before environment profiles existed belong to the default one
+const activeEntries = () => {
+  const environmentId = getActiveEnvironmentId();
+  return entries.filter(entry => (entry.environmentId || DEFAULT_ENVIRONMENT_ID) === environmentId);
+};
+
+export const getOutboxState = () => ({ entries: activeEntries(), syncing });
+
+// Whether an environment still has changes waiting, so it is not deleted with them
+export const hasOutboxEntries = (environmentId) =>
+  entries.some(entry => (entry.environmentId || DEFAULT_ENVIRONMENT_ID) === environmentId);
+
+// `listener(state, event)` runs on every change. `event` is set when an entry
+// settles during a sync: { type: 'synced' | 'conflict' | 'failed', entry, result? }.
+export const subscribeOutbox = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const notify = (event) => {
+  const state = getOutboxState();
+  listeners.forEach(listener => listener(state, event));
+};
+
+const saveEntry = async (entry) => {
+  await storage.put(entry);
+  entries = entries.some(existing => existing.id === entry.id)
+    ? entries.map(existing => (existing.id === entry.id ? entry : existing))
+    : [...entries, entry];
+};
+
+const removeEntry = async (id) => {
+  await storage.delete(id);
+  entries = entries.filter(entry => entry.id !== id);
+};
+
+// False once an entry was discarded or cleared, e.g. while it was being replayed
+const isQueued = (id) => entries.some(entry => entry.id === id);
+
+export const loadOutbox = () => {
+  if (!loadPromise) {
+    loadPromise = storage.getAll().then(stored => {
+      entries = [...stored].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      notify();
+      return entries;
+    });
+  }
+  return loadPromise;
+};
+
+const createId = () =>
+  (typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(16).slice(2)}`);
+
+// Errors worth retrying later; anything else is a real rejection the user must see
+export const isRetryableError = (error) => isNetworkError(error) || isServerError(error);
+
+const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+const queuedUpdatesFor = (claimId) =>
+  activeEntries().filter(entry => entry.operation === OUTBOX_OPERATIONS.updateClaimStatus && entry.payload.claimId === claimId);
+
+const enqueue = async (operation, payload, { baseline = null, error = null } = {}) => {
+  await loadOutbox();
+  const entry = {
+    id: createId(),
+    operation,
+    payload,
+    baseline,
+    state: 'pending',
+    attempts: 0,
+    nextAttemptAt: 0,
+    lastError: error?.message || null,
+    conflict: null,
+    environmentId: getActiveEnvironmentId(),
+    createdAt: new Date().toISOString(),
+  };
+  await saveEntry(entry);
+  scheduleRetry(RETRY_BASE_DELAY);
+  notify();
+  return entry;
+};
+
+/**
+ * Submit a claim, or queue it when the backend cannot be reached.
+ * Resolves to `{ queued: false, data }` or `{ queued: true, entry }`; rejections
+ * the backend actually made (validation and other 4xx errors) are thrown.
+ */
+export const submitClaimOrQueue = async (claimData) => {
+  // The same key goes with every replay, so a submission the backend received
+  // before the connection dropped is not created twice
+  const payload = { claimData, idempotencyKey: createIdempotencyKey() };
+  if (isOffline()) return { queued: true, entry: await enqueue(OUTBOX_OPERATIONS.submitClaim, payload) };
+
+  try {
+    return { queued: false, data: await apiService.submitClaim(claimData, { idempotencyKey: payload.idempotencyKey }) };
+  } catch (error) {
+    if (!isRetryableError(error)) throw error;
+    return { queued: true, entry: await enqueue(OUTBOX_OPERATIONS.submitClaim, payload, { error }) };
+  }
+};
+
+/**
+ * Update a claim's status, or queue the update when the backend cannot be reached.
+ * `baseline` is the claim's `{ status, reason_code }` as the user last saw it and
+ * is used to detect server-side changes before a queued update is replayed.
+ * Updates for a claim that already has queued updates are queued behind them.
+ */
+export const updateClaimStatusOrQueue = async (claimId, status, reasonCode = null, reasonDescription = null, { baseline = null } = {}) => {
+  await loadOutbox();
+  const payload = { claimId, status, reasonCode, reasonDescription };
+  const earlier = queuedUpdatesFor(claimId);
+
+  if (earlier.length > 0 || isOffline()) {
+    // The server will have the earlier queued change applied by the time this one replays
+    const last = earlier[earlier.length - 1];
+    const expected = last ? { status: last.payload.status, reason_code: last.payload.reasonCode } : baseline;
+    return { queued: true, entry: await enqueue(OUTBOX_OPERATIONS.updateClaimStatus, payload, { baseline: expected }) };
+  }
+
+  try {
+    return { queued: false, data: await apiService.updateClaimStatus(claimId, status, reasonCode, reasonDescription) };
+  } catch (error) {
+    if (!isRetryableError(error)) throw error;
+    return { queued: true, entry: await enqueue(OUTBOX_OPERATIONS.updateClaimStatus, payload, { baseline, error }) };
+  }
+};
+
+const CONFLICT_FIELDS = ['status', 'reason_code'];
+
+// Replay one entry. Resolves to { result } when applied or { conflict } when the
+// server copy no longer matches what the user saw.
+const replayEntry = async (entry) => {
+  const { operation, payload } = entry;
+
+  if (operation === OUTBOX_OPERATIONS.submitClaim) {
+    return { result: await apiService.submitClaim(payload.claimData, { idempotencyKey: payload.idempotencyKey }) };
+  }
+
+  if (!entry.overwrite) {
+    let current;
+    try {
+      // Conflict checks need the server's copy as it is now, not a cached one
+      current = await apiService.getClaim(payload.claimId, { force: true });
+    } catch (error) {
+      if (error.status === 404) return { conflict: { message: 'The claim no longer exists on the server.', server: null } };
+      throw error;
+    }
+
+    const target = { status: payload.status, reason_code: payload.reasonCode };
+    const matches = (expected) => CONFLICT_FIELDS.every(field => (current[field] ?? null) === (expected[field] ?? null));
+
+    if (matches(target)) return { result: current };
+    if (entry.baseline && !matches(entry.baseline)) {
+      return {
+        conflict: {
+          message: `The claim was changed on the server to ${current.status} while this update was waiting.`,
+          server: current,
+        },
+      };
+    }
+  }
+
+  const result = await apiService.updateClaimStatus(payload.claimId, payload.status, payload.reasonCode, payload.reasonDescription);
+  return { result: { claim_id: payload.claimId, ...result } };
+};
+
+const backoffDelay = (attempts) => {
+  const delay = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** (attempts - 1));
+  // Jitter keeps several open tabs from retrying in lockstep
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+const scheduleRetry = (delay) => {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+
+  const waiting = activeEntries().filter(entry => entry.state === 'pending');
+  if (waiting.length === 0) return;
+
+  const nextAttemptAt = delay !== undefined
+    ? Date.now() + delay
+    : Math.min(...waiting.map(entry => entry.nextAttemptAt));
+  retryTimer = setTimeout(() => flushOutbox(), Math.max(0, nextAttemptAt - Date.now()));
+};
+
+/**
+ * Replay queued entries in order. Stops at the first retryable failure (the
+ * backend is still unavailable) and reschedules with backoff. With `force`,
+ * entries still waiting out their backoff are tried immediately.
+ */
+export const flushOutbox = async ({ force = false } = {}) => {
+  await loadOutbox();
+  if (syncing || isOffline()) return;
+
+  syncing = true;
+  notify();
+  // Later updates to a claim wait behind an earlier one that is stuck
+  const blockedClaims = new Set();
+
+  try {
+    for (const entry of activeEntries()) {
+      const claimId = entry.payload.claimId;
+      if (entry.state !== 'pending') {
+        if (claimId) blockedClaims.add(claimId);
+        continue;
+      }
+      if (claimId && blockedClaims.has(claimId)) continue;
+      if (!force && entry.nextAttemptAt > Date.now()) break;
+
+      try {
+        const { result, conflict } = await replayEntry(entry);
+        if (!isQueued(entry.id)) continue;
+        if (conflict) {
+          const updated = { ...entry, state: 'conflict', conflict, overwrite: false };
+          await saveEntry(updated);
+          if (claimId) blockedClaims.add(claimId);
+          notify({ type: 'conflict', entry: updated });
+        } else {
+          await removeEntry(entry.id);
+          notify({ type: 'synced', entry, result });
+        }
+      } catch (error) {
+        // Switched to another environment mid-replay; the entry waits for this one
+        if (axios.isCancel(error)) break;
+        if (!isQueued(entry.id)) continue;
+        const attempts = entry.attempts + 1;
+        if (isRetryableError(error)) {
+          await saveEntry({ ...entry, attempts, nextAttemptAt: Date.now() + backoffDelay(attempts), lastError: error.message });
+          break;
+        }
+        const updated = { ...entry, attempts, state: 'failed', lastError: error.message };
+        await saveEntry(updated);
+        if (claimId) blockedClaims.add(claimId);
+        notify({ type: 'failed', entry: updated });
+      }
+    }
+  } finally {
+    syncing = false;
+    scheduleRetry();
+    notify();
+  }
+};
+
+// Put a conflicted or failed entry back in the queue and try it now.
+// `overwrite` applies a conflicted status update over the server's change.
+export const retryOutboxEntry = async (id, { overwrite = false } = {}) => {
+  const entry = entries.find(candidate => candidate.id === id);
+  if (!entry) return;
+  await saveEntry({ ...entry, state: 'pending', nextAttemptAt: 0, conflict: null, overwrite });
+  notify();
+  await flushOutbox({ force: true });
+};
+
+export const discardOutboxEntry = async (id) => {
+  await removeEntry(id);
+  scheduleRetry();
+  notify();
+};
+
+/**
+ * Delete entries the backend rejected, in every environment. With
+ * `maxAgeHours`, only those queued longer ago than that. Entries that were
+ * never sent are kept whatever their age.
+ */
+export const expireOutbox = async (maxAgeHours = 0) => {
+  await loadOutbox();
+  const cutoff = Date.now() - maxAgeHours * HOUR;
+  const expired = entries.filter(entry => entry.state === 'failed' && Date.parse(entry.createdAt) <= cutoff);
+  if (expired.length === 0) return;
+  await Promise.all(expired.map(entry => removeEntry(entry.id)));
+  notify();
+};
+
+/**
+ * Load the outbox, replay anything left from an earlier session and replay again
+ * whenever the browser comes back online. Returns a cleanup function.
+ */
+export const startOutboxSync = () => {
+  const handleOnline = () => flushOutbox({ force: true });
+  window.addEventListener('online', handleOnline);
+  loadOutbox().then(() => flushOutbox({ force: true }));
+  // Entries waiting for the environment switched to can go now
+  let environmentId = getActiveEnvironmentId();
+  const unsubscribeEnvironments = subscribeEnvironments(({ activeId }) => {
+    if (activeId === environmentId) return;
+    environmentId = activeId;
+    notify();
+    flushOutbox({ force: true });
+  });
+
+  return () => {
+    unsubscribeEnvironments();
+    window.removeEventListener('online', handleOnline);
+    clearTimeout(retryTimer);
+    retryTimer = null;
+  };
+};
@@ -0,0 +1,219 @@
+// The outbox falls back to its in-memory store here: jsdom has no IndexedDB.
+jest.mock('./api', () => ({
+  apiService: { submitClaim: jest.fn(), updateClaimStatus: jest.fn(), getClaim: jest.fn() },
+  createIdempotencyKey: jest.fn(),
+}));
+
+let mockEnvironmentId = 'default';
+
+jest.mock('./environments', () => ({
+  DEFAULT_ENVIRONMENT_ID: 'default',
+  getActiveEnvironmentId: () => mockEnvironmentId,
+  subscribeEnvironments: () => () => {},
+}));
+
+const networkError = () => Object.assign(new Error('Network Error'), { network: true });
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { status });
+
+let outbox;
+let apiService;
+let keys;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.resetModules();
+  mockEnvironmentId = 'default';
+  outbox = require('./outbox');
+  const api = require('./api');
+  apiService = api.apiService;
+  keys = 0;
+  api.createIdempotencyKey.mockImplementation(() => `key-${++keys}`);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+const claim = { provider_id: 'p', summary: 'Knee MRI' };
+const pending = () => outbox.getOutboxState().entries;
+
+describe('queueing', () => {
+  test('sends straight away when the backend answers', async () => {
+    apiService.submitClaim.mockResolvedValue({ claim_id: 'C-1' });
+    await expect(outbox.submitClaimOrQueue(claim)).resolves.toEqual({ queued: false, data: { claim_id: 'C-1' } });
+    expect(apiService.submitClaim).toHaveBeenCalledWith(claim, { idempotencyKey: 'key-1' });
+    expect(pending()).toHaveLength(0);
+  });
+
+  test('queues on network and server errors', async () => {
+    apiService.submitClaim.mockRejectedValueOnce(networkError());
+    apiService.updateClaimStatus.mockRejectedValueOnce(httpError(503));
+
+    const submitted = await outbox.submitClaimOrQueue(claim);
+    const updated = await outbox.updateClaimStatusOrQueue('C-2', 'Approved', null, null, { baseline: { status: 'Pending' } });
+
+    expect(submitted).toMatchObject({ queued: true, entry: { state: 'pending', lastError: 'Network Error' } });
+    expect(updated).toMatchObject({ queued: true, entry: { baseline: { status: 'Pending' } } });
+    expect(pending().map(entry => entry.operation)).toEqual(['submitClaim', 'updateClaimStatus']);
+  });
+
+  test('throws rejections the backend actually made', async () => {
+    apiService.submitClaim.mockRejectedValueOnce(httpError(422));
+    await expect(outbox.submitClaimOrQueue(claim)).rejects.toMatchObject({ status: 422 });
+    expect(pending()).toHaveLength(0);
+  });
+
+  test('queues without trying while the browser is offline', async () => {
+    jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    await expect(outbox.submitClaimOrQueue(claim)).resolves.toMatchObject({ queued: true });
+    expect(apiService.submitClaim).not.toHaveBeenCalled();
+  });
+
+  test('queues a status update behind earlier ones for the same claim', async () => {
+    apiService.updateClaimStatus.mockRejectedValueOnce(networkError());
+    await outbox.updateClaimStatusOrQueue('C-1', 'Approved', 'A1', null, { baseline: { status: 'Pending' } });
+    const { entry } = await outbox.updateClaimStatusOrQueue('C-1', 'Denied', 'D1', 'No cover', { baseline: { status: 'Pending' } });
+
+    expect(apiService.updateClaimStatus).toHaveBeenCalledTimes(1);
+    expect(entry.baseline).toEqual({ status: 'Approved', reason_code: 'A1' });
+  });
+});
+
+describe('flushOutbox', () => {
+  test('replays entries in order with the original idempotency key and removes them', async () => {
+    apiService.submitClaim.mockRejectedValueOnce(networkError()).mockRejectedValueOnce(networkError());
+    await outbox.submitClaimOrQueue({ ...claim, summary: 'first' });
+    await outbox.submitClaimOrQueue({ ...claim, summary: 'second' });
+
+    apiService.submitClaim.mockReset().mockResolvedValue({ claim_id: 'C-1' });
+    const events = [];
+    outbox.subscribeOutbox((state, event) => event && events.push(event.type));
+    await outbox.flushOutbox({ force: true });
+
+    expect(apiService.submitClaim.mock.calls).toEqual([
+      [{ ...claim, summary: 'first' }, { idempotencyKey: 'key-1' }],
+      [{ ...claim, summary: 'second' }, { idempotencyKey: 'key-2' }],
+    ]);
+    expect(events).toEqual(['synced', 'synced']);
+    expect(pending()).toHaveLength(0);
+  });
+
+  test('stops at a retryable failure and backs off', async () => {
+    apiService.submitClaim.mockRejectedValue(networkError());
+    await outbox.submitClaimOrQueue(claim);
+    await outbox.submitClaimOrQueue(claim);
+
+    apiService.submitClaim.mockClear();
+    await outbox.flushOutbox({ force: true });
+
+    expect(apiService.submitClaim).toHaveBeenCalledTimes(1);
+    const [first, second] = pending();
+    expect(first).toMatchObject({ state: 'pending', attempts: 1 });
+    expect(first.nextAttemptAt).toBeGreaterThan(Date.now());
+    expect(second.attempts).toBe(0);
+
+    // Without `force`, entries still waiting out their backoff are left alone
+    apiService.submitClaim.mockClear();
+    await outbox.flushOutbox();
+    expect(apiService.submitClaim).not.toHaveBeenCalled();
+  });
+
+  test('marks entries the backend rejects as failed', async () => {
+    apiService.submitClaim.mockRejectedValueOnce(networkError()).mockRejectedValueOnce(httpError(400));
+    await outbox.submitClaimOrQueue(claim);
+    await outbox.flushOutbox({ force: true });
+
+    expect(pending()[0]).toMatchObject({ state: 'failed', attempts: 1 });
+  });
+});
+
+describe('conflicts', () => {
+  const queueUpdate = async (status, baseline) => {
+    apiService.updateClaimStatus.mockRejectedValueOnce(networkError());
+    return (await outbox.updateClaimStatusOrQueue('C-1', status, null, null, { baseline })).entry;
+  };
+
+  test('holds an update when the server copy changed since it was queued', async () => {
+    await queueUpdate('Approved', { status: 'Pending' });
+    await outbox.updateClaimStatusOrQueue('C-1', 'Paid');
+    apiService.getClaim.mockResolvedValue({ claim_id: 'C-1', status: 'Denied' });
+
+    await outbox.flushOutbox({ force: true });
+
+    const [conflicted, blocked] = pending();
+    expect(conflicted).toMatchObject({ state: 'conflict', conflict: { server: { status: 'Denied' } } });
+    expect(blocked.state).toBe('pending');
+    expect(apiService.updateClaimStatus).toHaveBeenCalledTimes(1);
+  });
+
+  test('settles without writing when the server already has the target status', async () => {
+    await queueUpdate('Approved', { status: 'Pending' });
+    apiService.getClaim.mockResolvedValue({ claim_id: 'C-1', status: 'Approved' });
+
+    await outbox.flushOutbox({ force: true });
+
+    expect(pending()).toHaveLength(0);
+    expect(apiService.updateClaimStatus).toHaveBeenCalledTimes(1);
+  });
+
+  test('retrying with overwrite applies the update over the server change', async () => {
+    const entry = await queueUpdate('Approved', { status: 'Pending' });
+    apiService.getClaim.mockResolvedValue({ claim_id: 'C-1', status: 'Denied' });
+    await outbox.flushOutbox({ force: true });
+
+    apiService.updateClaimStatus.mockResolvedValueOnce({ status: 'Approved' });
+    await outbox.retryOutboxEntry(entry.id, { overwrite: true });
+
+    expect(apiService.updateClaimStatus).toHaveBeenLastCalledWith('C-1', 'Approved', null, null);
+    expect(pending()).toHaveLength(0);
+  });
+
+  test('discarding keeps the server version', async () => {
+    const entry = await queueUpdate('Approved', { status: 'Pending' });
+    await outbox.discardOutboxEntry(entry.id);
+    expect(pending()).toHaveLength(0);
+  });
+});
+
+test('lists and replays only the entries of the active environment', async () => {
+  apiService.submitClaim.mockRejectedValueOnce(networkError());
+  await outbox.submitClaimOrQueue(claim);
+
+  mockEnvironmentId = 'staging';
+  expect(pending()).toHaveLength(0);
+  expect(outbox.hasOutboxEntries('default')).toBe(true);
+  expect(outbox.hasOutboxEntries('staging')).toBe(false);
+
+  await outbox.flushOutbox({ force: true });
+  expect(apiService.submitClaim).toHaveBeenCalledTimes(1);
+});
+
+describe('expireOutbox', () => {
+  test('drops rejected entries past the cutoff and keeps unsent ones whatever their age', async () => {
+    jest.setSystemTime(new Date('2024-03-01T08:00:00Z'));
+    apiService.submitClaim.mockRejectedValueOnce(networkError()).mockRejectedValueOnce(httpError(400));
+    apiService.updateClaimStatus.mockRejectedValueOnce(networkError());
+    await outbox.submitClaimOrQueue(claim);
+    await outbox.flushOutbox({ force: true });
+    apiService.submitClaim.mockRejectedValueOnce(networkError());
+    await outbox.submitClaimOrQueue(claim);
+    await outbox.updateClaimStatusOrQueue('C-1', 'Approved');
+    mockEnvironmentId = 'staging';
+    apiService.submitClaim.mockRejectedValueOnce(networkError());
+    await outbox.submitClaimOrQueue(claim);
+    mockEnvironmentId = 'default';
+
+    jest.setSystemTime(new Date('2024-03-02T08:00:00Z'));
+    await outbox.expireOutbox(48);
+    expect(pending().map(entry => entry.state)).toEqual(['failed', 'pending', 'pending']);
+
+    await outbox.expireOutbox(8);
+    expect(pending().map(entry => entry.state)).toEqual(['pending', 'pending']);
+
+    // Retention off drops every rejected entry, still never an unsent one
+    await outbox.expireOutbox(0);
+    expect(pending()).toHaveLength(2);
+    expect(outbox.hasOutboxEntries('staging')).toBe(true);
+  });
+});
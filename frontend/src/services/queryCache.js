@@ -0,0 +1,147 @@
+import axios from 'axios';
+
+// In-memory cache for apiService reads.
+//
+// Identical requests made while one is in flight share its promise. Results are
+// served from memory while fresh; once stale they are still returned at once,
+// and a refetch runs in the background (stale-while-revalidate). Subscribers
+// hear about the new data when the refetch brings back something different.
+//
+// Entries carry tags naming what they contain ('claims', 'claim:<id>', ...), so
+// a write can invalidate every cached response that includes the changed record.
+//
+// Entries: { key, data, fetchedAt, promise, tags, lastUsedAt }.
+
+const DEFAULT_STALE_TIME = 30 * 1000;
+// Entries nobody has read for this long are dropped
+const UNUSED_ENTRY_TTL = 5 * 60 * 1000;
+
+const entries = new Map();
+const listeners = new Set();
+
+// `listener(event)` with event { type: 'revalidated' | 'invalidated' | 'cleared', key?, tags? }
+export const subscribeQueryCache = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const notify = (event) => listeners.forEach(listener => listener(event));
+
+const pruneUnused = () => {
+  const cutoff = Date.now() - UNUSED_ENTRY_TTL;
+  entries.forEach((entry, key) => {
+    if (!entry.promise && entry.lastUsedAt < cutoff) entries.delete(key);
+  });
+};
+
+// Resolve with the shared promise, but let this caller stop waiting on abort
+// without cancelling the request for everyone else
+const withAbort = (promise, signal) => {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const handleAbort = () => reject(new axios.CanceledError());
+    if (signal.aborted) {
+      handleAbort();
+      return;
+    }
+    signal.addEventListener('abort', handleAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', handleAbort));
+  });
+};
+
+const startFetch = (entry, fetcher, tags, dataTags) => {
+  const promise = fetcher().then(
+    data => {
+      // Invalidated while in flight: hand the data to the waiting callers but do not keep it
+      if (entries.get(entry.key) !== entry) return data;
+
+      const changed = entry.fetchedAt !== null && JSON.stringify(entry.data) !== JSON.stringify(data);
+      entry.data = data;
+      entry.fetchedAt = Date.now();
+      entry.tags = new Set([...tags, ...(dataTags ? dataTags(data) : [])]);
+      entry.promise = null;
+      if (changed) notify({ type: 'revalidated', key: entry.key, tags: [...entry.tags] });
+      return data;
+    },
+    error => {
+      if (entries.get(entry.key) === entry) {
+        entry.promise = null;
+        // Failures are not cached; keep serving stale data if there is some
+        if (entry.fetchedAt === null) entries.delete(entry.key);
+      }
+      throw error;
+    }
+  );
+  entry.promise = promise;
+  return promise;
+};
+
+/**
+ * Read through the cache.
+ *
+ * `key` is an array (e.g. ['claims', params]) compared by its JSON. `tags` name
+ * what the response holds; `dataTags(data)` adds tags only known once it has
+ * arrived, such as the IDs of the claims in a list. With `force` the
+ * cached data is ignored and refetched (sharing a fetch already in flight).
+ * `signal` only stops this caller waiting; the shared request carries on.
+ */
+export const cachedQuery = (key, fetcher, {
+  tags = [],
+  dataTags,
+  staleTime = DEFAULT_STALE_TIME,
+  force = false,
+  signal,
+} = {}) => {
+  pruneUnused();
+  const cacheKey = JSON.stringify(key);
+  let entry = entries.get(cacheKey);
+  if (!entry) {
+    entry = { key: cacheKey, data: undefined, fetchedAt: null, promise: null, tags: new Set(tags), lastUsedAt: 0 };
+    entries.set(cacheKey, entry);
+  }
+  entry.lastUsedAt = Date.now();
+
+  if (entry.promise && (force || entry.fetchedAt === null)) {
+    return withAbort(entry.promise, signal);
+  }
+  if (force || entry.fetchedAt === null) {
+    return withAbort(startFetch(entry, fetcher, tags, dataTags), signal);
+  }
+
+  if (Date.now() - entry.fetchedAt > staleTime && !entry.promise) {
+    // Background refresh; if it fails the stale data keeps being served
+    startFetch(entry, fetcher, tags, dataTags).catch(() => {});
+  }
+  return Promise.resolve(entry.data);
+};
+
+// Drop every entry carrying any of the tags
+export const invalidateQueries = (...tags) => {
+  entries.forEach((entry, key) => {
+    if (tags.some(tag => entry.tags.has(tag))) entries.delete(key);
+  });
+  notify({ type: 'invalidated', tags });
+};
+
+export const clearQueryCache = () => {
+  entries.clear();
+  notify({ type: 'cleared' });
+};
+
+// What is cached right now, for debugging
+export const getQueryCacheSnapshot = () =>
+  [...entries.values()].map(entry => ({
+    key: entry.key,
+    tags: [...entry.tags].join(' '),
+    ageSeconds: entry.fetchedAt === null ? null : Math.round((Date.now() - entry.fetchedAt) / 1000),
+    fetching: Boolean(entry.promise),
+  }));
+
+// In development: queryCache.inspect(), queryCache.invalidate('claims'), queryCache.clear() from the console
+if (process.env.NODE_ENV === 'development' && typeof window !== 'undefined') {
+  window.queryCache = {
+    inspect: () => console.table(getQueryCacheSnapshot()),
+    invalidate: invalidateQueries,
+    clear: clearQueryCache,
+  };
+}
@@ -0,0 +1,206 @@
+import { clearQueryCache } from './queryCache';
+import { invalidateClaimsQuery } from './claimsQuery';
+import { clearDrafts } from './claimDrafts';
+import { expireOutbox } from './outbox';
+import { expireSession, getAuthState, isAuthEnabled, subscribeAuth } from './auth';
+import { loadCredentials, setCredential } from './credentials';
+import { environmentStorageKey, getActiveEnvironment, subscribeEnvironments } from './environments';
+import { getFromStorage, removeFromStorage, setToStorage } from '../utils/helpers';
+
+// Idle lock and local caching rules for screens showing protected health
+// information (PHI).
+//
+// After a set time without keyboard, pointer or scroll input the app locks:
+// claim data kept in the browser (recent claims, query caches, claim drafts and
+// queued changes the backend rejected) is cleared and the app is unmounted until
+// the user authenticates again. Changes still waiting to sync are kept and sent
+// once the app is unlocked. With sign-in configured that means signing in
+// at the identity provider again (services/auth.js); otherwise entering the
+// environment's API key. A lock outlasts a reload of the tab.
+//
+// A profile without its own key uses the one built into the app, which is no
+// secret, so it is not offered the API key lock and its stored claim data is
+// left alone; only the retention setting applies.
+//
+// The same screen asks for the API key when the active environment has its
+// own key but this tab does not hold it (see services/credentials.js).
+//
+// State: { ready, locked, reason, needsApiKey, canLock }, where `ready` turns
+// true once the tab's credentials are loaded.
+
+// localStorage key, one per environment profile (see environmentStorageKey),
+// for the recent claims list: { savedAt, claims }
+export const RECENT_CLAIMS_KEY = 'recentClaims';
+const LOCK_KEY = 'sessionLock';
+const HOUR = 60 * 60 * 1000;
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart', 'scroll'];
+
+let state = { ready: false, locked: false, reason: null, needsApiKey: false, canLock: false };
+let idleTimeout = 0;
+let lastActivityAt = Date.now();
+let idleTimer = null;
+const listeners = new Set();
+
+// The shared key's lock; a signed-in user's lock is being signed out
+const savedReason = sessionStorage.getItem(LOCK_KEY);
+if (savedReason && !isAuthEnabled()) {
+  state = { ...state, locked: true, reason: savedReason };
+}
+
+export const getSessionLockState = () => state;
+
+export const subscribeSessionLock = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Whether there is a secret to unlock with: a sign-in, or a key of the profile's own
+const canLock = () => isAuthEnabled() || getActiveEnvironment().hasApiKey;
+
+const setState = (changes) => {
+  const next = { ...state, ...changes };
+  const environment = getActiveEnvironment();
+  next.canLock = canLock();
+  // A lock saved on a profile that has since lost its own key has nothing to open it
+  next.locked = next.locked && next.canLock;
+  next.needsApiKey = next.ready && !isAuthEnabled() && environment.hasApiKey && !environment.apiKey;
+  state = next;
+  listeners.forEach(listener => listener(state));
+};
+
+const isLocked = () => state.locked || (isAuthEnabled() && getAuthState().status !== 'signedIn');
+
+// Claim data kept in this browser, for every environment. Queued changes that
+// have not reached the backend are kept (see services/outbox.js).
+export const clearCachedPhi = () => {
+  Object.keys(localStorage)
+    .filter(key => key === RECENT_CLAIMS_KEY || key.startsWith(`${RECENT_CLAIMS_KEY}:`))
+    .forEach(key => localStorage.removeItem(key));
+  clearQueryCache();
+  invalidateClaimsQuery();
+  clearDrafts();
+  expireOutbox().catch(error => console.error('Failed to clear the outbox:', error));
+};
+
+// Drop drafts and rejected queued changes older than `retentionHours`; with 0,
+// all of them. The recent claims list is checked as it loads (loadCachedClaims).
+export const applyPhiRetention = (retentionHours) => {
+  clearDrafts(retentionHours);
+  expireOutbox(retentionHours).catch(error => console.error('Failed to clear the outbox:', error));
+};
+
+/**
+ * The active environment's recent claims, if they were saved less than
+ * `retentionHours` ago. Lists saved before they carried a time are dropped.
+ */
+export const loadCachedClaims = (retentionHours) => {
+  const key = environmentStorageKey(RECENT_CLAIMS_KEY);
+  const saved = getFromStorage(key);
+  if (!Array.isArray(saved?.claims) || !(Date.now() - saved.savedAt <= retentionHours * HOUR)) {
+    removeFromStorage(key);
+    return [];
+  }
+  return saved.claims;
+};
+
+// Save the recent claims, unless caching is off (0 hours) or the app is locked
+export const saveCachedClaims = (claims, retentionHours) => {
+  const key = environmentStorageKey(RECENT_CLAIMS_KEY);
+  if (retentionHours > 0 && claims.length > 0 && !isLocked()) {
+    setToStorage(key, { savedAt: Date.now(), claims });
+  } else {
+    removeFromStorage(key);
+  }
+};
+
+// Load this tab's credentials before anything uses the API
+export const initSessionLock = async () => {
+  if (state.ready) return;
+  await loadCredentials();
+  setState({ ready: true });
+};
+
+/**
+ * Lock now: clear cached claim data and require authentication again.
+ * `reason` is shown on the lock screen. Does nothing for profiles that cannot
+ * lock.
+ */
+export const lockSession = (reason = 'Locked.') => {
+  if (!canLock()) return;
+  clearTimeout(idleTimer);
+  clearCachedPhi();
+  if (isAuthEnabled()) {
+    expireSession(`${reason} Sign in again to continue.`);
+    return;
+  }
+  sessionStorage.setItem(LOCK_KEY, reason);
+  setState({ locked: true, reason });
+};
+
+/**
+ * Unlock with the active environment's API key, or supply the key this tab is
+ * missing. Returns false when the key does not match the one held here, or
+ * the environment has no key of its own to check against.
+ */
+export const unlockSession = (apiKey) => {
+  const environment = getActiveEnvironment();
+  if (!environment.hasApiKey) return false;
+  if (environment.apiKey) {
+    if (apiKey !== environment.apiKey) return false;
+  } else {
+    // Nothing to check against; the API accepts or rejects the key
+    setCredential(environment.id, apiKey);
+  }
+  sessionStorage.removeItem(LOCK_KEY);
+  lastActivityAt = Date.now();
+  setState({ locked: false, reason: null });
+  return true;
+};
+
+const recordActivity = () => {
+  lastActivityAt = Date.now();
+};
+
+const checkIdle = () => {
+  clearTimeout(idleTimer);
+  if (!idleTimeout || isLocked() || !canLock()) return;
+  const remaining = lastActivityAt + idleTimeout - Date.now();
+  if (remaining > 0) {
+    idleTimer = setTimeout(checkIdle, remaining);
+    return;
+  }
+  const minutes = Math.round(idleTimeout / 60000);
+  lockSession(`Locked after ${minutes} minute${minutes === 1 ? '' : 's'} without activity.`);
+};
+
+/**
+ * Lock after `minutes` without input; 0 never locks. Returns a function that
+ * stops watching. Starting again replaces the previous timeout.
+ */
+export const startIdleLock = (minutes) => {
+  idleTimeout = minutes > 0 ? minutes * 60 * 1000 : 0;
+  lastActivityAt = Date.now();
+  ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, recordActivity, { capture: true, passive: true }));
+  // Background tabs run timers late; check as soon as the tab is shown again
+  document.addEventListener('visibilitychange', checkIdle);
+  checkIdle();
+  return () => {
+    clearTimeout(idleTimer);
+    ACTIVITY_EVENTS.forEach(type => window.removeEventListener(type, recordActivity, { capture: true }));
+    document.removeEventListener('visibilitychange', checkIdle);
+  };
+};
+
+// Signing out, or a session that could not be refreshed, leaves no claims behind
+let authStatus = getAuthState().status;
+subscribeAuth(({ status }) => {
+  if (authStatus === 'signedIn' && status === 'signedOut') clearCachedPhi();
+  authStatus = status;
+});
+
+// A switch may land on a profile whose key this tab does not hold, or one that
+// can lock when the last could not
+subscribeEnvironments(() => {
+  setState({});
+  checkIdle();
+});
@@ -0,0 +1,140 @@
+// jsdom has neither IndexedDB nor Web Crypto, so credentials stay in memory and
+// the outbox uses its in-memory store.
+const HOUR = 60 * 60 * 1000;
+
+let sessionLock;
+let environments;
+let outbox;
+let drafts;
+let apiService;
+
+beforeEach(async () => {
+  jest.resetModules();
+  localStorage.clear();
+  sessionStorage.clear();
+  sessionLock = require('./sessionLock');
+  environments = require('./environments');
+  outbox = require('./outbox');
+  drafts = require('./claimDrafts');
+  apiService = require('./api').apiService;
+  await sessionLock.initSessionLock();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const useOwnKey = () => {
+  const profile = environments.saveEnvironment({ name: 'Staging', apiBaseUrl: 'https://staging.test', apiKey: 'staging-secret' });
+  environments.setActiveEnvironment(profile.id);
+  return profile;
+};
+
+const saveDraftEditedAgo = (id, hours) => {
+  drafts.saveDraft(id, { summary: id });
+  const key = environments.environmentStorageKey('claimDrafts');
+  const stored = JSON.parse(localStorage.getItem(key));
+  stored[id].updatedAt = new Date(Date.now() - hours * HOUR).toISOString();
+  localStorage.setItem(key, JSON.stringify(stored));
+};
+
+const queueSubmission = async () => {
+  jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+  await outbox.submitClaimOrQueue({ summary: 'Knee MRI' });
+};
+
+// A queued submission the backend then rejects, so the outbox gives up on it
+const queueRejectedSubmission = async () => {
+  jest.spyOn(apiService, 'submitClaim')
+    .mockRejectedValueOnce(Object.assign(new Error('Network Error'), { network: true }))
+    .mockRejectedValueOnce(Object.assign(new Error('Request failed with status code 400'), { status: 400 }));
+  await outbox.submitClaimOrQueue({ summary: 'Dental' });
+  await outbox.flushOutbox({ force: true });
+};
+
+const outboxStates = () => outbox.getOutboxState().entries.map(entry => entry.state);
+
+describe('locking', () => {
+  test('a profile with its own key locks and unlocks only with that key', () => {
+    useOwnKey();
+    expect(sessionLock.getSessionLockState().canLock).toBe(true);
+
+    sessionLock.lockSession('Locked after 15 minutes without activity.');
+    expect(sessionLock.getSessionLockState()).toMatchObject({ locked: true, reason: expect.stringMatching(/15 minutes/) });
+
+    expect(sessionLock.unlockSession('guess')).toBe(false);
+    expect(sessionLock.getSessionLockState().locked).toBe(true);
+    expect(sessionLock.unlockSession('staging-secret')).toBe(true);
+    expect(sessionLock.getSessionLockState()).toMatchObject({ locked: false, reason: null });
+  });
+
+  test('a profile on the built-in key is not offered a lock the bundled key would open', () => {
+    expect(sessionLock.getSessionLockState().canLock).toBe(false);
+    saveDraftEditedAgo('draft', 0);
+    sessionLock.saveCachedClaims([{ id: 'C-1' }], 8);
+
+    sessionLock.lockSession();
+    expect(sessionLock.getSessionLockState().locked).toBe(false);
+    expect(sessionLock.unlockSession(environments.DEFAULT_API_KEY)).toBe(false);
+    // Nothing is cleared for a lock that did not happen
+    expect(drafts.listDrafts()).toHaveLength(1);
+    expect(sessionLock.loadCachedClaims(8)).toEqual([{ id: 'C-1' }]);
+  });
+
+  test('locking clears stored claim data in every environment but keeps unsent changes', async () => {
+    localStorage.setItem('recentClaims', JSON.stringify({ savedAt: Date.now(), claims: [{ id: 'C-1' }] }));
+    saveDraftEditedAgo('default-draft', 0);
+    await queueRejectedSubmission();
+    await queueSubmission();
+    useOwnKey();
+    saveDraftEditedAgo('staging-draft', 0);
+    sessionLock.saveCachedClaims([{ id: 'C-2' }], 8);
+
+    sessionLock.lockSession();
+    await outbox.loadOutbox();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(Object.keys(localStorage).filter(key => /^(recentClaims|claimDrafts)/.test(key))).toEqual([]);
+    environments.setActiveEnvironment(environments.DEFAULT_ENVIRONMENT_ID);
+    expect(outboxStates()).toEqual(['pending']);
+  });
+});
+
+describe('retention', () => {
+  test('recent claims load only while within the retention period', () => {
+    sessionLock.saveCachedClaims([{ id: 'C-1' }], 8);
+    expect(sessionLock.loadCachedClaims(8)).toEqual([{ id: 'C-1' }]);
+
+    const saved = JSON.parse(localStorage.getItem('recentClaims'));
+    localStorage.setItem('recentClaims', JSON.stringify({ ...saved, savedAt: Date.now() - 9 * HOUR }));
+    expect(sessionLock.loadCachedClaims(8)).toEqual([]);
+    expect(localStorage.getItem('recentClaims')).toBeNull();
+  });
+
+  test('recent claims are not stored with retention off or while locked', () => {
+    sessionLock.saveCachedClaims([{ id: 'C-1' }], 0);
+    expect(localStorage.getItem('recentClaims')).toBeNull();
+
+    useOwnKey();
+    sessionLock.lockSession();
+    sessionLock.saveCachedClaims([{ id: 'C-1' }], 8);
+    expect(localStorage.getItem(environments.environmentStorageKey('recentClaims'))).toBeNull();
+  });
+
+  test('drafts and rejected changes past the retention period are dropped, unsent changes never', async () => {
+    saveDraftEditedAgo('fresh', 1);
+    saveDraftEditedAgo('stale', 9);
+    await queueRejectedSubmission();
+    await queueSubmission();
+
+    sessionLock.applyPhiRetention(8);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(drafts.listDrafts().map(draft => draft.id)).toEqual(['fresh']);
+    expect(outboxStates()).toEqual(['failed', 'pending']);
+
+    sessionLock.applyPhiRetention(0);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(drafts.listDrafts()).toEqual([]);
+    expect(outboxStates()).toEqual(['pending']);
+  });
+});
@@ -0,0 +1,53 @@
+// Applies the `theme` setting ('light' | 'dark' | 'system') to the page.
+//
+// Dark mode is the `dark` class on <html>: tailwind.config.js swaps the colour
+// palettes under it, so components keep their light-theme classes. 'system'
+// follows the operating system and switches live when it changes.
+//
+// public/index.html applies the saved theme before React loads, so a dark page
+// does not flash white on start-up.
+
+export const THEMES = ['light', 'dark', 'system'];
+
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+// Browser UI colour (mobile address bar) per resolved theme
+const THEME_COLORS = { light: '#ffffff', dark: '#111827' };
+
+let theme = 'system';
+// Start from what index.html applied
+let resolvedTheme = document.documentElement.classList.contains('dark') ? 'dark' : 'light';
+let mediaQuery = null;
+const listeners = new Set();
+
+const systemPrefersDark = () => Boolean(mediaQuery && mediaQuery.matches);
+
+// The theme actually shown: 'light' or 'dark'
+export const getResolvedTheme = () => resolvedTheme;
+
+// `listener(resolvedTheme)` runs when the page switches between light and dark
+export const subscribeTheme = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const render = () => {
+  const next = theme === 'dark' || (theme === 'system' && systemPrefersDark()) ? 'dark' : 'light';
+  document.documentElement.classList.toggle('dark', next === 'dark');
+  document.querySelector('meta[name="theme-color"]')?.setAttribute('content', THEME_COLORS[next]);
+  if (next === resolvedTheme) return;
+  resolvedTheme = next;
+  listeners.forEach(listener => listener(resolvedTheme));
+};
+
+const handleSystemChange = () => {
+  if (theme === 'system') render();
+};
+
+export const applyTheme = (nextTheme) => {
+  theme = THEMES.includes(nextTheme) ? nextTheme : 'system';
+  if (!mediaQuery && typeof window.matchMedia === 'function') {
+    mediaQuery = window.matchMedia(DARK_QUERY);
+    mediaQuery.addEventListener('change', handleSystemChange);
+  }
+  render();
+};
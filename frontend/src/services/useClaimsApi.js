@@ -1,5 +1,31 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect, useRef } from 'react';
 import { apiService, ClaimUtils } from './api';
+import { queryClaims } from './claimsQuery';
+import {
+  submitClaimOrQueue,
+  updateClaimStatusOrQueue,
+  getOutboxState,
+  subscribeOutbox,
+  flushOutbox,
+  retryOutboxEntry,
+  discardOutboxEntry,
+} from './outbox';
+import { listDrafts, subscribeDrafts } from './claimDrafts';
+import { subscribeQueryCache } from './queryCache';
+import { getLiveUpdatesState, subscribeLiveUpdates } from './liveUpdates';
+import { getResolvedTheme, subscribeTheme } from './theme';
+import { getAuthState, subscribeAuth, hasPermission, isAuthEnabled, signIn, signOut } from './auth';
+import { getActiveEnvironment, getEnvironments, subscribeEnvironments } from './environments';
+import { getSessionLockState, lockSession, subscribeSessionLock, unlockSession } from './sessionLock';
+
+// Summarize batch entries as { successful, failed, results, errors }
+const summarizeBatch = (entries) => {
+  const results = entries.filter(entry => entry.success).map(entry => entry.result);
+  const errors = entries
+    .filter(entry => !entry.success)
+    .map(entry => ({ claimId: entry.claim_id, error: entry.error }));
+  return { successful: results.length, failed: errors.length, results, errors };
+};
 
 // Custom hook for managing claims
 export const useClaims = () => {
@@ -12,7 +38,8 @@ export const useClaims = () => {
     setError(null);
   }, []);
 
-  // Submit a single claim
+  // Submit a single claim. When the backend is unreachable the claim is queued in
+  // the outbox instead and the result is the claim data marked `pendingSync`.
   const submitClaim = useCallback(async (claimData) => {
     setLoading(true);
     setError(null);
@@ -24,12 +51,15 @@ export const useClaims = () => {
         throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
       }
 
-      const result = await apiService.submitClaim(claimData);
+      const outcome = await submitClaimOrQueue(claimData);
+      if (outcome.queued) {
+        return { ...claimData, pendingSync: true, outboxId: outcome.entry.id };
+      }
       
       // Add to local state if successful
-      setClaims(prevClaims => [result, ...prevClaims]);
+      setClaims(prevClaims => [outcome.data, ...prevClaims]);
       
-      return result;
+      return outcome.data;
     } catch (err) {
       setError(err.message);
       throw err;
@@ -38,8 +68,8 @@ export const useClaims = () => {
     }
   }, []);
 
-  // Submit multiple claims at once
-  const submitBatchClaims = useCallback(async (claimsArray) => {
+  // Submit multiple claims at once. `onClaimSubmitted` receives each row's entry as it settles.
+  const submitBatchClaims = useCallback(async (claimsArray, { onClaimSubmitted } = {}) => {
     setLoading(true);
     setError(null);
     
@@ -57,11 +87,11 @@ export const useClaims = () => {
         throw new Error(`Validation failed:\n${validationErrors.join('\n')}`);
       }
 
-      const result = await apiService.submitBatchClaims(claimsArray);
+      const result = await apiService.submitBatchClaims(claimsArray, { onClaimSubmitted });
       
       // Add to local state if successful
-      if (result.claims) {
-        setClaims(prevClaims => [...result.claims, ...prevClaims]);
+      if (result.successful > 0) {
+        setClaims(prevClaims => [...result.results.map(entry => entry.data), ...prevClaims]);
       }
       
       return result;
@@ -79,7 +109,10 @@ export const useClaims = () => {
     setError(null);
     
     try {
-      const result = await apiService.updateClaimStatus(claimId, status, reasonCode, reasonDescription);
+      const outcome = await updateClaimStatusOrQueue(claimId, status, reasonCode, reasonDescription);
+      const result = outcome.queued
+        ? { status, reason_code: reasonCode, reason_description: reasonDescription, pendingSync: true }
+        : outcome.data;
       
       // Update local state
       setClaims(prevClaims => 
@@ -121,37 +154,57 @@ export const useClaims = () => {
     }
   }, []);
 
-  // Process multiple claims (client-side batch processing)
-  const processBatchClaims = useCallback(async (claimIds) => {
+  // Merge settled batch entries into local state
+  const mergeBatchResults = useCallback((entries) => {
+    const updates = new Map(entries.filter(entry => entry.success).map(entry => [entry.claim_id, entry.result]));
+    setClaims(prevClaims =>
+      prevClaims.map(claim => {
+        const update = updates.get(claim.claim_id || claim.id);
+        return update ? { ...claim, ...update } : claim;
+      })
+    );
+  }, []);
+
+  // Process multiple claims through AI adjudication (client-side batch processing).
+  // `onClaimProcessed` receives each entry as soon as its claim settles.
+  const processBatchClaims = useCallback(async (claimIds, { concurrency = 3, onClaimProcessed } = {}) => {
     setLoading(true);
     setError(null);
     
     try {
-      const results = [];
-      const errors = [];
-
-      for (const claimId of claimIds) {
-        try {
-          const result = await updateClaimStatus(claimId, 'Under Review', null, 'Batch processing');
-          results.push(result);
-        } catch (error) {
-          errors.push({ claimId, error: error.message });
-        }
-      }
+      const entries = await apiService.processClaims(
+        claimIds.map(claimId => ({ claim_id: claimId })),
+        { concurrency, onClaimProcessed }
+      );
+      mergeBatchResults(entries);
+      return summarizeBatch(entries);
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [mergeBatchResults]);
 
-      return {
-        successful: results.length,
-        failed: errors.length,
-        results,
-        errors
-      };
+  // Set the same status (and optional reason) on multiple claims
+  const updateBatchClaimStatus = useCallback(async (claimIds, status, reasonCode = null, reasonDescription = null, { concurrency = 3, onClaimUpdated } = {}) => {
+    setLoading(true);
+    setError(null);
+    
+    try {
+      const entries = await apiService.updateClaimsStatus(claimIds, status, reasonCode, reasonDescription, {
+        concurrency,
+        onClaimUpdated,
+      });
+      mergeBatchResults(entries);
+      return summarizeBatch(entries);
     } catch (err) {
       setError(err.message);
       throw err;
     } finally {
       setLoading(false);
     }
-  }, [updateClaimStatus]);
+  }, [mergeBatchResults]);
 
   // Get claim statistics
   const getClaimStats = useCallback(() => {
@@ -200,6 +253,7 @@ export const useClaims = () => {
     processBatchClaims,
     fetchClaims,
     updateClaimStatus,
+    updateBatchClaimStatus,
     getClaimStats,
     setClaims
   };
@@ -232,3 +286,233 @@ export const useApiHealth = () => {
     checkHealth
   };
 };
+
+// Custom hook for skip/limit paginated lists.
+// `fetchPage(skip, limit)` must resolve to an array; a full page means there may be more.
+// The page size starts at the active environment profile's default.
+export const usePaginatedList = (fetchPage, initialPageSize = getActiveEnvironment().pageSize) => {
+  const [items, setItems] = useState([]);
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(initialPageSize);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const result = await fetchPage(page * pageSize, pageSize);
+      setItems(result);
+    } catch (err) {
+      setItems([]);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [fetchPage, page, pageSize]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const changePageSize = useCallback((size) => {
+    setPageSize(size);
+    setPage(0);
+  }, []);
+
+  return {
+    items,
+    page,
+    pageSize,
+    hasMore: items.length === pageSize,
+    loading,
+    error,
+    setPage,
+    setPageSize: changePageSize,
+    reload: load
+  };
+};
+
+const EMPTY_QUERY_RESULT = { claims: [], total: null, hasMore: false, mode: null, complete: true, loaded: 0 };
+
+// Custom hook for a filtered, sorted, paginated claims query (see services/claimsQuery).
+// Changing filters, sort or page size starts again from the first page.
+export const useClaimsQuery = ({ filters, sort, enrich, initialPageSize = getActiveEnvironment().pageSize }) => {
+  const [pageSize, setPageSize] = useState(initialPageSize);
+  const queryKey = JSON.stringify({ filters, sort, pageSize });
+  const [pageState, setPageState] = useState({ key: queryKey, page: 0 });
+  const page = pageState.key === queryKey ? pageState.page : 0;
+  const [result, setResult] = useState(EMPTY_QUERY_RESULT);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
+  const forceRef = useRef(false);
+  // Cursors returned by cursor-paginated backends, by the page they fetch
+  const cursorsRef = useRef({ key: queryKey, cursors: {} });
+  const enrichRef = useRef(enrich);
+  enrichRef.current = enrich;
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const force = forceRef.current;
+    forceRef.current = false;
+
+    if (cursorsRef.current.key !== queryKey) {
+      cursorsRef.current = { key: queryKey, cursors: {} };
+    }
+    const { cursors } = cursorsRef.current;
+
+    setLoading(true);
+    setError(null);
+
+    queryClaims({
+      ...JSON.parse(queryKey),
+      page,
+      cursor: cursors[page] || null,
+      enrich: (claim) => (enrichRef.current ? enrichRef.current(claim) : claim),
+      force,
+      signal: controller.signal,
+      onProgress: setResult,
+    })
+      .then(next => {
+        if (controller.signal.aborted) return;
+        if (next.nextCursor) cursors[page + 1] = next.nextCursor;
+        setResult(next);
+      })
+      .catch(err => {
+        if (controller.signal.aborted) return;
+        setResult(EMPTY_QUERY_RESULT);
+        setError(err.message);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [queryKey, page, reloadCount]);
+
+  const setPage = useCallback((nextPage) => {
+    setPageState({ key: queryKey, page: nextPage });
+  }, [queryKey]);
+
+  // `force` also discards claims cached for client-side querying
+  const reload = useCallback((force = false) => {
+    forceRef.current = force;
+    setReloadCount(count => count + 1);
+  }, []);
+
+  // Patch rows already on the page with fresh claim data, keeping their order
+  const mergeClaims = useCallback((claims) => {
+    const updates = new Map(claims.map(claim => [claim.claim_id || claim.id, claim]));
+    setResult(current => ({
+      ...current,
+      claims: current.claims.map(claim => {
+        const update = updates.get(claim.claim_id || claim.id);
+        return update ? { ...claim, ...update } : claim;
+      }),
+    }));
+  }, []);
+
+  return {
+    ...result,
+    page,
+    pageSize,
+    loading,
+    error,
+    setPage,
+    setPageSize,
+    reload,
+    mergeClaims
+  };
+};
+
+// Live view of the offline outbox (see services/outbox.js) with its actions
+export const useOutbox = () => {
+  const [outbox, setOutbox] = useState(getOutboxState);
+
+  useEffect(() => subscribeOutbox(setOutbox), []);
+
+  const { entries } = outbox;
+  return {
+    ...outbox,
+    pendingCount: entries.filter(entry => entry.state === 'pending').length,
+    attentionCount: entries.filter(entry => entry.state !== 'pending').length,
+    flush: flushOutbox,
+    retry: retryOutboxEntry,
+    discard: discardOutboxEntry
+  };
+};
+
+// Saved claim submission drafts (see services/claimDrafts.js), most recent first
+export const useClaimDrafts = () => {
+  const [drafts, setDrafts] = useState(listDrafts);
+
+  useEffect(() => subscribeDrafts(() => setDrafts(listDrafts())), []);
+
+  return drafts;
+};
+
+// Run `listener(event)` whenever the query cache changes (see services/queryCache.js)
+export const useQueryCacheEvents = (listener) => {
+  const listenerRef = useRef(listener);
+  listenerRef.current = listener;
+
+  useEffect(() => subscribeQueryCache(event => listenerRef.current(event)), []);
+};
+
+// Live updates state (see services/liveUpdates.js). `onUpdate(claims)` runs when
+// claims already known changed on the server.
+export const useLiveUpdates = ({ onUpdate } = {}) => {
+  const [live, setLive] = useState(getLiveUpdatesState);
+  const onUpdateRef = useRef(onUpdate);
+  onUpdateRef.current = onUpdate;
+
+  useEffect(() => subscribeLiveUpdates((nextState, event) => {
+    setLive(nextState);
+    if (event?.type === 'updated' && onUpdateRef.current) onUpdateRef.current(event.claims);
+  }), []);
+
+  return { ...live, newCount: live.newClaims.length };
+};
+
+// 'light' or 'dark', whichever the page is showing (see services/theme.js)
+export const useResolvedTheme = () => {
+  const [resolvedTheme, setResolvedTheme] = useState(getResolvedTheme);
+
+  useEffect(() => subscribeTheme(setResolvedTheme), []);
+
+  return resolvedTheme;
+};
+
+// Signed-in user and sign-in actions (see services/auth.js). `can(permission)`
+// is always true when sign-in is not configured.
+export const useAuth = () => {
+  const [auth, setAuth] = useState(getAuthState);
+
+  useEffect(() => subscribeAuth(setAuth), []);
+
+  const { user } = auth;
+  const can = useCallback((permission) => hasPermission(permission, user), [user]);
+
+  return { ...auth, enabled: isAuthEnabled(), can, signIn, signOut };
+};
+
+// Environment profiles and the active one (see services/environments.js)
+export const useEnvironments = () => {
+  const [environments, setEnvironments] = useState(getEnvironments);
+
+  useEffect(() => subscribeEnvironments(setEnvironments), []);
+
+  const { activeId, profiles } = environments;
+  return { activeId, profiles, active: profiles.find(profile => profile.id === activeId) };
+};
+
+// Idle lock state and actions (see services/sessionLock.js)
+export const useSessionLock = () => {
+  const [lock, setLock] = useState(getSessionLockState);
+
+  useEffect(() => subscribeSessionLock(setLock), []);
+
+  return { ...lock, lock: lockSession, unlock: unlockSession };
+};
@@ -1,43 +1,65 @@
 const { createProxyMiddleware } = require('http-proxy-middleware');
 
+const BACKEND_PATHS = ['/api', '/claims', '/providers', '/risks', '/policies', '/patients'];
+
+// Backend for environment profiles with a blank API Base URL, e.g.
+// PROXY_TARGET=http://localhost:9000 npm start
+const PROXY_TARGET = process.env.PROXY_TARGET || 'http://localhost:8000';
+
+// Page routes such as /claims/:claimId share a prefix with the backend, so
+// browser navigations (which ask for HTML) are left to the dev server
+const isBackendRequest = (pathname, req) =>
+  BACKEND_PATHS.some(prefix => pathname === prefix || pathname.startsWith(`${prefix}/`)) &&
+  !(req.method === 'GET' && (req.headers.accept || '').includes('text/html'));
+
 module.exports = function(app) {
   // Proxy for all backend API routes
   app.use(
-    ['/claims', '/providers', '/risks', '/policies', '/patients'],
     createProxyMiddleware({
-      target: 'http://localhost:8000', // Your FastAPI server runs on port 8000
+      pathFilter: isBackendRequest,
+      target: PROXY_TARGET,
       changeOrigin: true,
       secure: false,
-      logLevel: 'info',
+      // http-proxy-middleware 3 takes a logger and an `on` map of event handlers
+      logger: console,
       headers: {
         'Access-Control-Allow-Origin': '*',
         'Access-Control-Allow-Methods': 'GET,PUT,POST,DELETE,OPTIONS',
         'Access-Control-Allow-Headers': 'Content-Type, Authorization, api-key'
       },
-      onError: (err, req, res) => {
-        console.error('Proxy error:', err.message);
-        console.error('Request URL:', req.url);
-        console.error('Target:', 'http://localhost:8000' + req.url);
-        
-        res.writeHead(500, {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*'
-        });
-        res.end(JSON.stringify({ 
-          error: 'Proxy error', 
-          message: err.message,
-          target: 'http://localhost:8000' + req.url
-        }));
-      },
-      onProxyReq: (proxyReq, req, res) => {
-        console.log(`[PROXY] ${req.method} ${req.url} -> http://localhost:8000${req.url}`);
-      },
-      onProxyRes: (proxyRes, req, res) => {
-        console.log(`[PROXY RESPONSE] ${proxyRes.statusCode} for ${req.url}`);
-        // Add CORS headers to response
-        proxyRes.headers['Access-Control-Allow-Origin'] = '*';
-        proxyRes.headers['Access-Control-Allow-Methods'] = 'GET,PUT,POST,DELETE,OPTIONS';
-        proxyRes.headers['Access-Control-Allow-Headers'] = 'Content-Type, Authorization, api-key';
+      on: {
+        error: (err, req, res) => {
+          console.error('Proxy error:', err.message);
+          console.error('Request URL:', req.url);
+          console.error('Target:', PROXY_TARGET + req.url);
+
+          // A WebSocket upgrade hands over a socket, not a response
+          if (typeof res.writeHead !== 'function') {
+            res.destroy();
+            return;
+          }
+          if (!res.headersSent) {
+            res.writeHead(502, {
+              'Content-Type': 'application/json',
+              'Access-Control-Allow-Origin': '*'
+            });
+          }
+          res.end(JSON.stringify({
+            error: 'Proxy error',
+            message: err.message,
+            target: PROXY_TARGET + req.url
+          }));
+        },
+        proxyReq: (proxyReq, req) => {
+          console.log(`[PROXY] ${req.method} ${req.url} -> ${PROXY_TARGET}${req.url}`);
+        },
+        proxyRes: (proxyRes, req) => {
+          console.log(`[PROXY RESPONSE] ${proxyRes.statusCode} for ${req.url}`);
+          // Add CORS headers to response
+          proxyRes.headers['Access-Control-Allow-Origin'] = '*';
+          proxyRes.headers['Access-Control-Allow-Methods'] = 'GET,PUT,POST,DELETE,OPTIONS';
+          proxyRes.headers['Access-Control-Allow-Headers'] = 'Content-Type, Authorization, api-key';
+        }
       }
     })
   );
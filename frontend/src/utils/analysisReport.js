@@ -0,0 +1,127 @@
+import { ANALYSIS_SECTIONS } from '../services/api';
+import { escapeHtml, markdownToHtml, markdownToText } from './markdown';
+import { formatConfidenceScore, formatDate, formatRiskFactor } from './helpers';
+import { getResolvedTheme } from '../services/theme';
+
+// Printable and plain-text reports of an AI claim analysis. Every field comes
+// from the model or the backend, so the HTML report escapes all of it and
+// renders analysis sections through the safe Markdown pipeline.
+
+const DECISION_CLASSES = {
+  Approved: 'approved',
+  Denied: 'denied',
+  Pending: 'pending',
+  'Under Review': 'pending',
+};
+
+const REPORT_STYLES = `
+  body { font-family: Arial, sans-serif; margin: 20px; color: #111827; }
+  .header { border-bottom: 2px solid #333; padding-bottom: 10px; margin-bottom: 20px; }
+  .status { padding: 5px 10px; border-radius: 5px; display: inline-block; margin: 10px 0; background-color: #f3f4f6; }
+  .approved { background-color: #d1fae5; color: #065f46; }
+  .denied { background-color: #fee2e2; color: #991b1b; }
+  .pending { background-color: #fef3c7; color: #92400e; }
+  .section { margin: 20px 0; }
+  .section h3 { color: #333; border-bottom: 1px solid #ccc; padding-bottom: 5px; }
+  .risk-factor { display: inline-block; background-color: #f3f4f6; padding: 2px 8px; margin: 2px; border-radius: 12px; font-size: 12px; }
+  table { border-collapse: collapse; margin: 8px 0; }
+  th, td { border: 1px solid #d1d5db; padding: 4px 8px; text-align: left; }
+  th { background-color: #f9fafb; }
+  blockquote { margin: 8px 0; padding-left: 12px; border-left: 4px solid #e5e7eb; color: #4b5563; }
+  pre { background-color: #f3f4f6; padding: 8px; white-space: pre-wrap; }
+  .empty { color: #9ca3af; font-style: italic; }
+`;
+
+// The report window follows the app's dark theme on screen; paper stays light
+const REPORT_DARK_STYLES = `
+  @media screen {
+    body { background-color: #111827; color: #e5e7eb; }
+    .header { border-bottom-color: #9ca3af; }
+    .status, .risk-factor, pre { background-color: #374151; }
+    .approved { background-color: #064e3b; color: #a7f3d0; }
+    .denied { background-color: #7f1d1d; color: #fecaca; }
+    .pending { background-color: #78350f; color: #fde68a; }
+    .section h3 { color: #e5e7eb; border-bottom-color: #4b5563; }
+    th, td { border-color: #4b5563; }
+    th { background-color: #1f2937; }
+    blockquote { border-left-color: #4b5563; color: #9ca3af; }
+  }
+`;
+
+// Backend claims carry `claim_id`; claims processed in this session `id`
+const claimIdOf = (claim) => claim.claim_id || claim.id;
+
+const reasonLine = (claim) =>
+  [claim.reason_code, claim.reason_description].filter(Boolean).join(' - ') || 'None';
+
+// Plain-text report for the clipboard, with Markdown in the sections flattened
+export const buildAnalysisReportText = (claim) => {
+  const summary = [
+    `Claim ID: ${claimIdOf(claim)}`,
+    `Decision: ${claim.decision}`,
+    `Confidence Score: ${formatConfidenceScore(claim.confidence_score)}`,
+    `Reason: ${reasonLine(claim)}`,
+    `Risk Factors: ${claim.risk_factors?.join(', ') || 'None'}`,
+    `Processed: ${formatDate(claim.processedAt)}`,
+  ].join('\n');
+
+  const sections = ANALYSIS_SECTIONS
+    .map(({ key, title }) => `${title}:\n${markdownToText(claim[key]) || 'No analysis provided.'}`)
+    .join('\n\n');
+
+  return `${summary}\n\n${sections}`;
+};
+
+// Standalone HTML document for printing. A Content-Security-Policy blocks
+// scripts in the print window should anything slip through. `theme` ('light'
+// or 'dark') only changes how the window looks on screen.
+export const buildAnalysisReportHtml = (claim, { theme = 'light' } = {}) => {
+  const decision = String(claim.decision || 'Pending');
+  const riskFactors = claim.risk_factors?.length
+    ? claim.risk_factors.map(factor => `<span class="risk-factor">${escapeHtml(formatRiskFactor(factor))}</span>`).join(' ')
+    : 'None';
+
+  const sections = ANALYSIS_SECTIONS.map(({ key, title }) => `
+    <div class="section">
+      <h3>${escapeHtml(title)}</h3>
+      ${markdownToHtml(claim[key]) || '<p class="empty">No analysis provided.</p>'}
+    </div>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'">
+    <title>Claim Analysis - ${escapeHtml(claimIdOf(claim))}</title>
+    <style>${REPORT_STYLES}${theme === 'dark' ? REPORT_DARK_STYLES : ''}</style>
+  </head>
+  <body>
+    <div class="header">
+      <h1>Insurance Claim Analysis Report</h1>
+      <p><strong>Claim ID:</strong> ${escapeHtml(claimIdOf(claim))}</p>
+      <p><strong>Generated:</strong> ${escapeHtml(formatDate(new Date()))}</p>
+    </div>
+
+    <div class="section">
+      <h2>Decision Summary</h2>
+      <div class="${['status', DECISION_CLASSES[decision]].filter(Boolean).join(' ')}">${escapeHtml(decision.toUpperCase())}</div>
+      <p><strong>Confidence Score:</strong> ${escapeHtml(formatConfidenceScore(claim.confidence_score))}</p>
+      <p><strong>Reason:</strong> ${escapeHtml(reasonLine(claim))}</p>
+      <p><strong>Risk Factors:</strong> ${riskFactors}</p>
+    </div>
+    ${sections}
+  </body>
+</html>`;
+};
+
+// Open the HTML report in a new window and print it. Returns false when a pop-up blocker stops the window.
+export const printAnalysisReport = (claim, { theme = getResolvedTheme() } = {}) => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) return false;
+
+  printWindow.opener = null;
+  printWindow.document.write(buildAnalysisReportHtml(claim, { theme }));
+  printWindow.document.close();
+  printWindow.print();
+  return true;
+};
@@ -0,0 +1,30 @@
+import { buildAnalysisReportHtml, buildAnalysisReportText } from './analysisReport';
+
+jest.mock('../services/theme', () => ({ getResolvedTheme: () => 'light' }));
+
+const claim = {
+  claim_id: 'CLM-42',
+  decision: 'Denied',
+  confidence_score: 0.91,
+  reason_code: 'POLICY_VIOLATION',
+  risk_factors: ['out_of_network'],
+  policy_analysis: '**Excluded** under <b>section 4</b>',
+};
+
+test('reports use the backend claim_id', () => {
+  expect(buildAnalysisReportText(claim)).toMatch(/^Claim ID: CLM-42$/m);
+  expect(buildAnalysisReportHtml(claim)).toContain('<p><strong>Claim ID:</strong> CLM-42</p>');
+  expect(buildAnalysisReportText({ ...claim, claim_id: undefined, id: 'local-1' })).toMatch(/^Claim ID: local-1$/m);
+});
+
+test('the HTML report escapes every field and renders sections as safe Markdown', () => {
+  const html = buildAnalysisReportHtml({ ...claim, claim_id: '<script>x</script>' });
+  expect(html).not.toContain('<script>');
+  expect(html).toContain('&lt;script&gt;x&lt;/script&gt;');
+  expect(html).toContain('<p><strong>Excluded</strong> under &lt;b&gt;section 4&lt;/b&gt;</p>');
+  expect(html).toContain('<p class="empty">No analysis provided.</p>');
+});
+
+test('the text report flattens Markdown', () => {
+  expect(buildAnalysisReportText(claim)).toContain('Policy Analysis:\nExcluded under <b>section 4</b>');
+});
@@ -0,0 +1,203 @@
+// RFC 4180 CSV reading and writing shared by every import and export.
+//
+// Reading handles quoted fields (with "" escapes and embedded delimiters or
+// line breaks), CRLF/LF/CR line endings, a leading UTF-8 BOM and comma,
+// semicolon, tab or pipe delimiters. Writing quotes whatever needs it and, by
+// default, defuses values a spreadsheet would run as a formula.
+
+const BOM = '\uFEFF';
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+const FILE_CHUNK_SIZE = 1024 * 1024;
+
+// Spreadsheets treat cells starting with these as formulas (CSV injection)
+const FORMULA_TRIGGER = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[+-]?\d+(\.\d+)?(e[+-]?\d+)?$/i;
+
+// Pick the candidate delimiter that occurs most often, outside quotes, in the first line
+export const detectDelimiter = (sample) => {
+  const counts = Object.fromEntries(DELIMITER_CANDIDATES.map(candidate => [candidate, 0]));
+  let inQuotes = false;
+
+  for (const ch of sample.replace(BOM, '')) {
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (ch === '\n' || ch === '\r')) break;
+    else if (!inQuotes && ch in counts) counts[ch]++;
+  }
+
+  return DELIMITER_CANDIDATES.reduce((best, candidate) => (counts[candidate] > counts[best] ? candidate : best), ',');
+};
+
+/**
+ * Incremental CSV parser. Feed text in any chunk sizes with `push`, then call
+ * `end`; `onRow(fields, index)` fires for each complete record. The delimiter is
+ * detected from the first chunk unless given. Blank lines are skipped.
+ * Throws on a quoted field that is never closed.
+ */
+export const createCSVParser = ({ delimiter, onRow }) => {
+  let activeDelimiter = delimiter;
+  let started = false;
+  // Text held back until the first line break, so detection sees the whole header line
+  let pending = '';
+  let row = [];
+  let field = '';
+  let fieldQuoted = false;
+  let inQuotes = false;
+  let quotePending = false;
+  let skipLineFeed = false;
+  let rowCount = 0;
+  let lineNumber = 1;
+  let quoteStartLine = 1;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+    fieldQuoted = false;
+  };
+
+  const endRow = () => {
+    const blank = row.length === 0 && field === '' && !fieldQuoted;
+    endField();
+    if (!blank) onRow(row, rowCount++);
+    row = [];
+  };
+
+  const consume = (text) => {
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      if (inQuotes) {
+        if (quotePending) {
+          quotePending = false;
+          if (ch === '"') {
+            field += '"';
+            continue;
+          }
+          // The previous quote closed the field; handle this character normally
+          inQuotes = false;
+        } else if (ch === '"') {
+          quotePending = true;
+          continue;
+        } else {
+          if (ch === '\n') lineNumber++;
+          field += ch;
+          continue;
+        }
+      }
+
+      if (skipLineFeed) {
+        skipLineFeed = false;
+        if (ch === '\n') continue;
+      }
+
+      if (ch === '"' && field === '' && !fieldQuoted) {
+        inQuotes = true;
+        fieldQuoted = true;
+        quoteStartLine = lineNumber;
+      } else if (ch === activeDelimiter) {
+        endField();
+      } else if (ch === '\r' || ch === '\n') {
+        endRow();
+        lineNumber++;
+        skipLineFeed = ch === '\r';
+      } else {
+        field += ch;
+      }
+    }
+  };
+
+  const push = (chunk) => {
+    let text = pending + chunk;
+    pending = '';
+    if (!started) {
+      if (text.startsWith(BOM)) text = text.slice(1);
+      if (!/[\r\n]/.test(text)) {
+        pending = text;
+        return;
+      }
+      activeDelimiter = activeDelimiter || detectDelimiter(text);
+      started = true;
+    }
+    consume(text);
+  };
+
+  const end = () => {
+    if (!started && pending) {
+      activeDelimiter = activeDelimiter || detectDelimiter(pending);
+      started = true;
+      consume(pending);
+      pending = '';
+    }
+    if (inQuotes && !quotePending) {
+      throw new Error(`Unterminated quoted field starting on line ${quoteStartLine}`);
+    }
+    inQuotes = false;
+    quotePending = false;
+    if (field !== '' || fieldQuoted || row.length > 0) endRow();
+    return rowCount;
+  };
+
+  return { push, end, getDelimiter: () => activeDelimiter };
+};
+
+// Parse a whole CSV string into an array of rows (arrays of strings)
+export const parseCSV = (text, { delimiter } = {}) => {
+  const rows = [];
+  const parser = createCSVParser({ delimiter, onRow: (fields) => rows.push(fields) });
+  parser.push(text);
+  parser.end();
+  return rows;
+};
+
+/**
+ * Parse a File or Blob without reading it into one string. With `onRow` rows are
+ * handed over as they are parsed and the promise resolves to the row count;
+ * otherwise it resolves to all rows. `onProgress` receives the fraction read.
+ */
+export const parseCSVFile = async (file, { delimiter, onRow, onProgress } = {}) => {
+  const rows = [];
+  const parser = createCSVParser({ delimiter, onRow: onRow || ((fields) => rows.push(fields)) });
+  const decoder = new TextDecoder('utf-8');
+
+  for (let offset = 0; offset < file.size; offset += FILE_CHUNK_SIZE) {
+    const bytes = await file.slice(offset, offset + FILE_CHUNK_SIZE).arrayBuffer();
+    parser.push(decoder.decode(bytes, { stream: true }));
+    onProgress?.(Math.min(1, (offset + FILE_CHUNK_SIZE) / file.size));
+  }
+  parser.push(decoder.decode());
+
+  const count = parser.end();
+  return onRow ? count : rows;
+};
+
+// Undo the formula guard added by escapeCSVValue when reading our own exports back in
+export const unguardFormula = (value) =>
+  typeof value === 'string' && value.startsWith("'") && FORMULA_TRIGGER.test(value.slice(1)) ? value.slice(1) : value;
+
+// Format one value as a CSV field
+export const escapeCSVValue = (value, { delimiter = ',', guardFormulas = true } = {}) => {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === 'object') text = JSON.stringify(value);
+  else text = String(value);
+
+  if (guardFormulas && typeof value === 'string' && FORMULA_TRIGGER.test(text) && !PLAIN_NUMBER.test(text)) {
+    text = `'${text}`;
+  }
+
+  return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Join rows (arrays of values) into CSV text with CRLF line endings.
+// `bom` adds a byte order mark so Excel reads the file as UTF-8.
+export const stringifyCSV = (rows, { delimiter = ',', guardFormulas = true, bom = false } = {}) => {
+  const lines = rows.map(row => row.map(value => escapeCSVValue(value, { delimiter, guardFormulas })).join(delimiter));
+  return (bom ? BOM : '') + lines.join('\r\n');
+};
+
+// CSV for a list of objects: one column per key (first-seen order) unless `columns` is given
+export const objectsToCSV = (records, { columns, ...options } = {}) => {
+  const headers = columns || [...new Set(records.flatMap(record => Object.keys(record)))];
+  return stringifyCSV([headers, ...records.map(record => headers.map(header => record[header]))], options);
+};
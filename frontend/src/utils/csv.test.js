@@ -0,0 +1,119 @@
+/**
+ * @jest-environment node
+ */
+import {
+  detectDelimiter,
+  createCSVParser,
+  parseCSV,
+  parseCSVFile,
+  escapeCSVValue,
+  stringifyCSV,
+  objectsToCSV,
+  unguardFormula,
+} from './csv';
+
+// Enough of a File for parseCSVFile: size and slice().arrayBuffer()
+const fakeFile = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  return {
+    size: bytes.length,
+    slice: (start, end) => ({ arrayBuffer: async () => bytes.slice(start, end).buffer }),
+  };
+};
+
+describe('detectDelimiter', () => {
+  test('picks the most frequent delimiter on the first line', () => {
+    expect(detectDelimiter('a;b;c\n1,2,3')).toBe(';');
+    expect(detectDelimiter('a\tb\tc')).toBe('\t');
+    expect(detectDelimiter('a|b')).toBe('|');
+  });
+
+  test('ignores delimiters inside quotes and defaults to a comma', () => {
+    expect(detectDelimiter('"a;b;c",d')).toBe(',');
+    expect(detectDelimiter('single')).toBe(',');
+  });
+});
+
+describe('parseCSV', () => {
+  test('handles quotes, escaped quotes, embedded delimiters and line breaks', () => {
+    expect(parseCSV('id,note\r\n1,"a, ""quoted""\nline"\r\n2,plain')).toEqual([
+      ['id', 'note'],
+      ['1', 'a, "quoted"\nline'],
+      ['2', 'plain'],
+    ]);
+  });
+
+  test('strips a BOM, accepts CR line endings and skips blank lines', () => {
+    expect(parseCSV('\uFEFFa,b\r1,2\r\r3,4\n')).toEqual([['a', 'b'], ['1', '2'], ['3', '4']]);
+  });
+
+  test('keeps empty fields', () => {
+    expect(parseCSV('a,,c\n,,')).toEqual([['a', '', 'c'], ['', '', '']]);
+  });
+
+  test('throws on an unterminated quoted field', () => {
+    expect(() => parseCSV('a,b\n1,"open')).toThrow(/Unterminated quoted field starting on line 2/);
+  });
+});
+
+describe('createCSVParser', () => {
+  test('gives the same rows whatever the chunk boundaries', () => {
+    const text = 'id;name\n1;"Smith; ""Jo"""\r\n2;Lee';
+    const rows = [];
+    const parser = createCSVParser({ onRow: (fields) => rows.push(fields) });
+    text.split('').forEach(ch => parser.push(ch));
+    expect(parser.end()).toBe(3);
+    expect(parser.getDelimiter()).toBe(';');
+    expect(rows).toEqual(parseCSV(text));
+  });
+});
+
+describe('parseCSVFile', () => {
+  test('reads a file in chunks and reports progress', async () => {
+    const onProgress = jest.fn();
+    const rows = await parseCSVFile(fakeFile('a,b\n"é",2'), { onProgress });
+    expect(rows).toEqual([['a', 'b'], ['é', '2']]);
+    expect(onProgress).toHaveBeenLastCalledWith(1);
+  });
+
+  test('hands rows to onRow and resolves to the count', async () => {
+    const onRow = jest.fn();
+    await expect(parseCSVFile(fakeFile('a\nb\nc'), { onRow })).resolves.toBe(3);
+    expect(onRow).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('writing', () => {
+  test('quotes fields that need it', () => {
+    expect(escapeCSVValue('a,b')).toBe('"a,b"');
+    expect(escapeCSVValue('say "hi"')).toBe('"say ""hi"""');
+    expect(escapeCSVValue('two\nlines')).toBe('"two\nlines"');
+    expect(escapeCSVValue(null)).toBe('');
+    expect(escapeCSVValue({ a: 1 })).toBe('"{""a"":1}"');
+  });
+
+  test('guards values a spreadsheet would run as formulas, but not numbers', () => {
+    expect(escapeCSVValue('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+    expect(escapeCSVValue('@SUM(A1)')).toBe("'@SUM(A1)");
+    expect(escapeCSVValue('-12.5')).toBe('-12.5');
+    expect(escapeCSVValue(-3)).toBe('-3');
+    expect(escapeCSVValue('=1+1', { guardFormulas: false })).toBe('=1+1');
+    expect(unguardFormula("'=1+1")).toBe('=1+1');
+    expect(unguardFormula("'quoted")).toBe("'quoted");
+  });
+
+  test('joins rows with CRLF and an optional BOM', () => {
+    expect(stringifyCSV([['a', 'b'], [1, 2]], { bom: true })).toBe('\uFEFFa,b\r\n1,2');
+    expect(stringifyCSV([['a;b', 'c']], { delimiter: ';' })).toBe('"a;b";c');
+  });
+
+  test('objectsToCSV uses first-seen keys as columns', () => {
+    expect(objectsToCSV([{ a: 1 }, { b: 2, a: 3 }])).toBe('a,b\r\n1,\r\n3,2');
+    expect(objectsToCSV([{ a: 1, b: 2 }], { columns: ['b'] })).toBe('b\r\n2');
+  });
+
+  test('round-trips through the parser', () => {
+    const rows = [['id', 'note'], ['1', 'comma, "quote"\nnewline']];
+    expect(parseCSV(stringifyCSV(rows))).toEqual(rows);
+  });
+});
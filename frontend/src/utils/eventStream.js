@@ -0,0 +1,93 @@
+// Server-Sent Events (text/event-stream) read from a fetch() response, for
+// streams that need request headers EventSource cannot send.
+//
+// Parsing follows the HTML spec: CRLF/LF/CR line endings, a leading BOM,
+// comment lines, multi-line `data` and a default `message` type. An event cut
+// off by the end of the stream is dropped. `retry` is ignored; reconnecting is
+// up to the caller.
+
+const BOM = '\uFEFF';
+
+/**
+ * Incremental parser. `push(text)` takes the stream in chunks of any size and
+ * calls `onEvent({ type, data, id })` for each complete event; call `end()`
+ * when the stream ends.
+ */
+export const createEventStreamParser = ({ onEvent }) => {
+  let buffer = '';
+  let started = false;
+  let type = '';
+  let data = [];
+  let lastEventId = '';
+
+  const dispatch = () => {
+    if (data.length > 0) onEvent({ type: type || 'message', data: data.join('\n'), id: lastEventId });
+    type = '';
+    data = [];
+  };
+
+  const processLine = (line) => {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(':')) return;
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    if (field === 'event') type = value;
+    else if (field === 'data') data.push(value);
+    else if (field === 'id' && !value.includes('\0')) lastEventId = value;
+  };
+
+  return {
+    push(text) {
+      buffer += text;
+      if (!started && buffer.length > 0) {
+        started = true;
+        if (buffer.startsWith(BOM)) buffer = buffer.slice(1);
+      }
+
+      let start = 0;
+      for (let i = 0; i < buffer.length; i += 1) {
+        const ch = buffer[i];
+        if (ch !== '\n' && ch !== '\r') continue;
+        // A CR at the end may be the first half of a CRLF split across chunks
+        if (ch === '\r' && i === buffer.length - 1) break;
+        processLine(buffer.slice(start, i));
+        if (ch === '\r' && buffer[i + 1] === '\n') i += 1;
+        start = i + 1;
+      }
+      buffer = buffer.slice(start);
+    },
+
+    // The stream ended: a CR held back by push() still ends its line
+    end() {
+      if (buffer.endsWith('\r')) processLine(buffer.slice(0, -1));
+      buffer = '';
+    },
+  };
+};
+
+/**
+ * Read a response body to the end, calling `onEvent` for each event. Rejects
+ * when the connection fails or the request is aborted.
+ */
+export const readEventStream = async (body, onEvent) => {
+  const parser = createEventStreamParser({ onEvent });
+  const decoder = new TextDecoder();
+  const reader = body.getReader();
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      parser.push(decoder.decode(value, { stream: true }));
+    }
+    parser.push(decoder.decode());
+    parser.end();
+  } finally {
+    reader.releaseLock();
+  }
+};
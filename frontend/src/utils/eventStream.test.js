@@ -0,0 +1,52 @@
+/**
+ * @jest-environment node
+ */
+import { createEventStreamParser, readEventStream } from './eventStream';
+
+const parse = (...chunks) => {
+  const events = [];
+  const parser = createEventStreamParser({ onEvent: event => events.push(event) });
+  chunks.forEach(chunk => parser.push(chunk));
+  parser.end();
+  return events;
+};
+
+// Enough of a response body for readEventStream: getReader() over byte chunks
+const bodyOf = (...chunks) => {
+  const queue = [...chunks];
+  return {
+    getReader: () => ({
+      read: async () => (queue.length > 0 ? { done: false, value: queue.shift() } : { done: true }),
+      releaseLock: () => {},
+    }),
+  };
+};
+
+describe('createEventStreamParser', () => {
+  test('reads named events, multi-line data and ids, skipping comments', () => {
+    expect(parse('retry: 5000\n\n: ping\n\nevent: claim\nid: 7\ndata: {"a":1,\ndata:"b":2}\n\ndata: plain\n\n')).toEqual([
+      { type: 'claim', data: '{"a":1,\n"b":2}', id: '7' },
+      { type: 'message', data: 'plain', id: '7' },
+    ]);
+  });
+
+  test('gives the same events whatever the chunk boundaries and line endings', () => {
+    const text = '\uFEFFevent: claim\r\ndata: one\r\n\r\nevent: claim\rdata: two\r\r';
+    const expected = [{ type: 'claim', data: 'one', id: '' }, { type: 'claim', data: 'two', id: '' }];
+    expect(parse(text)).toEqual(expected);
+    expect(parse(...text.split(''))).toEqual(expected);
+  });
+
+  test('drops an event cut off by the end of the stream', () => {
+    expect(parse('data: complete\n\ndata: partial\n')).toEqual([{ type: 'message', data: 'complete', id: '' }]);
+  });
+});
+
+test('readEventStream decodes a response body across chunk boundaries', async () => {
+  const events = [];
+  const bytes = new TextEncoder().encode('event: claim\ndata: "é"\n\n');
+  // Split inside the two-byte "é"
+  await readEventStream(bodyOf(bytes.slice(0, 21), bytes.slice(21)), event => events.push(event));
+
+  expect(events).toEqual([{ type: 'claim', data: '"é"', id: '' }]);
+});
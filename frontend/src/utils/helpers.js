@@ -1,5 +1,7 @@
 import { format, formatDistanceToNow, parseISO } from 'date-fns';
 import { REASON_CODES, STATUS_COLORS } from '../services/api';
+import { objectsToCSV } from './csv';
+import { writeWorkbook, XLSX_MIME_TYPE } from './xlsx';
 
 // Date formatting utilities
 export const formatDate = (date) => {
@@ -12,6 +14,17 @@ export const formatDate = (date) => {
   }
 };
 
+// Calendar dates such as birthdays and policy terms carry no meaningful time
+export const formatDateOnly = (date) => {
+  if (!date) return '';
+  try {
+    const dateObj = typeof date === 'string' ? parseISO(date) : date;
+    return format(dateObj, 'MMM dd, yyyy');
+  } catch (error) {
+    return 'Invalid date';
+  }
+};
+
 export const formatTimeAgo = (date) => {
   if (!date) return '';
   try {
@@ -22,6 +35,16 @@ export const formatTimeAgo = (date) => {
   }
 };
 
+// Format a duration in milliseconds as e.g. "45s" or "3m 05s"
+export const formatDuration = (ms) => {
+  if (ms === null || ms === undefined || isNaN(ms)) return '';
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  if (minutes === 0) return `${seconds}s`;
+  return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+};
+
 // Status utilities
 export const getStatusStyle = (status) => {
   return STATUS_COLORS[status] || {
@@ -37,6 +60,18 @@ export const getStatusBadgeClasses = (status) => {
   return `inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${style.bg} ${style.text} ${style.border}`;
 };
 
+const POLICY_STATUS_COLORS = {
+  Active: 'bg-green-100 text-green-800',
+  Suspended: 'bg-yellow-100 text-yellow-800',
+  Expired: 'bg-gray-100 text-gray-800',
+  Cancelled: 'bg-red-100 text-red-800',
+};
+
+export const getPolicyStatusBadgeClasses = (status) => {
+  const colors = POLICY_STATUS_COLORS[status] || 'bg-gray-100 text-gray-800';
+  return `inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${colors}`;
+};
+
 // Confidence score utilities
 export const getConfidenceColor = (score) => {
   if (score >= 0.8) return 'text-green-600';
@@ -51,9 +86,29 @@ export const getConfidenceBarColor = (score) => {
 };
 
 export const formatConfidenceScore = (score) => {
+  if (score === null || score === undefined) return 'N/A';
   return `${Math.round(score * 100)}%`;
 };
 
+// AI results at or above this confidence need a second confirmation to override,
+// and only roles with the overrideAiDecisions permission may do it
+export const HIGH_CONFIDENCE_THRESHOLD = 0.8;
+
+// The claim's original AI result as { decision, confidence }, not an earlier
+// manual decision; null when the AI never decided it
+export const getAiDecision = (claim) => {
+  const decision = claim.adjudication ? claim.adjudication.ai_decision : claim.decision;
+  const confidence = claim.adjudication ? claim.adjudication.ai_confidence : claim.confidence_score;
+  if (claim.source === 'status_update' || confidence == null) return null;
+  return { decision, confidence };
+};
+
+// Whether setting `status` by hand goes against an AI decision made with high confidence
+export const isHighConfidenceOverride = (claim, status) => {
+  const ai = getAiDecision(claim);
+  return Boolean(ai && status) && ai.confidence >= HIGH_CONFIDENCE_THRESHOLD && status !== ai.decision;
+};
+
 // Reason code utilities
 export const getReasonDescription = (reasonCode) => {
   return REASON_CODES[reasonCode] || reasonCode;
@@ -86,6 +141,7 @@ export const formatRiskFactor = (factor) => {
     .join(' ');
 };
 
+// Palette classes; dark mode remaps them (see tailwind.config.js)
 export const getRiskFactorColor = (factor) => {
   const riskColors = {
     high_risk: 'bg-red-100 text-red-800',
@@ -103,6 +159,9 @@ export const getRiskFactorColor = (factor) => {
 };
 
 // Validation utilities
+// Shortest justification accepted for a manual claim decision
+export const MIN_JUSTIFICATION_LENGTH = 10;
+
 export const validateClaimId = (claimId) => {
   if (!claimId) return { isValid: false, error: 'Claim ID is required' };
   if (claimId.length < 3) return { isValid: false, error: 'Claim ID must be at least 3 characters' };
@@ -130,53 +189,78 @@ export const validateUrl = (url) => {
 export const exportToCSV = (data, filename = 'claims_export') => {
   if (!data || !data.length) return;
 
-  const headers = Object.keys(data[0]);
-  const csvContent = [
-    headers.join(','),
-    ...data.map(row => headers.map(header => {
-      const value = row[header];
-      // Escape commas and quotes in CSV
-      if (typeof value === 'string' && (value.includes(',') || value.includes('"'))) {
-        return `"${value.replace(/"/g, '""')}"`;
-      }
-      return value;
-    }).join(','))
-  ].join('\n');
-
-  const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-  const link = document.createElement('a');
-  const url = URL.createObjectURL(blob);
-  link.setAttribute('href', url);
-  link.setAttribute('download', `${filename}.csv`);
-  link.style.visibility = 'hidden';
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
+  downloadFile(objectsToCSV(data, { bom: true }), `${filename}.csv`, 'text/csv;charset=utf-8;');
 };
 
 export const exportToJSON = (data, filename = 'claims_export') => {
   if (!data) return;
 
   const jsonContent = JSON.stringify(data, null, 2);
-  const blob = new Blob([jsonContent], { type: 'application/json;charset=utf-8;' });
+  downloadFile(jsonContent, `${filename}.json`, 'application/json;charset=utf-8;');
+};
+
+// Claim columns for Excel exports, typed so Excel can sort and sum them
+export const CLAIM_XLSX_COLUMNS = [
+  { header: 'Claim ID', value: claim => claim.claim_id || claim.id, width: 38 },
+  { header: 'Status', value: claim => claim.status || claim.decision, width: 14 },
+  { header: 'Confidence', value: claim => claim.confidence_score, type: 'percent' },
+  { header: 'Claim Amount', value: claim => claim.claim_amount ?? claim.amount, type: 'currency', width: 14 },
+  { header: 'Reason Code', value: claim => claim.reason_code, width: 20 },
+  { header: 'Reason Description', value: claim => claim.reason_description, width: 40 },
+  { header: 'Risk Factors', value: claim => claim.risk_factors, width: 30 },
+  { header: 'Submitted', value: claim => claim.submission_date, type: 'date', width: 18 },
+  { header: 'Processed', value: claim => claim.processedAt, type: 'date', width: 18 },
+  { header: 'Provider ID', value: claim => claim.provider_id, width: 38 },
+  { header: 'Risk ID', value: claim => claim.risk_id, width: 38 },
+  { header: 'Patient ID', value: claim => claim.patient_id, width: 38 },
+  { header: 'Policy ID', value: claim => claim.policy_id, width: 38 },
+  { header: 'Summary', value: claim => claim.summary, width: 60 },
+];
+
+// Excel workbook with every claim on the first sheet and one sheet per status
+export const exportToXLSX = async (claims, filename = 'claims_export', { columns = CLAIM_XLSX_COLUMNS } = {}) => {
+  if (!claims || !claims.length) return;
+
+  const byStatus = new Map();
+  claims.forEach(claim => {
+    const status = claim.status || claim.decision || 'Unknown';
+    byStatus.set(status, [...(byStatus.get(status) || []), claim]);
+  });
+
+  const buffer = await writeWorkbook([
+    { name: 'All Claims', columns, rows: claims },
+    ...[...byStatus].map(([status, rows]) => ({ name: status, columns, rows })),
+  ]);
+  downloadFile(buffer, `${filename}.xlsx`, XLSX_MIME_TYPE);
+};
+
+// Save text or binary content as a file through a temporary download link
+export const downloadFile = (content, filename, type) => {
+  const blob = new Blob([content], { type });
   const link = document.createElement('a');
   const url = URL.createObjectURL(blob);
   link.setAttribute('href', url);
-  link.setAttribute('download', `${filename}.json`);
+  link.setAttribute('download', filename);
   link.style.visibility = 'hidden';
   document.body.appendChild(link);
   link.click();
   document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
 };
 
 // Search and filter utilities
+
+// Date filters are whole days (YYYY-MM-DD, UTC), inclusive at both ends as the
+// backend treats them: the "to" day runs until its last millisecond
+const endOfDay = (day) => new Date(`${day}T23:59:59.999Z`);
+
 export const filterClaims = (claims, filters) => {
   return claims.filter(claim => {
     if (filters.status && getClaimFieldValue(claim, 'decision') !== filters.status) return false;
     if (filters.reasonCode && claim.reason_code !== filters.reasonCode) return false;
     if (filters.claimId && !getClaimFieldValue(claim, 'id').toLowerCase().includes(filters.claimId.toLowerCase())) return false;
-    if (filters.dateFrom && new Date(claim.processedAt) < new Date(filters.dateFrom)) return false;
-    if (filters.dateTo && new Date(claim.processedAt) > new Date(filters.dateTo)) return false;
+    if (filters.dateFrom && new Date(getClaimFieldValue(claim, 'date')) < new Date(filters.dateFrom)) return false;
+    if (filters.dateTo && new Date(getClaimFieldValue(claim, 'date')) > endOfDay(filters.dateTo)) return false;
     if (filters.minConfidence && claim.confidence_score < filters.minConfidence) return false;
     if (filters.maxConfidence && claim.confidence_score > filters.maxConfidence) return false;
     return true;
@@ -190,6 +274,9 @@ const getClaimFieldValue = (claim, fieldName) => {
       return claim.claim_id || claim.id;
     case 'decision':
       return claim.status || claim.decision;
+    case 'date':
+      // Processing time for locally analysed claims, submission date for backend records
+      return claim.processedAt || claim.submission_date;
     default:
       return claim[fieldName];
   }
@@ -201,7 +288,7 @@ export const sortClaims = (claims, sortBy, sortOrder = 'asc') => {
     let bValue = getClaimFieldValue(b, sortBy);
 
     // Handle different data types
-    if (sortBy === 'processedAt') {
+    if (sortBy === 'processedAt' || sortBy === 'date') {
       aValue = new Date(aValue);
       bValue = new Date(bValue);
     } else if (sortBy === 'confidence_score') {
@@ -337,6 +424,51 @@ export const calculateClaimsMetrics = (claims) => {
   };
 };
 
+// Claim mix for one provider: status counts, approval/denial rates,
+// reason-code breakdown and how often each risk factor was flagged
+export const calculateProviderStats = (claims) => {
+  const statusCounts = {};
+  const reasonCodes = {};
+  const riskFactors = {};
+
+  claims.forEach(claim => {
+    const status = claim.status || claim.decision || 'Unknown';
+    statusCounts[status] = (statusCounts[status] || 0) + 1;
+
+    if (claim.reason_code) {
+      reasonCodes[claim.reason_code] = (reasonCodes[claim.reason_code] || 0) + 1;
+    }
+
+    (claim.risk_factors || []).forEach(factor => {
+      riskFactors[factor] = (riskFactors[factor] || 0) + 1;
+    });
+  });
+
+  const decided = (statusCounts.Approved || 0) + (statusCounts.Denied || 0);
+  const byCount = (counts) => Object.entries(counts).sort(([, a], [, b]) => b - a);
+
+  return {
+    totalClaims: claims.length,
+    statusCounts,
+    // Rates are over decided claims so a backlog of pending claims does not skew them
+    approvalRate: decided > 0 ? (statusCounts.Approved || 0) / decided : null,
+    denialRate: decided > 0 ? (statusCounts.Denied || 0) / decided : null,
+    reasonCodes: byCount(reasonCodes),
+    riskFactors: byCount(riskFactors),
+  };
+};
+
+const RISK_LEVEL_COLORS = {
+  low: 'bg-green-100 text-green-800',
+  medium: 'bg-yellow-100 text-yellow-800',
+  high: 'bg-red-100 text-red-800',
+};
+
+export const getRiskLevelBadgeClasses = (level) => {
+  const colors = RISK_LEVEL_COLORS[(level || '').toLowerCase()] || 'bg-gray-100 text-gray-800';
+  return `inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${colors}`;
+};
+
 // Local storage utilities
 export const getFromStorage = (key, defaultValue = null) => {
   try {
@@ -376,14 +508,19 @@ export const getErrorMessage = (error) => {
   return 'An unexpected error occurred';
 };
 
+// These accept raw axios errors as well as the ApiError thrown by the api.js
+// interceptor (services/apiError.js), which carries `status` and `network`
+const getErrorStatus = (error) => error?.status ?? error?.response?.status;
+
 export const isNetworkError = (error) => {
-  return !error.response && error.request;
+  return Boolean(error?.network) || Boolean(!error?.response && error?.request);
 };
 
 export const isServerError = (error) => {
-  return error.response && error.response.status >= 500;
+  return getErrorStatus(error) >= 500;
 };
 
 export const isClientError = (error) => {
-  return error.response && error.response.status >= 400 && error.response.status < 500;
+  const status = getErrorStatus(error);
+  return status >= 400 && status < 500;
 };
@@ -0,0 +1,373 @@
+// Safe Markdown for model-generated text (AI analysis sections and the like).
+//
+// Text is parsed into a small tree of known node types and only that tree is
+// rendered: raw HTML in the source is never interpreted, it comes out as text.
+// Supported: paragraphs (single line breaks kept), # headings, - / 1. lists
+// (nested by indentation), GFM | tables |, > quotes, ``` code fences, rules,
+// **bold**, *italic*, `code` and [links](https://...) limited to http(s) and mailto.
+//
+// Block nodes:  heading { level, children } · paragraph { children }
+//               list { ordered, start, items: [{ blocks }] } · quote { blocks }
+//               table { header, align, rows } · code { value } · rule
+// Inline nodes: text { value } · strong/emphasis/link { children, href? }
+//               code { value } · break
+
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const FENCE = /^\s{0,3}(`{3,}|~{3,})/;
+const QUOTE = /^\s{0,3}>\s?(.*)$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])(\s+)(.*)$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const ESCAPABLE = '\\`*_{}[]()#+-.!|>~';
+const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+const indentOf = (line) => line.match(/^\s*/)[0].length;
+
+// Link targets are kept only when they cannot run script (no javascript:, data: ...)
+export const safeUrl = (url) => (SAFE_URL.test(url.trim()) ? url.trim() : null);
+
+// Index of the delimiter closing an emphasis run that opens at `from`, or -1
+const findClosing = (text, marker, from) => {
+  if (from >= text.length || /\s/.test(text[from])) return -1;
+  let index = from;
+  while ((index = text.indexOf(marker, index + 1)) !== -1) {
+    if (/\s/.test(text[index - 1])) continue;
+    // Looking for `*`: step over `**` pairs belonging to nested bold
+    if (marker.length === 1 && text[index + 1] === marker) {
+      index++;
+      continue;
+    }
+    return index;
+  }
+  return -1;
+};
+
+// Underscores inside words (risk_factor names, snake_case IDs) are not emphasis
+const isWordBoundary = (ch) => ch === undefined || !WORD_CHAR.test(ch);
+
+export const parseInline = (text) => {
+  const nodes = [];
+  let buffer = '';
+  const flush = () => {
+    if (buffer) nodes.push({ type: 'text', value: buffer });
+    buffer = '';
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (ch === '\\' && ESCAPABLE.includes(text[i + 1] ?? '')) {
+      buffer += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (ch === '\n') {
+      flush();
+      nodes.push({ type: 'break' });
+      i++;
+      continue;
+    }
+
+    if (ch === '`') {
+      const end = text.indexOf('`', i + 1);
+      if (end > i + 1) {
+        flush();
+        nodes.push({ type: 'code', value: text.slice(i + 1, end) });
+        i = end + 1;
+        continue;
+      }
+    }
+
+    if (ch === '*' || ch === '_') {
+      const marker = text[i + 1] === ch ? ch + ch : ch;
+      const end = findClosing(text, marker, i + marker.length);
+      if (end !== -1 && (ch === '*' || (isWordBoundary(text[i - 1]) && isWordBoundary(text[end + marker.length])))) {
+        flush();
+        nodes.push({
+          type: marker.length === 2 ? 'strong' : 'emphasis',
+          children: parseInline(text.slice(i + marker.length, end)),
+        });
+        i = end + marker.length;
+        continue;
+      }
+    }
+
+    if (ch === '[') {
+      const match = /^\[([^\]\n]+)\]\(([^()\s]+)\)/.exec(text.slice(i));
+      if (match) {
+        flush();
+        const href = safeUrl(match[2]);
+        nodes.push(href
+          ? { type: 'link', href, children: parseInline(match[1]) }
+          : { type: 'text', value: match[1] });
+        i += match[0].length;
+        continue;
+      }
+    }
+
+    buffer += ch;
+    i++;
+  }
+
+  flush();
+  return nodes;
+};
+
+const splitTableRow = (line) => {
+  const cells = [];
+  let cell = '';
+  const row = line.trim().replace(/^\|/, '').replace(/(?:^|[^\\])\|$/, match => match.slice(0, -1));
+  for (let i = 0; i < row.length; i++) {
+    if (row[i] === '\\' && row[i + 1] === '|') {
+      cell += '|';
+      i++;
+    } else if (row[i] === '|') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += row[i];
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+};
+
+const isTableStart = (lines, i) =>
+  lines[i].includes('|') && i + 1 < lines.length && lines[i + 1].includes('-') && TABLE_SEPARATOR.test(lines[i + 1]);
+
+// Lines that end a paragraph without a blank line in between
+const startsBlock = (lines, i) =>
+  HEADING.test(lines[i]) || FENCE.test(lines[i]) || RULE.test(lines[i]) || QUOTE.test(lines[i])
+  || LIST_ITEM.test(lines[i]) || isTableStart(lines, i);
+
+const parseList = (lines, start) => {
+  const [, indent, marker] = LIST_ITEM.exec(lines[start]);
+  const baseIndent = indent.length;
+  const ordered = /\d/.test(marker);
+  const items = [];
+  let itemLines = null;
+  let contentIndent = 0;
+  let i = start;
+
+  const closeItem = () => {
+    if (itemLines) items.push({ blocks: parseBlocks(itemLines) });
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const item = LIST_ITEM.exec(line);
+
+    if (item && item[1].length <= baseIndent + 1 && /\d/.test(item[2]) === ordered && !RULE.test(line)) {
+      closeItem();
+      itemLines = [item[4]];
+      contentIndent = item[1].length + item[2].length + item[3].length;
+      i++;
+    } else if (!line.trim()) {
+      // A blank line continues the list only if more of it follows
+      const next = lines.slice(i + 1).findIndex(candidate => candidate.trim());
+      if (next === -1) break;
+      const nextLine = lines[i + 1 + next];
+      const nextItem = LIST_ITEM.exec(nextLine);
+      const continues = indentOf(nextLine) > baseIndent
+        || (nextItem && nextItem[1].length <= baseIndent + 1 && /\d/.test(nextItem[2]) === ordered);
+      if (!continues) break;
+      itemLines.push('');
+      i++;
+    } else if (indentOf(line) > baseIndent) {
+      itemLines.push(line.slice(Math.min(indentOf(line), contentIndent)));
+      i++;
+    } else if (itemLines[itemLines.length - 1].trim() && !startsBlock(lines, i)) {
+      // Lazy continuation of a wrapped item
+      itemLines.push(line.trim());
+      i++;
+    } else {
+      break;
+    }
+  }
+
+  closeItem();
+  const startNumber = ordered ? parseInt(marker, 10) : 1;
+  return { node: { type: 'list', ordered, start: startNumber, items }, next: i };
+};
+
+export const parseBlocks = (lines) => {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = FENCE.exec(line);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) code.push(lines[i++]);
+      i++;
+      blocks.push({ type: 'code', value: code.join('\n') });
+      continue;
+    }
+
+    const heading = HEADING.exec(line);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2]) });
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: 'rule' });
+      i++;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE.test(lines[i])) quoted.push(QUOTE.exec(lines[i++])[1]);
+      blocks.push({ type: 'quote', blocks: parseBlocks(quoted) });
+      continue;
+    }
+
+    if (isTableStart(lines, i)) {
+      const header = splitTableRow(line);
+      const align = splitTableRow(lines[i + 1]).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        if (cell.startsWith(':')) return 'left';
+        return null;
+      });
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+        const cells = splitTableRow(lines[i++]);
+        rows.push(header.map((_, column) => parseInline(cells[column] ?? '')));
+      }
+      blocks.push({ type: 'table', header: header.map(cell => parseInline(cell)), align, rows });
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const { node, next } = parseList(lines, i);
+      blocks.push(node);
+      i = next;
+      continue;
+    }
+
+    const paragraph = [line.trim()];
+    i++;
+    while (i < lines.length && lines[i].trim() && !startsBlock(lines, i)) paragraph.push(lines[i++].trim());
+    blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+  }
+
+  return blocks;
+};
+
+// Parse Markdown text into block nodes. Anything that is not a string is stringified.
+export const parseMarkdown = (text) => {
+  if (text === null || text === undefined) return [];
+  return parseBlocks(String(text).replace(/\r\n?/g, '\n').split('\n'));
+};
+
+export const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const inlineToHtml = (nodes) => nodes.map(node => {
+  switch (node.type) {
+    case 'text': return escapeHtml(node.value);
+    case 'break': return '<br>';
+    case 'code': return `<code>${escapeHtml(node.value)}</code>`;
+    case 'strong': return `<strong>${inlineToHtml(node.children)}</strong>`;
+    case 'emphasis': return `<em>${inlineToHtml(node.children)}</em>`;
+    case 'link': return `<a href="${escapeHtml(node.href)}" rel="noopener noreferrer">${inlineToHtml(node.children)}</a>`;
+    default: return '';
+  }
+}).join('');
+
+const alignAttribute = (align) => (align ? ` style="text-align: ${align}"` : '');
+
+// Headings start at `baseHeading` so model output cannot outrank the page's own titles.
+// List items are rendered tight: their paragraphs are not wrapped in <p>.
+const blocksToHtml = (blocks, baseHeading, tight = false) => blocks.map(block => {
+  switch (block.type) {
+    case 'heading': {
+      const level = Math.min(6, baseHeading + block.level - 1);
+      return `<h${level}>${inlineToHtml(block.children)}</h${level}>`;
+    }
+    case 'paragraph': return tight ? inlineToHtml(block.children) : `<p>${inlineToHtml(block.children)}</p>`;
+    case 'code': return `<pre><code>${escapeHtml(block.value)}</code></pre>`;
+    case 'rule': return '<hr>';
+    case 'quote': return `<blockquote>${blocksToHtml(block.blocks, baseHeading)}</blockquote>`;
+    case 'list': {
+      const tag = block.ordered ? 'ol' : 'ul';
+      const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+      const items = block.items.map(item => `<li>${blocksToHtml(item.blocks, baseHeading, true)}</li>`).join('');
+      return `<${tag}${start}>${items}</${tag}>`;
+    }
+    case 'table': {
+      const head = block.header.map((cell, column) => `<th${alignAttribute(block.align[column])}>${inlineToHtml(cell)}</th>`).join('');
+      const body = block.rows.map(row => (
+        `<tr>${row.map((cell, column) => `<td${alignAttribute(block.align[column])}>${inlineToHtml(cell)}</td>`).join('')}</tr>`
+      )).join('');
+      return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+    }
+    default: return '';
+  }
+}).join('');
+
+// Markdown to an HTML string built only from escaped text and a fixed set of tags
+export const markdownToHtml = (text, { baseHeading = 4 } = {}) => blocksToHtml(parseMarkdown(text), baseHeading);
+
+const inlineToText = (nodes) => nodes.map(node => {
+  switch (node.type) {
+    case 'text':
+    case 'code':
+      return node.value;
+    case 'break': return '\n';
+    case 'link': {
+      const label = inlineToText(node.children);
+      return label === node.href ? label : `${label} (${node.href})`;
+    }
+    default: return node.children ? inlineToText(node.children) : '';
+  }
+}).join('');
+
+const indentLines = (text, prefix) => text.split('\n').map(line => (line ? prefix + line : line)).join('\n');
+
+const blocksToText = (blocks, separator = '\n\n') => blocks.map(block => {
+  switch (block.type) {
+    case 'heading':
+    case 'paragraph':
+      return inlineToText(block.children);
+    case 'code': return block.value;
+    case 'rule': return '---';
+    case 'quote': return indentLines(blocksToText(block.blocks), '> ');
+    case 'list':
+      return block.items.map((item, index) => {
+        const bullet = block.ordered ? `${block.start + index}. ` : '- ';
+        const body = indentLines(blocksToText(item.blocks, '\n'), ' '.repeat(bullet.length));
+        return bullet + body.slice(bullet.length);
+      }).join('\n');
+    case 'table': {
+      const rows = [block.header, ...block.rows].map(row => row.map(cell => inlineToText(cell).replace(/\n/g, ' ')));
+      const widths = block.header.map((_, column) => Math.max(...rows.map(row => row[column].length)));
+      const format = row => row.map((cell, column) => cell.padEnd(widths[column])).join(' | ').trimEnd();
+      return [format(rows[0]), widths.map(width => '-'.repeat(width)).join('-+-'), ...rows.slice(1).map(format)].join('\n');
+    }
+    default: return '';
+  }
+}).join(separator);
+
+// Markdown to readable plain text for the clipboard: markup removed, lists and tables kept aligned
+export const markdownToText = (text) => blocksToText(parseMarkdown(text));
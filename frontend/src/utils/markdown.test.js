@@ -0,0 +1,93 @@
+/**
+ * @jest-environment node
+ */
+import { markdownToHtml, markdownToText, parseMarkdown, safeUrl } from './markdown';
+
+describe('escaping', () => {
+  test('raw HTML in text comes out as text', () => {
+    expect(markdownToHtml('<script>alert("x")</script> & <img src=x onerror=alert(1)>')).toBe(
+      '<p>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; &lt;img src=x onerror=alert(1)&gt;</p>'
+    );
+  });
+
+  test('code spans and fenced code are escaped and not parsed further', () => {
+    expect(markdownToHtml("Run `<b>**x**</b>` now")).toBe('<p>Run <code>&lt;b&gt;**x**&lt;/b&gt;</code> now</p>');
+    expect(markdownToHtml('```\n<i>\'quoted\'</i>\n```')).toBe('<pre><code>&lt;i&gt;&#39;quoted&#39;&lt;/i&gt;</code></pre>');
+  });
+
+  test('table cells are escaped', () => {
+    const html = markdownToHtml('| <b>Item</b> | Cost |\n|---|---:|\n| "MRI" <i> | $1 |');
+    expect(html).toBe(
+      '<table><thead><tr><th>&lt;b&gt;Item&lt;/b&gt;</th><th style="text-align: right">Cost</th></tr></thead>'
+      + '<tbody><tr><td>&quot;MRI&quot; &lt;i&gt;</td><td style="text-align: right">$1</td></tr></tbody></table>'
+    );
+  });
+
+  test('a link label and target cannot break out of the attribute', () => {
+    expect(markdownToHtml('[<b>policy</b>](https://example.com/?a="b")')).toBe(
+      '<p><a href="https://example.com/?a=&quot;b&quot;" rel="noopener noreferrer">&lt;b&gt;policy&lt;/b&gt;</a></p>'
+    );
+  });
+});
+
+describe('links', () => {
+  test('safeUrl keeps http(s) and mailto only', () => {
+    expect(safeUrl(' https://example.com/a ')).toBe('https://example.com/a');
+    expect(safeUrl('mailto:claims@example.com')).toBe('mailto:claims@example.com');
+    // eslint-disable-next-line no-script-url
+    expect(safeUrl('javascript:alert(1)')).toBeNull();
+    // eslint-disable-next-line no-script-url
+    expect(safeUrl('JavaScript:alert(1)')).toBeNull();
+    expect(safeUrl('data:text/html;base64,PHNjcmlwdD4=')).toBeNull();
+    expect(safeUrl('vbscript:msgbox')).toBeNull();
+    expect(safeUrl('/relative/path')).toBeNull();
+  });
+
+  test('links with an unsafe target keep only their label', () => {
+    expect(markdownToHtml('[click](javascript:alert%281%29) and [img](data:image/png;base64,AAAA)')).toBe(
+      '<p>click and img</p>'
+    );
+    // Parentheses in the target end the link syntax, so it stays plain text
+    expect(markdownToHtml('[click](javascript:alert(1))')).toBe('<p>[click](javascript:alert(1))</p>');
+  });
+});
+
+describe('blocks', () => {
+  test('lists nest by indentation and keep their start number', () => {
+    const text = '3. First\n   - nested *one*\n   - nested two\n4. Second';
+    expect(markdownToHtml(text)).toBe(
+      '<ol start="3"><li>First<ul><li>nested <em>one</em></li><li>nested two</li></ul></li><li>Second</li></ol>'
+    );
+    expect(markdownToText(text)).toBe('3. First\n   - nested one\n   - nested two\n4. Second');
+  });
+
+  test('a table keeps a row per line and pads missing cells', () => {
+    const [table] = parseMarkdown('| Code | Reason |\n| :-- | :-: |\n| A1 |\n| B2 | Not \\| covered |');
+    expect(table.align).toEqual(['left', 'center']);
+    expect(table.rows).toEqual([
+      [[{ type: 'text', value: 'A1' }], []],
+      [[{ type: 'text', value: 'B2' }], [{ type: 'text', value: 'Not | covered' }]],
+    ]);
+    expect(markdownToText('| Code | Reason |\n|---|---|\n| A1 | Excluded |')).toBe(
+      'Code | Reason\n-----+---------\nA1   | Excluded'
+    );
+  });
+
+  test('an unterminated fence runs to the end of the text', () => {
+    expect(parseMarkdown('Intro\n```\nline one\n# not a heading')).toEqual([
+      { type: 'paragraph', children: [{ type: 'text', value: 'Intro' }] },
+      { type: 'code', value: 'line one\n# not a heading' },
+    ]);
+  });
+
+  test('headings start at the base level and underscores inside words are not emphasis', () => {
+    expect(markdownToHtml('# Summary\nrisk_factor_name is _flagged_', { baseHeading: 4 })).toBe(
+      '<h4>Summary</h4><p>risk_factor_name is <em>flagged</em></p>'
+    );
+  });
+
+  test('anything that is not text is stringified, nothing becomes empty', () => {
+    expect(parseMarkdown(null)).toEqual([]);
+    expect(markdownToHtml(42)).toBe('<p>42</p>');
+  });
+});
@@ -0,0 +1,116 @@
+// PDF output for letters and reports. jsPDF is loaded on first use and kept
+// out of the main bundle.
+//
+// A document is `{ blocks, footer? }`. Blocks are laid out top to bottom with
+// page breaks as needed:
+//   { type: 'heading', text }            bold, larger text
+//   { type: 'paragraph', text, bold? }   wrapped body text
+//   { type: 'fields', fields }           two-column [label, value] table
+//   { type: 'spacer', size? }            vertical gap in points
+// `footer(pageNumber, pageCount)` returns the text printed at the bottom of each
+// of the document's pages.
+
+export const PDF_MIME_TYPE = 'application/pdf';
+
+const PAGE = {
+  margin: 60,
+  bottomMargin: 72,
+  fontSize: 11,
+  headingSize: 14,
+  lineHeight: 1.35,
+  labelWidth: 130,
+  blockGap: 10,
+};
+
+const loadJsPDF = async () => {
+  const module = await import('jspdf');
+  return module.jsPDF;
+};
+
+const lineHeight = (size) => size * PAGE.lineHeight;
+
+const layoutDocument = (doc, { blocks, footer }) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - PAGE.margin * 2;
+  const firstPage = doc.getNumberOfPages();
+  let y = PAGE.margin;
+
+  const ensureSpace = (height) => {
+    if (y + height > pageHeight - PAGE.bottomMargin) {
+      doc.addPage();
+      y = PAGE.margin;
+    }
+  };
+
+  const writeLines = (lines, x, size) => {
+    lines.forEach(line => {
+      ensureSpace(lineHeight(size));
+      doc.text(line, x, y, { baseline: 'top' });
+      y += lineHeight(size);
+    });
+  };
+
+  blocks.forEach(block => {
+    switch (block.type) {
+      case 'heading':
+        doc.setFont('helvetica', 'bold').setFontSize(PAGE.headingSize);
+        writeLines(doc.splitTextToSize(block.text, contentWidth), PAGE.margin, PAGE.headingSize);
+        break;
+
+      case 'paragraph':
+        doc.setFont('helvetica', block.bold ? 'bold' : 'normal').setFontSize(PAGE.fontSize);
+        writeLines(doc.splitTextToSize(String(block.text ?? ''), contentWidth), PAGE.margin, PAGE.fontSize);
+        break;
+
+      case 'fields':
+        doc.setFontSize(PAGE.fontSize);
+        block.fields.forEach(([label, value]) => {
+          const valueLines = doc.splitTextToSize(String(value ?? '-'), contentWidth - PAGE.labelWidth);
+          // Keep short rows together rather than splitting label and value across pages
+          ensureSpace(lineHeight(PAGE.fontSize) * Math.min(valueLines.length, 3));
+          doc.setFont('helvetica', 'bold');
+          doc.text(label, PAGE.margin, y, { baseline: 'top' });
+          doc.setFont('helvetica', 'normal');
+          writeLines(valueLines, PAGE.margin + PAGE.labelWidth, PAGE.fontSize);
+        });
+        break;
+
+      case 'spacer':
+        y += block.size ?? PAGE.blockGap;
+        break;
+
+      default:
+        throw new Error(`Unknown PDF block type: ${block.type}`);
+    }
+    y += PAGE.blockGap;
+  });
+
+  if (footer) {
+    const lastPage = doc.getNumberOfPages();
+    const pageCount = lastPage - firstPage + 1;
+    doc.setFont('helvetica', 'normal').setFontSize(9).setTextColor(110);
+    for (let page = firstPage; page <= lastPage; page++) {
+      doc.setPage(page);
+      doc.text(footer(page - firstPage + 1, pageCount), pageWidth / 2, pageHeight - PAGE.bottomMargin / 2, { align: 'center' });
+    }
+    doc.setTextColor(0);
+  }
+};
+
+// Render documents into one PDF, each starting on a new page, and resolve to its bytes.
+// `onProgress(done, total)` fires after each document.
+export const writePDF = async (documents, { onProgress } = {}) => {
+  const JsPDF = await loadJsPDF();
+  const doc = new JsPDF({ unit: 'pt', format: 'letter' });
+
+  for (let index = 0; index < documents.length; index++) {
+    if (index > 0) doc.addPage();
+    layoutDocument(doc, documents[index]);
+    onProgress?.(index + 1, documents.length);
+    // Let the browser repaint progress between long documents
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  return doc.output('arraybuffer');
+};
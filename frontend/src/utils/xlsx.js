@@ -0,0 +1,116 @@
+// Excel (XLSX) reading and writing. ExcelJS is large, so it is loaded on first
+// use and kept out of the main bundle.
+
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Excel number formats for typed columns
+const NUMBER_FORMATS = {
+  date: 'yyyy-mm-dd hh:mm',
+  currency: '"$"#,##0.00',
+  percent: '0.0%',
+  number: '#,##0.##',
+};
+
+const MAX_SHEET_NAME_LENGTH = 31;
+
+const loadExcelJS = async () => {
+  const module = await import('exceljs');
+  return module.default || module;
+};
+
+// Excel rejects sheet names over 31 characters, containing []:*?/\ or used twice
+const uniqueSheetName = (name, used) => {
+  const base = (String(name).replace(/[[\]:*?/\\]/g, ' ').trim() || 'Sheet').slice(0, MAX_SHEET_NAME_LENGTH);
+  let candidate = base;
+  for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    candidate = base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+};
+
+const toCellValue = (value, type) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  switch (type) {
+    case 'date': {
+      const date = value instanceof Date ? value : new Date(value);
+      return Number.isNaN(date.getTime()) ? String(value) : date;
+    }
+    case 'currency':
+    case 'percent':
+    case 'number': {
+      const number = typeof value === 'number' ? value : parseFloat(value);
+      return Number.isNaN(number) ? String(value) : number;
+    }
+    default:
+      return Array.isArray(value) ? value.join('; ') : value;
+  }
+};
+
+/**
+ * Build an XLSX file and resolve to its bytes (an ArrayBuffer).
+ * Each sheet is `{ name, columns, rows }`. Columns are
+ * `{ header, value(row), type?, width? }`, where `type` is one of
+ * 'text' (default), 'date', 'currency', 'percent' (a 0–1 fraction) or 'number'.
+ */
+export const writeWorkbook = async (sheets) => {
+  const ExcelJS = await loadExcelJS();
+  const workbook = new ExcelJS.Workbook();
+  const usedNames = new Set();
+
+  sheets.forEach(({ name, columns, rows }) => {
+    const worksheet = workbook.addWorksheet(uniqueSheetName(name, usedNames), {
+      views: [{ state: 'frozen', ySplit: 1 }],
+    });
+
+    worksheet.columns = columns.map(column => ({
+      header: column.header,
+      width: column.width || Math.max(12, column.header.length + 2),
+      style: NUMBER_FORMATS[column.type] ? { numFmt: NUMBER_FORMATS[column.type] } : {},
+    }));
+    worksheet.getRow(1).font = { bold: true };
+
+    rows.forEach(row => {
+      worksheet.addRow(columns.map(column => toCellValue(column.value(row), column.type)));
+    });
+    worksheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+  });
+
+  return workbook.xlsx.writeBuffer();
+};
+
+// Plain text for any ExcelJS cell value (formulas give their cached result)
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== 'object') return String(value);
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if ('result' in value) return cellText(value.result);
+  if ('text' in value) return cellText(value.text);
+  return '';
+};
+
+// Read every non-empty worksheet of an XLSX File or Blob as `{ name, rows }`,
+// where rows are arrays of strings with empty rows left out
+export const readWorkbook = async (file) => {
+  const ExcelJS = await loadExcelJS();
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await file.arrayBuffer());
+
+  const sheets = [];
+  workbook.eachSheet(worksheet => {
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: false }, row => {
+      // row.values is 1-based and sparse
+      rows.push(Array.from({ length: worksheet.columnCount }, (_, index) => cellText(row.values[index + 1]).trim()));
+    });
+    if (rows.length > 0) sheets.push({ name: worksheet.name, rows });
+  });
+
+  return sheets;
+};
+
+export const isXLSXFile = (file) =>
+  file.type === XLSX_MIME_TYPE || /\.xlsx$/i.test(file.name || '');
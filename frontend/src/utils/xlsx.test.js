@@ -0,0 +1,96 @@
+/**
+ * @jest-environment node
+ */
+import ExcelJS from 'exceljs';
+import { writeWorkbook, readWorkbook, isXLSXFile, XLSX_MIME_TYPE } from './xlsx';
+
+const asFile = (bytes) => ({ arrayBuffer: async () => bytes });
+
+const claims = [
+  { id: 'C-1', amount: '125.5', confidence: 0.91, submitted: '2024-03-01T10:00:00Z', tags: ['urgent', 'rx'] },
+  { id: '=CMD()', amount: 'n/a', confidence: null, submitted: 'not a date', tags: [] },
+];
+
+const columns = [
+  { header: 'Claim ID', value: claim => claim.id },
+  { header: 'Amount', value: claim => claim.amount, type: 'currency' },
+  { header: 'Confidence', value: claim => claim.confidence, type: 'percent' },
+  { header: 'Submitted', value: claim => claim.submitted, type: 'date' },
+  { header: 'Tags', value: claim => claim.tags },
+];
+
+describe('writeWorkbook', () => {
+  test('writes typed cells with number formats, a frozen header and a filter', async () => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await writeWorkbook([{ name: 'Claims', columns, rows: claims }]));
+    const sheet = workbook.getWorksheet('Claims');
+
+    expect(sheet.getRow(1).values.slice(1)).toEqual(['Claim ID', 'Amount', 'Confidence', 'Submitted', 'Tags']);
+    expect(sheet.getCell('B2').value).toBe(125.5);
+    expect(sheet.getCell('B2').numFmt).toBe('"$"#,##0.00');
+    expect(sheet.getCell('C2').value).toBe(0.91);
+    expect(sheet.getCell('D2').value).toEqual(new Date('2024-03-01T10:00:00Z'));
+    expect(sheet.getCell('E2').value).toBe('urgent; rx');
+    expect(sheet.views[0]).toMatchObject({ state: 'frozen', ySplit: 1 });
+    expect(sheet.autoFilter).toBeTruthy();
+  });
+
+  test('keeps values that do not fit the column type as text and leaves blanks empty', async () => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await writeWorkbook([{ name: 'Claims', columns, rows: claims }]));
+    const sheet = workbook.getWorksheet('Claims');
+
+    expect(sheet.getCell('A3').value).toBe('=CMD()');
+    expect(sheet.getCell('B3').value).toBe('n/a');
+    expect(sheet.getCell('C3').value).toBeNull();
+    expect(sheet.getCell('D3').value).toBe('not a date');
+  });
+
+  test('makes sheet names valid and unique', async () => {
+    const sheet = { columns: [{ header: 'A', value: row => row }], rows: ['x'] };
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await writeWorkbook([
+      { ...sheet, name: 'Denied: 2024/03?' },
+      { ...sheet, name: 'denied  2024 03' },
+      { ...sheet, name: 'A very long sheet name that Excel would reject' },
+    ]));
+
+    expect(workbook.worksheets.map(worksheet => worksheet.name)).toEqual([
+      'Denied  2024 03',
+      'denied  2024 03 (2)',
+      'A very long sheet name that Exc',
+    ]);
+  });
+});
+
+describe('readWorkbook', () => {
+  test('reads every non-empty sheet back as rows of strings', async () => {
+    const bytes = await writeWorkbook([
+      { name: 'Claims', columns, rows: claims },
+      { name: 'Empty', columns: [], rows: [] },
+    ]);
+    const sheets = await readWorkbook(asFile(bytes));
+
+    expect(sheets.map(sheet => sheet.name)).toEqual(['Claims']);
+    expect(sheets[0].rows).toEqual([
+      ['Claim ID', 'Amount', 'Confidence', 'Submitted', 'Tags'],
+      ['C-1', '125.5', '0.91', '2024-03-01T10:00:00.000Z', 'urgent; rx'],
+      ['=CMD()', 'n/a', '', 'not a date', ''],
+    ]);
+  });
+
+  test('reads formula results and rich text as plain text', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Data');
+    sheet.addRow([{ formula: 'A2*2', result: 4 }, { richText: [{ text: 'Rich ' }, { text: 'text' }] }]);
+    const sheets = await readWorkbook(asFile(await workbook.xlsx.writeBuffer()));
+
+    expect(sheets[0].rows).toEqual([['4', 'Rich text']]);
+  });
+});
+
+test('isXLSXFile goes by MIME type or extension', () => {
+  expect(isXLSXFile({ type: XLSX_MIME_TYPE, name: 'export' })).toBe(true);
+  expect(isXLSXFile({ type: '', name: 'Claims.XLSX' })).toBe(true);
+  expect(isXLSXFile({ type: 'text/csv', name: 'claims.csv' })).toBe(false);
+});
@@ -1,22 +1,85 @@
 /** @type {import('tailwindcss').Config} */
+const defaultColors = require('tailwindcss/colors');
+const plugin = require('tailwindcss/plugin');
+
+// Palettes that follow the theme. Components use the light-theme classes
+// (`bg-red-50 text-red-800`, `text-gray-900`, ...); under `.dark` each shade
+// takes the value of the shade named here, so those pairs stay readable on
+// dark surfaces without a `dark:` variant on every class.
+const THEMED_PALETTES = ['gray', 'red', 'green', 'blue', 'yellow', 'orange', 'purple', 'indigo', 'emerald', 'amber', 'pink', 'teal', 'cyan'];
+const SHADES = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900', '950'];
+
+// Grays are surfaces, borders and text; they swap ends of the scale
+const DARK_GRAY_SHADES = {
+  50: '800', 100: '700', 200: '700', 300: '600', 400: '500', 500: '400',
+  600: '300', 700: '300', 800: '200', 900: '100', 950: '50',
+};
+// Colours keep their mid shades for solid fills and swap the tints with the deep text shades
+const DARK_COLOR_SHADES = {
+  50: '950', 100: '900', 200: '800', 300: '700', 400: '400', 500: '500',
+  600: '500', 700: '300', 800: '200', 900: '100', 950: '50',
+};
+
+// Surfaces that are not part of a palette: the page behind everything and cards on it
+const SURFACES = {
+  light: { background: '#f8fafc', surface: '#ffffff', text: '#1f2937' },
+  dark: { background: '#030712', surface: '#111827', text: '#e5e7eb' },
+};
+
+const toChannels = (hex) => [1, 3, 5].map(index => parseInt(hex.slice(index, index + 2), 16)).join(' ');
+
+const themeVariables = (mode) => {
+  const variables = {};
+  THEMED_PALETTES.forEach(name => {
+    const darkShades = name === 'gray' ? DARK_GRAY_SHADES : DARK_COLOR_SHADES;
+    SHADES.forEach(shade => {
+      const source = mode === 'dark' ? darkShades[shade] : shade;
+      variables[`--color-${name}-${shade}`] = toChannels(defaultColors[name][source]);
+    });
+  });
+  Object.entries(SURFACES[mode]).forEach(([name, hex]) => {
+    variables[`--color-${name}`] = toChannels(hex);
+  });
+  return variables;
+};
+
+const themedColor = (variable) => `rgb(var(${variable}) / <alpha-value>)`;
+
+const themedPalettes = Object.fromEntries(THEMED_PALETTES.map(name => [
+  name,
+  Object.fromEntries(SHADES.map(shade => [shade, themedColor(`--color-${name}-${shade}`)])),
+]));
+
 module.exports = {
   content: [
     "./src/**/*.{js,jsx,ts,tsx}",
   ],
+  darkMode: 'class',
   theme: {
     extend: {
       colors: {
+        ...themedPalettes,
         primary: '#2563eb',
         success: '#10b981',
         error: '#ef4444',
         warning: '#f59e0b',
-        background: '#f8fafc',
-        text: '#1f2937',
+        background: themedColor('--color-background'),
+        surface: themedColor('--color-surface'),
+        text: themedColor('--color-text'),
       },
       fontFamily: {
         sans: ['Inter', 'system-ui', 'sans-serif'],
       },
     },
   },
-  plugins: [],
+  plugins: [
+    plugin(({ addBase }) => {
+      addBase({
+        ':root': { ...themeVariables('light'), colorScheme: 'light' },
+        '.dark': { ...themeVariables('dark'), colorScheme: 'dark' },
+        // Paper is white whatever the screen theme
+        '@media print': { '.dark': { ...themeVariables('light'), colorScheme: 'light' } },
+      });
+    }),
+  ],
 }